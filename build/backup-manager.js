@@ -0,0 +1,152 @@
+const { EventEmitter } = require('events');
+const {
+  listBackups,
+  pruneBackups,
+  resolveBackupPath,
+  createBackupArchive,
+  restoreBackupArchive
+} = require('../server/config/backups');
+
+// How often the schedule is checked; a backup is taken once the newest one is older than the interval
+const SCHEDULE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+class BackupManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Function} options.getDatabaseDir - Folder holding database.db and uploads/
+   * @param {Function} options.getBackupDir - Folder the archives are written to
+   * @param {Function} options.getSchedule - Returns { enabled, intervalHours, keepCount, maxAgeDays }
+   * @param {Function} options.snapshotDatabase - Async function copying the live database to a path
+   * @param {Function} options.beforeRestore - Async function stopping everything that writes to the database
+   * @param {Function} options.closeDatabase - Releases this process's own database connection
+   * @param {Function} options.afterRestore - Async function reopening the database, called with beforeRestore's result
+   */
+  constructor(options) {
+    super();
+    this.options = options;
+    this.busy = null; // null | backup | restore
+    this.scheduleTimer = null;
+  }
+
+  list() {
+    return listBackups(this.options.getBackupDir());
+  }
+
+  getBackupPath(name) {
+    return resolveBackupPath(this.options.getBackupDir(), name);
+  }
+
+  /**
+   * Snapshot the database and uploads/, then apply the retention rules
+   */
+  async createBackup(reason = 'manual') {
+    if (this.busy) {
+      throw new Error(`Cannot start a backup while a ${this.busy} is in progress`);
+    }
+
+    this.busy = 'backup';
+    try {
+      const backup = await this.writeBackup(reason);
+      this.applyRetention();
+      this.emit('backup-created', backup);
+      return backup;
+    } finally {
+      this.busy = null;
+    }
+  }
+
+  writeBackup(reason) {
+    return createBackupArchive({
+      backupDir: this.options.getBackupDir(),
+      databaseDir: this.options.getDatabaseDir(),
+      reason: reason,
+      snapshotDatabase: this.options.snapshotDatabase
+    });
+  }
+
+  applyRetention() {
+    const { keepCount, maxAgeDays } = this.options.getSchedule();
+    return pruneBackups(this.options.getBackupDir(), { keepCount, maxAgeDays });
+  }
+
+  /**
+   * Replace the database and uploads/ with a backup. The current state is saved
+   * as a pre-restore backup first so a bad restore can be undone.
+   */
+  async restoreBackup(name) {
+    if (this.busy) {
+      throw new Error(`Cannot restore while a ${this.busy} is in progress`);
+    }
+
+    const archivePath = this.getBackupPath(name);
+    this.busy = 'restore';
+
+    let context = null;
+    let safetyBackup = null;
+
+    try {
+      context = await this.options.beforeRestore();
+      safetyBackup = await this.writeBackup('pre-restore');
+
+      this.options.closeDatabase();
+      await restoreBackupArchive({ archivePath, databaseDir: this.options.getDatabaseDir() });
+    } catch (error) {
+      const hint = safetyBackup ? ` The previous state was saved as ${safetyBackup.name}.` : '';
+      error.message = `Restore of ${name} failed: ${error.message}.${hint}`;
+      this.emit('restore-failed', error);
+      throw error;
+    } finally {
+      this.busy = null;
+      await this.options.afterRestore(context);
+    }
+
+    const result = { restored: name, safetyBackup: safetyBackup.name };
+    this.emit('backup-restored', result);
+    return result;
+  }
+
+  /**
+   * Check the schedule now and every SCHEDULE_CHECK_INTERVAL_MS
+   */
+  startSchedule() {
+    this.stopSchedule();
+    this.scheduleTimer = setInterval(() => this.runScheduledBackup(), SCHEDULE_CHECK_INTERVAL_MS);
+    this.runScheduledBackup();
+  }
+
+  stopSchedule() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+
+  isBackupDue() {
+    const { enabled, intervalHours } = this.options.getSchedule();
+    if (!enabled) {
+      return false;
+    }
+
+    const latest = this.list()[0];
+    return !latest || Date.now() - new Date(latest.createdAt).getTime() >= intervalHours * 60 * 60 * 1000;
+  }
+
+  async runScheduledBackup() {
+    if (this.busy) {
+      return;
+    }
+
+    try {
+      if (!this.isBackupDue()) {
+        return;
+      }
+
+      await this.createBackup('scheduled');
+    } catch (error) {
+      console.error('❌ Scheduled backup failed:', error.message);
+      this.emit('backup-failed', error);
+    }
+  }
+}
+
+module.exports = BackupManager;
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations, wrapBetterSqlite3 } = require('../server/config/migrations');
 
 class DatabaseSetup {
   constructor(databasePath) {
@@ -154,7 +155,6 @@ class DatabaseSetup {
           unit_of_measure TEXT,
           in_qty INTEGER DEFAULT 0,
           out_qty INTEGER DEFAULT 0,
-          balance INTEGER DEFAULT 0,
           min_stock INTEGER DEFAULT 0,
           deficit INTEGER DEFAULT 0,
           price_per_unit REAL DEFAULT 0,
@@ -163,7 +163,9 @@ class DatabaseSetup {
           last_po TEXT,
           supplier TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          balance INTEGER GENERATED ALWAYS AS (in_qty - out_qty) VIRTUAL,
+          barcode TEXT
         )
       `;
 
@@ -519,6 +521,40 @@ class DatabaseSetup {
     }
   }
 
+  /**
+   * Apply pending schema migrations from server/migrations
+   */
+  async applyMigrations() {
+    if (!this.db && !this.initializeConnection()) {
+      throw new Error('Failed to initialize database connection');
+    }
+
+    return runMigrations(wrapBetterSqlite3(this.db));
+  }
+
+  /**
+   * List migrations that have not been applied yet, without changing the database
+   */
+  async getPendingMigrations() {
+    if (!this.db && !this.initializeConnection()) {
+      throw new Error('Failed to initialize database connection');
+    }
+
+    const { pending } = await runMigrations(wrapBetterSqlite3(this.db), { dryRun: true });
+    return pending;
+  }
+
+  /**
+   * Copy the live database with SQLite's online backup API
+   */
+  async backupTo(destinationPath) {
+    if (!this.db && !this.initializeConnection()) {
+      throw new Error('Failed to initialize database connection');
+    }
+
+    await this.db.backup(destinationPath);
+  }
+
   /**
    * Get database statistics
    */
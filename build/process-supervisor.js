@@ -0,0 +1,309 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxRestarts: 5,
+  restartWindowMs: 10 * 60 * 1000,
+  stableAfterMs: 60000,
+  healthCheckIntervalMs: 30000,
+  healthCheckFailureLimit: 3
+};
+
+class ProcessSupervisor extends EventEmitter {
+  /**
+   * @param {string} name - Label used in logs and status reports
+   * @param {object} options
+   * @param {Function} options.start - Async function that spawns the child and resolves with it
+   * @param {Function} [options.healthCheck] - Async function resolving to true when the child is healthy
+   */
+  constructor(name, options) {
+    super();
+    this.name = name;
+    this.startProcess = options.start;
+    this.healthCheck = options.healthCheck || null;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.child = null;
+    this.state = 'stopped'; // stopped | starting | running | restarting | failed
+    this.stopping = false;
+    this.startedAt = null;
+
+    this.restartCount = 0;
+    this.restartTimestamps = [];
+    this.backoffStep = 0;
+    this.nextRestartAt = null;
+    this.restartTimer = null;
+
+    this.lastExit = null;
+    this.lastHealthCheck = null;
+    this.healthFailures = 0;
+    this.healthTimer = null;
+    this.pendingExitReason = null;
+  }
+
+  /**
+   * Start the child on request (resets the restart budget)
+   */
+  async start() {
+    if (this.child && this.state === 'running') {
+      return this.child;
+    }
+
+    this.stopping = false;
+    this.restartTimestamps = [];
+    this.backoffStep = 0;
+    this.clearRestartTimer();
+    this.setState('starting');
+
+    try {
+      return await this.launch();
+    } catch (error) {
+      this.setState('stopped');
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the child on request without triggering a restart
+   */
+  stop() {
+    this.stopping = true;
+    this.clearRestartTimer();
+    this.stopHealthChecks();
+
+    if (this.child && !this.child.killed) {
+      this.child.kill();
+    }
+
+    this.child = null;
+    this.startedAt = null;
+    this.setState('stopped');
+  }
+
+  /**
+   * Stop the child and resolve once it has exited, killing it outright after timeoutMs
+   */
+  async stopAndWait(timeoutMs = 10000) {
+    const child = this.child;
+    this.stop();
+
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        console.log(`⚠️ [${this.name}] did not exit within ${Math.round(timeoutMs / 1000)}s, killing it`);
+        child.kill('SIGKILL');
+      }, timeoutMs);
+
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Spawn the child and start watching it
+   */
+  async launch() {
+    const child = await this.startProcess();
+
+    if (this.stopping) {
+      // stop() was called while the child was starting up
+      if (child && !child.killed) child.kill();
+      return null;
+    }
+
+    this.child = child;
+    this.startedAt = Date.now();
+    this.healthFailures = 0;
+
+    this.setState('running');
+
+    // The child may already have died while the start function was waiting on it
+    if (child.exitCode !== null || child.signalCode !== null) {
+      this.handleExit(child, child.exitCode, child.signalCode);
+      return child;
+    }
+
+    child.once('exit', (code, signal) => this.handleExit(child, code, signal));
+    this.startHealthChecks();
+
+    return child;
+  }
+
+  /**
+   * React to the child exiting, restarting it unless the exit was requested
+   */
+  handleExit(child, code, signal) {
+    if (child !== this.child) {
+      return;
+    }
+
+    const ranForMs = this.startedAt ? Date.now() - this.startedAt : 0;
+
+    this.child = null;
+    this.startedAt = null;
+    this.stopHealthChecks();
+
+    if (this.stopping) {
+      this.setState('stopped');
+      return;
+    }
+
+    this.lastExit = {
+      code: code,
+      signal: signal,
+      reason: this.pendingExitReason || this.describeExit(code, signal),
+      at: new Date().toISOString()
+    };
+    this.pendingExitReason = null;
+
+    console.log(`⚠️ [${this.name}] exited unexpectedly: ${this.lastExit.reason}`);
+
+    // A child that stayed up for a while starts the backoff from scratch
+    if (ranForMs >= this.options.stableAfterMs) {
+      this.backoffStep = 0;
+    }
+
+    this.scheduleRestart();
+  }
+
+  describeExit(code, signal) {
+    if (signal) return `Killed by signal ${signal}`;
+    if (code === 0) return 'Exited cleanly with code 0';
+    return `Crashed with exit code ${code}`;
+  }
+
+  /**
+   * Queue a restart using exponential backoff, or give up when the budget is spent
+   */
+  scheduleRestart() {
+    const now = Date.now();
+    this.restartTimestamps = this.restartTimestamps.filter(
+      (timestamp) => now - timestamp < this.options.restartWindowMs
+    );
+
+    if (this.restartTimestamps.length >= this.options.maxRestarts) {
+      console.error(
+        `❌ [${this.name}] restarted ${this.restartTimestamps.length} times within ` +
+        `${Math.round(this.options.restartWindowMs / 60000)} minutes, giving up`
+      );
+      this.nextRestartAt = null;
+      this.setState('failed');
+      return;
+    }
+
+    const delay = Math.min(this.options.baseDelayMs * 2 ** this.backoffStep, this.options.maxDelayMs);
+    this.backoffStep++;
+    this.nextRestartAt = new Date(now + delay).toISOString();
+    this.setState('restarting');
+
+    console.log(`🔄 [${this.name}] restarting in ${Math.round(delay / 1000)}s`);
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+      this.restartTimestamps.push(Date.now());
+      this.restartCount++;
+
+      try {
+        await this.launch();
+      } catch (error) {
+        if (this.stopping) return;
+
+        this.lastExit = {
+          code: null,
+          signal: null,
+          reason: `Restart failed: ${error.message}`,
+          at: new Date().toISOString()
+        };
+        console.error(`❌ [${this.name}] restart failed:`, error.message);
+        this.scheduleRestart();
+      }
+    }, delay);
+  }
+
+  clearRestartTimer() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    this.nextRestartAt = null;
+  }
+
+  /**
+   * Poll the health check and kill the child after repeated failures so it gets restarted
+   */
+  startHealthChecks() {
+    this.stopHealthChecks();
+
+    if (!this.healthCheck) {
+      return;
+    }
+
+    this.healthTimer = setInterval(async () => {
+      if (this.state !== 'running' || !this.child) {
+        return;
+      }
+
+      let healthy = false;
+      try {
+        healthy = await this.healthCheck();
+      } catch (error) {
+        healthy = false;
+      }
+
+      this.lastHealthCheck = { healthy: healthy, at: new Date().toISOString() };
+      this.healthFailures = healthy ? 0 : this.healthFailures + 1;
+
+      if (this.healthFailures >= this.options.healthCheckFailureLimit && this.child) {
+        console.error(`❌ [${this.name}] failed ${this.healthFailures} health checks, killing process`);
+        this.pendingExitReason = `Health check failed ${this.healthFailures} times in a row`;
+        this.healthFailures = 0;
+        this.child.kill();
+      }
+
+      this.emit('status', this.getStatus());
+    }, this.options.healthCheckIntervalMs);
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('status', this.getStatus());
+  }
+
+  /**
+   * Snapshot of the supervisor state for the renderer
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      name: this.name,
+      state: this.state,
+      running: this.state === 'running',
+      pid: this.child ? this.child.pid : null,
+      restartCount: this.restartCount,
+      restartsInWindow: this.restartTimestamps.filter(
+        (timestamp) => now - timestamp < this.options.restartWindowMs
+      ).length,
+      maxRestarts: this.options.maxRestarts,
+      nextRestartAt: this.nextRestartAt,
+      lastExit: this.lastExit,
+      lastHealthCheck: this.lastHealthCheck
+    };
+  }
+}
+
+module.exports = ProcessSupervisor;
@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs');
+
+// Every persisted setting with its type, default and constraints
+const SETTINGS_SCHEMA = {
+  databaseServerPort: { type: 'integer', default: 3001, min: 1024, max: 65535, restartsServer: true },
+  corsOrigins: {
+    type: 'string[]',
+    default: ['http://localhost:5173', 'http://localhost:3000', 'http://127.0.0.1:5173'],
+    pattern: /^https?:\/\/[^\s/]+$/,
+    restartsServer: true
+  },
+  databaseDir: { type: 'string', default: '', restartsServer: true }, // Empty means the install directory
+  cloudflaredPath: { type: 'string', default: 'cloudflared' },
+  autoStartServer: { type: 'boolean', default: false },
+  autoStartTunnel: { type: 'boolean', default: false },
+  tunnelMode: { type: 'string', default: 'quick', enum: ['quick', 'named'] },
+  tunnelName: { type: 'string', default: '' },
+  tunnelCredentialsFile: { type: 'string', default: '' },
+  tunnelHostname: { type: 'string', default: '' },
+  autoBackup: { type: 'boolean', default: true },
+  backupIntervalHours: { type: 'integer', default: 24, min: 1, max: 720 },
+  backupRetentionCount: { type: 'integer', default: 14, min: 1, max: 365 },
+  backupRetentionDays: { type: 'integer', default: 30, min: 0, max: 3650 }, // 0 keeps backups regardless of age
+  backupDir: { type: 'string', default: '', restartsServer: true } // Empty means <database folder>/backups
+};
+
+class SettingsStore {
+  constructor(settingsPath) {
+    this.settingsPath = settingsPath;
+    this.settings = SettingsStore.getDefaults();
+  }
+
+  /**
+   * Default value for every setting in the schema
+   */
+  static getDefaults() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+      defaults[key] = Array.isArray(definition.default) ? [...definition.default] : definition.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * Load settings from disk, dropping unknown keys and invalid values
+   */
+  load() {
+    this.settings = SettingsStore.getDefaults();
+
+    try {
+      if (!fs.existsSync(this.settingsPath)) {
+        this.importLegacyTunnelSettings();
+        return this.settings;
+      }
+
+      const stored = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+      const { values, errors } = this.validate(stored);
+
+      Object.assign(this.settings, values);
+
+      if (errors.length > 0) {
+        console.log(`⚠️ Ignored invalid settings: ${errors.map(e => e.key).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('❌ Could not read settings, using defaults:', error.message);
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Carry over tunnel-settings.json written by older versions of the app
+   */
+  importLegacyTunnelSettings() {
+    const legacyPath = path.join(path.dirname(this.settingsPath), 'tunnel-settings.json');
+
+    if (!fs.existsSync(legacyPath)) {
+      return;
+    }
+
+    try {
+      const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      const { values } = this.validate({
+        tunnelMode: legacy.mode,
+        tunnelName: legacy.tunnelName,
+        tunnelCredentialsFile: legacy.credentialsFile,
+        tunnelHostname: legacy.hostname
+      });
+
+      Object.assign(this.settings, values);
+      this.save();
+      console.log('✅ Imported legacy tunnel settings');
+    } catch (error) {
+      console.error('⚠️ Could not import legacy tunnel settings:', error.message);
+    }
+  }
+
+  /**
+   * Write settings to disk atomically
+   */
+  save() {
+    const dir = path.dirname(this.settingsPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.settingsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.settings, null, 2));
+    fs.renameSync(tempPath, this.settingsPath);
+  }
+
+  get(key) {
+    return this.settings[key];
+  }
+
+  getAll() {
+    return { ...this.settings, corsOrigins: [...this.settings.corsOrigins] };
+  }
+
+  /**
+   * Validate and persist a partial update. Nothing is saved if any value is invalid.
+   */
+  update(updates = {}) {
+    const { values, errors } = this.validate(updates);
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const changedKeys = Object.keys(values).filter(
+      (key) => JSON.stringify(values[key]) !== JSON.stringify(this.settings[key])
+    );
+
+    Object.assign(this.settings, values);
+    this.save();
+
+    return {
+      success: true,
+      settings: this.getAll(),
+      changedKeys,
+      restartRequired: changedKeys.some((key) => SETTINGS_SCHEMA[key].restartsServer)
+    };
+  }
+
+  /**
+   * Check values against the schema. Undefined values are skipped.
+   */
+  validate(input) {
+    const values = {};
+    const errors = [];
+
+    for (const [key, value] of Object.entries(input || {})) {
+      const definition = SETTINGS_SCHEMA[key];
+
+      if (value === undefined) {
+        continue;
+      }
+
+      if (!definition) {
+        errors.push({ key, error: 'Unknown setting' });
+        continue;
+      }
+
+      const error = this.validateValue(definition, value);
+      if (error) {
+        errors.push({ key, error });
+        continue;
+      }
+
+      if (typeof value === 'string') {
+        values[key] = value.trim();
+      } else if (Array.isArray(value)) {
+        values[key] = value.map((item) => item.trim());
+      } else {
+        values[key] = value;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  validateValue(definition, value) {
+    switch (definition.type) {
+      case 'integer':
+        if (!Number.isInteger(value)) return 'Must be a whole number';
+        if (value < definition.min || value > definition.max) {
+          return `Must be between ${definition.min} and ${definition.max}`;
+        }
+        return null;
+
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'Must be true or false';
+
+      case 'string':
+        if (typeof value !== 'string') return 'Must be text';
+        if (definition.enum && !definition.enum.includes(value)) {
+          return `Must be one of: ${definition.enum.join(', ')}`;
+        }
+        return null;
+
+      case 'string[]':
+        if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+          return 'Must be a list of text values';
+        }
+        if (definition.pattern) {
+          const invalid = value.filter((item) => !definition.pattern.test(item.trim()));
+          if (invalid.length > 0) return `Invalid entries: ${invalid.join(', ')}`;
+        }
+        return null;
+
+      default:
+        return 'Unsupported setting type';
+    }
+  }
+}
+
+module.exports = SettingsStore;
+module.exports.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
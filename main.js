@@ -1,31 +1,48 @@
-const { app, BrowserWindow, ipcMain } = require("electron")
+const { app, BrowserWindow, ipcMain, dialog } = require("electron")
 const path = require("path")
 const { spawn } = require("child_process")
 const http = require("http")
 const { networkInterfaces } = require("os")
 const fs = require("fs")
 const DatabaseSetup = require('./build/databasesetup') // Add this import
-
-const PORTS = {
-  DATABASE_SERVER: 3001,
-}
+const ProcessSupervisor = require('./build/process-supervisor')
+const SettingsStore = require('./build/settings-store')
+const BackupManager = require('./build/backup-manager')
+const { getDefaultBackupDir } = require('./server/config/backups')
 
 // Keep a global reference of the window object
 let mainWindow
 let databaseServerProcess
 let tunnelProcess
 let tunnelUrl = null
+let tunnelMode = null
 let databaseSetup = null // Add database setup instance
+let serverSupervisor = null
+let tunnelSupervisor = null
+let settingsStore = null
+let backupManager = null
+
+// Load persisted settings from the user data directory
+function initializeSettings() {
+  settingsStore = new SettingsStore(path.join(app.getPath("userData"), "settings.json"))
+  settingsStore.load()
+  console.log(`⚙️ Settings loaded from: ${settingsStore.settingsPath}`)
+}
+
+function getServerPort() {
+  return settingsStore.get("databaseServerPort")
+}
 
 // Helper function to get the correct paths for production vs development
 function getAppPaths() {
   const isDev = process.env.NODE_ENV === "development" || process.defaultApp
+  const customDatabaseDir = settingsStore ? settingsStore.get("databaseDir") : ""
 
   if (isDev) {
     // Development mode
     return {
       serverScript: path.join(__dirname, "server", "database-server.js"),
-      databaseDir: __dirname,
+      databaseDir: customDatabaseDir || __dirname,
       resourcesPath: __dirname,
     }
   } else {
@@ -58,7 +75,7 @@ function getAppPaths() {
 
     return {
       serverScript: path.join(resourcesPath, "app", "server", "database-server.js"),
-      databaseDir: finalDbDir,
+      databaseDir: customDatabaseDir || finalDbDir,
       resourcesPath: resourcesPath,
     }
   }
@@ -73,6 +90,66 @@ function initializeDatabaseSetup() {
   console.log(`🗄️ Database setup initialized for: ${databasePath}`)
 }
 
+function getBackupDir() {
+  return settingsStore.get("backupDir") || getDefaultBackupDir(getAppPaths().databaseDir)
+}
+
+// Scheduled backups and restores; restores stop the database server while files are swapped
+function initializeBackupManager() {
+  backupManager = new BackupManager({
+    getDatabaseDir: () => getAppPaths().databaseDir,
+    getBackupDir: getBackupDir,
+    getSchedule: () => ({
+      enabled: settingsStore.get("autoBackup"),
+      intervalHours: settingsStore.get("backupIntervalHours"),
+      keepCount: settingsStore.get("backupRetentionCount"),
+      maxAgeDays: settingsStore.get("backupRetentionDays"),
+    }),
+    snapshotDatabase: (destinationPath) => databaseSetup.backupTo(destinationPath),
+    beforeRestore: async () => {
+      const serverWasRunning = ["starting", "running", "restarting"].includes(serverSupervisor.state)
+      console.log("🛑 Stopping database server for restore...")
+      await serverSupervisor.stopAndWait()
+      databaseServerProcess = null
+      return { serverWasRunning }
+    },
+    closeDatabase: () => databaseSetup.close(),
+    afterRestore: async (context) => {
+      // Restored snapshots may predate newer migrations
+      initializeDatabaseSetup()
+      await ensureDatabaseExists()
+
+      if (context && context.serverWasRunning) {
+        console.log("🔄 Restarting database server after restore...")
+        await serverSupervisor.start()
+      }
+    },
+  })
+
+  backupManager.on("backup-created", (backup) => sendBackupStatus({ type: "created", backup }))
+  backupManager.on("backup-failed", (error) => sendBackupStatus({ type: "failed", error: error.message }))
+  backupManager.on("backup-restored", (result) => sendBackupStatus({ type: "restored", ...result }))
+  backupManager.on("restore-failed", (error) => sendBackupStatus({ type: "restore-failed", error: error.message }))
+}
+
+function sendBackupStatus(status) {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send("backup-status", status)
+  }
+}
+
+// The database server asks for restores over its IPC channel, since it cannot restart itself
+function handleServerMessage(message) {
+  if (!message || message.type !== "restore-backup") {
+    return
+  }
+
+  console.log(`♻️ Restore of ${message.name} requested by ${message.requestedBy || "API"}`)
+  backupManager.restoreBackup(message.name).catch((error) => {
+    console.error("❌ Restore failed:", error.message)
+  })
+}
+
 // Helper function to get local network IP
 function getLocalNetworkIP() {
   const interfaces = networkInterfaces()
@@ -107,6 +184,69 @@ function checkServerRunning(host, port) {
   })
 }
 
+// Helper function to check that the database server answers its health endpoint
+function checkServerHealth(port) {
+  return new Promise((resolve) => {
+    const req = http
+      .get(`http://127.0.0.1:${port}/api/health`, (res) => {
+        res.resume()
+        resolve(res.statusCode === 200)
+      })
+      .on("error", () => {
+        resolve(false)
+      })
+
+    req.setTimeout(5000, () => {
+      req.destroy()
+      resolve(false)
+    })
+  })
+}
+
+// Forward supervisor state changes to the renderer
+function sendSupervisorStatus() {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send("supervisor-status", getSupervisorStatus())
+  }
+}
+
+function getSupervisorStatus() {
+  return {
+    databaseServer: serverSupervisor ? serverSupervisor.getStatus() : null,
+    tunnel: tunnelSupervisor ? tunnelSupervisor.getStatus() : null,
+  }
+}
+
+// Create the supervisors that keep the database server and tunnel alive
+function initializeSupervisors() {
+  serverSupervisor = new ProcessSupervisor("database-server", {
+    start: startDatabaseServer,
+    healthCheck: () => checkServerHealth(getServerPort()),
+  })
+
+  tunnelSupervisor = new ProcessSupervisor("tunnel", {
+    start: startCloudflaredTunnel,
+  })
+
+  serverSupervisor.on("status", sendSupervisorStatus)
+  tunnelSupervisor.on("status", sendSupervisorStatus)
+}
+
+function stopSupervisedProcesses() {
+  if (serverSupervisor) {
+    console.log("🛑 Stopping database server...")
+    serverSupervisor.stop()
+  }
+  if (tunnelSupervisor) {
+    console.log("🛑 Stopping tunnel process...")
+    tunnelSupervisor.stop()
+  }
+  databaseServerProcess = null
+  tunnelProcess = null
+  tunnelUrl = null
+  tunnelMode = null
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -160,6 +300,8 @@ async function ensureDatabaseExists() {
     const result = await databaseSetup.setupDatabase(false) // Set to true if you want sample data
     
     if (result.success) {
+      // Bring existing databases up to the current schema before the server opens them
+      const migrations = await databaseSetup.applyMigrations()
       console.log("✅ Database is ready")
       
       // Send status to renderer if window exists
@@ -167,6 +309,7 @@ async function ensureDatabaseExists() {
         mainWindow.webContents.send("database-status", {
           ready: true,
           message: result.message,
+          migrationsApplied: migrations.applied,
           stats: databaseSetup.getDatabaseStats()
         })
       }
@@ -253,9 +396,11 @@ async function startDatabaseServer() {
     // Prepare environment
     const env = {
       ...process.env,
-      PORT: PORTS.DATABASE_SERVER.toString(),
+      PORT: getServerPort().toString(),
       HOST: "0.0.0.0",
       DATABASE_DIR: paths.databaseDir,
+      CORS_ORIGINS: settingsStore.get("corsOrigins").join(","),
+      BACKUP_DIR: getBackupDir(),
       NODE_ENV: process.env.NODE_ENV || "production",
     }
 
@@ -271,16 +416,20 @@ async function startDatabaseServer() {
     console.log("🌍 Environment variables:", {
       PORT: env.PORT,
       DATABASE_DIR: env.DATABASE_DIR,
+      CORS_ORIGINS: env.CORS_ORIGINS,
+      BACKUP_DIR: env.BACKUP_DIR,
       NODE_PATH: env.NODE_PATH,
       NODE_ENV: env.NODE_ENV,
     })
 
     databaseServerProcess = spawn("node", [paths.serverScript], {
       cwd: workingDir,
-      stdio: ["pipe", "pipe", "pipe"],
+      stdio: ["pipe", "pipe", "pipe", "ipc"],
       env: env,
     })
 
+    databaseServerProcess.on("message", handleServerMessage)
+
     let serverStarted = false
 
     databaseServerProcess.stdout.on("data", (data) => {
@@ -298,7 +447,7 @@ async function startDatabaseServer() {
 
       if (output.includes("Database server running") && !serverStarted) {
         serverStarted = true
-        resolve()
+        resolve(databaseServerProcess)
       }
     })
 
@@ -337,103 +486,195 @@ async function startDatabaseServer() {
     setTimeout(() => {
       if (!serverStarted) {
         console.log("⏰ Server start timeout, continuing anyway...")
-        resolve()
+        resolve(databaseServerProcess)
       }
     }, 15000) // Increased timeout
   })
 }
 
+// Tunnel modes: "quick" spawns a throwaway *.trycloudflare.com tunnel, "named" runs a
+// pre-created Cloudflare tunnel so the public hostname survives restarts
+const TUNNEL_MODES = {
+  QUICK: "quick",
+  NAMED: "named",
+}
+
+// Tunnel-related values from the settings store
+function getTunnelSettings() {
+  return {
+    mode: settingsStore.get("tunnelMode"),
+    tunnelName: settingsStore.get("tunnelName"),
+    credentialsFile: settingsStore.get("tunnelCredentialsFile"),
+    hostname: settingsStore.get("tunnelHostname"),
+  }
+}
+
+// Returns a list of problems that prevent the named tunnel from starting
+function validateNamedTunnelSettings(settings) {
+  const problems = []
+
+  if (!settings.tunnelName) problems.push("tunnel name is not set")
+  if (!settings.hostname) problems.push("public hostname is not set")
+  if (!settings.credentialsFile) {
+    problems.push("credentials file is not set")
+  } else if (!fs.existsSync(settings.credentialsFile)) {
+    problems.push(`credentials file not found at ${settings.credentialsFile}`)
+  }
+
+  return problems
+}
+
+// Write the cloudflared config.yml with ingress rules for the named tunnel
+function writeNamedTunnelConfig(settings, tunnelTarget) {
+  const configDir = path.join(app.getPath("userData"), "cloudflared")
+  const configPath = path.join(configDir, "config.yml")
+
+  const config = [
+    `tunnel: ${settings.tunnelName}`,
+    `credentials-file: ${JSON.stringify(settings.credentialsFile)}`,
+    "ingress:",
+    `  - hostname: ${settings.hostname}`,
+    `    service: ${tunnelTarget}`,
+    "  - service: http_status:404",
+    "",
+  ].join("\n")
+
+  fs.mkdirSync(configDir, { recursive: true })
+  fs.writeFileSync(configPath, config)
+
+  return configPath
+}
+
+function sendTunnelLog(level, message) {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send("server-log", {
+      type: "tunnel",
+      level: level,
+      message: message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+}
+
+function reportTunnelUrl(url) {
+  tunnelUrl = url
+  console.log(`🎉 Tunnel URL detected: ${tunnelUrl}`)
+
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send("tunnel-url-detected", tunnelUrl)
+  }
+}
+
 async function startCloudflaredTunnel() {
   return new Promise((resolve) => {
     const networkIP = getLocalNetworkIP()
-    const tunnelTarget = `http://${networkIP}:${PORTS.DATABASE_SERVER}`
+    const tunnelTarget = `http://${networkIP}:${getServerPort()}`
+    const settings = getTunnelSettings()
+
+    let mode = settings.mode === TUNNEL_MODES.NAMED ? TUNNEL_MODES.NAMED : TUNNEL_MODES.QUICK
+    let args = ["tunnel", "--url", tunnelTarget]
+
+    if (mode === TUNNEL_MODES.NAMED) {
+      const problems = validateNamedTunnelSettings(settings)
+
+      if (problems.length > 0) {
+        const message = `Named tunnel is misconfigured (${problems.join(", ")}), falling back to a quick tunnel`
+        console.log(`⚠️ ${message}`)
+        sendTunnelLog("error", message)
+        mode = TUNNEL_MODES.QUICK
+      } else {
+        const configPath = writeNamedTunnelConfig(settings, tunnelTarget)
+        args = ["tunnel", "--config", configPath, "run", settings.tunnelName]
+      }
+    }
 
     console.log("🌐 Starting Cloudflare tunnel...")
     console.log(`🚇 Tunnel target: ${tunnelTarget}`)
+    console.log(`🔀 Tunnel mode: ${mode}`)
 
-    tunnelProcess = spawn("cloudflared", ["tunnel", "--url", tunnelTarget], {
+    tunnelMode = mode
+    tunnelUrl = null
+    tunnelProcess = spawn(settingsStore.get("cloudflaredPath") || "cloudflared", args, {
       stdio: ["ignore", "pipe", "pipe"],
     })
 
     let urlDetected = false
 
-    tunnelProcess.stdout.on("data", (data) => {
+    // cloudflared writes most of its logs to stderr, so both streams are scanned
+    const handleTunnelOutput = (data) => {
       const output = data.toString()
       console.log("[TUNNEL]:", output)
+      sendTunnelLog("info", output)
 
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send("server-log", {
-          type: "tunnel",
-          level: "info",
-          message: output,
-          timestamp: new Date().toISOString(),
-        })
-      }
-
-      const urlMatch = output.match(/(https:\/\/[a-z0-9-]+\.trycloudflare\.com)/i)
-      if (urlMatch && !urlDetected) {
-        tunnelUrl = urlMatch[1]
-        urlDetected = true
-        console.log(`🎉 Tunnel URL detected: ${tunnelUrl}`)
+      if (urlDetected) return
 
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send("tunnel-url-detected", tunnelUrl)
+      if (mode === TUNNEL_MODES.NAMED) {
+        // Named tunnels have a fixed hostname; report it once a connection is registered
+        if (/Registered tunnel connection/i.test(output)) {
+          urlDetected = true
+          reportTunnelUrl(`https://${settings.hostname}`)
         }
-      }
-    })
-
-    tunnelProcess.stderr.on("data", (data) => {
-      const output = data.toString()
-      console.log("[TUNNEL]:", output)
-
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send("server-log", {
-          type: "tunnel",
-          level: "info",
-          message: output,
-          timestamp: new Date().toISOString(),
-        })
+        return
       }
 
       const urlMatch = output.match(/(https:\/\/[a-z0-9-]+\.trycloudflare\.com)/i)
-      if (urlMatch && !urlDetected) {
-        tunnelUrl = urlMatch[1]
+      if (urlMatch) {
         urlDetected = true
-        console.log(`🎉 Tunnel URL detected: ${tunnelUrl}`)
-
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send("tunnel-url-detected", tunnelUrl)
-        }
+        reportTunnelUrl(urlMatch[1])
       }
-    })
+    }
+
+    tunnelProcess.stdout.on("data", handleTunnelOutput)
+    tunnelProcess.stderr.on("data", handleTunnelOutput)
 
     tunnelProcess.on("error", (error) => {
       console.error("❌ Tunnel process error:", error)
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send("server-log", {
-          type: "tunnel",
-          level: "error",
-          message: `Tunnel error: ${error.message}`,
-          timestamp: new Date().toISOString(),
-        })
-      }
+      sendTunnelLog("error", `Tunnel error: ${error.message}`)
     })
 
     // Don't wait for tunnel to fully start, just initiate it
-    setTimeout(resolve, 2000)
+    setTimeout(() => resolve(tunnelProcess), 2000)
   })
 }
 
+// Start the server and tunnel on launch when enabled in settings
+async function autoStartServices() {
+  if (!settingsStore.get("autoStartServer")) {
+    return
+  }
+
+  try {
+    console.log("⚙️ Auto-starting database server...")
+    await serverSupervisor.start()
+
+    if (settingsStore.get("autoStartTunnel")) {
+      console.log("⚙️ Auto-starting tunnel...")
+      await tunnelSupervisor.start()
+    }
+  } catch (error) {
+    console.error("❌ Auto-start failed:", error.message)
+  }
+}
+
 // App event listeners
 app.whenReady().then(async () => {
+  // Load settings before anything that depends on ports or paths
+  initializeSettings()
+
   // Initialize database setup
   initializeDatabaseSetup()
+  initializeSupervisors()
+  initializeBackupManager()
   
   createWindow()
   
   // Ensure database is ready on app start
   await ensureDatabaseExists()
 
+  backupManager.startSchedule()
+
+  await autoStartServices()
+
   app.on("activate", () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow()
   })
@@ -441,14 +682,8 @@ app.whenReady().then(async () => {
 
 app.on("window-all-closed", () => {
   // Clean up processes
-  if (databaseServerProcess) {
-    console.log("🛑 Stopping database server...")
-    databaseServerProcess.kill()
-  }
-  if (tunnelProcess) {
-    console.log("🛑 Stopping tunnel process...")
-    tunnelProcess.kill()
-  }
+  stopSupervisedProcesses()
+  backupManager.stopSchedule()
   
   // Close database connection
   if (databaseSetup) {
@@ -460,14 +695,8 @@ app.on("window-all-closed", () => {
 
 app.on("before-quit", () => {
   // Clean up processes before quitting
-  if (databaseServerProcess) {
-    console.log("🛑 Stopping database server...")
-    databaseServerProcess.kill()
-  }
-  if (tunnelProcess) {
-    console.log("🛑 Stopping tunnel process...")
-    tunnelProcess.kill()
-  }
+  stopSupervisedProcesses()
+  backupManager.stopSchedule()
   
   // Close database connection
   if (databaseSetup) {
@@ -478,7 +707,7 @@ app.on("before-quit", () => {
 // IPC Handlers
 ipcMain.handle("start-database-server", async () => {
   try {
-    await startDatabaseServer()
+    await serverSupervisor.start()
     return { success: true, message: "Database server started successfully" }
   } catch (error) {
     return { success: false, error: error.message }
@@ -487,7 +716,7 @@ ipcMain.handle("start-database-server", async () => {
 
 ipcMain.handle("start-tunnel", async () => {
   try {
-    await startCloudflaredTunnel()
+    await tunnelSupervisor.start()
     return { success: true, message: "Tunnel started successfully" }
   } catch (error) {
     return { success: false, error: error.message }
@@ -497,12 +726,13 @@ ipcMain.handle("start-tunnel", async () => {
 ipcMain.handle("get-status", () => {
   const paths = getAppPaths()
   return {
-    databaseServerRunning:
-      databaseServerProcess !== null && databaseServerProcess !== undefined && !databaseServerProcess.killed,
-    tunnelRunning: tunnelProcess !== null && tunnelProcess !== undefined && !tunnelProcess.killed,
+    databaseServerRunning: serverSupervisor ? serverSupervisor.state === "running" : false,
+    tunnelRunning: tunnelSupervisor ? tunnelSupervisor.state === "running" : false,
     tunnelUrl: tunnelUrl,
-    localUrl: `http://localhost:${PORTS.DATABASE_SERVER}`,
-    networkUrl: `http://${getLocalNetworkIP()}:${PORTS.DATABASE_SERVER}`,
+    tunnelMode: tunnelMode,
+    tunnelHostname: tunnelMode === TUNNEL_MODES.NAMED ? settingsStore.get("tunnelHostname") : null,
+    localUrl: `http://localhost:${getServerPort()}`,
+    networkUrl: `http://${getLocalNetworkIP()}:${getServerPort()}`,
     databasePath: path.join(paths.databaseDir, "database.db"),
     serverScriptPath: paths.serverScript,
     databaseStats: databaseSetup ? databaseSetup.getDatabaseStats() : null,
@@ -510,18 +740,50 @@ ipcMain.handle("get-status", () => {
 })
 
 ipcMain.handle("stop-services", () => {
-  if (databaseServerProcess) {
-    databaseServerProcess.kill()
-    databaseServerProcess = null
-  }
-  if (tunnelProcess) {
-    tunnelProcess.kill()
-    tunnelProcess = null
-  }
-  tunnelUrl = null
+  stopSupervisedProcesses()
   return { success: true, message: "Services stopped" }
 })
 
+ipcMain.handle("get-supervisor-status", () => {
+  return { success: true, status: getSupervisorStatus() }
+})
+
+// Settings IPC handlers
+ipcMain.handle("get-settings", () => {
+  return { success: true, settings: settingsStore.getAll() }
+})
+
+ipcMain.handle("update-settings", (event, updates = {}) => {
+  try {
+    const previousDatabaseDir = getAppPaths().databaseDir
+    const result = settingsStore.update(updates)
+
+    if (!result.success) {
+      return { success: false, error: "Invalid settings", errors: result.errors }
+    }
+
+    // Point the main process at the new database location right away
+    if (getAppPaths().databaseDir !== previousDatabaseDir) {
+      if (databaseSetup) {
+        databaseSetup.close()
+      }
+      initializeDatabaseSetup()
+    }
+
+    const warnings = result.settings.tunnelMode === TUNNEL_MODES.NAMED ? validateNamedTunnelSettings(getTunnelSettings()) : []
+    const serverRunning = serverSupervisor ? serverSupervisor.state === "running" : false
+
+    return {
+      success: true,
+      settings: result.settings,
+      warnings: warnings,
+      restartRequired: result.restartRequired && serverRunning,
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
 // Database-specific IPC handlers
 ipcMain.handle("setup-database", async (event, options = {}) => {
   try {
@@ -530,12 +792,78 @@ ipcMain.handle("setup-database", async (event, options = {}) => {
     }
     
     const result = await databaseSetup.setupDatabase(options.insertSampleData || false)
+    if (result.success) {
+      const migrations = await databaseSetup.applyMigrations()
+      result.migrationsApplied = migrations.applied
+    }
     return result
   } catch (error) {
     return { success: false, error: error.message }
   }
 })
 
+// Backup IPC handlers
+ipcMain.handle("list-backups", () => {
+  try {
+    return { success: true, backups: backupManager.list(), backupDir: getBackupDir() }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle("create-backup", async () => {
+  try {
+    const backup = await backupManager.createBackup("manual")
+    return { success: true, backup }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle("restore-backup", async (event, name) => {
+  try {
+    const result = await backupManager.restoreBackup(name)
+    return { success: true, ...result }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+// Copy a backup archive somewhere the user picks
+ipcMain.handle("save-backup", async (event, name) => {
+  try {
+    const backupPath = backupManager.getBackupPath(name)
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: "Save Backup",
+      defaultPath: name,
+      filters: [{ name: "Backup Archives", extensions: ["gz"] }],
+    })
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true }
+    }
+
+    await fs.promises.copyFile(backupPath, filePath)
+    return { success: true, filePath }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+// Dry run: list schema migrations that would be applied on the next start
+ipcMain.handle("get-pending-migrations", async () => {
+  try {
+    if (!databaseSetup) {
+      initializeDatabaseSetup()
+    }
+
+    const pending = await databaseSetup.getPendingMigrations()
+    return { success: true, pending }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
 ipcMain.handle("test-database", () => {
   try {
     if (!databaseSetup) {
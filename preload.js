@@ -5,6 +5,14 @@ contextBridge.exposeInMainWorld("electronAPI", {
   startTunnel: () => ipcRenderer.invoke("start-tunnel"),
   getStatus: () => ipcRenderer.invoke("get-status"),
   stopServices: () => ipcRenderer.invoke("stop-services"),
+  getSettings: () => ipcRenderer.invoke("get-settings"),
+  updateSettings: (settings) => ipcRenderer.invoke("update-settings", settings),
+  getSupervisorStatus: () => ipcRenderer.invoke("get-supervisor-status"),
+  getPendingMigrations: () => ipcRenderer.invoke("get-pending-migrations"),
+  listBackups: () => ipcRenderer.invoke("list-backups"),
+  createBackup: () => ipcRenderer.invoke("create-backup"),
+  restoreBackup: (name) => ipcRenderer.invoke("restore-backup", name),
+  saveBackup: (name) => ipcRenderer.invoke("save-backup", name),
 
   copyToClipboard: (text) => {
     navigator.clipboard
@@ -20,6 +28,8 @@ contextBridge.exposeInMainWorld("electronAPI", {
   // Event listeners
   onServerLog: (callback) => ipcRenderer.on("server-log", callback),
   onTunnelUrlDetected: (callback) => ipcRenderer.on("tunnel-url-detected", callback),
+  onSupervisorStatus: (callback) => ipcRenderer.on("supervisor-status", callback),
+  onBackupStatus: (callback) => ipcRenderer.on("backup-status", callback),
 
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel),
@@ -21,6 +21,10 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Set up event listeners
   setupEventListeners();
 
+  // Fill the settings form
+  await loadSettings();
+  await loadBackups();
+
   // Initial status check
   await updateStatus();
 
@@ -149,6 +153,21 @@ function setupEventListeners() {
     }
   });
 
+  document
+    .getElementById("settings-form")
+    ?.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      await saveSettings();
+    });
+
+  document
+    .getElementById("setting-tunnelMode")
+    ?.addEventListener("change", updateNamedTunnelFields);
+
+  document
+    .getElementById("create-backup")
+    ?.addEventListener("click", createBackup);
+
   // Listen for server logs from main process
   window.electronAPI.onServerLog((event, logData) => {
     const { type, level, message, timestamp } = logData;
@@ -169,6 +188,16 @@ function setupEventListeners() {
     addTerminalLog("success", `🎉 Tunnel URL detected: ${url}`);
     updateStatus(); // Refresh status to show the new URL
   });
+
+  // Listen for supervisor restarts and health checks
+  window.electronAPI.onSupervisorStatus((event, supervisorStatus) => {
+    updateSupervisorStatus(supervisorStatus);
+  });
+
+  // Listen for scheduled backups and restores requested through the API
+  window.electronAPI.onBackupStatus((event, backupStatus) => {
+    handleBackupStatus(backupStatus);
+  });
 }
 
 async function updateStatus() {
@@ -200,11 +229,278 @@ async function updateStatus() {
         dbPathElement.textContent = status.databasePath;
       }
     }
+
+    const portElement = document.getElementById("local-port");
+    if (portElement && status.localUrl) {
+      const portMatch = status.localUrl.match(/:(\d+)/);
+      if (portMatch) {
+        portElement.textContent = portMatch[1];
+      }
+    }
+
+    const supervisorResult = await window.electronAPI.getSupervisorStatus();
+    if (supervisorResult.success) {
+      updateSupervisorStatus(supervisorResult.status);
+    }
   } catch (error) {
     addTerminalLog("error", `❌ Error updating status: ${error.message}`);
   }
 }
 
+const NUMBER_SETTINGS = [
+  "databaseServerPort",
+  "backupIntervalHours",
+  "backupRetentionCount",
+  "backupRetentionDays",
+];
+const TEXT_SETTINGS = [
+  "databaseDir",
+  "cloudflaredPath",
+  "tunnelMode",
+  "tunnelName",
+  "tunnelCredentialsFile",
+  "tunnelHostname",
+  "backupDir",
+];
+const CHECKBOX_SETTINGS = ["autoStartServer", "autoStartTunnel", "autoBackup"];
+
+async function loadSettings() {
+  try {
+    const result = await window.electronAPI.getSettings();
+    if (!result.success) {
+      addTerminalLog("error", `❌ Failed to load settings: ${result.error}`);
+      return;
+    }
+
+    const settings = result.settings;
+    document.getElementById("setting-corsOrigins").value =
+      settings.corsOrigins.join("\n");
+
+    for (const key of [...NUMBER_SETTINGS, ...TEXT_SETTINGS]) {
+      document.getElementById(`setting-${key}`).value = settings[key];
+    }
+    for (const key of CHECKBOX_SETTINGS) {
+      document.getElementById(`setting-${key}`).checked = settings[key];
+    }
+
+    updateNamedTunnelFields();
+  } catch (error) {
+    addTerminalLog("error", `❌ Error loading settings: ${error.message}`);
+  }
+}
+
+async function saveSettings() {
+  const updates = {
+    corsOrigins: document
+      .getElementById("setting-corsOrigins")
+      .value.split("\n")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  };
+
+  for (const key of NUMBER_SETTINGS) {
+    updates[key] = Number(document.getElementById(`setting-${key}`).value);
+  }
+  for (const key of TEXT_SETTINGS) {
+    updates[key] = document.getElementById(`setting-${key}`).value;
+  }
+  for (const key of CHECKBOX_SETTINGS) {
+    updates[key] = document.getElementById(`setting-${key}`).checked;
+  }
+
+  try {
+    const result = await window.electronAPI.updateSettings(updates);
+
+    if (!result.success) {
+      const details = (result.errors || [])
+        .map((e) => `${e.key}: ${e.error}`)
+        .join(", ");
+      showSettingsMessage(`${result.error}${details ? ` (${details})` : ""}`, "error");
+      return;
+    }
+
+    let message = "Settings saved";
+    if (result.restartRequired) {
+      message += ". Stop and start the server to apply the new port, origins or database folder.";
+    }
+    if (result.warnings && result.warnings.length > 0) {
+      message += ` Named tunnel: ${result.warnings.join(", ")}`;
+    }
+
+    showSettingsMessage(message, result.restartRequired ? "warning" : "success");
+    addTerminalLog("success", "⚙️ Settings saved");
+    await updateStatus();
+  } catch (error) {
+    showSettingsMessage(error.message, "error");
+  }
+}
+
+function showSettingsMessage(message, level) {
+  const element = document.getElementById("settings-message");
+  if (!element) return;
+
+  element.textContent = message;
+  element.className = `settings-message ${level}`;
+}
+
+function updateNamedTunnelFields() {
+  const mode = document.getElementById("setting-tunnelMode")?.value;
+  const fields = document.getElementById("named-tunnel-fields");
+  if (fields) {
+    fields.style.display = mode === "named" ? "block" : "none";
+  }
+}
+
+async function loadBackups() {
+  const container = document.getElementById("backup-list");
+  if (!container) return;
+
+  try {
+    const result = await window.electronAPI.listBackups();
+    if (!result.success) {
+      addTerminalLog("error", `❌ Failed to list backups: ${result.error}`);
+      return;
+    }
+
+    container.innerHTML = "";
+
+    if (result.backups.length === 0) {
+      container.innerHTML = '<p class="no-urls">No backups yet</p>';
+      return;
+    }
+
+    for (const backup of result.backups) {
+      const item = document.createElement("div");
+      item.className = "backup-item";
+      item.innerHTML = `
+        <div class="backup-name"></div>
+        <div class="backup-meta"></div>
+        <div class="backup-actions">
+          <button type="button" class="btn-clear" data-action="save">Save As…</button>
+          <button type="button" class="btn-danger" data-action="restore">Restore</button>
+        </div>
+      `;
+      item.querySelector(".backup-name").textContent = backup.name;
+      item.querySelector(".backup-meta").textContent =
+        `${new Date(backup.createdAt).toLocaleString()} · ${formatBytes(backup.size)} · ${backup.reason}`;
+      item
+        .querySelector('[data-action="save"]')
+        .addEventListener("click", () => saveBackup(backup.name));
+      item
+        .querySelector('[data-action="restore"]')
+        .addEventListener("click", () => restoreBackup(backup.name));
+      container.appendChild(item);
+    }
+  } catch (error) {
+    addTerminalLog("error", `❌ Error listing backups: ${error.message}`);
+  }
+}
+
+async function createBackup() {
+  const button = document.getElementById("create-backup");
+  button.disabled = true;
+  addTerminalLog("info", "💾 Creating backup...");
+
+  try {
+    const result = await window.electronAPI.createBackup();
+    if (!result.success) {
+      addTerminalLog("error", `❌ Backup failed: ${result.error}`);
+    }
+  } catch (error) {
+    addTerminalLog("error", `❌ Backup failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function saveBackup(name) {
+  try {
+    const result = await window.electronAPI.saveBackup(name);
+    if (result.success) {
+      addTerminalLog("success", `✅ Backup saved to ${result.filePath}`);
+    } else if (!result.canceled) {
+      addTerminalLog("error", `❌ Failed to save backup: ${result.error}`);
+    }
+  } catch (error) {
+    addTerminalLog("error", `❌ Failed to save backup: ${error.message}`);
+  }
+}
+
+async function restoreBackup(name) {
+  const confirmed = confirm(
+    `Restore ${name}?\n\nThe database server will be stopped, the database and uploads replaced, and the server started again. The current data is saved as a pre-restore backup first.`
+  );
+  if (!confirmed) return;
+
+  addTerminalLog("warning", `♻️ Restoring ${name}...`);
+
+  try {
+    const result = await window.electronAPI.restoreBackup(name);
+    if (!result.success) {
+      addTerminalLog("error", `❌ ${result.error}`);
+    }
+  } catch (error) {
+    addTerminalLog("error", `❌ Restore failed: ${error.message}`);
+  }
+}
+
+function handleBackupStatus(backupStatus) {
+  switch (backupStatus.type) {
+    case "created":
+      addTerminalLog("success", `💾 Backup created: ${backupStatus.backup.name}`);
+      break;
+    case "failed":
+      addTerminalLog("error", `❌ Backup failed: ${backupStatus.error}`);
+      break;
+    case "restored":
+      addTerminalLog(
+        "success",
+        `✅ Restored ${backupStatus.restored} (previous data saved as ${backupStatus.safetyBackup})`
+      );
+      break;
+    case "restore-failed":
+      addTerminalLog("error", `❌ ${backupStatus.error}`);
+      break;
+  }
+
+  loadBackups();
+  updateStatus();
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function updateSupervisorStatus(supervisorStatus) {
+  const element = document.getElementById("supervisor-status");
+  if (!element || !supervisorStatus) return;
+
+  const lines = [];
+  const processes = [
+    ["Server", supervisorStatus.databaseServer],
+    ["Tunnel", supervisorStatus.tunnel],
+  ];
+
+  for (const [label, info] of processes) {
+    if (!info) continue;
+
+    let line = `${label}: ${info.restartCount} restart(s)`;
+    if (info.state === "restarting" && info.nextRestartAt) {
+      line += `, restarting at ${new Date(info.nextRestartAt).toLocaleTimeString()}`;
+    } else if (info.state === "failed") {
+      line += ", gave up after too many restarts";
+    }
+    if (info.lastExit) {
+      line += ` (last exit: ${info.lastExit.reason})`;
+    }
+    lines.push(line);
+  }
+
+  element.textContent = lines.length > 0 ? lines.join(" | ") : "No restarts";
+}
+
 function updateStatusIndicator(elementId, isRunning, label) {
   const element = document.getElementById(elementId);
   if (!element) return;
@@ -235,10 +531,13 @@ function updateUrls(status) {
 
     // Tunnel URL (if available)
     if (status.tunnelUrl) {
+      const isNamedTunnel = status.tunnelMode === "named";
       addUrlCard(
         "Public Access",
         status.tunnelUrl,
-        "Accessible from anywhere on the internet",
+        isNamedTunnel
+          ? "Permanent hostname, accessible from anywhere on the internet"
+          : "Temporary URL, changes every time the tunnel restarts",
         true
       );
     }
@@ -387,5 +686,6 @@ window.addEventListener("beforeunload", () => {
   if (window.electronAPI) {
     window.electronAPI.removeAllListeners("server-log");
     window.electronAPI.removeAllListeners("tunnel-url-detected");
+    window.electronAPI.removeAllListeners("supervisor-status");
   }
 });
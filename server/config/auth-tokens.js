@@ -0,0 +1,116 @@
+// Signed access tokens and opaque refresh tokens
+const crypto = require("crypto")
+
+const ACCESS_TOKEN_TTL_SECONDS = Number.parseInt(process.env.AUTH_ACCESS_TOKEN_TTL) || 15 * 60
+const REFRESH_TOKEN_TTL_SECONDS = Number.parseInt(process.env.AUTH_REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60
+
+let tokenSecret = null
+
+// Use AUTH_TOKEN_SECRET when provided, otherwise a secret generated once and kept in the database
+async function initTokenSecret(db) {
+  if (process.env.AUTH_TOKEN_SECRET) {
+    tokenSecret = process.env.AUTH_TOKEN_SECRET
+    return
+  }
+
+  const existing = await db.get("SELECT value FROM server_secrets WHERE name = 'auth_token_secret'")
+  if (existing) {
+    tokenSecret = existing.value
+    return
+  }
+
+  tokenSecret = crypto.randomBytes(48).toString("hex")
+  await db.run("INSERT INTO server_secrets (name, value) VALUES ('auth_token_secret', ?)", [tokenSecret])
+  console.log("🔑 Generated new auth token secret")
+}
+
+function getTokenSecret() {
+  if (!tokenSecret) {
+    throw new Error("Token secret not initialized. Call initTokenSecret() first.")
+  }
+  return tokenSecret
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString("base64url")
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", getTokenSecret()).update(data).digest("base64url")
+}
+
+// Issue an HS256 JWT carrying the given claims
+function signAccessToken(claims) {
+  const now = Math.floor(Date.now() / 1000)
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "JWT" }))
+  const payload = base64UrlEncode(
+    JSON.stringify({
+      ...claims,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL_SECONDS,
+    }),
+  )
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`
+}
+
+// Returns the token claims, or null when the token is malformed, tampered with or expired
+function verifyAccessToken(token) {
+  if (typeof token !== "string") return null
+
+  const parts = token.split(".")
+  if (parts.length !== 3) return null
+
+  const [header, payload, signature] = parts
+  const expected = Buffer.from(sign(`${header}.${payload}`))
+  const actual = Buffer.from(signature)
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null
+    }
+    return claims
+  } catch (error) {
+    return null
+  }
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url")
+}
+
+// Refresh tokens are stored hashed so a leaked database does not leak live sessions
+function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Device API keys: shown once when issued, stored hashed like refresh tokens.
+// The prefix is kept in clear so admins can tell keys apart.
+function generateDeviceKey() {
+  return `adk_${crypto.randomBytes(24).toString("hex")}`
+}
+
+function hashDeviceKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+function getRefreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString()
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  initTokenSecret,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenExpiry,
+  generateDeviceKey,
+  hashDeviceKey,
+}
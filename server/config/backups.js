@@ -0,0 +1,321 @@
+// Backup archives (database snapshot + uploads/) shared by the Electron main process and the server
+const path = require("path")
+const fs = require("fs")
+const zlib = require("zlib")
+const archiver = require("archiver")
+
+const BACKUP_NAME_PATTERN = /^backup-\d{8}-\d{6}-[a-z-]+\.tar\.gz$/
+const ARCHIVE_FORMAT_VERSION = 1
+
+function getDefaultBackupDir(databaseDir) {
+  return path.join(databaseDir, "backups")
+}
+
+// Backups live in BACKUP_DIR when the main process provides one, next to the database otherwise
+function getBackupDir() {
+  return process.env.BACKUP_DIR || getDefaultBackupDir(process.env.DATABASE_DIR || process.cwd())
+}
+
+// backup-20250131-235959-manual.tar.gz (UTC)
+function buildBackupName(reason, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)
+  const label = String(reason || "manual")
+    .toLowerCase()
+    .replace(/[^a-z-]/g, "")
+  return `backup-${stamp}-${label || "manual"}.tar.gz`
+}
+
+function isValidBackupName(name) {
+  return typeof name === "string" && BACKUP_NAME_PATTERN.test(name)
+}
+
+// Resolve a backup name to its file, refusing anything that is not a backup in backupDir
+function resolveBackupPath(backupDir, name) {
+  if (!isValidBackupName(name)) {
+    throw new Error(`Invalid backup name: ${name}`)
+  }
+
+  const backupPath = path.join(backupDir, name)
+  if (!fs.existsSync(backupPath)) {
+    throw new Error(`Backup not found: ${name}`)
+  }
+
+  return backupPath
+}
+
+function describeBackup(backupDir, name) {
+  const stats = fs.statSync(path.join(backupDir, name))
+  const reason = name.replace(/^backup-\d{8}-\d{6}-/, "").replace(/\.tar\.gz$/, "")
+
+  return {
+    name: name,
+    reason: reason,
+    size: stats.size,
+    createdAt: stats.mtime.toISOString(),
+  }
+}
+
+// Newest first
+function listBackups(backupDir) {
+  if (!fs.existsSync(backupDir)) {
+    return []
+  }
+
+  return fs
+    .readdirSync(backupDir)
+    .filter(isValidBackupName)
+    .map((name) => describeBackup(backupDir, name))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Delete backups beyond keepCount or older than maxAgeDays (0 disables the age rule).
+ * The newest backup is always kept.
+ */
+function pruneBackups(backupDir, { keepCount, maxAgeDays = 0 }) {
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null
+  const deleted = []
+
+  listBackups(backupDir).forEach((backup, index) => {
+    if (index === 0) return
+
+    const tooMany = keepCount > 0 && index >= keepCount
+    const tooOld = cutoff !== null && new Date(backup.createdAt).getTime() < cutoff
+
+    if (tooMany || tooOld) {
+      fs.unlinkSync(path.join(backupDir, backup.name))
+      deleted.push(backup.name)
+    }
+  })
+
+  if (deleted.length > 0) {
+    console.log(`🧹 Removed ${deleted.length} old backup(s)`)
+  }
+
+  return deleted
+}
+
+function writeArchive(archivePath, { snapshotPath, uploadsDir, manifest }) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(archivePath)
+    const archive = archiver("tar", { gzip: true, gzipOptions: { level: 6 } })
+
+    output.on("close", resolve)
+    output.on("error", reject)
+    archive.on("error", reject)
+    archive.on("warning", (warning) => console.warn("⚠️ Backup archive warning:", warning.message))
+
+    archive.pipe(output)
+    archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" })
+    archive.file(snapshotPath, { name: "database.db" })
+    if (manifest.includesUploads) {
+      archive.directory(uploadsDir, "uploads")
+    }
+    archive.finalize()
+  })
+}
+
+/**
+ * Write a timestamped archive of the database and uploads/ into backupDir.
+ * snapshotDatabase(destinationPath) must copy the live database with SQLite's online backup API.
+ */
+async function createBackupArchive({ backupDir, databaseDir, reason = "manual", snapshotDatabase }) {
+  fs.mkdirSync(backupDir, { recursive: true })
+
+  const name = buildBackupName(reason)
+  const archivePath = path.join(backupDir, name)
+  const partialPath = `${archivePath}.partial`
+  const snapshotPath = path.join(backupDir, `.${name}.db`)
+  const uploadsDir = path.join(databaseDir, "uploads")
+
+  if (fs.existsSync(archivePath)) {
+    throw new Error(`Backup ${name} already exists, try again in a moment`)
+  }
+
+  try {
+    await snapshotDatabase(snapshotPath)
+
+    await writeArchive(partialPath, {
+      snapshotPath,
+      uploadsDir,
+      manifest: {
+        format: ARCHIVE_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        reason: reason,
+        includesUploads: fs.existsSync(uploadsDir),
+      },
+    })
+
+    fs.renameSync(partialPath, archivePath)
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true })
+    throw error
+  } finally {
+    fs.rmSync(snapshotPath, { force: true })
+  }
+
+  console.log(`💾 Created backup ${name}`)
+  return describeBackup(backupDir, name)
+}
+
+function readTarString(header, start, length) {
+  const end = header.indexOf(0, start)
+  return header.toString("utf8", start, end === -1 || end > start + length ? start + length : end)
+}
+
+// Long names come through as pax "path" records or GNU long-name entries
+function parsePaxPath(data) {
+  const match = data.toString("utf8").match(/^\d+ path=(.*)$/m)
+  return match ? match[1] : null
+}
+
+/**
+ * Stream a .tar.gz into destDir. Only regular files and directories are written,
+ * and entries that would land outside destDir are rejected.
+ */
+async function extractTarGz(archivePath, destDir) {
+  const root = path.resolve(destDir)
+  fs.mkdirSync(root, { recursive: true })
+
+  const input = fs.createReadStream(archivePath).pipe(zlib.createGunzip())
+  let pending = Buffer.alloc(0)
+  let entry = null
+  let nextName = null
+
+  const targetPath = (name) => {
+    const target = path.resolve(root, name)
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new Error(`Archive entry escapes the restore folder: ${name}`)
+    }
+    return target
+  }
+
+  const finishEntry = () => {
+    if (entry.fd !== null) fs.closeSync(entry.fd)
+    if (entry.collect) {
+      const data = Buffer.concat(entry.collect)
+      nextName = entry.type === "x" ? parsePaxPath(data) : readTarString(data, 0, data.length)
+    }
+    entry = null
+  }
+
+  try {
+    for await (const chunk of input) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+      while (true) {
+        if (entry) {
+          const take = Math.min(entry.remaining, pending.length)
+          const dataBytes = Math.min(take, Math.max(entry.size - entry.read, 0))
+
+          if (dataBytes > 0) {
+            if (entry.fd !== null) fs.writeSync(entry.fd, pending, 0, dataBytes)
+            if (entry.collect) entry.collect.push(Buffer.from(pending.subarray(0, dataBytes)))
+          }
+
+          entry.read += take
+          entry.remaining -= take
+          pending = pending.subarray(take)
+
+          if (entry.remaining > 0) break
+          finishEntry()
+          continue
+        }
+
+        if (pending.length < 512) break
+
+        const header = pending.subarray(0, 512)
+        pending = pending.subarray(512)
+
+        // Two zero blocks end the archive
+        if (header.every((byte) => byte === 0)) continue
+
+        const type = String.fromCharCode(header[156] || 48)
+        const size = Number.parseInt(readTarString(header, 124, 12).trim() || "0", 8)
+        const prefix = header.toString("utf8", 257, 262) === "ustar" ? readTarString(header, 345, 155) : ""
+        const headerName = prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100)
+        const name = nextName || headerName
+
+        entry = { type, size, read: 0, remaining: Math.ceil(size / 512) * 512, fd: null, collect: null }
+
+        if (type === "x" || type === "L") {
+          entry.collect = []
+        } else {
+          nextName = null
+
+          if (type === "5") {
+            fs.mkdirSync(targetPath(name), { recursive: true })
+          } else if (type === "0" || type === "7") {
+            const target = targetPath(name)
+            fs.mkdirSync(path.dirname(target), { recursive: true })
+            entry.fd = fs.openSync(target, "w")
+          }
+        }
+
+        if (entry.remaining === 0) finishEntry()
+      }
+    }
+  } finally {
+    if (entry && entry.fd !== null) fs.closeSync(entry.fd)
+  }
+}
+
+function removeDatabaseSidecars(databasePath) {
+  for (const suffix of ["-wal", "-shm", "-journal"]) {
+    fs.rmSync(`${databasePath}${suffix}`, { force: true })
+  }
+}
+
+/**
+ * Replace database.db (and uploads/ when the archive has it) with the contents of a backup.
+ * Nothing may hold the database open while this runs.
+ */
+async function restoreBackupArchive({ archivePath, databaseDir }) {
+  const stagingDir = path.join(databaseDir, `.restore-${Date.now()}`)
+  const databasePath = path.join(databaseDir, "database.db")
+  const uploadsDir = path.join(databaseDir, "uploads")
+
+  try {
+    await extractTarGz(archivePath, stagingDir)
+
+    const manifestPath = path.join(stagingDir, "manifest.json")
+    const stagedDatabase = path.join(stagingDir, "database.db")
+    const stagedUploads = path.join(stagingDir, "uploads")
+
+    if (!fs.existsSync(manifestPath) || !fs.existsSync(stagedDatabase)) {
+      throw new Error("Archive is not a valid backup (missing manifest.json or database.db)")
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+    if (manifest.format > ARCHIVE_FORMAT_VERSION) {
+      throw new Error(`Backup format ${manifest.format} is newer than this version supports`)
+    }
+
+    removeDatabaseSidecars(databasePath)
+    fs.renameSync(stagedDatabase, databasePath)
+
+    if (fs.existsSync(stagedUploads)) {
+      const previousUploads = path.join(stagingDir, "uploads-previous")
+      if (fs.existsSync(uploadsDir)) {
+        fs.renameSync(uploadsDir, previousUploads)
+      }
+      fs.renameSync(stagedUploads, uploadsDir)
+    }
+
+    console.log(`♻️ Restored backup ${path.basename(archivePath)}`)
+    return manifest
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true })
+  }
+}
+
+module.exports = {
+  getDefaultBackupDir,
+  getBackupDir,
+  isValidBackupName,
+  resolveBackupPath,
+  listBackups,
+  pruneBackups,
+  createBackupArchive,
+  restoreBackupArchive,
+}
@@ -0,0 +1,16 @@
+// Allowed CORS origins shared by Express and Socket.IO
+const DEFAULT_ORIGINS = ["http://localhost:5173", "http://localhost:3000", "http://127.0.0.1:5173"]
+
+// CORS_ORIGINS is a comma-separated list passed in by the Electron app
+function getAllowedOrigins() {
+  const configured = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+
+  return configured.length > 0 ? configured : DEFAULT_ORIGINS
+}
+
+module.exports = {
+  getAllowedOrigins,
+}
@@ -1,6 +1,8 @@
 const path = require("path")
 const sqlite3 = require("sqlite3")
 const { open } = require("sqlite")
+const { initTokenSecret } = require("./auth-tokens")
+const { runMigrations } = require("./migrations")
 
 let db = null
 
@@ -44,6 +46,11 @@ async function initDatabase() {
       console.log("📝 Inserted sample data")
     }
 
+    // Apply pending schema migrations before anything reads the new tables
+    await runMigrations(db)
+
+    await initTokenSecret(db)
+
     console.log("🚀 Database initialized successfully")
     console.log(`📊 Database location: ${dbPath}`)
   } catch (error) {
@@ -53,6 +60,28 @@ async function initDatabase() {
   }
 }
 
+// Copy the live database to destinationPath with SQLite's online backup API
+function backupDatabase(destinationPath) {
+  const connection = getDatabase().getDatabaseInstance()
+
+  return new Promise((resolve, reject) => {
+    const backup = connection.backup(destinationPath, (initError) => {
+      if (initError) {
+        return reject(initError)
+      }
+
+      backup.step(-1, (stepError) => {
+        if (stepError) {
+          backup.finish()
+          return reject(stepError)
+        }
+
+        backup.finish((finishError) => (finishError ? reject(finishError) : resolve()))
+      })
+    })
+  })
+}
+
 function getDatabase() {
   if (!db) {
     throw new Error("Database not initialized. Call initDatabase() first.")
@@ -63,4 +92,5 @@ function getDatabase() {
 module.exports = {
   initDatabase,
   getDatabase,
+  backupDatabase,
 }
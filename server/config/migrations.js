@@ -0,0 +1,105 @@
+// Versioned schema migrations shared by the Electron main process and the server
+const path = require("path")
+const fs = require("fs")
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations")
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/
+
+// Migration files are named NNN-description.js and export { description, up(db) }
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN)
+      if (!match) return null
+
+      const migration = require(path.join(MIGRATIONS_DIR, file))
+      return {
+        file: file,
+        version: Number.parseInt(match[1]),
+        name: match[2],
+        description: migration.description || match[2],
+        up: migration.up,
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+}
+
+// Async adapter over a better-sqlite3 connection so migrations can use one API
+function wrapBetterSqlite3(db) {
+  return {
+    exec: async (sql) => db.exec(sql),
+    get: async (sql, params = []) => db.prepare(sql).get(params),
+    all: async (sql, params = []) => db.prepare(sql).all(params),
+    run: async (sql, params = []) => {
+      const result = db.prepare(sql).run(params)
+      return { changes: result.changes, lastID: result.lastInsertRowid }
+    },
+  }
+}
+
+async function getAppliedVersions(db) {
+  const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+  if (!table) {
+    return []
+  }
+
+  const rows = await db.all("SELECT version FROM schema_migrations ORDER BY version")
+  return rows.map((row) => row.version)
+}
+
+async function getPendingMigrations(db) {
+  const applied = await getAppliedVersions(db)
+  return loadMigrations().filter((migration) => !applied.includes(migration.version))
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction.
+ * With dryRun the pending list is returned and nothing is written.
+ */
+async function runMigrations(db, { dryRun = false } = {}) {
+  const pending = await getPendingMigrations(db)
+  const summary = pending.map(({ version, name, description }) => ({ version, name, description }))
+
+  if (dryRun || pending.length === 0) {
+    return { applied: [], pending: summary }
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  const applied = []
+
+  for (const migration of pending) {
+    console.log(`🧱 Applying migration ${migration.file}...`)
+
+    await db.exec("BEGIN TRANSACTION")
+
+    try {
+      await migration.up(db)
+      await db.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name])
+      await db.exec("COMMIT")
+    } catch (error) {
+      await db.exec("ROLLBACK")
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`)
+    }
+
+    applied.push({ version: migration.version, name: migration.name, description: migration.description })
+  }
+
+  console.log(`✅ Applied ${applied.length} migration(s)`)
+  return { applied, pending: [] }
+}
+
+module.exports = {
+  loadMigrations,
+  wrapBetterSqlite3,
+  getPendingMigrations,
+  runMigrations,
+}
@@ -1,17 +1,100 @@
 // Socket.IO configuration and event handlers
 const { Server } = require("socket.io")
+const { getAllowedOrigins } = require("./cors")
+const { verifyAccessToken } = require("./auth-tokens")
+const { getDatabase } = require("./database")
+const { roleHasPermission } = require("../middleware/permissions")
+const { resolveDepartmentScope } = require("../middleware/department-scope")
 
 let io = null
 
+// Events carrying employee details go to per-department rooms: "<room>:all" for users who see
+// every department, "<room>:department:<name>" for everyone else
+function departmentRoom(room, department) {
+  return department === null ? `${room}:all` : `${room}:department:${department}`
+}
+
+// Department rooms of a room that currently have sockets in them, as [room name, department]
+function occupiedDepartmentRooms(room) {
+  const prefix = `${room}:department:`
+  return [...io.of("/").adapter.rooms.keys()]
+    .filter((name) => name.startsWith(prefix))
+    .map((name) => [name, name.slice(prefix.length)])
+}
+
+// An exception report cut down to one department's group, with totals to match
+function reportForDepartment(report, department) {
+  const groups = report.by_department.filter((group) => group.department === department)
+  const totals = Object.fromEntries(Object.keys(report.totals).map((key) => [key, 0]))
+  for (const group of groups) {
+    for (const [type, count] of Object.entries(group.totals)) {
+      totals[type] += count
+    }
+    totals.employees += group.employee_count
+  }
+  return { ...report, totals, by_department: groups }
+}
+
+// The signed-in user behind a handshake's access token (auth.token or a Bearer header), or null
+async function authenticateSocket(socket) {
+  const header = socket.handshake.headers.authorization || ""
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || (header.startsWith("Bearer ") ? header.slice(7) : null)
+  const claims = verifyAccessToken(token)
+  if (!claims) {
+    return null
+  }
+
+  const db = getDatabase()
+  const session = await db.get(
+    "SELECT id FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?",
+    [claims.sid, new Date().toISOString()],
+  )
+  return session ? { id: claims.sub, username: claims.username, department: claims.department, role: claims.role, sessionId: claims.sid } : null
+}
+
+/**
+ * Join a socket to a department-scoped room when its user holds the permission. Sockets without
+ * a valid access token, or whose session has since ended, are told why and left out.
+ */
+async function joinScopedRoom(socket, room, permission) {
+  const user = socket.data.user
+  const db = getDatabase()
+  const session = user && await db.get("SELECT id FROM auth_sessions WHERE id = ? AND revoked_at IS NULL", [user.sessionId])
+
+  if (!session) {
+    socket.emit("room:denied", { room, error: "Authentication required" })
+    return
+  }
+  if (!(await roleHasPermission(user.role, permission))) {
+    socket.emit("room:denied", { room, error: `Your role (${user.role}) does not have the "${permission}" permission` })
+    return
+  }
+
+  const scopedRoom = departmentRoom(room, await resolveDepartmentScope(user))
+  socket.join([room, scopedRoom])
+  console.log(`🔐 Client ${socket.id} (${user.username}) joined ${scopedRoom} room`)
+}
+
 function initSocket(server) {
   io = new Server(server, {
     cors: {
-      origin: ["http://localhost:5173", "http://localhost:3000", "http://127.0.0.1:5173"],
+      origin: getAllowedOrigins(),
       credentials: true,
     },
     transports: ["websocket", "polling"],
   })
 
+  // A handshake may carry an access token; rooms with employee details admit only signed-in users
+  io.use(async (socket, next) => {
+    try {
+      socket.data.user = await authenticateSocket(socket)
+      next()
+    } catch (error) {
+      console.error("Socket authentication error:", error)
+      next(new Error("Authentication failed"))
+    }
+  })
+
   // Connection handling
   io.on("connection", (socket) => {
     console.log(`🔌 Client connected: ${socket.id}`)
@@ -32,9 +115,20 @@ function initSocket(server) {
       console.log(`🔐 Client ${socket.id} joined auth room`)
     })
 
-    socket.on("join-daily-summary", () => {
-      socket.join("daily-summary")
-      console.log(`📊 Client ${socket.id} joined daily-summary room`)
+    socket.on("join-daily-summary", async () => {
+      try {
+        await joinScopedRoom(socket, "daily-summary", "attendance:read")
+      } catch (error) {
+        console.error("Error joining daily-summary room:", error)
+      }
+    })
+
+    socket.on("join-attendance-approvers", async () => {
+      try {
+        await joinScopedRoom(socket, "attendance-approvers", "corrections:approve")
+      } catch (error) {
+        console.error("Error joining attendance-approvers room:", error)
+      }
     })
 
     // Handle disconnection
@@ -214,6 +308,39 @@ const socketEvents = {
       io.emit('daily_summary_updated', data)
       console.log('📡 Emitted daily_summary_updated event:', data.id)
     }
+  },
+
+  // Attendance correction events, for the supervisors who decide them in the employee's department
+  correctionRequested: (correction) => {
+    if (io) {
+      io.to([
+        departmentRoom("attendance-approvers", null),
+        departmentRoom("attendance-approvers", correction.department),
+      ]).emit("correction:requested", correction)
+      console.log(`📡 Emitted correction:requested for ID ${correction.id}`)
+    }
+  },
+
+  correctionDecided: (correction) => {
+    if (io) {
+      io.to([
+        departmentRoom("attendance-approvers", null),
+        departmentRoom("attendance-approvers", correction.department),
+      ]).emit("correction:decided", correction)
+      console.log(`📡 Emitted correction:decided for ID ${correction.id} (${correction.status})`)
+    }
+  },
+
+  // End-of-day exception report (absences, missing clock-outs, late arrivals, undertime). Users
+  // limited to a department get only that department's part of it.
+  exceptionReportReady: (report) => {
+    if (io) {
+      io.to(departmentRoom("daily-summary", null)).emit("daily_exception_report", report)
+      for (const [room, department] of occupiedDepartmentRooms("daily-summary")) {
+        io.to(room).emit("daily_exception_report", reportForDepartment(report, department))
+      }
+      console.log(`📡 Emitted daily_exception_report for ${report.date}`)
+    }
   }
 }
 
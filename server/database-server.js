@@ -50,9 +50,13 @@ const cors = require("cors")
 const { createProxyMiddleware } = require("http-proxy-middleware")
 const http = require("http")
 const { initSocket } = require("./config/socket")
+const { getAllowedOrigins } = require("./config/cors")
 
 // Import our modular components
 const { initDatabase } = require("./config/database")
+const { requireAuth } = require("./middleware/auth")
+const { scopeToDepartment } = require("./middleware/department-scope")
+const { authenticateDevice, hasDeviceKey } = require("./middleware/device-auth")
 const authRoutes = require("./routes/auth")
 const validationRoutes = require("./routes/validation")
 const employeeRoutes = require("./routes/employees")
@@ -68,6 +72,19 @@ const addEmployees = require("./routes/addEmployee")
 const dailysummary = require("./routes/daily-attendance-summary")
 const employeeLogs = require("./routes/employee-logs")    
 const purchaseOrdersRoutes = require("./routes/purchase-orders")
+const permissionRoutes = require("./routes/permissions")
+const backupRoutes = require("./routes/backups")
+const shiftRoutes = require("./routes/shifts")
+const payrollRoutes = require("./routes/payroll")
+const holidayRoutes = require("./routes/holidays")
+const leaveRoutes = require("./routes/leave")
+const attendanceCorrectionRoutes = require("./routes/attendance-corrections")
+const deviceRoutes = require("./routes/devices")
+const geofenceRoutes = require("./routes/geofences")
+const overtimeRoutes = require("./routes/overtime")
+const dtrRoutes = require("./routes/dtr")
+const offboardingRoutes = require("./routes/offboarding")
+const ExceptionService = require("./services/exception-service")
 
 const app = express()
 const server = http.createServer(app)
@@ -78,7 +95,7 @@ const io = initSocket(server)
 // Middleware setup
 app.use(
   cors({
-    origin: ["http://localhost:5173", "http://localhost:3000", "http://127.0.0.1:5173"],
+    origin: getAllowedOrigins(),
     credentials: true,
   }),
 )
@@ -101,23 +118,56 @@ app.get("/api/health", (req, res) => {
   })
 })
 
+// Every API route below needs a valid access token, except logging in and refreshing
+const PUBLIC_API_PATHS = ["/health", "/auth/login", "/auth/refresh"]
+
+// Punch routes a registered device may call with its API key and no signed-in user, and the
+// kiosk's photo lookup for its confirmation screen
+const DEVICE_API_PATHS = ["/attendance", "/attendance/record", "/attendance/kiosk"]
+const DEVICE_API_GET_PATTERN = /^\/attendance\/kiosk\/photo\/\d+$/
+
+function isDeviceApiRequest(req) {
+  return req.method === "POST" ? DEVICE_API_PATHS.includes(req.path) : req.method === "GET" && DEVICE_API_GET_PATTERN.test(req.path)
+}
+
+app.use("/api", (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) {
+    return next()
+  }
+  if (isDeviceApiRequest(req) && hasDeviceKey(req) && !req.headers.authorization) {
+    return authenticateDevice(req, res, next)
+  }
+  return requireAuth(req, res, next)
+})
 
 // Mount route modules
 app.use("/api", authRoutes)
 app.use("/api", validationRoutes)
-app.use("/api/employees", employeeRoutes)
+app.use("/api/employees", scopeToDepartment, employeeRoutes)
 app.use("/api/departments", departmentRoutes)
 app.use("/api/tables", tableRoutes)
 app.use("/api/uploads", uploadRoutes) 
 app.use("/api/files", fileRoutes)
 app.use("/api/items", itemsRoutes)
-app.use("/api/attendance", attendanceRoutes)
-app.use("/api/profile", profileRoutes)
-app.use("/api/document", documentRoutes)
+app.use("/api/attendance", scopeToDepartment, attendanceRoutes)
+app.use("/api/profile", scopeToDepartment, profileRoutes)
+app.use("/api/document", scopeToDepartment, documentRoutes)
 app.use("/api/add", addEmployees)
-app.use("/api/dailysummary", dailysummary)
+app.use("/api/dailysummary", scopeToDepartment, dailysummary)
 app.use("/api/employeelogs", employeeLogs)
 app.use("/api/purchase-orders", purchaseOrdersRoutes)
+app.use("/api/permissions", permissionRoutes)
+app.use("/api/admin/backups", backupRoutes)
+app.use("/api/shifts", scopeToDepartment, shiftRoutes)
+app.use("/api/payroll", scopeToDepartment, payrollRoutes)
+app.use("/api/holidays", holidayRoutes)
+app.use("/api/leave", scopeToDepartment, leaveRoutes)
+app.use("/api/attendance-corrections", scopeToDepartment, attendanceCorrectionRoutes)
+app.use("/api/devices", deviceRoutes)
+app.use("/api/geofences", scopeToDepartment, geofenceRoutes)
+app.use("/api/overtime", scopeToDepartment, overtimeRoutes)
+app.use("/api/dtr", scopeToDepartment, dtrRoutes)
+app.use("/api/offboarding", scopeToDepartment, offboardingRoutes)
 
 
 
@@ -234,6 +284,9 @@ async function startServer() {
     // Initialize database first
     await initDatabase()
 
+    // End-of-day absence, clock-out and undertime checks
+    ExceptionService.startSchedule()
+
     server.listen(PORT, "0.0.0.0", () => {
       console.log(`🚀 Database server running on http://0.0.0.0:${PORT}`)
       console.log(`📊 API endpoints available at http://localhost:${PORT}/api/`)
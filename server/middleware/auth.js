@@ -1,11 +1,12 @@
 const bcrypt = require("bcrypt")
 const { getDatabase } = require("../config/database")
+const { verifyAccessToken } = require("../config/auth-tokens")
 
-// Authentication middleware
+// Credential check for the login route (credentials come from the request body)
 async function authenticateUser(req, res, next) {
   try {
     const db = getDatabase()
-    const { username, password, department } = req.query
+    const { username, password, department } = req.body || {}
 
     if (!username || !password) {
       return res.status(400).json({
@@ -60,6 +61,14 @@ async function authenticateUser(req, res, next) {
       })
     }
 
+    // Deleted and offboarded employees keep their records but can no longer sign in
+    if (user.deleted_at || user.login_disabled) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been disabled",
+      })
+    }
+
     // Add user info to request
     req.user = user
     req.department = department
@@ -73,6 +82,62 @@ async function authenticateUser(req, res, next) {
   }
 }
 
+// Access token middleware for protected routes
+async function requireAuth(req, res, next) {
+  try {
+    const header = req.headers.authorization || ""
+    const [scheme, token] = header.split(" ")
+
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      })
+    }
+
+    const claims = verifyAccessToken(token)
+
+    if (!claims) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired token",
+      })
+    }
+
+    // Tokens die with their session so logout takes effect immediately
+    const db = getDatabase()
+    const session = await db.get(
+      "SELECT id FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?",
+      [claims.sid, new Date().toISOString()],
+    )
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Session has ended, please log in again",
+      })
+    }
+
+    req.user = {
+      id: claims.sub,
+      username: claims.username,
+      department: claims.department,
+      access_level: claims.access_level,
+      role: claims.role,
+      permissions: claims.permissions,
+      sessionId: claims.sid,
+    }
+    req.department = claims.login_department
+    next()
+  } catch (error) {
+    console.error("Token verification error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed",
+    })
+  }
+}
+
 // Helper function to determine user role and permissions
 function getUserRoleAndPermissions(user, department) {
   let role = "user"
@@ -97,5 +162,6 @@ function getUserRoleAndPermissions(user, department) {
 
 module.exports = {
   authenticateUser,
+  requireAuth,
   getUserRoleAndPermissions,
 }
@@ -0,0 +1,123 @@
+const { getDatabase } = require("../config/database")
+
+const { DEVICE_ROLE } = require("./device-auth")
+const { getUserRoleAndPermissions } = require("./auth")
+const { ROLES } = require("./permissions")
+
+// Roles that always see every department
+const UNSCOPED_ROLES = ["super-admin"]
+
+// The department a user is limited to, or null when they may see all departments
+async function resolveDepartmentScope(user) {
+  if (UNSCOPED_ROLES.includes(user.role)) {
+    return null
+  }
+
+  // Devices registered to a department only punch its employees; the rest serve everyone
+  if (user.role === DEVICE_ROLE) {
+    return user.department || null
+  }
+
+  const db = getDatabase()
+  const grant = await db.get("SELECT 1 FROM department_access_grants WHERE department = ? AND role = ?", [
+    user.department,
+    user.role,
+  ])
+
+  return grant ? null : user.department || ""
+}
+
+// Sets req.departmentScope to the caller's department, or null when they may see all departments
+async function scopeToDepartment(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      })
+    }
+
+    req.departmentScope = await resolveDepartmentScope(req.user)
+    next()
+  } catch (error) {
+    console.error("Department scope error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to resolve department access",
+      message: error.message,
+    })
+  }
+}
+
+// Push a condition limiting rows to the scoped department onto a WHERE condition list
+function addDepartmentCondition(req, conditions, params, employeeUidColumn) {
+  if (req.departmentScope === null || req.departmentScope === undefined) {
+    return
+  }
+
+  conditions.push(`${employeeUidColumn} IN (SELECT uid FROM emp_list WHERE department = ?)`)
+  params.push(req.departmentScope)
+}
+
+// Same as addDepartmentCondition, as an " AND ..." fragment for queries with a fixed WHERE clause
+function departmentClause(req, employeeUidColumn) {
+  const conditions = []
+  const params = []
+  addDepartmentCondition(req, conditions, params, employeeUidColumn)
+
+  return {
+    sql: conditions.length > 0 ? ` AND ${conditions[0]}` : "",
+    params: params,
+  }
+}
+
+function isDepartmentInScope(req, department) {
+  return req.departmentScope === null || req.departmentScope === undefined || department === req.departmentScope
+}
+
+async function canAccessEmployee(req, employeeUid) {
+  if (req.departmentScope === null || req.departmentScope === undefined) {
+    return true
+  }
+
+  const db = getDatabase()
+  const employee = await db.get("SELECT department FROM emp_list WHERE uid = ?", [employeeUid])
+  return !!employee && isDepartmentInScope(req, employee.department)
+}
+
+/**
+ * Rank of an access level as [role, level]. emp_list.access_level is text and mixes numbers with
+ * names ("10", "5", "admin"), so it is never compared as a string: the level resolves to the role
+ * it gets at login, and the number only orders levels within that role. Names carry no number
+ * and, as at login, rank as plain users.
+ */
+function accessRank(accessLevel, role) {
+  const level = Number(accessLevel) || 0
+  const resolvedRole = role || getUserRoleAndPermissions({ access_level: level }).role
+  return [ROLES.indexOf(resolvedRole), level]
+}
+
+/**
+ * Department hierarchy for approvals: a user can decide for an employee only when they hold a
+ * higher rank, so department heads approve their staff and a head's own requests go up to
+ * someone above them. Nobody approves for themselves.
+ */
+function outranksEmployee(user, employee) {
+  if (!employee || String(user.id) === String(employee.uid)) {
+    return false
+  }
+
+  const [userRole, userLevel] = accessRank(user.access_level, user.role)
+  const [employeeRole, employeeLevel] = accessRank(employee.access_level)
+  return userRole > employeeRole || (userRole === employeeRole && userLevel > employeeLevel)
+}
+
+module.exports = {
+  resolveDepartmentScope,
+  scopeToDepartment,
+  addDepartmentCondition,
+  departmentClause,
+  isDepartmentInScope,
+  canAccessEmployee,
+  outranksEmployee,
+}
@@ -0,0 +1,100 @@
+const { getDatabase } = require("../config/database")
+const { hashDeviceKey } = require("../config/auth-tokens")
+
+const DEVICE_KEY_HEADER = "x-device-key"
+
+// Role given to requests authenticated by a device key alone; its permissions live in role_permissions
+const DEVICE_ROLE = "device"
+
+// Resolve the X-Device-Key header to its device. Returns { device } or { status, error }.
+async function resolveDevice(req) {
+  const key = req.headers[DEVICE_KEY_HEADER]
+  if (!key) {
+    return { status: 403, error: "Punches must come from a registered device (X-Device-Key header)" }
+  }
+
+  const db = getDatabase()
+  const device = await db.get("SELECT * FROM attendance_devices WHERE api_key_hash = ?", [hashDeviceKey(String(key))])
+
+  if (!device) {
+    return { status: 401, error: "Unknown device key" }
+  }
+  if (!device.is_active) {
+    return { status: 403, error: `Device ${device.name} has been deactivated` }
+  }
+
+  await db.run("UPDATE attendance_devices SET last_seen_at = CURRENT_TIMESTAMP, last_ip = ? WHERE id = ?", [
+    req.ip,
+    device.id,
+  ])
+  return { device }
+}
+
+// Requests that carry a device key and no user token: the device itself is the caller
+async function authenticateDevice(req, res, next) {
+  try {
+    const { device, status, error } = await resolveDevice(req)
+    if (!device) {
+      return res.status(status).json({
+        success: false,
+        error: error,
+      })
+    }
+
+    req.device = device
+    req.user = {
+      id: null,
+      username: `device:${device.name}`,
+      department: device.department,
+      access_level: 0,
+      role: DEVICE_ROLE,
+      permissions: [],
+    }
+    next()
+  } catch (error) {
+    console.error("Device authentication error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Device authentication failed",
+    })
+  }
+}
+
+// Route guard for punch routes: the request must come through an active registered device,
+// whether a user is signed in on it or not
+async function requireDevice(req, res, next) {
+  try {
+    if (req.device) {
+      return next()
+    }
+
+    const { device, status, error } = await resolveDevice(req)
+    if (!device) {
+      return res.status(status).json({
+        success: false,
+        error: error,
+      })
+    }
+
+    req.device = device
+    next()
+  } catch (error) {
+    console.error("Device check error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Device check failed",
+      message: error.message,
+    })
+  }
+}
+
+function hasDeviceKey(req) {
+  return !!req.headers[DEVICE_KEY_HEADER]
+}
+
+module.exports = {
+  DEVICE_ROLE,
+  authenticateDevice,
+  requireDevice,
+  hasDeviceKey,
+}
@@ -0,0 +1,101 @@
+const { getDatabase } = require("../config/database")
+
+// Every permission a route can require, grouped by resource
+const PERMISSIONS = {
+  "employees:read": "View employees",
+  "employees:write": "Create and edit employees",
+  "employees:delete": "Delete employees",
+  "employees:offboard": "Run offboarding for separating employees: asset returns, attendance cutoff, login and documents",
+  "items:read": "View inventory items and reports",
+  "items:write": "Create and edit items, adjust stock",
+  "items:delete": "Delete items",
+  "items:checkout": "Check out items",
+  "attendance:read": "View attendance and daily summaries",
+  "attendance:write": "Record, sync and edit attendance",
+  "attendance:delete": "Delete attendance records",
+  "corrections:request": "File attendance correction requests for own punches",
+  "corrections:approve": "Approve and reject attendance corrections for employees below you in your department",
+  "shifts:manage": "Define shifts and assign them to employees and departments",
+  "geofences:manage": "Define geofenced sites and assign them to employees and departments",
+  "payroll:read": "View and export payroll period registers",
+  "payroll:manage": "Create and finalize payroll periods",
+  "holidays:manage": "Maintain the holiday calendar",
+  "leave:request": "File and withdraw own leave requests",
+  "leave:approve": "Approve and reject leave for employees below you in your department",
+  "leave:manage": "Maintain leave types and balances, and file leave for others",
+  "overtime:request": "File and withdraw own overtime requests",
+  "overtime:approve": "Approve, reject and file overtime for employees below you in your department",
+  "purchase-orders:read": "View purchase orders",
+  "purchase-orders:write": "Create purchase orders, change their status and receive deliveries",
+  "documents:read": "View and download documents and profile pictures",
+  "documents:write": "Upload documents and profile pictures",
+  "documents:delete": "Delete documents and profile pictures",
+  "tables:read": "Browse raw database tables",
+  "tables:write": "Insert and edit raw table rows",
+  "tables:delete": "Delete raw table rows",
+  "tables:query": "Run raw SQL queries",
+  "permissions:manage": "Edit the role permission matrix",
+  "backups:manage": "Create, download and restore database backups",
+  "devices:manage": "Register attendance devices and issue their API keys",
+}
+
+// Roles produced by getUserRoleAndPermissions, lowest to highest, after the role of
+// requests made by a registered attendance device without a signed-in user
+const ROLES = ["device", "user", "editor", "manager", "admin", "super-admin"]
+
+// Super-admins always pass and cannot be edited out of the matrix
+const SUPER_ADMIN_ROLE = "super-admin"
+
+async function roleHasPermission(role, permission) {
+  if (role === SUPER_ADMIN_ROLE) {
+    return true
+  }
+
+  const db = getDatabase()
+  const row = await db.get("SELECT 1 FROM role_permissions WHERE role = ? AND permission = ?", [role, permission])
+  return !!row
+}
+
+// Route guard: requirePermission("employees:delete")
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`)
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: "Authentication required",
+        })
+      }
+
+      if (!(await roleHasPermission(req.user.role, permission))) {
+        return res.status(403).json({
+          success: false,
+          error: "Forbidden",
+          message: `Your role (${req.user.role}) does not have the "${permission}" permission`,
+          requiredPermission: permission,
+        })
+      }
+
+      next()
+    } catch (error) {
+      console.error("Permission check error:", error)
+      res.status(500).json({
+        success: false,
+        error: "Permission check failed",
+        message: error.message,
+      })
+    }
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  SUPER_ADMIN_ROLE,
+  roleHasPermission,
+  requirePermission,
+}
@@ -0,0 +1,117 @@
+// Bring databases created by older builds in line with the schema the routes expect:
+// purchase order tables, itemsdb.barcode and a balance column derived from in_qty - out_qty
+const ITEMSDB_COLUMNS = [
+  "item_no",
+  "item_name",
+  "brand",
+  "item_type",
+  "location",
+  "unit_of_measure",
+  "in_qty",
+  "out_qty",
+  "min_stock",
+  "deficit",
+  "price_per_unit",
+  "cost",
+  "item_status",
+  "last_po",
+  "supplier",
+  "created_at",
+  "updated_at",
+  "barcode",
+]
+
+async function createPurchaseOrderTables(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id TEXT PRIMARY KEY,
+      supplier TEXT NOT NULL,
+      status TEXT DEFAULT 'requested' CHECK (status IN ('requested', 'ordered', 'in_transit', 'ready_for_pickup', 'received', 'cancelled')),
+      order_date DATE NOT NULL,
+      expected_delivery_date DATE,
+      actual_delivery_date DATE,
+      total_items INTEGER DEFAULT 0,
+      total_quantity INTEGER DEFAULT 0,
+      total_value REAL DEFAULT 0,
+      notes TEXT,
+      priority TEXT DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+      created_by TEXT,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purchase_order_id TEXT NOT NULL,
+      item_no TEXT NOT NULL,
+      item_name TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      unit_price REAL NOT NULL,
+      status TEXT DEFAULT 'ordered' CHECK (status IN ('ordered', 'in_transit', 'received', 'cancelled')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE
+    )
+  `)
+}
+
+// Rebuild itemsdb when balance is a plain column so it can no longer drift from in_qty - out_qty
+async function reconcileItemsTable(db) {
+  const columns = await db.all("PRAGMA table_xinfo(itemsdb)")
+  if (columns.length === 0) {
+    return
+  }
+
+  if (!columns.some((column) => column.name === "barcode")) {
+    await db.exec("ALTER TABLE itemsdb ADD COLUMN barcode TEXT")
+  }
+
+  // table_xinfo reports generated columns with hidden = 2 (virtual) or 3 (stored)
+  const balance = columns.find((column) => column.name === "balance")
+  if (balance && balance.hidden >= 2) {
+    return
+  }
+
+  await db.exec(`
+    CREATE TABLE itemsdb_migrated (
+      item_no INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_name TEXT,
+      brand TEXT,
+      item_type TEXT,
+      location TEXT,
+      unit_of_measure TEXT,
+      in_qty INTEGER DEFAULT 0,
+      out_qty INTEGER DEFAULT 0,
+      min_stock INTEGER DEFAULT 0,
+      deficit INTEGER DEFAULT 0,
+      price_per_unit REAL DEFAULT 0,
+      cost REAL DEFAULT 0,
+      item_status TEXT DEFAULT 'Available',
+      last_po TEXT,
+      supplier TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      balance INTEGER GENERATED ALWAYS AS (in_qty - out_qty) VIRTUAL,
+      barcode TEXT
+    )
+  `)
+
+  const columnList = ITEMSDB_COLUMNS.join(", ")
+  await db.exec(`INSERT INTO itemsdb_migrated (${columnList}) SELECT ${columnList} FROM itemsdb`)
+  await db.exec("DROP TABLE itemsdb")
+  await db.exec("ALTER TABLE itemsdb_migrated RENAME TO itemsdb")
+
+  await db.exec("CREATE INDEX IF NOT EXISTS idx_itemsdb_name ON itemsdb(item_name)")
+  await db.exec("CREATE INDEX IF NOT EXISTS idx_itemsdb_type ON itemsdb(item_type)")
+  await db.exec("CREATE INDEX IF NOT EXISTS idx_itemsdb_status ON itemsdb(item_status)")
+  await db.exec("CREATE INDEX IF NOT EXISTS idx_itemsdb_supplier ON itemsdb(supplier)")
+}
+
+module.exports = {
+  description: "Reconcile purchase order tables and itemsdb with the current schema",
+  async up(db) {
+    await createPurchaseOrderTables(db)
+    await reconcileItemsTable(db)
+  },
+}
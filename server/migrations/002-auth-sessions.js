@@ -0,0 +1,30 @@
+// Login sessions backing the refresh tokens, and the generated token signing secret
+module.exports = {
+  description: "Add auth_sessions and server_secrets tables",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        department TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES emp_list(uid)
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS server_secrets (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+  },
+}
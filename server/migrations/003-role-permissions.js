@@ -0,0 +1,73 @@
+// Editable role permission matrix, seeded with the read/write/delete/admin levels
+// used before permissions were enforced
+const USER_PERMISSIONS = [
+  "employees:read",
+  "items:read",
+  "items:checkout",
+  "attendance:read",
+  "purchase-orders:read",
+  "documents:read",
+]
+
+const EDITOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  "employees:write",
+  "items:write",
+  "attendance:write",
+  "purchase-orders:write",
+  "documents:write",
+]
+
+const MANAGER_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  "employees:delete",
+  "items:delete",
+  "attendance:delete",
+  "documents:delete",
+]
+
+const ADMIN_PERMISSIONS = [
+  ...MANAGER_PERMISSIONS,
+  "tables:read",
+  "tables:write",
+  "tables:delete",
+  "tables:query",
+  "permissions:manage",
+]
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+}
+
+module.exports = {
+  description: "Add role_permissions table with the default matrix",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role TEXT NOT NULL,
+        permission TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (role, permission)
+      )
+    `)
+
+    // Databases that already carry an edited matrix keep it
+    const count = await db.get("SELECT COUNT(*) as count FROM role_permissions")
+    if (count.count > 0) {
+      return
+    }
+
+    for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      for (const permission of permissions) {
+        await db.run("INSERT INTO role_permissions (role, permission, updated_by) VALUES (?, ?, 'system')", [
+          role,
+          permission,
+        ])
+      }
+    }
+  },
+}
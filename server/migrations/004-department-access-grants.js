@@ -0,0 +1,33 @@
+// Home department + role pairs allowed to see every department
+const DEFAULT_DEPARTMENT_GRANTS = [
+  { department: "Human Resources", role: "editor" },
+  { department: "Human Resources", role: "manager" },
+  { department: "Human Resources", role: "admin" },
+]
+
+module.exports = {
+  description: "Add department_access_grants table with Human Resources grants",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS department_access_grants (
+        department TEXT NOT NULL,
+        role TEXT NOT NULL,
+        granted_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (department, role)
+      )
+    `)
+
+    const count = await db.get("SELECT COUNT(*) as count FROM department_access_grants")
+    if (count.count > 0) {
+      return
+    }
+
+    for (const grant of DEFAULT_DEPARTMENT_GRANTS) {
+      await db.run("INSERT INTO department_access_grants (department, role, granted_by) VALUES (?, ?, 'system')", [
+        grant.department,
+        grant.role,
+      ])
+    }
+  },
+}
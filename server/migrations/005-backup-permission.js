@@ -0,0 +1,9 @@
+// Let admins manage backups; other roles can be granted it from the permission matrix
+module.exports = {
+  description: "Grant backups:manage to the admin role",
+  async up(db) {
+    await db.run(
+      "INSERT OR IGNORE INTO role_permissions (role, permission, updated_by) VALUES ('admin', 'backups:manage', 'system')",
+    )
+  },
+}
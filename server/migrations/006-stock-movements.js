@@ -0,0 +1,37 @@
+// Ledger of every change to an item's balance. Existing balances are carried in as
+// opening movements so each item's deltas add up to its current balance.
+module.exports = {
+  description: "Add stock_movements ledger with opening balances",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_no INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK (movement_type IN ('opening', 'receipt', 'issue', 'adjustment', 'checkout', 'po_receipt')),
+        quantity_delta INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reason TEXT,
+        reference_type TEXT,
+        reference_id TEXT,
+        user_id INTEGER,
+        performed_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_stock_movements_item ON stock_movements(item_no, created_at)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_stock_movements_created ON stock_movements(created_at)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_stock_movements_reference ON stock_movements(reference_type, reference_id)")
+
+    const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'itemsdb'")
+    if (!table) {
+      return
+    }
+
+    await db.exec(`
+      INSERT INTO stock_movements (item_no, movement_type, quantity_delta, balance_after, reason, performed_by)
+      SELECT item_no, 'opening', balance, balance, 'Balance when the stock ledger was introduced', 'system'
+      FROM itemsdb
+      WHERE balance IS NOT NULL AND balance != 0
+    `)
+  },
+}
@@ -0,0 +1,41 @@
+// Track how much of each purchase order line has arrived. The status CHECK constraint
+// gains 'partially_received', which SQLite can only change by rebuilding the table.
+module.exports = {
+  description: "Add received_quantity and partial receipts to purchase_order_items",
+  async up(db) {
+    const columns = await db.all("PRAGMA table_info(purchase_order_items)")
+    if (columns.some((column) => column.name === "received_quantity")) {
+      return
+    }
+
+    await db.exec(`
+      CREATE TABLE purchase_order_items_migrated (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        purchase_order_id TEXT NOT NULL,
+        item_no TEXT NOT NULL,
+        item_name TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_price REAL NOT NULL,
+        received_quantity INTEGER NOT NULL DEFAULT 0,
+        status TEXT DEFAULT 'ordered' CHECK (status IN ('ordered', 'in_transit', 'partially_received', 'received', 'cancelled')),
+        last_received_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Lines already marked received through the status endpoint count as fully received
+    await db.exec(`
+      INSERT INTO purchase_order_items_migrated (
+        id, purchase_order_id, item_no, item_name, quantity, unit_price, received_quantity, status, created_at
+      )
+      SELECT
+        id, purchase_order_id, item_no, item_name, quantity, unit_price,
+        CASE WHEN status = 'received' THEN quantity ELSE 0 END, status, created_at
+      FROM purchase_order_items
+    `)
+    await db.exec("DROP TABLE purchase_order_items")
+    await db.exec("ALTER TABLE purchase_order_items_migrated RENAME TO purchase_order_items")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order ON purchase_order_items(purchase_order_id)")
+  },
+}
@@ -0,0 +1,63 @@
+// Shift definitions and their assignment to employees or departments. The seeded
+// Standard shift matches the schedule the attendance clients have been assuming.
+module.exports = {
+  description: "Add shifts and shift_assignments with a default Standard shift",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        morning_start TEXT,
+        morning_end TEXT,
+        afternoon_start TEXT,
+        afternoon_end TEXT,
+        evening_start TEXT,
+        evening_end TEXT,
+        evening_is_overtime INTEGER NOT NULL DEFAULT 1 CHECK (evening_is_overtime IN (0, 1)),
+        grace_period_minutes INTEGER NOT NULL DEFAULT 0,
+        min_overtime_minutes INTEGER NOT NULL DEFAULT 0,
+        is_default INTEGER NOT NULL DEFAULT 0 CHECK (is_default IN (0, 1)),
+        is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS shift_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shift_id INTEGER NOT NULL,
+        employee_uid INTEGER,
+        department TEXT,
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((employee_uid IS NULL) != (department IS NULL)),
+        FOREIGN KEY (shift_id) REFERENCES shifts(id) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_shift_assignments_employee ON shift_assignments(employee_uid, effective_from)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_shift_assignments_department ON shift_assignments(department, effective_from)")
+
+    const existing = await db.get("SELECT COUNT(*) as count FROM shifts")
+    if (existing.count === 0) {
+      await db.run(`
+        INSERT INTO shifts (
+          name, description, morning_start, morning_end, afternoon_start, afternoon_end,
+          evening_start, evening_end, evening_is_overtime, grace_period_minutes,
+          min_overtime_minutes, is_default, created_by
+        ) VALUES ('Standard', 'Day shift with a lunch break; evening work is overtime',
+          '08:00', '12:00', '13:00', '17:00', '17:00', '21:00', 1, 5, 30, 1, 'system')
+      `)
+    }
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('manager', 'shifts:manage', 'system'), ('admin', 'shifts:manage', 'system')
+    `)
+  },
+}
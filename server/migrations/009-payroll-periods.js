@@ -0,0 +1,55 @@
+// Payroll cutoffs and the per-employee register frozen when a period is finalized
+module.exports = {
+  description: "Add payroll_periods and payroll_period_entries",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS payroll_periods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        period_type TEXT NOT NULL DEFAULT 'custom' CHECK (period_type IN ('semi_monthly', 'custom')),
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        work_days TEXT NOT NULL DEFAULT '1,2,3,4,5,6',
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'finalized')),
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finalized_by TEXT,
+        finalized_at DATETIME,
+        CHECK (end_date >= start_date)
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_payroll_periods_dates ON payroll_periods(start_date, end_date)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS payroll_period_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        period_id INTEGER NOT NULL,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        employee_name TEXT,
+        department TEXT,
+        position TEXT,
+        tin_number TEXT,
+        sss_number TEXT,
+        philhealth_number TEXT,
+        pagibig_number TEXT,
+        scheduled_days INTEGER DEFAULT 0,
+        days_present INTEGER DEFAULT 0,
+        absences INTEGER DEFAULT 0,
+        late_count INTEGER DEFAULT 0,
+        incomplete_days INTEGER DEFAULT 0,
+        regular_hours REAL DEFAULT 0,
+        overtime_hours REAL DEFAULT 0,
+        total_hours REAL DEFAULT 0,
+        UNIQUE (period_id, employee_uid),
+        FOREIGN KEY (period_id) REFERENCES payroll_periods(id) ON DELETE CASCADE
+      )
+    `)
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('manager', 'payroll:read', 'system'), ('admin', 'payroll:read', 'system'), ('admin', 'payroll:manage', 'system')
+    `)
+  },
+}
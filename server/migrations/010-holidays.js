@@ -0,0 +1,40 @@
+// Holiday calendar, rest days on shifts and the day type each daily summary was worked on.
+// Existing summaries are tagged with the Sunday rest day the Standard shift starts with.
+module.exports = {
+  description: "Add holidays, shift rest days and daily summary day types",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date DATE NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        holiday_type TEXT NOT NULL CHECK (holiday_type IN ('regular', 'special')),
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    const shiftColumns = await db.all("PRAGMA table_info(shifts)")
+    if (!shiftColumns.some((column) => column.name === "rest_days")) {
+      await db.exec("ALTER TABLE shifts ADD COLUMN rest_days TEXT NOT NULL DEFAULT '0'")
+    }
+
+    const summaryColumns = await db.all("PRAGMA table_info(daily_attendance_summary)")
+    if (summaryColumns.length > 0 && !summaryColumns.some((column) => column.name === "day_type")) {
+      await db.exec(`
+        ALTER TABLE daily_attendance_summary ADD COLUMN day_type TEXT NOT NULL DEFAULT 'regular'
+          CHECK (day_type IN ('regular', 'rest_day', 'regular_holiday', 'special_holiday'))
+      `)
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN holiday_name TEXT")
+      await db.exec("UPDATE daily_attendance_summary SET day_type = 'rest_day' WHERE strftime('%w', date) = '0'")
+      await db.exec("CREATE INDEX IF NOT EXISTS idx_daily_summary_day_type ON daily_attendance_summary(day_type)")
+    }
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('manager', 'holidays:manage', 'system'), ('admin', 'holidays:manage', 'system')
+    `)
+  },
+}
@@ -0,0 +1,94 @@
+// Leave types, yearly per-employee balances and leave requests. Approved leave is written into
+// daily_attendance_summary as excused days, and payroll registers count them apart from absences.
+module.exports = {
+  description: "Add leave types, balances and requests",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        annual_allocation REAL NOT NULL DEFAULT 0,
+        max_carry_over REAL NOT NULL DEFAULT 0,
+        is_paid INTEGER NOT NULL DEFAULT 1,
+        requires_balance INTEGER NOT NULL DEFAULT 1,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_balances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        leave_type_id INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        allocated REAL NOT NULL DEFAULT 0,
+        carried_over REAL NOT NULL DEFAULT 0,
+        adjustment REAL NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_uid, leave_type_id, year),
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types(id)
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        leave_type_id INTEGER NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        half_day INTEGER NOT NULL DEFAULT 0,
+        days REAL NOT NULL DEFAULT 0,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        requested_by TEXT,
+        decided_by TEXT,
+        decided_at DATETIME,
+        decision_notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date),
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types(id)
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_leave_requests_employee ON leave_requests(employee_uid, start_date, end_date)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status)")
+
+    await db.run(`
+      INSERT OR IGNORE INTO leave_types (code, name, annual_allocation, max_carry_over, is_paid, requires_balance)
+      VALUES
+        ('VL', 'Vacation Leave', 15, 5, 1, 1),
+        ('SL', 'Sick Leave', 15, 0, 1, 1),
+        ('EL', 'Emergency Leave', 3, 0, 1, 1),
+        ('LWOP', 'Leave Without Pay', 0, 0, 0, 0)
+    `)
+
+    const summaryColumns = await db.all("PRAGMA table_info(daily_attendance_summary)")
+    if (summaryColumns.length > 0 && !summaryColumns.some((column) => column.name === "leave_request_id")) {
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN leave_request_id INTEGER")
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN leave_type TEXT")
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN is_excused INTEGER NOT NULL DEFAULT 0")
+    }
+
+    const entryColumns = await db.all("PRAGMA table_info(payroll_period_entries)")
+    if (!entryColumns.some((column) => column.name === "leave_days")) {
+      await db.exec("ALTER TABLE payroll_period_entries ADD COLUMN leave_days REAL DEFAULT 0")
+    }
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES
+        ('user', 'leave:request', 'system'), ('editor', 'leave:request', 'system'),
+        ('manager', 'leave:request', 'system'), ('admin', 'leave:request', 'system'),
+        ('manager', 'leave:approve', 'system'), ('admin', 'leave:approve', 'system'),
+        ('admin', 'leave:manage', 'system')
+    `)
+  },
+}
@@ -0,0 +1,54 @@
+// Correction requests for missing or wrong punches, and an audit trail of every change made to a
+// punch so the original clock time is never lost
+module.exports = {
+  description: "Add attendance_corrections and attendance_audit",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attendance_id INTEGER,
+        employee_uid INTEGER NOT NULL,
+        date DATE NOT NULL,
+        clock_type TEXT NOT NULL,
+        proposed_clock_time DATETIME NOT NULL,
+        original_clock_type TEXT,
+        original_clock_time DATETIME,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        requested_by TEXT,
+        decided_by TEXT,
+        decided_at DATETIME,
+        decision_notes TEXT,
+        applied_attendance_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_corrections_status ON attendance_corrections(status)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_corrections_employee ON attendance_corrections(employee_uid, date)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attendance_id INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        source TEXT NOT NULL DEFAULT 'edit' CHECK (source IN ('edit', 'correction')),
+        correction_id INTEGER,
+        old_values TEXT,
+        new_values TEXT,
+        changed_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_audit_attendance ON attendance_audit(attendance_id)")
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES
+        ('user', 'corrections:request', 'system'), ('editor', 'corrections:request', 'system'),
+        ('manager', 'corrections:request', 'system'), ('admin', 'corrections:request', 'system'),
+        ('manager', 'corrections:approve', 'system'), ('admin', 'corrections:approve', 'system')
+    `)
+  },
+}
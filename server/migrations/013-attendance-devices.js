@@ -0,0 +1,36 @@
+// Registered kiosks and phones. Punches are only accepted from an active device presenting its
+// API key, and each punch is stamped with the device and its registered location.
+module.exports = {
+  description: "Add attendance_devices and attendance.device_id",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        device_type TEXT NOT NULL DEFAULT 'kiosk' CHECK (device_type IN ('kiosk', 'phone')),
+        location TEXT,
+        department TEXT,
+        api_key_hash TEXT NOT NULL UNIQUE,
+        api_key_prefix TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        last_seen_at DATETIME,
+        last_ip TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    const attendanceColumns = await db.all("PRAGMA table_info(attendance)")
+    if (!attendanceColumns.some((column) => column.name === "device_id")) {
+      await db.exec("ALTER TABLE attendance ADD COLUMN device_id INTEGER REFERENCES attendance_devices(id)")
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_device ON attendance(device_id)")
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('device', 'attendance:write', 'system'), ('admin', 'devices:manage', 'system')
+    `)
+  },
+}
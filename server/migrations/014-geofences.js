@@ -0,0 +1,56 @@
+// Geofenced work sites assigned to employees or departments, and the coordinates, nearest
+// site and distance recorded with each mobile punch.
+module.exports = {
+  description: "Add geofence_sites, geofence_assignments and punch coordinates",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS geofence_sites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        address TEXT,
+        latitude REAL NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+        longitude REAL NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+        radius_meters INTEGER NOT NULL CHECK (radius_meters > 0),
+        enforcement TEXT NOT NULL DEFAULT 'flag' CHECK (enforcement IN ('flag', 'reject')),
+        is_active INTEGER NOT NULL DEFAULT 1 CHECK (is_active IN (0, 1)),
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS geofence_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        employee_uid INTEGER,
+        department TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((employee_uid IS NULL) != (department IS NULL)),
+        FOREIGN KEY (site_id) REFERENCES geofence_sites(id) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_geofence_assignments_employee ON geofence_assignments(employee_uid)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_geofence_assignments_department ON geofence_assignments(department)")
+
+    const attendanceColumns = await db.all("PRAGMA table_info(attendance)")
+    if (!attendanceColumns.some((column) => column.name === "geofence_status")) {
+      await db.exec("ALTER TABLE attendance ADD COLUMN latitude REAL")
+      await db.exec("ALTER TABLE attendance ADD COLUMN longitude REAL")
+      await db.exec("ALTER TABLE attendance ADD COLUMN geofence_site_id INTEGER REFERENCES geofence_sites(id)")
+      await db.exec("ALTER TABLE attendance ADD COLUMN geofence_distance_meters REAL")
+      await db.exec(`
+        ALTER TABLE attendance ADD COLUMN geofence_status TEXT
+          CHECK (geofence_status IN ('inside', 'outside', 'no_location'))
+      `)
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_geofence_status ON attendance(geofence_status, date)")
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('manager', 'geofences:manage', 'system'), ('admin', 'geofences:manage', 'system')
+    `)
+  },
+}
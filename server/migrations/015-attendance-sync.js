@@ -0,0 +1,67 @@
+// Idempotent sync: punches carry the client's UUID and the batch they arrived in, each batch's
+// per-record results are kept so a retry gets the same answer, and every change to a punch is
+// logged in attendance_changes, whose id is the cursor offline clients pull changes from.
+module.exports = {
+  description: "Add attendance client UUIDs, sync batches and the attendance change feed",
+  async up(db) {
+    const attendanceColumns = await db.all("PRAGMA table_info(attendance)")
+    if (!attendanceColumns.some((column) => column.name === "client_uuid")) {
+      await db.exec("ALTER TABLE attendance ADD COLUMN client_uuid TEXT")
+      await db.exec("ALTER TABLE attendance ADD COLUMN sync_batch_id TEXT")
+    }
+    await db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_client_uuid ON attendance(client_uuid)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_sync_batches (
+        batch_id TEXT PRIMARY KEY,
+        device_id INTEGER REFERENCES attendance_devices(id),
+        submitted_by TEXT,
+        record_count INTEGER NOT NULL DEFAULT 0,
+        created_count INTEGER NOT NULL DEFAULT 0,
+        duplicate_count INTEGER NOT NULL DEFAULT 0,
+        error_count INTEGER NOT NULL DEFAULT 0,
+        results TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attendance_id INTEGER NOT NULL,
+        client_uuid TEXT,
+        employee_uid INTEGER,
+        date DATE,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_changes_employee ON attendance_changes(employee_uid, id)")
+
+    // Triggers rather than route code, so edits, corrections, session recalculation and the raw
+    // table editor all reach the feed. Marking a punch synced is not a change clients need.
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS trg_attendance_changes_insert AFTER INSERT ON attendance
+      BEGIN
+        INSERT INTO attendance_changes (attendance_id, client_uuid, employee_uid, date, action)
+        VALUES (NEW.id, NEW.client_uuid, NEW.employee_uid, NEW.date, 'create');
+      END
+    `)
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS trg_attendance_changes_update
+      AFTER UPDATE OF employee_uid, clock_type, clock_time, date, regular_hours, overtime_hours, is_late, notes
+      ON attendance
+      BEGIN
+        INSERT INTO attendance_changes (attendance_id, client_uuid, employee_uid, date, action)
+        VALUES (NEW.id, NEW.client_uuid, NEW.employee_uid, NEW.date, 'update');
+      END
+    `)
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS trg_attendance_changes_delete AFTER DELETE ON attendance
+      BEGIN
+        INSERT INTO attendance_changes (attendance_id, client_uuid, employee_uid, date, action)
+        VALUES (OLD.id, OLD.client_uuid, OLD.employee_uid, OLD.date, 'delete');
+      END
+    `)
+  },
+}
@@ -0,0 +1,42 @@
+// Overtime pre-approval. Daily summaries split their overtime into the part covered by an
+// approved request and the rest; overtime recorded before this existed counts as unapproved.
+module.exports = {
+  description: "Add overtime requests and approved/unapproved overtime on daily summaries",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS overtime_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        date DATE NOT NULL,
+        planned_hours REAL NOT NULL CHECK (planned_hours > 0),
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        requested_by TEXT,
+        decided_by TEXT,
+        decided_at DATETIME,
+        decision_notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_overtime_requests_employee ON overtime_requests(employee_uid, date)")
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_overtime_requests_status ON overtime_requests(status)")
+
+    const summaryColumns = await db.all("PRAGMA table_info(daily_attendance_summary)")
+    if (summaryColumns.length > 0 && !summaryColumns.some((column) => column.name === "approved_overtime_hours")) {
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN overtime_request_id INTEGER")
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN approved_overtime_hours REAL NOT NULL DEFAULT 0")
+      await db.exec("ALTER TABLE daily_attendance_summary ADD COLUMN unapproved_overtime_hours REAL NOT NULL DEFAULT 0")
+      await db.exec("UPDATE daily_attendance_summary SET unapproved_overtime_hours = COALESCE(overtime_hours, 0)")
+    }
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES
+        ('user', 'overtime:request', 'system'), ('editor', 'overtime:request', 'system'),
+        ('manager', 'overtime:request', 'system'), ('admin', 'overtime:request', 'system'),
+        ('manager', 'overtime:approve', 'system'), ('admin', 'overtime:approve', 'system')
+    `)
+  },
+}
@@ -0,0 +1,34 @@
+// End-of-day exception detection: absences, missing clock-outs, late arrivals and undertime
+// per employee and date, plus a record of each day the detection job has run for.
+module.exports = {
+  description: "Add attendance_exceptions and attendance_exception_runs",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_exceptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        date DATE NOT NULL,
+        department TEXT,
+        exception_type TEXT NOT NULL CHECK (exception_type IN ('absent', 'missing_clock_out', 'late', 'undertime')),
+        expected_hours REAL,
+        worked_hours REAL,
+        minutes INTEGER,
+        details TEXT,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_uid, date, exception_type),
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_attendance_exceptions_date ON attendance_exceptions(date, department)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_exception_runs (
+        date DATE PRIMARY KEY,
+        employees_checked INTEGER NOT NULL DEFAULT 0,
+        exception_count INTEGER NOT NULL DEFAULT 0,
+        triggered_by TEXT NOT NULL DEFAULT 'schedule',
+        run_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+  },
+}
@@ -0,0 +1,25 @@
+// Effective-dated history of position, department, salary and status changes, so promotions,
+// transfers and raises keep their old values instead of being overwritten in emp_list
+module.exports = {
+  description: "Add employment_history",
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS employment_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        field TEXT NOT NULL CHECK (field IN ('position', 'department', 'salary', 'status')),
+        old_value TEXT,
+        new_value TEXT,
+        effective_date DATE NOT NULL,
+        reason TEXT,
+        changed_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_employment_history_employee
+      ON employment_history(employee_uid, field, effective_date)
+    `)
+  },
+}
@@ -0,0 +1,61 @@
+// Offboarding of separated employees: the separation itself, a checklist of checked-out items to
+// return, and the attendance cutoff. Employees are now soft-deleted, and logins can be disabled.
+module.exports = {
+  description: "Add employee offboarding, asset return checklists and soft delete for employees",
+  async up(db) {
+    const employeeColumns = await db.all("PRAGMA table_info(emp_list)")
+    if (employeeColumns.length > 0 && !employeeColumns.some((column) => column.name === "deleted_at")) {
+      await db.exec("ALTER TABLE emp_list ADD COLUMN login_disabled INTEGER NOT NULL DEFAULT 0")
+      await db.exec("ALTER TABLE emp_list ADD COLUMN deleted_at DATETIME")
+      await db.exec("ALTER TABLE emp_list ADD COLUMN deleted_by TEXT")
+    }
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS employee_offboarding (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        separation_type TEXT NOT NULL CHECK (separation_type IN (
+          'resignation', 'termination', 'end_of_contract', 'retirement', 'redundancy', 'death', 'other'
+        )),
+        separation_date DATE NOT NULL,
+        attendance_cutoff_date DATE NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'cancelled')),
+        previous_status TEXT,
+        documents_archive_path TEXT,
+        documents_archived_count INTEGER,
+        initiated_by TEXT,
+        completed_by TEXT,
+        completed_at DATETIME,
+        cancelled_by TEXT,
+        cancelled_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_uid) REFERENCES emp_list(uid) ON DELETE CASCADE
+      )
+    `)
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_employee_offboarding_employee ON employee_offboarding(employee_uid, status)")
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS offboarding_asset_returns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        offboarding_id INTEGER NOT NULL,
+        item_no INTEGER NOT NULL,
+        item_name TEXT,
+        quantity_out INTEGER NOT NULL,
+        quantity_returned INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'returned', 'not_returned', 'waived')),
+        notes TEXT,
+        resolved_by TEXT,
+        resolved_at DATETIME,
+        UNIQUE (offboarding_id, item_no),
+        FOREIGN KEY (offboarding_id) REFERENCES employee_offboarding(id) ON DELETE CASCADE
+      )
+    `)
+
+    await db.run(`
+      INSERT OR IGNORE INTO role_permissions (role, permission, updated_by)
+      VALUES ('manager', 'employees:offboard', 'system'), ('admin', 'employees:offboard', 'system')
+    `)
+  },
+}
@@ -0,0 +1,12 @@
+// Checkouts record who borrowed the items, not just who processed them, so offboarding can list
+// what a separating employee still holds
+module.exports = {
+  description: "Add the borrowing employee to stock movements",
+  async up(db) {
+    const movementColumns = await db.all("PRAGMA table_info(stock_movements)")
+    if (!movementColumns.some((column) => column.name === "employee_uid")) {
+      await db.exec("ALTER TABLE stock_movements ADD COLUMN employee_uid INTEGER")
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_stock_movements_employee ON stock_movements(employee_uid, movement_type)")
+  },
+}
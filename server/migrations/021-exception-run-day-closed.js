@@ -0,0 +1,11 @@
+// Whether an exception run happened after its day was over. Runs for a day still in progress are
+// provisional, and the end-of-day schedule still runs that date.
+module.exports = {
+  description: "Add day_closed to attendance_exception_runs",
+  async up(db) {
+    const runColumns = await db.all("PRAGMA table_info(attendance_exception_runs)")
+    if (!runColumns.some((column) => column.name === "day_closed")) {
+      await db.exec("ALTER TABLE attendance_exception_runs ADD COLUMN day_closed INTEGER NOT NULL DEFAULT 1")
+    }
+  },
+}
@@ -0,0 +1,13 @@
+// The payroll register pays approved overtime only and shows unapproved overtime beside it.
+// Periods finalized earlier paid all overtime, so their frozen entries keep it as approved.
+module.exports = {
+  description: "Split overtime on payroll_period_entries into approved and unapproved hours",
+  async up(db) {
+    const entryColumns = await db.all("PRAGMA table_info(payroll_period_entries)")
+    if (entryColumns.length > 0 && !entryColumns.some((column) => column.name === "approved_overtime_hours")) {
+      await db.exec("ALTER TABLE payroll_period_entries ADD COLUMN approved_overtime_hours REAL DEFAULT 0")
+      await db.exec("ALTER TABLE payroll_period_entries ADD COLUMN unapproved_overtime_hours REAL DEFAULT 0")
+      await db.exec("UPDATE payroll_period_entries SET approved_overtime_hours = COALESCE(overtime_hours, 0)")
+    }
+  },
+}
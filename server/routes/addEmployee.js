@@ -2,11 +2,15 @@
 const express = require("express")
 const bcrypt = require("bcrypt")
 const { getDatabase } = require("../config/database")
+const { socketEvents } = require("../config/socket")
+const { requirePermission } = require("../middleware/permissions")
+const EmploymentHistoryService = require("../services/employment-history-service")
+const OffboardingService = require("../services/offboarding-service")
 
 const router = express.Router()
 
 // Add new employee
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("employees:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -215,7 +219,7 @@ router.post("/", async (req, res) => {
 })
 
 // Get all employees
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("employees:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { limit = 50, offset = 0, status, department } = req.query
@@ -295,7 +299,7 @@ router.get("/", async (req, res) => {
 })
 
 // Get employee by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("employees:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -355,7 +359,7 @@ router.get("/:id", async (req, res) => {
 })
 
 // Update employee
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("employees:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -368,9 +372,18 @@ router.put("/:id", async (req, res) => {
     delete updateData.tfa_hash
     delete updateData.uid
     delete updateData.created_at
+    // Set by offboarding and by delete/restore only
+    delete updateData.login_disabled
+    delete updateData.deleted_at
+    delete updateData.deleted_by
+
+    // History details for position, department, salary and status changes, not columns
+    const { effective_date = EmploymentHistoryService.defaultEffectiveDate(), change_reason } = updateData
+    delete updateData.effective_date
+    delete updateData.change_reason
 
     // Check if employee exists
-    const existingEmployee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [id])
+    const existingEmployee = await db.get("SELECT uid, position, department, salary, status FROM emp_list WHERE uid = ?", [id])
     if (!existingEmployee) {
       return res.status(404).json({
         success: false,
@@ -415,16 +428,37 @@ router.put("/:id", async (req, res) => {
       })
     }
 
+    const changes = EmploymentHistoryService.diff(existingEmployee, updateData)
+    const effectiveDateError = await EmploymentHistoryService.validateEffectiveDate(existingEmployee.uid, changes, effective_date)
+    if (effectiveDateError) {
+      return res.status(400).json({
+        success: false,
+        error: effectiveDateError
+      })
+    }
+
     const setClause = fields.map(field => `${field} = ?`).join(", ")
     const values = fields.map(field => updateData[field])
     values.push(new Date().toISOString()) // updated_at
     values.push(id) // WHERE condition
 
-    await db.run(`
-      UPDATE emp_list 
-      SET ${setClause}, updated_at = ?
-      WHERE uid = ?
-    `, values)
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE emp_list 
+        SET ${setClause}, updated_at = ?
+        WHERE uid = ?
+      `, values)
+      await EmploymentHistoryService.record(existingEmployee.uid, changes, {
+        effective_date,
+        reason: change_reason || null,
+        changed_by: req.user.username
+      })
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     // Get updated employee
     const updatedEmployee = await db.get(`
@@ -475,31 +509,35 @@ router.put("/:id", async (req, res) => {
   }
 })
 
-// Delete employee (soft delete by setting status to 'Inactive')
-router.delete("/:id", async (req, res) => {
+// Delete employee (soft delete, same as DELETE /api/employees/:id)
+router.delete("/:id", requirePermission("employees:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
 
     // Check if employee exists
-    const existingEmployee = await db.get("SELECT uid, status FROM emp_list WHERE uid = ?", [id])
-    if (!existingEmployee) {
+    const existingEmployee = await db.get("SELECT uid, deleted_at FROM emp_list WHERE uid = ?", [id])
+    if (!existingEmployee || existingEmployee.deleted_at) {
       return res.status(404).json({
         success: false,
         error: "Employee not found"
       })
     }
 
-    // Soft delete by setting status to 'Inactive'
-    await db.run(`
-      UPDATE emp_list 
-      SET status = 'Inactive', updated_at = ?
-      WHERE uid = ?
-    `, [new Date().toISOString(), id])
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await OffboardingService.softDelete([existingEmployee.uid], req.user.username)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    socketEvents.employeeDeleted(existingEmployee.uid)
 
     res.json({
       success: true,
-      message: "Employee deactivated successfully"
+      message: "Employee deleted successfully"
     })
 
   } catch (error) {
@@ -0,0 +1,530 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission, roleHasPermission } = require("../middleware/permissions")
+const { addDepartmentCondition, canAccessEmployee, outranksEmployee } = require("../middleware/department-scope")
+const ShiftService = require("../services/shift-service")
+const CorrectionService = require("../services/correction-service")
+const DailySummaryService = require("../services/daily-summary-service")
+const PayrollService = require("../services/payroll-service")
+const OffboardingService = require("../services/offboarding-service")
+const LeaveService = require("../services/leave-service")
+const { addDays } = require("../utils/dates")
+
+const router = express.Router()
+
+async function findCorrection(id) {
+  const db = getDatabase()
+  return await db.get(`
+    SELECT c.*, e.first_name, e.last_name, e.department, e.access_level
+    FROM attendance_corrections c
+    JOIN emp_list e ON e.uid = c.employee_uid
+    WHERE c.id = ?
+  `, [id])
+}
+
+// Correction rows without the employee's access level
+function publicCorrection(correction) {
+  const { access_level, ...rest } = correction
+  return rest
+}
+
+async function isApprover(req) {
+  return await roleHasPermission(req.user.role, "corrections:approve")
+}
+
+// Supervisors see their department's corrections; everyone else only their own
+async function canViewCorrection(req, correction) {
+  if (String(correction.employee_uid) === String(req.user.id)) {
+    return true
+  }
+  return (await isApprover(req)) && (await canAccessEmployee(req, correction.employee_uid))
+}
+
+function canDecide(req, correction) {
+  return outranksEmployee(req.user, { uid: correction.employee_uid, access_level: correction.access_level })
+}
+
+async function getPayrollLockError(date) {
+  const period = await PayrollService.getLockedPeriod(date)
+  return period ? `Attendance on ${date} is locked by finalized payroll period ${period.name}` : null
+}
+
+// GET /api/attendance-corrections - Correction requests; callers without approval rights see their own
+router.get("/", requirePermission("corrections:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, employee_uid, start_date, end_date, limit = 50, offset = 0 } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (await isApprover(req)) {
+      addDepartmentCondition(req, conditions, params, "c.employee_uid")
+      if (employee_uid) {
+        conditions.push("c.employee_uid = ?")
+        params.push(employee_uid)
+      }
+    } else {
+      conditions.push("c.employee_uid = ?")
+      params.push(req.user.id)
+    }
+
+    if (status) {
+      conditions.push("c.status = ?")
+      params.push(status)
+    }
+
+    if (start_date) {
+      conditions.push("c.date >= ?")
+      params.push(start_date)
+    }
+
+    if (end_date) {
+      conditions.push("c.date <= ?")
+      params.push(end_date)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const corrections = await db.all(`
+      SELECT c.*, e.first_name, e.last_name, e.department
+      FROM attendance_corrections c
+      JOIN emp_list e ON e.uid = c.employee_uid
+      ${whereClause}
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, Number.parseInt(limit), Number.parseInt(offset)])
+
+    const total = await db.get(`SELECT COUNT(*) as count FROM attendance_corrections c ${whereClause}`, params)
+
+    res.json({
+      success: true,
+      data: corrections,
+      pagination: {
+        total: total.count,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching attendance corrections:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attendance corrections",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/attendance-corrections/pending - Pending corrections the caller can decide on
+router.get("/pending", requirePermission("corrections:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const conditions = ["c.status = 'pending'", "c.employee_uid != ?"]
+    const params = [req.user.id]
+    addDepartmentCondition(req, conditions, params, "c.employee_uid")
+
+    const pending = await db.all(`
+      SELECT c.*, e.first_name, e.last_name, e.department, e.access_level
+      FROM attendance_corrections c
+      JOIN emp_list e ON e.uid = c.employee_uid
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY c.created_at, c.id
+    `, params)
+
+    const corrections = pending.filter((correction) => canDecide(req, correction)).map(publicCorrection)
+
+    res.json({
+      success: true,
+      data: corrections,
+    })
+  } catch (error) {
+    console.error("Error fetching pending corrections:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch pending corrections",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/attendance-corrections/:id - One correction request
+router.get("/:id", requirePermission("corrections:request"), async (req, res) => {
+  try {
+    const correction = await findCorrection(req.params.id)
+
+    if (!correction || !(await canViewCorrection(req, correction))) {
+      return res.status(404).json({
+        success: false,
+        error: "Attendance correction not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: publicCorrection(correction),
+    })
+  } catch (error) {
+    console.error("Error fetching attendance correction:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attendance correction",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/attendance-corrections - File a correction
+// Wrong punch: { attendance_id, clock_time, clock_type?, reason }
+// Missing punch: { employee_uid?, date, clock_type, clock_time, reason }; employee_uid defaults to the caller
+router.post("/", requirePermission("corrections:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { attendance_id, clock_time, reason } = req.body
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "A reason is required",
+      })
+    }
+
+    if (!CorrectionService.isValidClockTime(clock_time)) {
+      return res.status(400).json({
+        success: false,
+        error: "clock_time must be a local date and time like 2025-09-30T08:00:00",
+      })
+    }
+
+    let correction
+
+    if (attendance_id) {
+      const punch = await db.get("SELECT * FROM attendance WHERE id = ?", [attendance_id])
+      if (!punch || !(await canViewCorrection(req, punch))) {
+        return res.status(404).json({
+          success: false,
+          error: "Attendance record not found",
+        })
+      }
+
+      correction = {
+        attendance_id: punch.id,
+        employee_uid: punch.employee_uid,
+        date: punch.date,
+        clock_type: req.body.clock_type || punch.clock_type,
+        original_clock_type: punch.clock_type,
+        original_clock_time: punch.clock_time,
+      }
+    } else {
+      const employeeUid = req.body.employee_uid ?? req.user.id
+      const employee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [employeeUid])
+      if (!employee || !(await canViewCorrection(req, { employee_uid: employee.uid }))) {
+        return res.status(404).json({
+          success: false,
+          error: "Employee not found",
+        })
+      }
+
+      if (!req.body.date || !req.body.clock_type) {
+        return res.status(400).json({
+          success: false,
+          error: "date and clock_type are required for a missing punch",
+        })
+      }
+
+      if (!LeaveService.isValidDate(req.body.date)) {
+        return res.status(400).json({
+          success: false,
+          error: "date must be YYYY-MM-DD",
+        })
+      }
+
+      correction = {
+        attendance_id: null,
+        employee_uid: employee.uid,
+        date: req.body.date,
+        clock_type: req.body.clock_type,
+        original_clock_type: null,
+        original_clock_time: null,
+      }
+    }
+
+    if (!ShiftService.CLOCK_TYPES.includes(correction.clock_type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid clock_type",
+        valid_types: ShiftService.CLOCK_TYPES,
+      })
+    }
+
+    // Night shifts may clock out after midnight, so the proposed time can run into the next day
+    const clockDate = clock_time.slice(0, 10)
+    if (clockDate !== correction.date && clockDate !== addDays(correction.date, 1)) {
+      return res.status(400).json({
+        success: false,
+        error: `clock_time must fall on ${correction.date} or the morning after`,
+      })
+    }
+
+    const lockError = await getPayrollLockError(correction.date) ||
+      await OffboardingService.getPunchBlockReason(correction.employee_uid, correction.date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    const pending = await db.get(`
+      SELECT id FROM attendance_corrections
+      WHERE status = 'pending' AND employee_uid = ? AND date = ?
+        AND (attendance_id = ? OR (attendance_id IS NULL AND ? IS NULL AND clock_type = ?))
+    `, [correction.employee_uid, correction.date, correction.attendance_id, correction.attendance_id, correction.clock_type])
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        error: `Correction #${pending.id} for this punch is already pending`,
+      })
+    }
+
+    const result = await db.run(`
+      INSERT INTO attendance_corrections (
+        attendance_id, employee_uid, date, clock_type, proposed_clock_time,
+        original_clock_type, original_clock_time, reason, requested_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      correction.attendance_id, correction.employee_uid, correction.date, correction.clock_type, clock_time,
+      correction.original_clock_type, correction.original_clock_time, String(reason).trim(), req.user.username,
+    ])
+
+    const created = publicCorrection(await findCorrection(result.lastID))
+
+    const { socketEvents } = require("../config/socket")
+    socketEvents.correctionRequested(created)
+
+    res.status(201).json({
+      success: true,
+      message: "Correction request filed successfully",
+      data: created,
+    })
+  } catch (error) {
+    console.error("Error filing attendance correction:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to file attendance correction",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/attendance-corrections/:id/approve - Apply the correction to the punch: { notes }
+router.post("/:id/approve", requirePermission("corrections:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const correction = await findCorrection(req.params.id)
+
+    if (!correction || !(await canAccessEmployee(req, correction.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Attendance correction not found",
+      })
+    }
+
+    if (correction.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Correction is already ${correction.status}`,
+      })
+    }
+
+    if (!canDecide(req, correction)) {
+      return res.status(403).json({
+        success: false,
+        error: "This correction must be approved by someone above the employee in their department",
+      })
+    }
+
+    const lockError = await getPayrollLockError(correction.date) ||
+      await OffboardingService.getPunchBlockReason(correction.employee_uid, correction.date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    if (correction.attendance_id) {
+      const punch = await db.get("SELECT clock_time FROM attendance WHERE id = ?", [correction.attendance_id])
+      if (!punch) {
+        return res.status(409).json({
+          success: false,
+          error: "The punch this correction was filed against has been deleted",
+        })
+      }
+    }
+
+    let applied
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      applied = await CorrectionService.apply(correction, req.user.username)
+
+      await db.run(`
+        UPDATE attendance_corrections
+        SET status = 'approved', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?,
+          applied_attendance_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, req.body.notes || null, applied.attendanceId, correction.id])
+
+      await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+        req.user.username,
+        `Approved attendance correction #${correction.id} for employee ${correction.employee_uid} on ${correction.date}`,
+      ])
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    const approved = publicCorrection(await findCorrection(correction.id))
+    const attendanceRecord = await db.get(`
+      SELECT a.*, e.first_name, e.middle_name, e.last_name, e.department, e.position
+      FROM attendance a
+      LEFT JOIN emp_list e ON a.employee_uid = e.uid
+      WHERE a.id = ?
+    `, [applied.attendanceId])
+
+    const { socketEvents } = require("../config/socket")
+    if (correction.attendance_id) {
+      socketEvents.attendanceUpdated(attendanceRecord)
+    } else {
+      socketEvents.attendanceCreated(attendanceRecord)
+    }
+    applied.summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+    socketEvents.correctionDecided(approved)
+
+    res.json({
+      success: true,
+      message: "Correction approved and applied",
+      data: {
+        correction: approved,
+        attendance: attendanceRecord,
+      },
+    })
+  } catch (error) {
+    console.error("Error approving attendance correction:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to approve attendance correction",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/attendance-corrections/:id/reject - Reject a pending correction: { notes }
+router.post("/:id/reject", requirePermission("corrections:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const correction = await findCorrection(req.params.id)
+
+    if (!correction || !(await canAccessEmployee(req, correction.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Attendance correction not found",
+      })
+    }
+
+    if (correction.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Correction is already ${correction.status}`,
+      })
+    }
+
+    if (!canDecide(req, correction)) {
+      return res.status(403).json({
+        success: false,
+        error: "This correction must be decided by someone above the employee in their department",
+      })
+    }
+
+    await db.run(`
+      UPDATE attendance_corrections
+      SET status = 'rejected', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.username, req.body.notes || null, correction.id])
+
+    const rejected = publicCorrection(await findCorrection(correction.id))
+
+    const { socketEvents } = require("../config/socket")
+    socketEvents.correctionDecided(rejected)
+
+    res.json({
+      success: true,
+      message: "Correction rejected",
+      data: rejected,
+    })
+  } catch (error) {
+    console.error("Error rejecting attendance correction:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to reject attendance correction",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/attendance-corrections/:id/cancel - Withdraw your own pending correction
+router.post("/:id/cancel", requirePermission("corrections:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const correction = await findCorrection(req.params.id)
+
+    if (!correction || !(await canViewCorrection(req, correction))) {
+      return res.status(404).json({
+        success: false,
+        error: "Attendance correction not found",
+      })
+    }
+
+    if (correction.requested_by !== req.user.username) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the person who filed a correction can withdraw it",
+      })
+    }
+
+    if (correction.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Correction is already ${correction.status}`,
+      })
+    }
+
+    await db.run(
+      "UPDATE attendance_corrections SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [correction.id],
+    )
+
+    const cancelled = publicCorrection(await findCorrection(correction.id))
+
+    const { socketEvents } = require("../config/socket")
+    socketEvents.correctionDecided(cancelled)
+
+    res.json({
+      success: true,
+      message: "Correction withdrawn",
+      data: cancelled,
+    })
+  } catch (error) {
+    console.error("Error cancelling attendance correction:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel attendance correction",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
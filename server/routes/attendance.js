@@ -1,15 +1,63 @@
 // server-attendance.js
 const express = require("express")
+const { requirePermission } = require("../middleware/permissions")
+const { addDepartmentCondition, departmentClause, isDepartmentInScope, canAccessEmployee } = require("../middleware/department-scope")
+const { requireDevice } = require("../middleware/device-auth")
+const ShiftService = require("../services/shift-service")
+const DailySummaryService = require("../services/daily-summary-service")
+const PayrollService = require("../services/payroll-service")
+const CorrectionService = require("../services/correction-service")
+const GeofenceService = require("../services/geofence-service")
+const SyncService = require("../services/sync-service")
+const ExceptionService = require("../services/exception-service")
+const OffboardingService = require("../services/offboarding-service")
+const { findProfilePicture } = require("../utils/uploads")
+const { localClockTime, localToday, addDays } = require("../utils/dates")
 const router = express.Router()
 
+// Scans of the same badge closer together than this are treated as accidental double scans
+const KIOSK_SCAN_INTERVAL_SECONDS = Number.parseInt(process.env.KIOSK_SCAN_INTERVAL_SECONDS) || 60
+
 // Get database instance
 function getDatabase() {
   const { getDatabase } = require("../config/database")
   return getDatabase()
 }
 
+// 409 body for attendance dates inside a finalized payroll period, or null when the date is open
+async function getPayrollLockError(date) {
+  const period = await PayrollService.getLockedPeriod(date)
+  return period
+    ? {
+      success: false,
+      error: `Attendance on ${date} is locked by finalized payroll period ${period.name}`,
+      payroll_period_id: period.id
+    }
+    : null
+}
+
+// 409 body for punches by a deleted employee or dated after their offboarding cutoff, or null
+async function getSeparationError(employeeUid, date) {
+  const reason = await OffboardingService.getPunchBlockReason(employeeUid, date)
+  return reason ? { success: false, error: reason } : null
+}
+
+// Whether the request may punch for an employee: they must be in the caller's department scope
+// and, on a device registered to a department, in that department whoever is signed in on it
+async function canPunchFor(req, employeeUid) {
+  if (!(await canAccessEmployee(req, employeeUid))) {
+    return false
+  }
+  if (!req.device || !req.device.department) {
+    return true
+  }
+
+  const employee = await getDatabase().get("SELECT department FROM emp_list WHERE uid = ?", [employeeUid])
+  return !!employee && employee.department === req.device.department
+}
+
 // GET /api/attendance - Get all attendance records with pagination and filtering
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -72,6 +120,8 @@ router.get("/", async (req, res) => {
       params.push(end_date)
     }
 
+    addDepartmentCondition(req, conditions, params, "a.employee_uid")
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
 
     // Validate sort parameters
@@ -128,10 +178,14 @@ router.get("/", async (req, res) => {
 })
 
 // POST /api/attendance - Handle attendance sync from Electron app (matches your existing sync function)
-router.post("/", async (req, res) => {
+// Records are stamped with the sending device; client-supplied location, IP and device info are ignored.
+// Sync protocol: { batch_id, attendance_data: [{ client_uuid, ...punch }] }. Every record gets an
+// entry in `results`, keyed by client_uuid (or its index), saying whether it was created, was
+// already on the server, or failed. A retried batch_id gets the stored results back unchanged.
+router.post("/", requirePermission("attendance:write"), requireDevice, async (req, res) => {
   try {
     const db = getDatabase()
-    const { attendance_data } = req.body
+    const { attendance_data, batch_id } = req.body
 
     // Handle both single record and array formats
     const records = Array.isArray(attendance_data) ? attendance_data :
@@ -146,93 +200,197 @@ router.post("/", async (req, res) => {
       })
     }
 
+    if (batch_id !== undefined && !SyncService.isValidBatchId(batch_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "batch_id must be 1-100 letters, digits, '-', '_', '.' or ':'"
+      })
+    }
+
+    const clientUuids = records.map((record) => record.client_uuid).filter((uuid) => uuid !== undefined && uuid !== null)
+    const invalidUuid = clientUuids.find((uuid) => !SyncService.isValidClientUuid(uuid))
+    if (invalidUuid !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "client_uuid must be a UUID",
+        client_uuid: invalidUuid
+      })
+    }
+    if (new Set(clientUuids).size !== clientUuids.length) {
+      return res.status(400).json({
+        success: false,
+        error: "client_uuid values must be unique within a batch"
+      })
+    }
+
+    if (batch_id) {
+      const applied = await SyncService.getBatch(batch_id)
+      if (applied) {
+        if (applied.device_id !== req.device.id) {
+          return res.status(409).json({
+            success: false,
+            error: "batch_id was already used by another device"
+          })
+        }
+
+        return res.json({
+          success: true,
+          message: `Batch ${batch_id} was already applied`,
+          batch_id,
+          replayed: true,
+          processed_count: applied.created_count,
+          duplicate_count: applied.duplicate_count,
+          error_count: applied.error_count,
+          total_submitted: applied.record_count,
+          results: applied.results
+        })
+      }
+    }
+
     console.log(`Processing ${records.length} attendance records from sync`)
 
     let processedCount = 0
     let duplicateCount = 0
     let errorCount = 0
     const errors = []
+    const results = {}
+    const affectedDays = []
 
     // Begin transaction for batch processing
     await db.run("BEGIN TRANSACTION")
 
     try {
-      for (let i = 0; i < records.length; i++) {
+      // Ins before their outs, so each out can be paired with the shift session it closes
+      const processingOrder = records
+        .map((record, index) => index)
+        .sort((a, b) => String(records[a].clock_time).localeCompare(String(records[b].clock_time)))
+
+      for (const i of processingOrder) {
         const record = records[i]
+        const resultKey = record.client_uuid || String(i)
+
+        const fail = (error, details = {}) => {
+          errors.push({ index: i, error, ...details })
+          results[resultKey] = { index: i, status: "error", error }
+          errorCount++
+        }
+
+        // Each record applies completely or not at all
+        await db.run("SAVEPOINT sync_record")
 
         try {
           // Validate required fields
           if (!record.employee_uid || !record.clock_type || !record.clock_time || !record.date) {
-            errors.push({
-              index: i,
-              error: "Missing required fields",
-              record_id: record.id || 'unknown'
-            })
-            errorCount++
+            fail("Missing required fields", { record_id: record.id || 'unknown' })
+            await db.run("RELEASE sync_record")
             continue
           }
 
+          // Already landed in an earlier (possibly interrupted) sync
+          const existingByUuid = record.client_uuid
+            ? await db.get("SELECT id FROM attendance WHERE client_uuid = ?", [record.client_uuid])
+            : null
+
           // Check for duplicate based on unique combination
-          const existingRecord = await db.get(`
+          const existingRecord = existingByUuid || await db.get(`
             SELECT id FROM attendance 
             WHERE employee_uid = ? AND clock_time = ? AND date = ? AND clock_type = ?
           `, [record.employee_uid, record.clock_time, record.date, record.clock_type])
 
           if (existingRecord) {
+            if (record.client_uuid && !existingByUuid) {
+              await db.run("UPDATE attendance SET client_uuid = ? WHERE id = ? AND client_uuid IS NULL", [
+                record.client_uuid, existingRecord.id
+              ])
+            }
+            results[resultKey] = { index: i, status: "duplicate", attendance_id: existingRecord.id }
             duplicateCount++
             console.log(`Duplicate record found for employee ${record.employee_uid} on ${record.date} at ${record.clock_time}`)
+            await db.run("RELEASE sync_record")
             continue
           }
 
           // Ensure employee exists
           const employee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [record.employee_uid])
           if (!employee) {
-            errors.push({
-              index: i,
-              error: "Employee not found",
-              employee_uid: record.employee_uid
-            })
-            errorCount++
+            fail("Employee not found", { employee_uid: record.employee_uid })
+            await db.run("RELEASE sync_record")
+            continue
+          }
+
+          if (!(await canPunchFor(req, record.employee_uid))) {
+            fail("Employee is outside this device's department", { employee_uid: record.employee_uid })
+            await db.run("RELEASE sync_record")
+            continue
+          }
+
+          const lockError = await getPayrollLockError(record.date) || await getSeparationError(record.employee_uid, record.date)
+          if (lockError) {
+            fail(lockError.error, { employee_uid: record.employee_uid })
+            await db.run("RELEASE sync_record")
             continue
           }
 
+          // Lateness and hours come from the employee's shift, not the client
+          const evaluated = await ShiftService.evaluatePunch(record)
+
           // Insert the attendance record
-          await db.run(`
+          const inserted = await db.run(`
             INSERT INTO attendance (
               employee_uid, id_number, clock_type, clock_time, regular_hours,
               overtime_hours, date, is_late, notes, location, ip_address,
-              device_info, is_synced, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+              device_info, device_id, client_uuid, sync_batch_id, is_synced, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
           `, [
             record.employee_uid,
             record.id_number || null,
             record.clock_type,
             record.clock_time,
-            record.regular_hours || 0,
-            record.overtime_hours || 0,
+            evaluated.regular_hours,
+            evaluated.overtime_hours,
             record.date,
-            record.is_late || 0,
+            evaluated.is_late,
             record.notes || null,
-            record.location || null,
-            record.ip_address || null,
-            record.device_info || null,
+            req.device.location,
+            req.ip,
+            req.device.name,
+            req.device.id,
+            record.client_uuid || null,
+            batch_id || null,
             1, // Mark as synced since it's coming from client
             record.created_at || new Date().toISOString()
           ])
 
+          if (record.clock_type.endsWith("_in")) {
+            await ShiftService.recalculateSession(record.employee_uid, record.date, record.clock_type)
+          }
+
+          await db.run("RELEASE sync_record")
+          affectedDays.push({ employee_uid: record.employee_uid, date: record.date })
+          results[resultKey] = { index: i, status: "created", attendance_id: inserted.lastID }
+
           processedCount++
 
         } catch (recordError) {
+          await db.run("ROLLBACK TO sync_record")
+          await db.run("RELEASE sync_record")
           console.error(`Error processing record ${i}:`, recordError)
-          errors.push({
-            index: i,
-            error: recordError.message,
-            employee_uid: record.employee_uid
-          })
-          errorCount++
+          fail(recordError.message, { employee_uid: record.employee_uid })
         }
       }
 
+      const summaryResults = await DailySummaryService.recomputeMany(affectedDays)
+
+      if (batch_id) {
+        await SyncService.saveBatch(batch_id, {
+          deviceId: req.device.id,
+          submittedBy: req.user.username,
+          recordCount: records.length,
+          counts: { created: processedCount, duplicate: duplicateCount, error: errorCount },
+          results
+        })
+      }
+
       await db.run("COMMIT")
 
       // Emit socket event for synced records if any were processed
@@ -240,16 +398,19 @@ router.post("/", async (req, res) => {
         const { socketEvents } = require("../config/socket")
         socketEvents.attendanceSynced({ synced_count: processedCount })
       }
+      summaryResults.forEach((result) => DailySummaryService.emitResult(result))
 
       // Send success response matching your existing sync expectation
       res.json({
         success: true,
         message: `Successfully processed ${processedCount} attendance records`,
+        batch_id: batch_id || undefined,
         processed_count: processedCount,
         duplicate_count: duplicateCount,
         error_count: errorCount,
         total_submitted: records.length,
-        errors: errors.length > 0 ? errors : undefined
+        errors: errors.length > 0 ? errors : undefined,
+        results
       })
 
     } catch (transactionError) {
@@ -268,7 +429,9 @@ router.post("/", async (req, res) => {
 })
 
 // POST /api/attendance/record - Create single attendance record (for direct API usage)
-router.post("/record", async (req, res) => {
+// Location, IP and device info come from the registered device, not the payload. Phones send
+// latitude/longitude, which are checked against the employee's geofenced sites.
+router.post("/record", requirePermission("attendance:write"), requireDevice, async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -276,14 +439,9 @@ router.post("/record", async (req, res) => {
       id_number,
       clock_type,
       clock_time,
-      regular_hours = 0,
-      overtime_hours = 0,
       date,
-      is_late = 0,
       notes,
-      location,
-      ip_address,
-      device_info
+      client_uuid
     } = req.body
 
     // Validate required fields
@@ -296,12 +454,39 @@ router.post("/record", async (req, res) => {
     }
 
     // Validate clock_type
-    const validClockTypes = ["morning_in", "morning_out", "afternoon_in", "afternoon_out", "overtime_in", "overtime_out"]
-    if (!validClockTypes.includes(clock_type)) {
+    if (!ShiftService.CLOCK_TYPES.includes(clock_type)) {
       return res.status(400).json({
         success: false,
         error: "Invalid clock_type",
-        valid_types: validClockTypes
+        valid_types: ShiftService.CLOCK_TYPES
+      })
+    }
+
+    if (client_uuid !== undefined && !SyncService.isValidClientUuid(client_uuid)) {
+      return res.status(400).json({
+        success: false,
+        error: "client_uuid must be a UUID"
+      })
+    }
+
+    // A retry of a punch that already landed gets the stored record back
+    if (client_uuid) {
+      const landed = await db.get("SELECT * FROM attendance WHERE client_uuid = ?", [client_uuid])
+      if (landed) {
+        return res.json({
+          success: true,
+          message: "Attendance record already recorded",
+          duplicate: true,
+          data: landed
+        })
+      }
+    }
+
+    const { coordinates, error: coordinatesError } = GeofenceService.parseCoordinates(req.body)
+    if (coordinatesError) {
+      return res.status(400).json({
+        success: false,
+        error: coordinatesError
       })
     }
 
@@ -314,6 +499,33 @@ router.post("/record", async (req, res) => {
       })
     }
 
+    if (!(await canPunchFor(req, employee_uid))) {
+      return res.status(403).json({
+        success: false,
+        error: "Employee is outside this device's department"
+      })
+    }
+
+    const geofence = await GeofenceService.evaluate(employee_uid, coordinates)
+    if (geofence.action === "reject") {
+      return res.status(403).json({
+        success: false,
+        error: geofence.status === "no_location"
+          ? "Location is required to clock in for this employee"
+          : `Punch is ${geofence.distance_meters} m from ${geofence.site.name}, outside its ${geofence.site.radius_meters} m geofence`,
+        geofence: {
+          status: geofence.status,
+          site_id: geofence.site ? geofence.site.id : null,
+          distance_meters: geofence.distance_meters
+        }
+      })
+    }
+
+    const lockError = await getPayrollLockError(date) || await getSeparationError(employee_uid, date)
+    if (lockError) {
+      return res.status(409).json(lockError)
+    }
+
     // Check for duplicates
     const existingRecord = await db.get(`
       SELECT id FROM attendance 
@@ -328,16 +540,30 @@ router.post("/record", async (req, res) => {
       })
     }
 
+    // Lateness and hours come from the employee's shift, not the client
+    const { is_late, regular_hours, overtime_hours } = await ShiftService.evaluatePunch({
+      employee_uid, clock_type, clock_time, date
+    })
+
     const result = await db.run(`
       INSERT INTO attendance (
         employee_uid, id_number, clock_type, clock_time, regular_hours, 
-        overtime_hours, date, is_late, notes, location, ip_address, device_info, is_synced
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+        overtime_hours, date, is_late, notes, location, ip_address, device_info, device_id,
+        latitude, longitude, geofence_site_id, geofence_distance_meters, geofence_status, client_uuid, is_synced
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
     `, [
       employee_uid, id_number, clock_type, clock_time, regular_hours,
-      overtime_hours, date, is_late, notes, location, ip_address, device_info
+      overtime_hours, date, is_late, notes, req.device.location, req.ip, req.device.name, req.device.id,
+      coordinates ? coordinates.latitude : null, coordinates ? coordinates.longitude : null,
+      geofence.site ? geofence.site.id : null, geofence.distance_meters, geofence.status, client_uuid || null
     ])
 
+    // An in arriving after its out (late sync) completes that session
+    if (clock_type.endsWith("_in")) {
+      await ShiftService.recalculateSession(employee_uid, date, clock_type)
+    }
+    const summaryResult = await DailySummaryService.recompute(employee_uid, date)
+
     // Fetch the created record with employee details
     const newRecord = await db.get(`
       SELECT 
@@ -357,10 +583,13 @@ router.post("/record", async (req, res) => {
       const { socketEvents } = require("../config/socket")
       socketEvents.attendanceCreated(newRecord)
     }
+    DailySummaryService.emitResult(summaryResult)
 
     res.status(201).json({
       success: true,
-      message: "Attendance record created successfully",
+      message: geofence.action === "flag"
+        ? `Attendance record created and flagged (${geofence.status === "no_location" ? "no location sent" : "outside geofence"})`
+        : "Attendance record created successfully",
       data: newRecord
     })
 
@@ -374,11 +603,209 @@ router.post("/record", async (req, res) => {
   }
 })
 
+/**
+ * Work date a kiosk scan belongs to: a scan after midnight closes a session still open from the
+ * day before when that session's window runs past midnight (night shifts); otherwise it is today
+ */
+async function resolveKioskWorkDate(db, employeeUid, today, clockTime) {
+  const yesterday = addDays(today, -1)
+  const lastYesterday = await db.get(`
+    SELECT clock_type FROM attendance
+    WHERE employee_uid = ? AND date = ?
+    ORDER BY clock_time DESC
+    LIMIT 1
+  `, [employeeUid, yesterday])
+
+  const punchedToday = await db.get("SELECT 1 FROM attendance WHERE employee_uid = ? AND date = ?", [employeeUid, today])
+  if (punchedToday || !lastYesterday || !lastYesterday.clock_type.endsWith("_in")) {
+    return today
+  }
+
+  const shift = await ShiftService.getEffectiveShift(employeeUid, yesterday)
+  const window = ShiftService.getWindow(shift, lastYesterday.clock_type.split("_")[0])
+  const minutes = Number(clockTime.slice(11, 13)) * 60 + Number(clockTime.slice(14, 16))
+
+  // Allow up to four hours of overtime past the end of the window
+  return window && window.end > 24 * 60 && minutes <= window.end - 24 * 60 + 4 * 60 ? yesterday : today
+}
+
+// POST /api/attendance/kiosk - Punch from a badge scan: { barcode }
+// The barcode may be an employee's id_barcode or id_number; the clock type is inferred from the
+// day's punches and the employee's shift, and the response carries what the kiosk shows on screen.
+// The kiosk is identified by its device key.
+router.post("/kiosk", requirePermission("attendance:write"), requireDevice, async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { barcode } = req.body
+
+    if (!barcode || !String(barcode).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "barcode is required"
+      })
+    }
+
+    const code = String(barcode).trim()
+    const employee = await db.get(`
+      SELECT uid, id_number, id_barcode, first_name, middle_name, last_name, department, position, status
+      FROM emp_list
+      WHERE id_barcode = ? OR id_number = ?
+      ORDER BY CASE WHEN id_barcode = ? THEN 0 ELSE 1 END
+      LIMIT 1
+    `, [code, code, code])
+
+    if (!employee || !(await canPunchFor(req, employee.uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Badge not recognised"
+      })
+    }
+
+    if (employee.status && employee.status !== "Active") {
+      return res.status(403).json({
+        success: false,
+        error: `${employee.first_name} ${employee.last_name} is not an active employee`
+      })
+    }
+
+    const now = new Date()
+    const clock_time = localClockTime(now)
+
+    const lastPunch = await db.get(`
+      SELECT clock_type, clock_time FROM attendance
+      WHERE employee_uid = ?
+      ORDER BY clock_time DESC
+      LIMIT 1
+    `, [employee.uid])
+
+    if (lastPunch) {
+      const secondsSince = (now.getTime() - new Date(lastPunch.clock_time).getTime()) / 1000
+      if (secondsSince >= 0 && secondsSince < KIOSK_SCAN_INTERVAL_SECONDS) {
+        return res.status(409).json({
+          success: false,
+          error: "Already scanned",
+          message: `${lastPunch.clock_type} was recorded ${Math.round(secondsSince)} seconds ago`,
+          duplicate_scan: true,
+          retry_after_seconds: Math.ceil(KIOSK_SCAN_INTERVAL_SECONDS - secondsSince)
+        })
+      }
+    }
+
+    const date = await resolveKioskWorkDate(db, employee.uid, clock_time.split("T")[0], clock_time)
+
+    const lockError = await getPayrollLockError(date) || await getSeparationError(employee.uid, date)
+    if (lockError) {
+      return res.status(409).json(lockError)
+    }
+
+    const punchesToday = await db.all(`
+      SELECT clock_type, clock_time FROM attendance
+      WHERE employee_uid = ? AND date = ?
+      ORDER BY clock_time ASC
+    `, [employee.uid, date])
+
+    const shift = await ShiftService.getEffectiveShift(employee.uid, date)
+    const clock_type = ShiftService.inferClockType(shift, punchesToday, clock_time)
+
+    const { is_late, regular_hours, overtime_hours } = await ShiftService.evaluatePunch({
+      employee_uid: employee.uid, clock_type, clock_time, date
+    })
+
+    const result = await db.run(`
+      INSERT INTO attendance (
+        employee_uid, id_number, id_barcode, clock_type, clock_time, regular_hours,
+        overtime_hours, date, is_late, location, ip_address, device_info, device_id, is_synced
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+    `, [
+      employee.uid, employee.id_number || "", employee.id_barcode, clock_type, clock_time, regular_hours,
+      overtime_hours, date, is_late, req.device.location, req.ip, req.device.name, req.device.id
+    ])
+
+    const summaryResult = await DailySummaryService.recompute(employee.uid, date)
+
+    const newRecord = await db.get(`
+      SELECT 
+        a.*,
+        e.first_name,
+        e.middle_name,
+        e.last_name,
+        e.department,
+        e.position
+      FROM attendance a
+      LEFT JOIN emp_list e ON a.employee_uid = e.uid
+      WHERE a.id = ?
+    `, [result.lastID])
+
+    const { socketEvents } = require("../config/socket")
+    socketEvents.attendanceCreated(newRecord)
+    DailySummaryService.emitResult(summaryResult)
+
+    res.status(201).json({
+      success: true,
+      message: `${clock_type.replace("_", " ")} recorded`,
+      data: {
+        employee: {
+          uid: employee.uid,
+          id_number: employee.id_number,
+          name: [employee.first_name, employee.middle_name, employee.last_name].filter(Boolean).join(" "),
+          department: employee.department,
+          position: employee.position,
+          profile_picture_url: `/api/attendance/kiosk/photo/${employee.uid}`
+        },
+        clock_type,
+        clock_time,
+        date,
+        is_late,
+        regular_hours,
+        overtime_hours,
+        shift: shift ? { id: shift.id, name: shift.name } : null,
+        record: newRecord
+      }
+    })
+
+  } catch (error) {
+    console.error("Error recording kiosk punch:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to record kiosk punch",
+      message: error.message
+    })
+  }
+})
+
+// GET /api/attendance/kiosk/photo/:uid - Profile picture for the kiosk's confirmation screen.
+// Served to the device itself, for employees it may punch for.
+router.get("/kiosk/photo/:uid", requirePermission("attendance:write"), requireDevice, async (req, res) => {
+  try {
+    const uid = Number.parseInt(req.params.uid)
+    const picture = Number.isInteger(uid) && (await canPunchFor(req, uid)) ? await findProfilePicture(uid) : null
+
+    if (!picture) {
+      return res.status(404).json({
+        success: false,
+        error: "No profile picture found for this employee"
+      })
+    }
+
+    res.setHeader("Cache-Control", "private, max-age=3600")
+    res.sendFile(picture)
+  } catch (error) {
+    console.error("Error serving kiosk photo:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve profile picture",
+      message: error.message
+    })
+  }
+})
+
 // GET /api/attendance/unsynced - Get unsynced attendance records
-router.get("/unsynced", async (req, res) => {
+router.get("/unsynced", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { limit = 100 } = req.query
+    const scope = departmentClause(req, "employee_uid")
+    const joinedScope = departmentClause(req, "a.employee_uid")
 
     const records = await db.all(`
       SELECT 
@@ -390,12 +817,15 @@ router.get("/unsynced", async (req, res) => {
         e.position
       FROM attendance a
       LEFT JOIN emp_list e ON a.employee_uid = e.uid
-      WHERE a.is_synced = 0
+      WHERE a.is_synced = 0${joinedScope.sql}
       ORDER BY a.created_at DESC
       LIMIT ?
-    `, [parseInt(limit)])
+    `, [...joinedScope.params, parseInt(limit)])
 
-    const totalUnsynced = await db.get("SELECT COUNT(*) as count FROM attendance WHERE is_synced = 0")
+    const totalUnsynced = await db.get(
+      `SELECT COUNT(*) as count FROM attendance WHERE is_synced = 0${scope.sql}`,
+      scope.params
+    )
 
     res.json({
       success: true,
@@ -413,8 +843,43 @@ router.get("/unsynced", async (req, res) => {
   }
 })
 
+// GET /api/attendance/changes?since=0&limit=500 - Server-side changes to punches after a cursor,
+// for offline clients to pull edits, corrections and deletions back down. Start from the
+// latest_cursor returned here after a full download and keep passing next_cursor.
+router.get("/changes", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const since = req.query.since === undefined ? 0 : Number(req.query.since)
+    const limit = Math.min(Number.parseInt(req.query.limit) || 500, SyncService.MAX_CHANGES_PAGE)
+
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "since must be a cursor returned by this endpoint"
+      })
+    }
+
+    const feed = await SyncService.getChanges(since, limit, departmentClause(req, "c.employee_uid"))
+
+    res.json({
+      success: true,
+      data: feed.changes,
+      next_cursor: feed.next_cursor,
+      has_more: feed.has_more,
+      latest_cursor: await SyncService.getLatestCursor()
+    })
+
+  } catch (error) {
+    console.error("Error fetching attendance changes:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attendance changes",
+      message: error.message
+    })
+  }
+})
+
 // POST /api/attendance/mark-synced - Mark records as synced
-router.post("/mark-synced", async (req, res) => {
+router.post("/mark-synced", requirePermission("attendance:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { record_ids } = req.body
@@ -427,11 +892,12 @@ router.post("/mark-synced", async (req, res) => {
     }
 
     const placeholders = record_ids.map(() => '?').join(',')
+    const scope = departmentClause(req, "employee_uid")
     const result = await db.run(`
       UPDATE attendance 
       SET is_synced = 1, updated_at = CURRENT_TIMESTAMP 
-      WHERE id IN (${placeholders})
-    `, record_ids)
+      WHERE id IN (${placeholders})${scope.sql}
+    `, [...record_ids, ...scope.params])
 
     res.json({
       success: true,
@@ -455,10 +921,12 @@ router.post("/mark-synced", async (req, res) => {
 })
 
 // GET /api/attendance/stats - Get attendance statistics
-router.get("/stats", async (req, res) => {
+router.get("/stats", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { date = new Date().toISOString().split('T')[0] } = req.query
+    const scope = departmentClause(req, "employee_uid")
+    const joinedScope = departmentClause(req, "a.employee_uid")
 
     // Today's statistics
     const todayStats = await db.get(`
@@ -471,11 +939,14 @@ router.get("/stats", async (req, res) => {
         COUNT(CASE WHEN clock_type LIKE '%_in' THEN 1 END) as clock_ins,
         COUNT(CASE WHEN clock_type LIKE '%_out' THEN 1 END) as clock_outs
       FROM attendance 
-      WHERE date = ?
-    `, [date])
+      WHERE date = ?${scope.sql}
+    `, [date, ...scope.params])
 
     // Unsynced count
-    const unsyncedResult = await db.get("SELECT COUNT(*) as count FROM attendance WHERE is_synced = 0")
+    const unsyncedResult = await db.get(
+      `SELECT COUNT(*) as count FROM attendance WHERE is_synced = 0${scope.sql}`,
+      scope.params
+    )
 
     // Recent activity (last 10 records)
     const recentActivity = await db.all(`
@@ -487,9 +958,10 @@ router.get("/stats", async (req, res) => {
         e.last_name
       FROM attendance a
       LEFT JOIN emp_list e ON a.employee_uid = e.uid
+      WHERE 1=1${joinedScope.sql}
       ORDER BY a.created_at DESC
       LIMIT 10
-    `)
+    `, joinedScope.params)
 
     res.json({
       success: true,
@@ -511,8 +983,105 @@ router.get("/stats", async (req, res) => {
   }
 })
 
+// GET /api/attendance/exceptions?date=YYYY-MM-DD&department=&type=absent - End-of-day exception report
+// by department. Defaults to the latest day the detection job has checked.
+router.get("/exceptions", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { department, type } = req.query
+    let { date } = req.query
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "date must be YYYY-MM-DD"
+      })
+    }
+
+    if (type && !ExceptionService.EXCEPTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid exception type",
+        valid_types: ExceptionService.EXCEPTION_TYPES
+      })
+    }
+
+    if (!date) {
+      const latest = await db.get("SELECT MAX(date) as date FROM attendance_exception_runs")
+      date = latest.date || addDays(localToday(), -1)
+    }
+
+    const conditions = []
+    const params = []
+
+    if (department) {
+      conditions.push("x.department = ?")
+      params.push(department)
+    }
+
+    if (type) {
+      conditions.push("x.exception_type = ?")
+      params.push(type)
+    }
+
+    addDepartmentCondition(req, conditions, params, "x.employee_uid")
+
+    const report = await ExceptionService.getReport(date, conditions, params)
+
+    res.json({
+      success: true,
+      data: report
+    })
+
+  } catch (error) {
+    console.error("Error fetching attendance exceptions:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attendance exceptions",
+      message: error.message
+    })
+  }
+})
+
+// POST /api/attendance/exceptions/run - Re-check a day now, e.g. after corrections: { date }
+// Today can be checked before it is over; that run is provisional and leaves out absences and
+// missing clock-outs, and the end-of-day schedule still runs.
+router.post("/exceptions/run", requirePermission("attendance:write"), async (req, res) => {
+  try {
+    const date = req.body.date || localToday()
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > localToday()) {
+      return res.status(400).json({
+        success: false,
+        error: "date must be a YYYY-MM-DD date no later than today"
+      })
+    }
+
+    await ExceptionService.runForDate(date, req.user.username)
+
+    const conditions = []
+    const params = []
+    addDepartmentCondition(req, conditions, params, "x.employee_uid")
+    const report = await ExceptionService.getReport(date, conditions, params)
+
+    res.json({
+      success: true,
+      message: `Exception detection completed for ${date}`,
+      data: report
+    })
+
+  } catch (error) {
+    console.error("Error running exception detection:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to run exception detection",
+      message: error.message
+    })
+  }
+})
+
 // GET /api/attendance/:id - Get specific attendance record
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -531,7 +1100,7 @@ router.get("/:id", async (req, res) => {
       WHERE a.id = ?
     `, [id])
 
-    if (!record) {
+    if (!record || !isDepartmentInScope(req, record.department)) {
       return res.status(404).json({
         success: false,
         error: "Attendance record not found"
@@ -553,8 +1122,43 @@ router.get("/:id", async (req, res) => {
   }
 })
 
-// PUT /api/attendance/:id - Update attendance record
-router.put("/:id", async (req, res) => {
+// GET /api/attendance/:id/history - Audit trail of edits and approved corrections to a punch
+router.get("/:id/history", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const record = await db.get("SELECT id, employee_uid FROM attendance WHERE id = ?", [req.params.id])
+    const history = await CorrectionService.getHistory(req.params.id)
+
+    // Deleted punches keep their history; scope is checked against whoever the punch belonged to
+    const employeeUid = record ? record.employee_uid : history[0]?.old_values?.employee_uid
+    if ((!record && history.length === 0) || !(await canAccessEmployee(req, employeeUid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Attendance record not found"
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        attendance_id: parseInt(req.params.id),
+        deleted: !record,
+        history
+      }
+    })
+
+  } catch (error) {
+    console.error("Error fetching attendance history:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch attendance history",
+      message: error.message
+    })
+  }
+})
+
+// PUT /api/attendance/:id - Update attendance record. The previous values are kept in attendance_audit.
+router.put("/:id", requirePermission("attendance:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -563,20 +1167,14 @@ router.put("/:id", async (req, res) => {
       id_number,
       clock_type,
       clock_time,
-      regular_hours,
-      overtime_hours,
       date,
-      is_late,
       is_synced,
-      notes,
-      location,
-      ip_address,
-      device_info
+      notes
     } = req.body
 
     // Check if record exists
-    const existingRecord = await db.get("SELECT id FROM attendance WHERE id = ?", [id])
-    if (!existingRecord) {
+    const existingRecord = await db.get("SELECT * FROM attendance WHERE id = ?", [id])
+    if (!existingRecord || !(await canAccessEmployee(req, existingRecord.employee_uid))) {
       return res.status(404).json({
         success: false,
         error: "Attendance record not found"
@@ -585,23 +1183,56 @@ router.put("/:id", async (req, res) => {
 
     // Validate clock_type if provided
     if (clock_type) {
-      const validClockTypes = ["morning_in", "morning_out", "afternoon_in", "afternoon_out", "overtime_in", "overtime_out"]
-      if (!validClockTypes.includes(clock_type)) {
+      if (!ShiftService.CLOCK_TYPES.includes(clock_type)) {
         return res.status(400).json({
           success: false,
           error: "Invalid clock_type",
-          valid_types: validClockTypes
+          valid_types: ShiftService.CLOCK_TYPES
+        })
+      }
+    }
+
+    // Moving the punch to another employee needs that employee to exist and be in scope too
+    if (employee_uid !== undefined && String(employee_uid) !== String(existingRecord.employee_uid)) {
+      const targetEmployee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [employee_uid])
+      if (!targetEmployee || !(await canAccessEmployee(req, employee_uid))) {
+        return res.status(400).json({
+          success: false,
+          error: "Employee not found"
         })
       }
     }
 
-    // Build update query dynamically
+    const lockError = await getPayrollLockError(existingRecord.date) || (date && await getPayrollLockError(date)) ||
+      ((date || employee_uid) && await getSeparationError(employee_uid || existingRecord.employee_uid, date || existingRecord.date))
+    if (lockError) {
+      return res.status(409).json(lockError)
+    }
+
+    // Build update query dynamically. Location and device details were stamped by the device
+    // that recorded the punch and are not editable.
     const updates = []
     const params = []
 
     const fields = {
-      employee_uid, id_number, clock_type, clock_time, regular_hours,
-      overtime_hours, date, is_late, is_synced, notes, location, ip_address, device_info
+      employee_uid, id_number, clock_type, clock_time, date,
+      is_synced, notes
+    }
+
+    // Moving the punch re-evaluates it against the shift
+    const timingChanged = [employee_uid, clock_type, clock_time, date].some((value) => value !== undefined)
+    const updatedPunch = {
+      employee_uid: employee_uid !== undefined ? employee_uid : existingRecord.employee_uid,
+      clock_type: clock_type || existingRecord.clock_type,
+      clock_time: clock_time || existingRecord.clock_time,
+      date: date || existingRecord.date,
+    }
+
+    if (timingChanged) {
+      const evaluated = await ShiftService.evaluatePunch(updatedPunch, { excludeId: existingRecord.id })
+      fields.is_late = evaluated.is_late
+      fields.regular_hours = evaluated.regular_hours
+      fields.overtime_hours = evaluated.overtime_hours
     }
 
     for (const [field, value] of Object.entries(fields)) {
@@ -628,6 +1259,20 @@ router.put("/:id", async (req, res) => {
   WHERE id = ?
 `, params)
 
+    const auditedRecord = await db.get("SELECT * FROM attendance WHERE id = ?", [id])
+    await CorrectionService.audit(existingRecord.id, "update", existingRecord, auditedRecord, req.user.username)
+
+    if (timingChanged) {
+      await ShiftService.recalculateSession(existingRecord.employee_uid, existingRecord.date, existingRecord.clock_type)
+      await ShiftService.recalculateSession(updatedPunch.employee_uid, updatedPunch.date, updatedPunch.clock_type)
+    }
+
+    // The punch may have moved to another employee or day, so both summaries are refreshed
+    const summaryResults = await DailySummaryService.recomputeMany([
+      { employee_uid: existingRecord.employee_uid, date: existingRecord.date },
+      { employee_uid: updatedPunch.employee_uid, date: updatedPunch.date },
+    ])
+
     // Fetch updated record with employee details
     const updatedRecord = await db.get(`
   SELECT 
@@ -645,6 +1290,7 @@ router.put("/:id", async (req, res) => {
     // Emit socket event BEFORE response
     const { socketEvents } = require("../config/socket")
     socketEvents.attendanceUpdated(updatedRecord)
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
 
     res.json({
       success: true,
@@ -663,27 +1309,40 @@ router.put("/:id", async (req, res) => {
 })
 
 // DELETE /api/attendance/:id - Delete attendance record
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("attendance:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
 
     // Check if record exists
-    const existingRecord = await db.get("SELECT id FROM attendance WHERE id = ?", [id])
-    if (!existingRecord) {
+    const existingRecord = await db.get("SELECT * FROM attendance WHERE id = ?", [id])
+    if (!existingRecord || !(await canAccessEmployee(req, existingRecord.employee_uid))) {
       return res.status(404).json({
         success: false,
         error: "Attendance record not found"
       })
     }
 
-    const result = await db.run("DELETE FROM attendance WHERE id = ?", [id])
+    const lockError = await getPayrollLockError(existingRecord.date)
+    if (lockError) {
+      return res.status(409).json(lockError)
+    }
+
+    await db.run("DELETE FROM attendance WHERE id = ?", [id])
+    await CorrectionService.audit(existingRecord.id, "delete", existingRecord, null, req.user.username)
+
+    // Outs that were paired with a deleted in lose their hours
+    if (existingRecord.clock_type.endsWith("_in")) {
+      await ShiftService.recalculateSession(existingRecord.employee_uid, existingRecord.date, existingRecord.clock_type)
+    }
+    const summaryResult = await DailySummaryService.recompute(existingRecord.employee_uid, existingRecord.date)
 
     // Emit socket event BEFORE response
     const { socketEvents } = require("../config/socket")
     socketEvents.attendanceDeleted({ id: parseInt(id) })
+    DailySummaryService.emitResult(summaryResult)
 
-    result.json({
+    res.json({
       success: true,
       message: "Attendance record deleted successfully"
     })
@@ -699,7 +1358,7 @@ router.delete("/:id", async (req, res) => {
 })
 
 // GET /api/attendance/employee/:employee_uid - Get attendance records for specific employee
-router.get("/employee/:employee_uid", async (req, res) => {
+router.get("/employee/:employee_uid", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { employee_uid } = req.params
@@ -711,6 +1370,13 @@ router.get("/employee/:employee_uid", async (req, res) => {
       clock_type
     } = req.query
 
+    if (!(await canAccessEmployee(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found"
+      })
+    }
+
     const conditions = ["a.employee_uid = ?"]
     const params = [employee_uid]
 
@@ -766,12 +1432,19 @@ router.get("/employee/:employee_uid", async (req, res) => {
 })
 
 // GET /api/attendance/summary/:employee_uid - Get attendance summary for employee
-router.get("/summary/:employee_uid", async (req, res) => {
+router.get("/summary/:employee_uid", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { employee_uid } = req.params
     const { start_date, end_date } = req.query
 
+    if (!(await canAccessEmployee(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found"
+      })
+    }
+
     let dateCondition = ""
     const params = [employee_uid]
 
@@ -1,104 +1,187 @@
 // server/routes/auth.js
 const express = require("express")
 const { getDatabase } = require("../config/database")
-const { getUserRoleAndPermissions } = require("../middleware/auth")
+const { authenticateUser, getUserRoleAndPermissions } = require("../middleware/auth")
 const { socketEvents } = require("../config/socket")
-const bcrypt = require("bcrypt")
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  getRefreshTokenExpiry,
+} = require("../config/auth-tokens")
 
 const router = express.Router()
 
-// Authentication endpoint
-router.get("/auth", async (req, res) => {
+// Build the public user object and the matching access token claims
+function buildUserData(user, department) {
+  const { role, permissions } = getUserRoleAndPermissions(user, department)
+  const { uid, first_name, last_name, username, access_level, department: userDept } = user
+
+  return {
+    id: uid,
+    name: `${first_name || ""} ${last_name || ""}`.trim(),
+    username: username,
+    access_level: access_level,
+    department: userDept,
+    role: role,
+    permissions: permissions,
+  }
+}
+
+function issueAccessToken(userData, loginDepartment, sessionId) {
+  return signAccessToken({
+    sub: userData.id,
+    username: userData.username,
+    department: userData.department,
+    login_department: loginDepartment,
+    access_level: userData.access_level,
+    role: userData.role,
+    permissions: userData.permissions,
+    sid: sessionId,
+  })
+}
+
+// Login endpoint - verifies credentials and starts a session
+router.post("/auth/login", authenticateUser, async (req, res) => {
   try {
     const db = getDatabase()
-    const { username, password, department } = req.query
+    const userData = buildUserData(req.user, req.department)
+    const refreshToken = generateRefreshToken()
+
+    const result = await db.run(
+      `INSERT INTO auth_sessions (user_id, department, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userData.id,
+        req.department,
+        hashRefreshToken(refreshToken),
+        req.get("user-agent") || null,
+        req.ip || null,
+        getRefreshTokenExpiry(),
+      ],
+    )
 
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        error: "Username and password are required",
-      })
-    }
+    socketEvents.userLoggedIn({
+      id: userData.id,
+      username: userData.username,
+      role: userData.role,
+    })
 
-    if (!department) {
-      return res.status(400).json({
-        success: false,
-        error: "Department is required",
-      })
-    }
+    res.json({
+      success: true,
+      user: userData,
+      accessToken: issueAccessToken(userData, req.department, result.lastID),
+      refreshToken: refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    })
+  } catch (error) {
+    console.error("Login error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed",
+    })
+  }
+})
 
-    // Define valid departments
-    const validDepartments = ["Human Resources", "Operation", "Finance", "Procurement", "Engineering", "super-admin"]
+// Refresh endpoint - exchanges a refresh token for a new token pair
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { refreshToken } = req.body || {}
 
-    if (!validDepartments.includes(department)) {
+    if (!refreshToken) {
       return res.status(400).json({
         success: false,
-        error: "Invalid department",
+        error: "Refresh token is required",
       })
     }
 
-    // Fetch user by username and department
-    let query = `SELECT * FROM emp_list WHERE username = ?`
-    const params = [username]
+    const session = await db.get(
+      `SELECT * FROM auth_sessions
+       WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+      [hashRefreshToken(refreshToken), new Date().toISOString()],
+    )
 
-    // If not super-admin, also check department
-    if (department !== "super-admin") {
-      query += ` AND department = ?`
-      params.push(department)
-    }
-
-    const user = await db.get(query, params)
-
-    if (!user) {
-      return res.status(404).json({
+    if (!session) {
+      return res.status(401).json({
         success: false,
-        message: "User not found or not authorized for this department",
+        error: "Invalid or expired refresh token",
       })
     }
 
-    // Compare hashed password
-    const match = await bcrypt.compare(password, user.password_hash)
+    // Reload the user so role changes apply on the next refresh
+    const user = await db.get("SELECT * FROM emp_list WHERE uid = ?", [session.user_id])
 
-    if (!match) {
+    if (!user || user.deleted_at || user.login_disabled) {
+      await db.run("UPDATE auth_sessions SET revoked_at = ? WHERE id = ?", [new Date().toISOString(), session.id])
       return res.status(401).json({
         success: false,
-        message: "Invalid credentials",
+        error: user ? "This account has been disabled" : "User no longer exists",
       })
     }
 
-    // Determine user role and permissions
-    const { role, permissions } = getUserRoleAndPermissions(user, department)
-
-    // Return success response with user info (excluding sensitive fields)
-    const { uid, first_name, last_name, access_level, department: userDept } = user
+    // Rotate the refresh token so each one can only be used once
+    const newRefreshToken = generateRefreshToken()
+    await db.run(
+      "UPDATE auth_sessions SET refresh_token_hash = ?, last_used_at = ?, expires_at = ? WHERE id = ?",
+      [hashRefreshToken(newRefreshToken), new Date().toISOString(), getRefreshTokenExpiry(), session.id],
+    )
 
-    const userData = {
-      id: uid,
-      name: `${first_name} ${last_name}`.trim(),
-      username: username,
-      access_level: access_level,
-      department: userDept,
-      role: role,
-      permissions: permissions,
-    }
+    const userData = buildUserData(user, session.department)
 
-    socketEvents.userLoggedIn({
-      id: uid,
-      username: username,
-      role: role,
+    res.json({
+      success: true,
+      user: userData,
+      accessToken: issueAccessToken(userData, session.department, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    })
+  } catch (error) {
+    console.error("Token refresh error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Token refresh failed",
     })
+  }
+})
+
+// Logout endpoint - revokes the current session
+router.post("/auth/logout", async (req, res) => {
+  try {
+    const db = getDatabase()
+
+    await db.run("UPDATE auth_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL", [
+      new Date().toISOString(),
+      req.user.sessionId,
+    ])
 
     res.json({
       success: true,
-      user: userData,
+      message: "Logged out successfully",
     })
   } catch (error) {
-    console.error("Auth error:", error)
+    console.error("Logout error:", error)
     res.status(500).json({
       success: false,
-      error: "Authentication failed",
+      error: "Logout failed",
     })
   }
 })
 
+// Current user endpoint - returns the identity carried by the access token
+router.get("/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.user.id,
+      username: req.user.username,
+      access_level: req.user.access_level,
+      department: req.user.department,
+      role: req.user.role,
+      permissions: req.user.permissions,
+    },
+  })
+})
+
 module.exports = router
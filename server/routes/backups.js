@@ -0,0 +1,159 @@
+const express = require("express")
+const { getDatabase, backupDatabase } = require("../config/database")
+const {
+  getBackupDir,
+  isValidBackupName,
+  resolveBackupPath,
+  listBackups,
+  createBackupArchive,
+} = require("../config/backups")
+const { requirePermission } = require("../middleware/permissions")
+
+const router = express.Router()
+
+let backupInProgress = false
+
+function getDatabaseDir() {
+  return process.env.DATABASE_DIR || process.cwd()
+}
+
+// Reject names that are not backups before they reach the filesystem
+router.param("name", (req, res, next, name) => {
+  if (!isValidBackupName(name)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid backup name",
+    })
+  }
+  next()
+})
+
+// List backups, newest first
+router.get("/", requirePermission("backups:manage"), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listBackups(getBackupDir()),
+    })
+  } catch (error) {
+    console.error("Error listing backups:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to list backups",
+      message: error.message,
+    })
+  }
+})
+
+// Take a backup now
+router.post("/", requirePermission("backups:manage"), async (req, res) => {
+  if (backupInProgress) {
+    return res.status(409).json({
+      success: false,
+      error: "A backup is already in progress",
+    })
+  }
+
+  backupInProgress = true
+
+  try {
+    const backup = await createBackupArchive({
+      backupDir: getBackupDir(),
+      databaseDir: getDatabaseDir(),
+      reason: "manual",
+      snapshotDatabase: backupDatabase,
+    })
+
+    const db = getDatabase()
+    await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+      req.user.username,
+      `Created backup ${backup.name}`,
+    ])
+
+    res.status(201).json({
+      success: true,
+      message: "Backup created successfully",
+      data: backup,
+    })
+  } catch (error) {
+    console.error("Error creating backup:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create backup",
+      message: error.message,
+    })
+  } finally {
+    backupInProgress = false
+  }
+})
+
+// Download a backup archive
+router.get("/:name/download", requirePermission("backups:manage"), (req, res) => {
+  let backupPath
+  try {
+    backupPath = resolveBackupPath(getBackupDir(), req.params.name)
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      error: "Backup not found",
+    })
+  }
+
+  res.download(backupPath, req.params.name, (error) => {
+    if (error && !res.headersSent) {
+      console.error("Error downloading backup:", error)
+      res.status(500).json({
+        success: false,
+        error: "Failed to download backup",
+        message: error.message,
+      })
+    }
+  })
+})
+
+// Restore a backup. The desktop app stops this server, swaps the files and starts it again,
+// so the response is sent before the restore begins.
+router.post("/:name/restore", requirePermission("backups:manage"), async (req, res) => {
+  try {
+    if (typeof process.send !== "function") {
+      return res.status(503).json({
+        success: false,
+        error: "Restore is only available when the server is run from the desktop app",
+      })
+    }
+
+    try {
+      resolveBackupPath(getBackupDir(), req.params.name)
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: "Backup not found",
+      })
+    }
+
+    const db = getDatabase()
+    await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+      req.user.username,
+      `Requested restore of backup ${req.params.name}`,
+    ])
+
+    res.on("finish", () => {
+      process.send({ type: "restore-backup", name: req.params.name, requestedBy: req.user.username })
+    })
+
+    res.status(202).json({
+      success: true,
+      message: "Restore started. The server will be unavailable until it restarts.",
+      data: { name: req.params.name },
+    })
+  } catch (error) {
+    console.error("Error restoring backup:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore backup",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
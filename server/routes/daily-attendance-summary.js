@@ -1,5 +1,11 @@
 // server-daily-summary.js
 const express = require("express")
+const { requirePermission } = require("../middleware/permissions")
+const { addDepartmentCondition, departmentClause, canAccessEmployee } = require("../middleware/department-scope")
+const DailySummaryService = require("../services/daily-summary-service")
+const HolidayService = require("../services/holiday-service")
+const LeaveService = require("../services/leave-service")
+const PayrollService = require("../services/payroll-service")
 const router = express.Router()
 
 // Get database instance
@@ -9,7 +15,7 @@ function getDatabase() {
 }
 
 // GET /api/daily-summary - Get daily attendance summary records with pagination and filtering
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -24,6 +30,8 @@ router.get("/", async (req, res) => {
       has_overtime,
       is_incomplete,
       has_late_entry,
+      day_type,
+      is_excused,
       sort_by = "date",
       sort_order = "DESC"
     } = req.query
@@ -67,6 +75,16 @@ router.get("/", async (req, res) => {
       params.push(has_late_entry === "true" ? 1 : 0)
     }
 
+    if (day_type) {
+      conditions.push("s.day_type = ?")
+      params.push(day_type)
+    }
+
+    if (is_excused !== undefined) {
+      conditions.push("s.is_excused = ?")
+      params.push(is_excused === "true" ? 1 : 0)
+    }
+
     if (start_date && end_date) {
       conditions.push("s.date BETWEEN ? AND ?")
       params.push(start_date, end_date)
@@ -78,6 +96,8 @@ router.get("/", async (req, res) => {
       params.push(end_date)
     }
 
+    addDepartmentCondition(req, conditions, params, "s.employee_uid")
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
 
     // Validate sort parameters
@@ -134,8 +154,9 @@ router.get("/", async (req, res) => {
   }
 })
 
-// POST /api/daily-summary - Handle daily summary sync from Electron app
-router.post("/", async (req, res) => {
+// POST /api/daily-summary - Recompute the summaries a client reports as changed.
+// Summaries are built on the server from punches, leave and overtime; only employee_uid and date are read.
+router.post("/", requirePermission("attendance:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { daily_summary_data } = req.body
@@ -153,276 +174,64 @@ router.post("/", async (req, res) => {
       })
     }
 
-    console.log(`Processing ${records.length} daily summary records from sync`)
-
-    let processedCount = 0
-    let duplicateCount = 0
-    let errorCount = 0
+    const pairs = []
     const errors = []
-    let transactionActive = false
+    const seen = new Set()
 
-    try {
-      // Begin transaction for batch processing
-      await db.run("BEGIN TRANSACTION")
-      transactionActive = true
+    for (let i = 0; i < records.length; i++) {
+      const { employee_uid, date } = records[i] || {}
 
-      for (let i = 0; i < records.length; i++) {
-        const record = records[i]
-
-        try {
-          // Validate required fields
-          if (!record.employee_uid || !record.date || !record.employee_name) {
-            errors.push({
-              index: i,
-              error: "Missing required fields (employee_uid, date, employee_name)",
-              record_id: record.id || 'unknown'
-            })
-            errorCount++
-            continue
-          }
-
-          // Check for existing record (update or skip based on last_updated timestamp)
-          const existingRecord = await db.get(`
-            SELECT id, last_updated FROM daily_attendance_summary 
-            WHERE employee_uid = ? AND date = ?
-          `, [record.employee_uid, record.date])
-
-          if (existingRecord) {
-            // Compare timestamps to decide if we should update
-            const existingTimestamp = new Date(existingRecord.last_updated || '1970-01-01')
-            const newTimestamp = new Date(record.last_updated || '1970-01-01')
-            
-            if (newTimestamp <= existingTimestamp) {
-              duplicateCount++
-              console.log(`Skipping older/duplicate record for employee ${record.employee_uid} on ${record.date}`)
-              continue
-            }
-            
-            // Update existing record
-            await db.run(`
-              UPDATE daily_attendance_summary SET
-                id_number = ?,
-                id_barcode = ?,
-                employee_name = ?,
-                first_name = ?,
-                last_name = ?,
-                department = ?,
-                first_clock_in = ?,
-                last_clock_out = ?,
-                morning_in = ?,
-                morning_out = ?,
-                afternoon_in = ?,
-                afternoon_out = ?,
-                evening_in = ?,
-                evening_out = ?,
-                overtime_in = ?,
-                overtime_out = ?,
-                regular_hours = ?,
-                overtime_hours = ?,
-                total_hours = ?,
-                morning_hours = ?,
-                afternoon_hours = ?,
-                evening_hours = ?,
-                overtime_session_hours = ?,
-                is_incomplete = ?,
-                has_late_entry = ?,
-                has_overtime = ?,
-                has_evening_session = ?,
-                total_sessions = ?,
-                completed_sessions = ?,
-                pending_sessions = ?,
-                total_minutes_worked = ?,
-                break_time_minutes = ?,
-                last_updated = ?
-              WHERE id = ?
-            `, [
-              record.id_number,
-              record.id_barcode,
-              record.employee_name,
-              record.first_name,
-              record.last_name,
-              record.department,
-              record.first_clock_in,
-              record.last_clock_out,
-              record.morning_in,
-              record.morning_out,
-              record.afternoon_in,
-              record.afternoon_out,
-              record.evening_in,
-              record.evening_out,
-              record.overtime_in,
-              record.overtime_out,
-              record.regular_hours || 0,
-              record.overtime_hours || 0,
-              record.total_hours || 0,
-              record.morning_hours || 0,
-              record.afternoon_hours || 0,
-              record.evening_hours || 0,
-              record.overtime_session_hours || 0,
-              record.is_incomplete || 0,
-              record.has_late_entry || 0,
-              record.has_overtime || 0,
-              record.has_evening_session || 0,
-              record.total_sessions || 0,
-              record.completed_sessions || 0,
-              record.pending_sessions || 0,
-              record.total_minutes_worked || 0,
-              record.break_time_minutes || 0,
-              record.last_updated || new Date().toISOString(),
-              existingRecord.id
-            ])
-          } else {
-            // Insert new record
-            await db.run(`
-              INSERT INTO daily_attendance_summary (
-                employee_uid, id_number, id_barcode, employee_name, first_name, last_name,
-                department, date, first_clock_in, last_clock_out, morning_in, morning_out,
-                afternoon_in, afternoon_out, evening_in, evening_out, overtime_in, overtime_out,
-                regular_hours, overtime_hours, total_hours, morning_hours, afternoon_hours,
-                evening_hours, overtime_session_hours, is_incomplete, has_late_entry,
-                has_overtime, has_evening_session, total_sessions, completed_sessions,
-                pending_sessions, total_minutes_worked, break_time_minutes, last_updated, created_at
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-              record.employee_uid,
-              record.id_number,
-              record.id_barcode,
-              record.employee_name,
-              record.first_name,
-              record.last_name,
-              record.department,
-              record.date,
-              record.first_clock_in,
-              record.last_clock_out,
-              record.morning_in,
-              record.morning_out,
-              record.afternoon_in,
-              record.afternoon_out,
-              record.evening_in,
-              record.evening_out,
-              record.overtime_in,
-              record.overtime_out,
-              record.regular_hours || 0,
-              record.overtime_hours || 0,
-              record.total_hours || 0,
-              record.morning_hours || 0,
-              record.afternoon_hours || 0,
-              record.evening_hours || 0,
-              record.overtime_session_hours || 0,
-              record.is_incomplete || 0,
-              record.has_late_entry || 0,
-              record.has_overtime || 0,
-              record.has_evening_session || 0,
-              record.total_sessions || 0,
-              record.completed_sessions || 0,
-              record.pending_sessions || 0,
-              record.total_minutes_worked || 0,
-              record.break_time_minutes || 0,
-              record.last_updated || new Date().toISOString(),
-              record.created_at || new Date().toISOString()
-            ])
-          }
+      if (!employee_uid || !date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        errors.push({ index: i, error: "employee_uid and date (YYYY-MM-DD) are required" })
+        continue
+      }
 
-          processedCount++
+      const key = `${employee_uid}|${date}`
+      if (seen.has(key)) continue
+      seen.add(key)
 
-        } catch (recordError) {
-          console.error(`Error processing daily summary record ${i}:`, recordError)
-          errors.push({
-            index: i,
-            error: recordError.message,
-            employee_uid: record.employee_uid,
-            date: record.date
-          })
-          errorCount++
-        }
+      if (!(await canAccessEmployee(req, employee_uid))) {
+        errors.push({ index: i, error: "Employee not found", employee_uid, date })
+        continue
       }
 
-      // Commit the transaction
-      await db.run("COMMIT")
-      transactionActive = false
-
-      // Emit socket event for synced records if any were processed
-      if (processedCount > 0) {
-        const { socketEvents } = require("../config/socket")
-        socketEvents.dailySummarySynced({ synced_count: processedCount })
+      const lockedPeriod = await PayrollService.getLockedPeriod(date)
+      if (lockedPeriod) {
+        errors.push({
+          index: i,
+          error: `Attendance on ${date} is locked by finalized payroll period ${lockedPeriod.name}`,
+          employee_uid,
+          date
+        })
+        continue
       }
 
-      // Send success response
-      res.json({
-        success: true,
-        message: `Successfully processed ${processedCount} daily summary records`,
-        processed_count: processedCount,
-        duplicate_count: duplicateCount,
-        error_count: errorCount,
-        total_submitted: records.length,
-        errors: errors.length > 0 ? errors : undefined
-      })
+      pairs.push({ employee_uid, date })
+    }
 
+    let results
+    await db.run("BEGIN TRANSACTION")
+    try {
+      results = await DailySummaryService.recomputeMany(pairs)
+      await db.run("COMMIT")
     } catch (transactionError) {
-      console.error("Transaction error occurred:", transactionError)
-      
-      // Only attempt rollback if transaction is still active
-      if (transactionActive) {
-        try {
-          await db.run("ROLLBACK")
-          console.log("Transaction rolled back successfully")
-        } catch (rollbackError) {
-          // Check if it's the specific rollback error we want to ignore
-          if (rollbackError.message && rollbackError.message.includes('cannot rollback - no transaction is active')) {
-            console.warn("Ignoring 'cannot rollback - no transaction is active' error as transaction was likely already completed")
-            
-            // Since the transaction might have actually completed successfully,
-            // we can still return a partial success response if we processed some records
-            if (processedCount > 0) {
-              // Emit socket event for synced records
-              try {
-                const { socketEvents } = require("../config/socket")
-                socketEvents.dailySummarySynced({ synced_count: processedCount })
-              } catch (socketError) {
-                console.warn("Failed to emit socket event:", socketError)
-              }
-              
-              return res.json({
-                success: true,
-                message: `Processed ${processedCount} daily summary records (transaction completed despite rollback error)`,
-                processed_count: processedCount,
-                duplicate_count: duplicateCount,
-                error_count: errorCount,
-                total_submitted: records.length,
-                warning: "Transaction rollback error was ignored - data may have been saved successfully",
-                errors: errors.length > 0 ? errors : undefined
-              })
-            }
-          } else {
-            // Re-throw other rollback errors
-            console.error("Failed to rollback transaction:", rollbackError)
-            throw rollbackError
-          }
-        }
-      }
-      
-      // Re-throw the original transaction error
+      await db.run("ROLLBACK")
       throw transactionError
     }
 
+    results.forEach((result) => DailySummaryService.emitResult(result))
+
+    res.json({
+      success: true,
+      message: `Recomputed ${pairs.length} daily summary records`,
+      processed_count: pairs.length,
+      error_count: errors.length,
+      total_submitted: records.length,
+      errors: errors.length > 0 ? errors : undefined
+    })
+
   } catch (error) {
     console.error("Error in daily summary sync:", error)
-    
-    // Check if the error message contains the specific rollback error we want to ignore
-    if (error.message && error.message.includes('cannot rollback - no transaction is active')) {
-      console.warn("Ignoring transaction rollback error - responding with partial success")
-      
-      return res.json({
-        success: true,
-        message: "Daily summary sync completed with transaction warnings",
-        processed_count: processedCount || 0,
-        duplicate_count: duplicateCount || 0,
-        error_count: errorCount || 0,
-        warning: "Transaction rollback error was ignored - data processing may have completed successfully"
-      })
-    }
-    
-    // Return error response for other types of errors
     res.status(500).json({
       success: false,
       error: "Failed to process daily summary sync",
@@ -432,15 +241,21 @@ router.post("/", async (req, res) => {
 })
 
 // GET /api/daily-summary/stats - Get daily summary statistics
-router.get("/stats", async (req, res) => {
+// Overtime counts only approved hours; pass include_unapproved_overtime=true for everything worked.
+router.get("/stats", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { 
       date = new Date().toISOString().split('T')[0],
       start_date,
-      end_date 
+      end_date,
+      include_unapproved_overtime = "false"
     } = req.query
 
+    // Payroll-facing figures count only overtime covered by an approved request unless asked otherwise
+    const overtimeColumn = include_unapproved_overtime === "true" ? "s.overtime_hours" : "s.approved_overtime_hours"
+    const hoursColumn = `(s.regular_hours + ${overtimeColumn})`
+
     let dateFilter = "s.date = ?"
     let dateParams = [date]
 
@@ -449,6 +264,10 @@ router.get("/stats", async (req, res) => {
       dateParams = [start_date, end_date]
     }
 
+    const scope = departmentClause(req, "s.employee_uid")
+    dateFilter += scope.sql
+    dateParams = [...dateParams, ...scope.params]
+
     // Summary statistics
     const summaryStats = await db.get(`
       SELECT 
@@ -456,42 +275,86 @@ router.get("/stats", async (req, res) => {
         COUNT(DISTINCT s.employee_uid) as unique_employees,
         COUNT(DISTINCT s.department) as departments_count,
         SUM(s.regular_hours) as total_regular_hours,
-        SUM(s.overtime_hours) as total_overtime_hours,
-        SUM(s.total_hours) as grand_total_hours,
-        AVG(s.total_hours) as avg_hours_per_employee,
+        SUM(${overtimeColumn}) as total_overtime_hours,
+        SUM(s.approved_overtime_hours) as approved_overtime_hours,
+        SUM(s.unapproved_overtime_hours) as unapproved_overtime_hours,
+        SUM(${hoursColumn}) as grand_total_hours,
+        AVG(${hoursColumn}) as avg_hours_per_employee,
         SUM(CASE WHEN s.has_overtime = 1 THEN 1 ELSE 0 END) as employees_with_overtime,
         SUM(CASE WHEN s.is_incomplete = 1 THEN 1 ELSE 0 END) as incomplete_records,
-        SUM(CASE WHEN s.has_late_entry = 1 THEN 1 ELSE 0 END) as employees_with_late_entry
+        SUM(CASE WHEN s.has_late_entry = 1 THEN 1 ELSE 0 END) as employees_with_late_entry,
+        SUM(CASE WHEN s.is_excused = 1 THEN 1 ELSE 0 END) as excused_days
       FROM daily_attendance_summary s
       WHERE ${dateFilter}
     `, dateParams)
 
+    // Approved leave by type
+    const leaveStats = await db.all(`
+      SELECT 
+        s.leave_type,
+        COUNT(*) as days,
+        COUNT(DISTINCT s.employee_uid) as employee_count
+      FROM daily_attendance_summary s
+      WHERE ${dateFilter} AND s.is_excused = 1
+      GROUP BY s.leave_type
+      ORDER BY days DESC
+    `, dateParams)
+
     // Department breakdown
     const departmentStats = await db.all(`
       SELECT 
         s.department,
         COUNT(*) as employee_count,
         SUM(s.regular_hours) as total_regular_hours,
-        SUM(s.overtime_hours) as total_overtime_hours,
-        SUM(s.total_hours) as total_hours,
-        AVG(s.total_hours) as avg_hours
+        SUM(${overtimeColumn}) as total_overtime_hours,
+        SUM(s.unapproved_overtime_hours) as unapproved_overtime_hours,
+        SUM(${hoursColumn}) as total_hours,
+        AVG(${hoursColumn}) as avg_hours
       FROM daily_attendance_summary s
       WHERE ${dateFilter}
       GROUP BY s.department
       ORDER BY total_hours DESC
     `, dateParams)
 
+    // Hours worked on regular days, rest days and holidays, kept apart since each is paid differently
+    const dayTypeRows = await db.all(`
+      SELECT 
+        s.day_type,
+        COUNT(*) as records,
+        COUNT(DISTINCT s.employee_uid) as employee_count,
+        SUM(s.regular_hours) as total_regular_hours,
+        SUM(${overtimeColumn}) as total_overtime_hours,
+        SUM(${hoursColumn}) as total_hours
+      FROM daily_attendance_summary s
+      WHERE ${dateFilter}
+      GROUP BY s.day_type
+    `, dateParams)
+
+    const dayTypeStats = HolidayService.DAY_TYPES.map((dayType) => {
+      const row = dayTypeRows.find((r) => r.day_type === dayType)
+      return {
+        day_type: dayType,
+        records: row ? row.records : 0,
+        employee_count: row ? row.employee_count : 0,
+        total_regular_hours: row ? row.total_regular_hours : 0,
+        total_overtime_hours: row ? row.total_overtime_hours : 0,
+        total_hours: row ? row.total_hours : 0
+      }
+    })
+
     // Top overtime earners
     const overtimeLeaders = await db.all(`
       SELECT 
         s.employee_name,
         s.department,
         s.date,
-        s.overtime_hours,
-        s.total_hours
+        ${overtimeColumn} as overtime_hours,
+        s.approved_overtime_hours,
+        s.unapproved_overtime_hours,
+        ${hoursColumn} as total_hours
       FROM daily_attendance_summary s
-      WHERE ${dateFilter} AND s.overtime_hours > 0
-      ORDER BY s.overtime_hours DESC
+      WHERE ${dateFilter} AND ${overtimeColumn} > 0
+      ORDER BY ${overtimeColumn} DESC
       LIMIT 10
     `, dateParams)
 
@@ -507,16 +370,20 @@ router.get("/stats", async (req, res) => {
         s.has_overtime,
         s.last_updated
       FROM daily_attendance_summary s
+      WHERE 1=1${scope.sql}
       ORDER BY s.last_updated DESC
       LIMIT 10
-    `)
+    `, scope.params)
 
     res.json({
       success: true,
       data: {
         date_range: start_date && end_date ? { start_date, end_date } : { date },
+        overtime_counted: include_unapproved_overtime === "true" ? "all" : "approved",
         summary: summaryStats,
         by_department: departmentStats,
+        by_day_type: dayTypeStats,
+        by_leave_type: leaveStats,
         overtime_leaders: overtimeLeaders,
         recent_activity: recentActivity
       }
@@ -533,7 +400,7 @@ router.get("/stats", async (req, res) => {
 })
 
 // GET /api/daily-summary/:id - Get specific daily summary record
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -550,7 +417,7 @@ router.get("/:id", async (req, res) => {
       WHERE s.id = ?
     `, [id])
 
-    if (!record) {
+    if (!record || !(await canAccessEmployee(req, record.employee_uid))) {
       return res.status(404).json({
         success: false,
         error: "Daily summary record not found"
@@ -573,7 +440,7 @@ router.get("/:id", async (req, res) => {
 })
 
 // GET /api/daily-summary/employee/:employee_uid - Get daily summary for specific employee
-router.get("/employee/:employee_uid", async (req, res) => {
+router.get("/employee/:employee_uid", requirePermission("attendance:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { employee_uid } = req.params
@@ -584,6 +451,13 @@ router.get("/employee/:employee_uid", async (req, res) => {
       end_date
     } = req.query
 
+    if (!(await canAccessEmployee(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found"
+      })
+    }
+
     const conditions = ["s.employee_uid = ?"]
     const params = [employee_uid]
 
@@ -648,26 +522,50 @@ router.get("/employee/:employee_uid", async (req, res) => {
   }
 })
 
-// DELETE /api/daily-summary/:id - Delete daily summary record
-router.delete("/:id", async (req, res) => {
+// DELETE /api/daily-summary/:id - Drop a stale summary record. The row is recomputed from the
+// employee's punches, leave and overtime, so it is only removed when none of them are left.
+router.delete("/:id", requirePermission("attendance:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
 
     // Check if record exists
-    const existingRecord = await db.get("SELECT id FROM daily_attendance_summary WHERE id = ?", [id])
-    if (!existingRecord) {
+    const existingRecord = await db.get("SELECT id, employee_uid, date FROM daily_attendance_summary WHERE id = ?", [id])
+    if (!existingRecord || !(await canAccessEmployee(req, existingRecord.employee_uid))) {
       return res.status(404).json({
         success: false,
         error: "Daily summary record not found"
       })
     }
 
-    await db.run("DELETE FROM daily_attendance_summary WHERE id = ?", [id])
+    const lockedPeriod = await PayrollService.getLockedPeriod(existingRecord.date)
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        error: `Attendance on ${existingRecord.date} is locked by finalized payroll period ${lockedPeriod.name}`,
+        payroll_period_id: lockedPeriod.id
+      })
+    }
+
+    let result
+    await db.run("BEGIN TRANSACTION")
+    try {
+      result = await DailySummaryService.recompute(existingRecord.employee_uid, existingRecord.date)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
-    // Emit socket event
-    const { socketEvents } = require("../config/socket")
-    socketEvents.dailySummaryDeleted({ id: parseInt(id) })
+    DailySummaryService.emitResult(result)
+
+    if (result && result.action === "updated") {
+      return res.json({
+        success: true,
+        message: "Daily summary record still has punches or leave and was recomputed instead",
+        data: result.summary
+      })
+    }
 
     res.json({
       success: true,
@@ -685,7 +583,7 @@ router.delete("/:id", async (req, res) => {
 })
 
 // POST /api/daily-summary/rebuild - Rebuild daily summary for date range
-router.post("/rebuild", async (req, res) => {
+router.post("/rebuild", requirePermission("attendance:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { start_date, end_date } = req.body
@@ -699,14 +597,19 @@ router.post("/rebuild", async (req, res) => {
 
     console.log(`Rebuilding daily summary from ${start_date} to ${end_date}`)
 
-    // Get all unique employee-date combinations in the range from attendance table
-    const employeeDateQuery = await db.all(`
+    // Get all unique employee-date combinations in the range from attendance table and approved leave
+    const attendanceDays = await db.all(`
       SELECT DISTINCT employee_uid, date
       FROM attendance 
       WHERE date BETWEEN ? AND ?
       ORDER BY employee_uid, date
     `, [start_date, end_date])
 
+    const seenDays = new Set(attendanceDays.map(({ employee_uid, date }) => `${employee_uid}|${date}`))
+    const leaveDays = (await LeaveService.getLeaveDaysBetween(start_date, end_date))
+      .filter(({ employee_uid, date }) => !seenDays.has(`${employee_uid}|${date}`))
+    const employeeDateQuery = [...attendanceDays, ...leaveDays]
+
     let successCount = 0
     let failCount = 0
 
@@ -715,136 +618,12 @@ router.post("/rebuild", async (req, res) => {
     try {
       for (const { employee_uid, date } of employeeDateQuery) {
         try {
-          // Get employee info
-          const employee = await db.get(`
-            SELECT uid, id_number, id_barcode, first_name, last_name, department
-            FROM emp_list WHERE uid = ?
-          `, [employee_uid])
-
-          if (!employee) {
-            failCount++
-            continue
-          }
-
-          // Get attendance records for this employee and date
-          const attendanceRecords = await db.all(`
-            SELECT * FROM attendance 
-            WHERE employee_uid = ? AND date = ?
-            ORDER BY clock_time ASC
-          `, [employee_uid, date])
-
-          if (attendanceRecords.length === 0) {
+          const result = await DailySummaryService.recompute(employee_uid, date)
+          if (!result) {
             failCount++
             continue
           }
 
-          // Process records to build summary
-          const sessionTimes = {
-            morning_in: null, morning_out: null,
-            afternoon_in: null, afternoon_out: null,
-            evening_in: null, evening_out: null,
-            overtime_in: null, overtime_out: null
-          }
-
-          let totalRegularHours = 0
-          let totalOvertimeHours = 0
-          let totalSessions = 0
-          let completedSessions = 0
-          let pendingSessions = 0
-          let hasLateEntry = false
-          let hasOvertime = false
-          let hasEveningSession = false
-
-          // Process each attendance record
-          attendanceRecords.forEach(record => {
-            const clockType = record.clock_type
-            
-            if (sessionTimes.hasOwnProperty(clockType)) {
-              sessionTimes[clockType] = record.clock_time
-            }
-            
-            totalRegularHours += record.regular_hours || 0
-            totalOvertimeHours += record.overtime_hours || 0
-            
-            if (clockType.endsWith('_in')) {
-              totalSessions++
-              const outType = clockType.replace('_in', '_out')
-              const hasOut = attendanceRecords.some(r => r.clock_type === outType && r.clock_time > record.clock_time)
-              if (hasOut) {
-                completedSessions++
-              } else {
-                pendingSessions++
-              }
-            }
-            
-            if (record.is_late) hasLateEntry = true
-            if (clockType.startsWith('overtime') || clockType.startsWith('evening')) {
-              hasOvertime = true
-              if (clockType.startsWith('evening')) hasEveningSession = true
-            }
-          })
-
-          // Calculate session hours (simplified)
-          const sessionHours = {
-            morning_hours: 0,
-            afternoon_hours: 0,
-            evening_hours: 0,
-            overtime_session_hours: 0
-          }
-
-          const morningSession = sessionTimes.morning_in && sessionTimes.morning_out
-          const afternoonSession = sessionTimes.afternoon_in && sessionTimes.afternoon_out
-          const eveningSession = sessionTimes.evening_in && sessionTimes.evening_out
-          const overtimeSession = sessionTimes.overtime_in && sessionTimes.overtime_out
-
-          if (morningSession || afternoonSession) {
-            const regularSessionCount = (morningSession ? 1 : 0) + (afternoonSession ? 1 : 0)
-            if (morningSession) sessionHours.morning_hours = totalRegularHours / regularSessionCount
-            if (afternoonSession) sessionHours.afternoon_hours = totalRegularHours / regularSessionCount
-          }
-
-          if (eveningSession) sessionHours.evening_hours = totalOvertimeHours * 0.7
-          if (overtimeSession) sessionHours.overtime_session_hours = totalOvertimeHours * 0.3
-
-          const firstClockIn = attendanceRecords.find(r => r.clock_type.endsWith('_in'))?.clock_time
-          const lastClockOut = [...attendanceRecords].reverse().find(r => r.clock_type.endsWith('_out'))?.clock_time
-
-          let totalMinutesWorked = 0
-          if (firstClockIn && lastClockOut) {
-            const firstTime = new Date(firstClockIn)
-            const lastTime = new Date(lastClockOut)
-            totalMinutesWorked = Math.round((lastTime - firstTime) / 60000)
-            if (morningSession && afternoonSession) {
-              totalMinutesWorked = Math.max(0, totalMinutesWorked - 60)
-            }
-          }
-
-          // Upsert summary record
-          await db.run(`
-            INSERT OR REPLACE INTO daily_attendance_summary (
-              employee_uid, id_number, id_barcode, employee_name, first_name, last_name,
-              department, date, first_clock_in, last_clock_out,
-              morning_in, morning_out, afternoon_in, afternoon_out,
-              evening_in, evening_out, overtime_in, overtime_out,
-              regular_hours, overtime_hours, total_hours,
-              morning_hours, afternoon_hours, evening_hours, overtime_session_hours,
-              is_incomplete, has_late_entry, has_overtime, has_evening_session,
-              total_sessions, completed_sessions, pending_sessions,
-              total_minutes_worked, break_time_minutes, last_updated
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            employee.uid, employee.id_number, employee.id_barcode,
-            `${employee.first_name} ${employee.last_name}`, employee.first_name, employee.last_name,
-            employee.department, date, firstClockIn, lastClockOut,
-            sessionTimes.morning_in, sessionTimes.morning_out, sessionTimes.afternoon_in, sessionTimes.afternoon_out,
-            sessionTimes.evening_in, sessionTimes.evening_out, sessionTimes.overtime_in, sessionTimes.overtime_out,
-            totalRegularHours, totalOvertimeHours, totalRegularHours + totalOvertimeHours,
-            sessionHours.morning_hours, sessionHours.afternoon_hours, sessionHours.evening_hours, sessionHours.overtime_session_hours,
-            pendingSessions > 0 ? 1 : 0, hasLateEntry ? 1 : 0, hasOvertime ? 1 : 0, hasEveningSession ? 1 : 0,
-            totalSessions, completedSessions, pendingSessions,
-            totalMinutesWorked, (morningSession && afternoonSession) ? 60 : 0, new Date().toISOString()
-          ])
-
           successCount++
 
         } catch (recordError) {
@@ -0,0 +1,376 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { generateDeviceKey, hashDeviceKey } = require("../config/auth-tokens")
+const { localToday } = require("../utils/dates")
+
+const router = express.Router()
+
+const DEVICE_TYPES = ["kiosk", "phone"]
+const DEVICE_FIELDS = ["name", "device_type", "location", "department", "notes", "is_active"]
+
+// Never send the key hash back out
+const DEVICE_COLUMNS = `
+  d.id, d.name, d.device_type, d.location, d.department, d.api_key_prefix, d.is_active,
+  d.last_seen_at, d.last_ip, d.notes, d.created_by, d.created_at, d.updated_at
+`
+
+function pickDeviceFields(body) {
+  const device = {}
+  for (const field of DEVICE_FIELDS) {
+    if (body[field] !== undefined) {
+      device[field] = typeof body[field] === "boolean" ? (body[field] ? 1 : 0) : body[field]
+    }
+  }
+  return device
+}
+
+function validateDevice(device) {
+  const errors = []
+
+  if (!device.name || !String(device.name).trim()) {
+    errors.push("name is required")
+  }
+  if (device.device_type !== undefined && !DEVICE_TYPES.includes(device.device_type)) {
+    errors.push(`device_type must be one of ${DEVICE_TYPES.join(", ")}`)
+  }
+
+  return errors
+}
+
+function issueKey() {
+  const key = generateDeviceKey()
+  return { key, hash: hashDeviceKey(key), prefix: key.slice(0, 12) }
+}
+
+async function findDevice(id) {
+  const db = getDatabase()
+  return await db.get(`SELECT ${DEVICE_COLUMNS} FROM attendance_devices d WHERE d.id = ?`, [id])
+}
+
+async function logDeviceAction(username, details) {
+  const db = getDatabase()
+  await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [username, details])
+}
+
+// GET /api/devices - Registered devices with their punch totals
+router.get("/", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { include_inactive = "true" } = req.query
+
+    const devices = await db.all(`
+      SELECT ${DEVICE_COLUMNS}, COUNT(a.id) as punch_count, MAX(a.clock_time) as last_punch_at
+      FROM attendance_devices d
+      LEFT JOIN attendance a ON a.device_id = d.id
+      ${include_inactive === "true" ? "" : "WHERE d.is_active = 1"}
+      GROUP BY d.id
+      ORDER BY d.name
+    `)
+
+    res.json({
+      success: true,
+      data: devices,
+    })
+  } catch (error) {
+    console.error("Error fetching devices:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch devices",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/devices/reports/activity?start_date=&end_date=&stale_hours=24 - Last seen and punch counts per device
+router.get("/reports/activity", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const today = localToday()
+    const { start_date = today, end_date = today } = req.query
+    const staleHours = Number.parseInt(req.query.stale_hours) || 24
+
+    const devices = await db.all(`
+      SELECT
+        ${DEVICE_COLUMNS},
+        COUNT(a.id) as punch_count,
+        COUNT(DISTINCT a.employee_uid) as employee_count,
+        SUM(CASE WHEN a.clock_type LIKE '%_in' THEN 1 ELSE 0 END) as clock_ins,
+        SUM(CASE WHEN a.clock_type LIKE '%_out' THEN 1 ELSE 0 END) as clock_outs,
+        MIN(a.clock_time) as first_punch_at,
+        MAX(a.clock_time) as last_punch_at,
+        CASE
+          WHEN d.last_seen_at IS NULL THEN 1
+          WHEN d.last_seen_at < datetime('now', ?) THEN 1
+          ELSE 0
+        END as is_stale
+      FROM attendance_devices d
+      LEFT JOIN attendance a ON a.device_id = d.id AND a.date BETWEEN ? AND ?
+      GROUP BY d.id
+      ORDER BY punch_count DESC, d.name
+    `, [`-${staleHours} hours`, start_date, end_date])
+
+    const daily = await db.all(`
+      SELECT a.device_id, a.date, COUNT(*) as punch_count
+      FROM attendance a
+      WHERE a.device_id IS NOT NULL AND a.date BETWEEN ? AND ?
+      GROUP BY a.device_id, a.date
+      ORDER BY a.date, a.device_id
+    `, [start_date, end_date])
+
+    const unregistered = await db.get(
+      "SELECT COUNT(*) as count FROM attendance WHERE device_id IS NULL AND date BETWEEN ? AND ?",
+      [start_date, end_date],
+    )
+
+    res.json({
+      success: true,
+      data: {
+        date_range: { start_date, end_date },
+        stale_hours: staleHours,
+        devices,
+        daily,
+        totals: {
+          devices: devices.length,
+          active_devices: devices.filter((device) => device.is_active).length,
+          stale_devices: devices.filter((device) => device.is_active && device.is_stale).length,
+          punches: devices.reduce((sum, device) => sum + device.punch_count, 0),
+          punches_without_device: unregistered.count,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Error generating device activity report:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate device activity report",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/devices/:id - One device
+router.get("/:id", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id)
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: device,
+    })
+  } catch (error) {
+    console.error("Error fetching device:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch device",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/devices - Register a device. The API key is only ever returned in this response.
+router.post("/", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const device = pickDeviceFields(req.body)
+
+    const errors = validateDevice(device)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid device",
+        details: errors,
+      })
+    }
+
+    const existing = await db.get("SELECT id FROM attendance_devices WHERE name = ?", [device.name])
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "A device with this name already exists",
+      })
+    }
+
+    const { key, hash, prefix } = issueKey()
+    const fields = Object.keys(device)
+
+    const result = await db.run(
+      `INSERT INTO attendance_devices (${fields.join(", ")}, api_key_hash, api_key_prefix, created_by)
+       VALUES (${fields.map(() => "?").join(", ")}, ?, ?, ?)`,
+      [...fields.map((field) => device[field]), hash, prefix, req.user.username],
+    )
+
+    await logDeviceAction(req.user.username, `Registered attendance device ${device.name}`)
+
+    const created = await findDevice(result.lastID)
+
+    res.status(201).json({
+      success: true,
+      message: "Device registered. Store the API key now; it cannot be shown again.",
+      data: { ...created, api_key: key },
+    })
+  } catch (error) {
+    console.error("Error registering device:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to register device",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/devices/:id - Rename, relocate, or (de)activate a device
+router.put("/:id", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await findDevice(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      })
+    }
+
+    const changes = pickDeviceFields(req.body)
+    const fields = Object.keys(changes)
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      })
+    }
+
+    const errors = validateDevice({ ...existing, ...changes })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid device",
+        details: errors,
+      })
+    }
+
+    if (changes.name && changes.name !== existing.name) {
+      const clash = await db.get("SELECT id FROM attendance_devices WHERE name = ? AND id != ?", [changes.name, existing.id])
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          error: "A device with this name already exists",
+        })
+      }
+    }
+
+    await db.run(
+      `UPDATE attendance_devices SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map((field) => changes[field]), existing.id],
+    )
+
+    if (changes.is_active !== undefined && changes.is_active !== existing.is_active) {
+      await logDeviceAction(
+        req.user.username,
+        `${changes.is_active ? "Reactivated" : "Deactivated"} attendance device ${existing.name}`,
+      )
+    }
+
+    const updated = await findDevice(existing.id)
+
+    res.json({
+      success: true,
+      message: "Device updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    console.error("Error updating device:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update device",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/devices/:id/rotate-key - Replace a device's API key; the old key stops working at once
+router.post("/:id/rotate-key", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await findDevice(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      })
+    }
+
+    const { key, hash, prefix } = issueKey()
+    await db.run(
+      "UPDATE attendance_devices SET api_key_hash = ?, api_key_prefix = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [hash, prefix, existing.id],
+    )
+
+    await logDeviceAction(req.user.username, `Rotated API key of attendance device ${existing.name}`)
+
+    const updated = await findDevice(existing.id)
+
+    res.json({
+      success: true,
+      message: "API key rotated. Store the new key now; it cannot be shown again.",
+      data: { ...updated, api_key: key },
+    })
+  } catch (error) {
+    console.error("Error rotating device key:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to rotate device key",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/devices/:id - Remove a device that never recorded a punch; deactivate the others instead
+router.delete("/:id", requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await findDevice(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found",
+      })
+    }
+
+    const punches = await db.get("SELECT COUNT(*) as count FROM attendance WHERE device_id = ?", [existing.id])
+    if (punches.count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Device has recorded ${punches.count} punches; deactivate it instead`,
+      })
+    }
+
+    await db.run("DELETE FROM attendance_devices WHERE id = ?", [existing.id])
+    await logDeviceAction(req.user.username, `Removed attendance device ${existing.name}`)
+
+    res.json({
+      success: true,
+      message: "Device removed successfully",
+    })
+  } catch (error) {
+    console.error("Error removing device:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove device",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
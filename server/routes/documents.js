@@ -2,6 +2,8 @@ const express = require("express")
 const path = require("path")
 const fs = require("fs").promises
 const multer = require("multer")
+const { requirePermission } = require("../middleware/permissions")
+const { departmentClause, canAccessEmployee } = require("../middleware/department-scope")
 const router = express.Router()
 
 const archiver = require('archiver')
@@ -122,8 +124,23 @@ function getDocumentType(extension) {
   return types[extension.toLowerCase()] || 'Document'
 }
 
+// Employees outside the caller's department are treated as not found
+router.param("uid", async (req, res, next, uid) => {
+  try {
+    if (!(await canAccessEmployee(req, uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found"
+      })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
 // GET /api/documents/bulk - Get all employees with their documents
-router.get("/bulk", async (req, res) => {
+router.get("/bulk", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
@@ -149,6 +166,11 @@ router.get("/bulk", async (req, res) => {
       params.push(department)
     }
     
+    // Limit to the caller's department unless they have cross-department access
+    const scope = departmentClause(req, 'uid')
+    whereClause += scope.sql
+    params.push(...scope.params)
+    
     // Get total count for pagination
     const countQuery = `SELECT COUNT(*) as total FROM emp_list ${whereClause}`
     const countResult = await db.get(countQuery, params)
@@ -271,16 +293,19 @@ router.get("/bulk", async (req, res) => {
 })
 
 // GET /api/documents/bulk/simple - Get simplified list of all employees with document status
-router.get("/bulk/simple", async (req, res) => {
+router.get("/bulk/simple", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
+    const scope = departmentClause(req, 'uid')
+    
     // Get all employees
     const employees = await db.all(`
       SELECT uid, first_name, last_name, department
       FROM emp_list 
+      WHERE 1=1${scope.sql}
       ORDER BY first_name, last_name
-    `)
+    `, scope.params)
     
     // Check document existence for each employee
     const employeesWithDocumentStatus = await Promise.allSettled(
@@ -361,7 +386,7 @@ router.get("/bulk/simple", async (req, res) => {
 })
 
 // GET /api/documents/bulk/download - Download all documents as a ZIP file
-router.get("/bulk/download", async (req, res) => {
+router.get("/bulk/download", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
@@ -391,6 +416,10 @@ router.get("/bulk/download", async (req, res) => {
       }
     }
     
+    const scope = departmentClause(req, 'uid')
+    whereClause += scope.sql
+    params.push(...scope.params)
+    
     // Get employees
     const employeesQuery = `
       SELECT uid, first_name, last_name, department, position
@@ -530,7 +559,7 @@ router.get("/bulk/download", async (req, res) => {
 })
 
 // POST /api/documents/bulk/download - Download specific documents as ZIP (with request body)
-router.post("/bulk/download", async (req, res) => {
+router.post("/bulk/download", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uids, document_type, include_summary = true, compression_level = 6 } = req.body
     
@@ -553,12 +582,13 @@ router.post("/bulk/download", async (req, res) => {
     const db = getDatabase()
     
     const placeholders = validUids.map(() => '?').join(',')
+    const scope = departmentClause(req, 'uid')
     const employees = await db.all(`
       SELECT uid, first_name, last_name, department, position
       FROM emp_list 
-      WHERE uid IN (${placeholders})
+      WHERE uid IN (${placeholders})${scope.sql}
       ORDER BY first_name, last_name
-    `, validUids)
+    `, [...validUids, ...scope.params])
     
     if (employees.length === 0) {
       return res.status(404).json({
@@ -680,7 +710,7 @@ router.post("/bulk/download", async (req, res) => {
 })
 
 // POST /api/documents/:uid/upload - Upload document(s)
-router.post("/:uid/upload", upload.array('documents', 5), async (req, res) => {
+router.post("/:uid/upload", requirePermission("documents:write"), upload.array('documents', 5), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -782,7 +812,7 @@ router.post("/:uid/upload", upload.array('documents', 5), async (req, res) => {
 })
 
 // GET /api/documents/:uid - Get employee document list
-router.get("/:uid", async (req, res) => {
+router.get("/:uid", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -830,7 +860,7 @@ router.get("/:uid", async (req, res) => {
 })
 
 // GET /api/documents/:uid/:filename - Get specific document file
-router.get("/:uid/:filename", async (req, res) => {
+router.get("/:uid/:filename", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid, filename } = req.params
     
@@ -940,7 +970,7 @@ router.get("/:uid/:filename", async (req, res) => {
 })
 
 // GET /api/documents/:uid/:filename/download - Download specific document with proper headers
-router.get("/:uid/:filename/download", async (req, res) => {
+router.get("/:uid/:filename/download", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid, filename } = req.params
     
@@ -1043,7 +1073,7 @@ router.get("/:uid/:filename/download", async (req, res) => {
 })
 
 // DELETE /api/documents/:uid/:filename - Delete specific document
-router.delete("/:uid/:filename", async (req, res) => {
+router.delete("/:uid/:filename", requirePermission("documents:delete"), async (req, res) => {
   try {
     const { uid, filename } = req.params
     
@@ -1121,7 +1151,7 @@ router.delete("/:uid/:filename", async (req, res) => {
 })
 
 // DELETE /api/documents/:uid - Delete all documents for an employee
-router.delete("/:uid", async (req, res) => {
+router.delete("/:uid", requirePermission("documents:delete"), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -1241,16 +1271,19 @@ router.delete("/:uid", async (req, res) => {
 })
 
 // GET /api/documents/stats/overview - Get document statistics overview
-router.get("/stats/overview", async (req, res) => {
+router.get("/stats/overview", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
+    const scope = departmentClause(req, 'uid')
+    
     // Get all employees
     const employees = await db.all(`
       SELECT uid, first_name, last_name, department
       FROM emp_list 
+      WHERE 1=1${scope.sql}
       ORDER BY first_name, last_name
-    `)
+    `, scope.params)
     
     let totalDocuments = 0
     let totalSize = 0
@@ -0,0 +1,166 @@
+const express = require("express")
+const archiver = require("archiver")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { canAccessEmployee, isDepartmentInScope } = require("../middleware/department-scope")
+const DtrService = require("../services/dtr-service")
+
+const router = express.Router()
+
+const FORMATS = ["pdf", "html"]
+
+// GET /api/dtr/employee/:employee_uid?month=YYYY-MM|start_date=&end_date=&format=pdf|html|json - One employee's DTR
+router.get("/employee/:employee_uid", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const { format = "pdf" } = req.query
+    if (![...FORMATS, "json"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be pdf, html or json",
+      })
+    }
+
+    const period = DtrService.resolvePeriod(req.query)
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        error: period.error,
+      })
+    }
+
+    const employee = await DtrService.getEmployee(req.params.employee_uid)
+    if (!employee || !(await canAccessEmployee(req, employee.uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const dtr = await DtrService.build(employee, period)
+    const filename = DtrService.getFilename(dtr)
+
+    if (format === "json") {
+      return res.json({
+        success: true,
+        data: dtr,
+      })
+    }
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8")
+      res.setHeader("Content-Disposition", `inline; filename="${filename}.html"`)
+      return res.send(DtrService.renderHtml(dtr))
+    }
+
+    res.setHeader("Content-Type", "application/pdf")
+    res.setHeader("Content-Disposition", `inline; filename="${filename}.pdf"`)
+    res.send(DtrService.renderPdf(dtr))
+  } catch (error) {
+    console.error("Error generating DTR:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate DTR",
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * GET /api/dtr/department?department=&month=|start_date=&end_date=&format=pdf|html - Zip of the DTRs
+ * of everyone in a department: active employees plus anyone with attendance in the period.
+ * department defaults to the caller's own when their access is scoped.
+ */
+router.get("/department", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { format = "pdf" } = req.query
+    const department = req.query.department || req.departmentScope
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be pdf or html",
+      })
+    }
+
+    if (!department) {
+      return res.status(400).json({
+        success: false,
+        error: "department is required",
+      })
+    }
+
+    const period = DtrService.resolvePeriod(req.query)
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        error: period.error,
+      })
+    }
+
+    if (!isDepartmentInScope(req, department)) {
+      return res.status(404).json({
+        success: false,
+        error: "Department not found",
+      })
+    }
+
+    const employees = await db.all(`
+      SELECT uid FROM emp_list
+      WHERE department = ? AND deleted_at IS NULL AND (
+        status = 'Active' OR uid IN (
+          SELECT employee_uid FROM daily_attendance_summary WHERE date BETWEEN ? AND ? AND total_sessions > 0
+        )
+      )
+      ORDER BY last_name, first_name
+    `, [department, period.start_date, period.end_date])
+
+    if (employees.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No employees found in this department for the period",
+      })
+    }
+
+    // Build everything before streaming so a failure can still answer with JSON
+    const files = []
+    for (const { uid } of employees) {
+      const dtr = await DtrService.build(await DtrService.getEmployee(uid), period)
+      const content = format === "pdf" ? DtrService.renderPdf(dtr) : DtrService.renderHtml(dtr)
+      files.push({ name: `${DtrService.getFilename(dtr)}.${format}`, content })
+    }
+
+    const safeDepartment = String(department).replace(/[^A-Za-z0-9]+/g, "-")
+    const zipFilename = `DTR_${safeDepartment}_${period.start_date}_${period.end_date}.zip`
+
+    res.setHeader("Content-Type", "application/zip")
+    res.setHeader("Content-Disposition", `attachment; filename="${zipFilename}"`)
+    res.setHeader("Cache-Control", "private, no-cache")
+
+    const archive = archiver("zip", { zlib: { level: 6 } })
+    archive.on("error", (error) => {
+      console.error("Error zipping department DTRs:", error)
+      res.destroy(error)
+    })
+
+    archive.pipe(res)
+    for (const file of files) {
+      archive.append(file.content, { name: file.name })
+    }
+    await archive.finalize()
+
+    console.log(`🗂️ Exported ${files.length} DTR(s) for ${department}, ${period.label}`)
+  } catch (error) {
+    console.error("Error exporting department DTRs:", error)
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    res.status(500).json({
+      success: false,
+      error: "Failed to export department DTRs",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -4,11 +4,17 @@ const { getDatabase } = require("../config/database")
 const { socketEvents } = require("../config/socket")
 const fs = require('fs');
 const path = require('path');
+const { requirePermission } = require("../middleware/permissions")
+const { addDepartmentCondition, departmentClause, isDepartmentInScope, canAccessEmployee } = require("../middleware/department-scope")
+const EmploymentHistoryService = require("../services/employment-history-service")
+const OffboardingService = require("../services/offboarding-service")
 
 const router = express.Router()
 
-// Get all employees with filtering and pagination
-router.get("/", async (req, res) => {
+// Get all employees with filtering and pagination. as_of=YYYY-MM-DD lists position, department,
+// salary and status as they stood on that date, leaving out anyone hired later. Deleted employees
+// are hidden unless deleted=include (everyone) or deleted=only (the ones that can be restored).
+router.get("/", requirePermission("employees:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -19,8 +25,21 @@ router.get("/", async (req, res) => {
       status = "Active",
       sortBy = "hire_date",
       sortOrder = "DESC",
+      as_of,
+      deleted = "exclude",
     } = req.query
 
+    if (as_of !== undefined && !EmploymentHistoryService.isValidDate(as_of)) {
+      return res.status(400).json({
+        success: false,
+        error: "as_of must be YYYY-MM-DD",
+      })
+    }
+
+    // The as-of view stands in for emp_list and binds the date ahead of the other parameters
+    const source = as_of ? `${EmploymentHistoryService.asOfSource()} as emp_list` : "emp_list"
+    const sourceParams = as_of ? [as_of] : []
+
     // Validate and sanitize parameters
     const parsedLimit = Math.min(Math.max(1, Number.parseInt(limit) || 100), 1000)
     const parsedOffset = Math.max(0, Number.parseInt(offset) || 0)
@@ -58,6 +77,15 @@ router.get("/", async (req, res) => {
       params.push(status)
     }
 
+    if (deleted === "only") {
+      whereConditions.push("deleted_at IS NOT NULL")
+    } else if (deleted !== "include") {
+      whereConditions.push("deleted_at IS NULL")
+    }
+
+    // Limit to the caller's department unless they have cross-department access
+    addDepartmentCondition(req, whereConditions, params, "uid")
+
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(" AND ")}` : ""
 
     // Main query to fetch employee data
@@ -88,37 +116,39 @@ router.get("/", async (req, res) => {
         profile_picture,
         document,
         created_at,
+        deleted_at,
         CASE 
           WHEN hire_date >= date('now', '-30 days') THEN 1 
           ELSE 0 
         END as is_new_hire
-      FROM emp_list
+      FROM ${source}
       ${whereClause}
       ORDER BY ${validSortBy} ${validSortOrder}
       LIMIT ? OFFSET ?
     `
 
-    const employees = await db.all(employeeQuery, [...params, parsedLimit, parsedOffset])
+    const employees = await db.all(employeeQuery, [...sourceParams, ...params, parsedLimit, parsedOffset])
 
     // Get total count for pagination
     const countQuery = `
       SELECT COUNT(*) as total
-      FROM emp_list
+      FROM ${source}
       ${whereClause}
     `
-    const totalResult = await db.get(countQuery, params)
+    const totalResult = await db.get(countQuery, [...sourceParams, ...params])
 
     // Get departments with count
+    const departmentScope = departmentClause(req, "uid")
     const departmentsQuery = `
       SELECT 
         department as name,
         COUNT(*) as totalCount
-      FROM emp_list
-      WHERE department IS NOT NULL AND department != ''
+      FROM ${source}
+      WHERE department IS NOT NULL AND department != '' AND deleted_at IS NULL${departmentScope.sql}
       GROUP BY department
       ORDER BY department
     `
-    const departments = await db.all(departmentsQuery)
+    const departments = await db.all(departmentsQuery, [...sourceParams, ...departmentScope.params])
 
     // Get statistics
     const statsQuery = `
@@ -130,10 +160,10 @@ router.get("/", async (req, res) => {
         COUNT(CASE WHEN department IS NULL OR department = '' THEN 1 END) as employees_without_department,
         AVG(CASE WHEN salary IS NOT NULL AND salary != '' THEN CAST(REPLACE(REPLACE(salary, '₱', ''), ',', '') AS DECIMAL) END) as average_salary,
         COUNT(DISTINCT department) as total_departments
-      FROM emp_list
+      FROM ${source}
       ${whereClause}
     `
-    const stats = await db.get(statsQuery, params)
+    const stats = await db.get(statsQuery, [...sourceParams, ...params])
 
     // Format the response
     const formattedEmployees = employees.map((emp) => ({
@@ -162,6 +192,7 @@ router.get("/", async (req, res) => {
       profilePicture: emp.profile_picture, // Fixed: Include profile_picture
       document: emp.document, // Fixed: Include document
       createdAt: emp.created_at,
+      deletedAt: emp.deleted_at,
       isNewHire: emp.is_new_hire === 1,
     }))
 
@@ -170,6 +201,7 @@ router.get("/", async (req, res) => {
       data: {
         employees: formattedEmployees,
         departments: departments, // Fixed: Include departments in response
+        asOf: as_of || null,
         pagination: {
           total: totalResult.total,
           limit: parsedLimit,
@@ -199,7 +231,7 @@ router.get("/", async (req, res) => {
 })
 
 // Get single employee by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("employees:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -231,14 +263,17 @@ router.get("/:id", async (req, res) => {
         salary,
         profile_picture,
         document,
-        created_at
+        created_at,
+        login_disabled,
+        deleted_at,
+        deleted_by
       FROM emp_list
       WHERE uid = ?
     `,
       [id],
     )
 
-    if (!employee) {
+    if (!employee || !isDepartmentInScope(req, employee.department)) {
       return res.status(404).json({
         success: false,
         error: "Employee not found",
@@ -271,6 +306,9 @@ router.get("/:id", async (req, res) => {
       profilePicture: employee.profile_picture, // Fixed: Include profile_picture
       document: employee.document, // Fixed: Include document
       createdAt: employee.created_at,
+      loginDisabled: employee.login_disabled === 1,
+      deletedAt: employee.deleted_at,
+      deletedBy: employee.deleted_by,
     }
 
     res.json({
@@ -287,8 +325,60 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// Get an employee's position, department, salary and status changes, newest first
+router.get("/:id/history", requirePermission("employees:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { id } = req.params
+    const { field } = req.query
+
+    if (field !== undefined && !EmploymentHistoryService.TRACKED_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        error: `field must be one of ${EmploymentHistoryService.TRACKED_FIELDS.join(", ")}`,
+      })
+    }
+
+    const employee = await db.get(
+      "SELECT uid, first_name, last_name, hire_date, position, department, salary, status FROM emp_list WHERE uid = ?",
+      [id],
+    )
+    if (!employee || !isDepartmentInScope(req, employee.department)) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const history = await EmploymentHistoryService.getHistory(employee.uid, field || null)
+
+    res.json({
+      success: true,
+      data: {
+        employee: {
+          id: employee.uid,
+          name: `${employee.first_name} ${employee.last_name}`,
+          hireDate: employee.hire_date,
+          position: employee.position,
+          department: employee.department,
+          salary: employee.salary,
+          status: employee.status,
+        },
+        history,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching employment history:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch employment history",
+      message: error.message,
+    })
+  }
+})
+
 // Create new employee
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("employees:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const {
@@ -320,6 +410,14 @@ router.post("/", async (req, res) => {
 
     console.log("Adding new employee:", { firstName, lastName, position, department, employeeId, idBarcode })
 
+    if (!isDepartmentInScope(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "You can only add employees to your own department",
+      })
+    }
+
     // Validation - required fields
     if (!firstName || !lastName) {
       return res.status(400).json({
@@ -484,11 +582,11 @@ router.post("/", async (req, res) => {
 })
 
 // Update employee status
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", requirePermission("employees:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
-    const { status } = req.body
+    const { status, effectiveDate = EmploymentHistoryService.defaultEffectiveDate(), reason } = req.body
 
     // Validate status
     const validStatuses = ["Active", "Inactive", "On Leave", "Terminated"]
@@ -500,19 +598,41 @@ router.patch("/:id/status", async (req, res) => {
     }
 
     // Check if employee exists
-    const existingEmployee = await db.get("SELECT uid, first_name, last_name FROM emp_list WHERE uid = ?", [id])
-    if (!existingEmployee) {
+    const existingEmployee = await db.get("SELECT uid, first_name, last_name, status FROM emp_list WHERE uid = ?", [id])
+    if (!existingEmployee || !(await canAccessEmployee(req, id))) {
       return res.status(404).json({
         success: false,
         error: "Employee not found",
       })
     }
 
-    // Update employee status
-    const result = await db.run("UPDATE emp_list SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?", [
-      status,
-      id,
-    ])
+    const changes = EmploymentHistoryService.diff(existingEmployee, { status })
+    const effectiveDateError = await EmploymentHistoryService.validateEffectiveDate(existingEmployee.uid, changes, effectiveDate)
+    if (effectiveDateError) {
+      return res.status(400).json({
+        success: false,
+        error: effectiveDateError,
+      })
+    }
+
+    // Update employee status and record the change
+    let result
+    await db.run("BEGIN TRANSACTION")
+    try {
+      result = await db.run("UPDATE emp_list SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?", [
+        status,
+        id,
+      ])
+      await EmploymentHistoryService.record(existingEmployee.uid, changes, {
+        effective_date: effectiveDate,
+        reason: reason || null,
+        changed_by: req.user.username,
+      })
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     if (result.changes === 0) {
       return res.status(404).json({
@@ -544,34 +664,42 @@ router.patch("/:id/status", async (req, res) => {
   }
 })
 
-// Delete single employee
-router.delete("/:id", async (req, res) => {
+// Delete single employee. Deletion is soft: the record stays, hidden from lists with its login
+// disabled, and can be brought back with POST /:id/restore.
+router.delete("/:id", requirePermission("employees:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
 
     // Check if employee exists and get their info for confirmation
     const employee = await db.get(
-      "SELECT uid, first_name, last_name, id_number, position, department FROM emp_list WHERE uid = ?",
+      "SELECT uid, first_name, last_name, id_number, position, department, deleted_at FROM emp_list WHERE uid = ?",
       [id],
     )
 
-    if (!employee) {
+    if (!employee || !isDepartmentInScope(req, employee.department)) {
       return res.status(404).json({
         success: false,
         error: "Employee not found",
       })
     }
 
-    const result = await db.run("DELETE FROM emp_list WHERE uid = ?", [id])
-
-    if (result.changes === 0) {
+    if (employee.deleted_at) {
       return res.status(404).json({
         success: false,
         error: "Employee not found or already deleted",
       })
     }
 
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await OffboardingService.softDelete([employee.uid], req.user.username)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
     const deletedEmployeeData = {
       deletedEmployee: {
         id: employee.uid,
@@ -599,8 +727,63 @@ router.delete("/:id", async (req, res) => {
   }
 })
 
+// Restore a deleted employee. Their login stays disabled if they were offboarded.
+router.post("/:id/restore", requirePermission("employees:delete"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { id } = req.params
+
+    const employee = await db.get(
+      "SELECT uid, first_name, last_name, id_number, department, deleted_at FROM emp_list WHERE uid = ?",
+      [id],
+    )
+
+    if (!employee || !isDepartmentInScope(req, employee.department)) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    if (!employee.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: "Employee is not deleted",
+      })
+    }
+
+    const offboarded = await db.get(
+      "SELECT id FROM employee_offboarding WHERE employee_uid = ? AND status = 'completed' LIMIT 1",
+      [employee.uid],
+    )
+
+    await db.run(
+      "UPDATE emp_list SET deleted_at = NULL, deleted_by = NULL, login_disabled = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?",
+      [offboarded ? 1 : 0, employee.uid],
+    )
+
+    socketEvents.employeeUpdated({ id: employee.uid, restored: true })
+
+    res.json({
+      success: true,
+      message: `Employee ${employee.first_name} ${employee.last_name} (ID: ${employee.id_number}) has been restored`,
+      data: {
+        id: employee.uid,
+        loginDisabled: Boolean(offboarded),
+      },
+    })
+  } catch (error) {
+    console.error("Error restoring employee:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore employee",
+      message: error.message,
+    })
+  }
+})
+
 // Update employee by ID
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("employees:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { id } = req.params
@@ -627,19 +810,32 @@ router.put("/:id", async (req, res) => {
       philhealthNumber,
       profilePicture,
       document,
+      effectiveDate = EmploymentHistoryService.defaultEffectiveDate(),
+      changeReason,
     } = req.body
 
     console.log("Updating employee:", { id, firstName, lastName, position, department })
 
     // Check if employee exists
-    const existingEmployee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [id])
-    if (!existingEmployee) {
+    const existingEmployee = await db.get(
+      "SELECT uid, position, department, salary, status FROM emp_list WHERE uid = ?",
+      [id],
+    )
+    if (!existingEmployee || !isDepartmentInScope(req, existingEmployee.department)) {
       return res.status(404).json({
         success: false,
         error: "Employee not found",
       })
     }
 
+    if (department !== undefined && !isDepartmentInScope(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "You cannot move employees to another department",
+      })
+    }
+
     // Validation - required fields
     if (!firstName || !lastName) {
       return res.status(400).json({
@@ -730,6 +926,16 @@ router.put("/:id", async (req, res) => {
       }
     })
 
+    // Position, department, salary and status changes go into the employment history
+    const changes = EmploymentHistoryService.diff(existingEmployee, fieldsToUpdate)
+    const effectiveDateError = await EmploymentHistoryService.validateEffectiveDate(existingEmployee.uid, changes, effectiveDate)
+    if (effectiveDateError) {
+      return res.status(400).json({
+        success: false,
+        error: effectiveDateError,
+      })
+    }
+
     // Add updated timestamp
     updateFields.push("updated_at = CURRENT_TIMESTAMP")
     
@@ -743,7 +949,20 @@ router.put("/:id", async (req, res) => {
       WHERE uid = ?
     `
 
-    const result = await db.run(updateQuery, updateValues)
+    let result
+    await db.run("BEGIN TRANSACTION")
+    try {
+      result = await db.run(updateQuery, updateValues)
+      await EmploymentHistoryService.record(existingEmployee.uid, changes, {
+        effective_date: effectiveDate,
+        reason: changeReason || null,
+        changed_by: req.user.username,
+      })
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     if (result.changes === 0) {
       return res.status(404).json({
@@ -822,7 +1041,7 @@ router.put("/:id", async (req, res) => {
 })
 
 // Bulk delete employees
-router.delete("/bulk", async (req, res) => {
+router.delete("/bulk", requirePermission("employees:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { employeeIds } = req.body
@@ -847,10 +1066,19 @@ router.delete("/bulk", async (req, res) => {
     // Get employee info before deletion for confirmation
     const placeholders = employeeIds.map(() => "?").join(",")
     const employees = await db.all(
-      `SELECT uid, first_name, last_name, id_number FROM emp_list WHERE uid IN (${placeholders})`,
+      `SELECT uid, first_name, last_name, id_number, department FROM emp_list
+       WHERE uid IN (${placeholders}) AND deleted_at IS NULL`,
       employeeIds,
     )
 
+    if (employees.some((emp) => !isDepartmentInScope(req, emp.department))) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "Some of these employees belong to another department",
+      })
+    }
+
     if (employees.length === 0) {
       return res.status(404).json({
         success: false,
@@ -858,11 +1086,20 @@ router.delete("/bulk", async (req, res) => {
       })
     }
 
-    // Perform bulk deletion
-    const result = await db.run(`DELETE FROM emp_list WHERE uid IN (${placeholders})`, employeeIds)
+    // Perform bulk deletion, soft like single deletes
+    const deletedIds = employees.map((emp) => emp.uid)
+    let deletedCount
+    await db.run("BEGIN TRANSACTION")
+    try {
+      deletedCount = await OffboardingService.softDelete(deletedIds, req.user.username)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const deletedEmployeesData = {
-      deletedCount: result.changes,
+      deletedCount,
       deletedEmployees: employees.map((emp) => ({
         id: emp.uid,
         name: `${emp.first_name} ${emp.last_name}`,
@@ -870,13 +1107,13 @@ router.delete("/bulk", async (req, res) => {
       })),
     }
 
-    employeeIds.forEach((id) => {
+    deletedIds.forEach((id) => {
       socketEvents.employeeDeleted(id)
     })
 
     res.json({
       success: true,
-      message: `Successfully deleted ${result.changes} employee(s)`,
+      message: `Successfully deleted ${deletedCount} employee(s)`,
       data: deletedEmployeesData,
     })
   } catch (error) {
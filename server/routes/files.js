@@ -2,9 +2,11 @@ const express = require("express")
 const path = require("path")
 const fs = require("fs")
 const { getDatabase } = require("../config/database") // Import getDatabase function
+const { requirePermission } = require("../middleware/permissions")
+const { getUploadsDir } = require("../utils/uploads")
 const router = express.Router()
 
-const baseUploadsDir = path.join(process.env.DATABASE_DIR || process.cwd(), "uploads")
+const baseUploadsDir = getUploadsDir()
 
 // Helper function to get relative path for database storage
 const getRelativePath = (fullPath) => {
@@ -105,7 +107,7 @@ const getEmployeeFiles = async (userId) => {
 // ============================================================================
 
 // This is the main file serving route that matches the upload.js system
-router.get("/serve/:relativePath", (req, res) => {
+router.get("/serve/:relativePath", requirePermission("documents:read"), (req, res) => {
   try {
     const { relativePath } = req.params
     const { download } = req.query // Add download query parameter
@@ -216,7 +218,7 @@ router.get("/serve/:relativePath", (req, res) => {
 // FILE INFO ENDPOINT (MATCHES UPLOAD.JS)
 // ============================================================================
 
-router.get("/info/:relativePath", (req, res) => {
+router.get("/info/:relativePath", requirePermission("documents:read"), (req, res) => {
   try {
     const { relativePath } = req.params
     const decodedPath = decodeURIComponent(relativePath)
@@ -269,7 +271,7 @@ router.get("/info/:relativePath", (req, res) => {
 // DELETE FILE ENDPOINT (MATCHES UPLOAD.JS)
 // ============================================================================
 
-router.delete("/serve/:relativePath", (req, res) => {
+router.delete("/serve/:relativePath", requirePermission("documents:delete"), (req, res) => {
   try {
     const { relativePath } = req.params
     const decodedPath = decodeURIComponent(relativePath)
@@ -315,7 +317,7 @@ router.delete("/serve/:relativePath", (req, res) => {
 // USER FILES ENDPOINT (MATCHES UPLOAD.JS)
 // ============================================================================
 
-router.get("/user/:userId/files", (req, res) => {
+router.get("/user/:userId/files", requirePermission("documents:read"), (req, res) => {
   try {
     const { userId } = req.params
     const userDir = path.join(baseUploadsDir, userId)
@@ -395,7 +397,7 @@ router.get("/user/:userId/files", (req, res) => {
 // EMPLOYEE FILE RETRIEVAL ENDPOINTS
 // ============================================================================
 
-router.get("/employee/:userId", async (req, res) => {
+router.get("/employee/:userId", requirePermission("documents:read"), async (req, res) => {
   try {
     const { userId } = req.params
     console.log("📥 Employee file request for userId:", userId)
@@ -488,7 +490,7 @@ router.get("/employee/:userId", async (req, res) => {
   }
 })
 
-router.get("/employee/:userId/profile", async (req, res) => {
+router.get("/employee/:userId/profile", requirePermission("documents:read"), async (req, res) => {
   try {
     const { userId } = req.params
     console.log("📥 Employee profile request for userId:", userId)
@@ -522,7 +524,7 @@ router.get("/employee/:userId/profile", async (req, res) => {
   }
 })
 
-router.get("/employee/:userId/documents", async (req, res) => {
+router.get("/employee/:userId/documents", requirePermission("documents:read"), async (req, res) => {
   try {
     const { userId } = req.params
     console.log("📥 Employee documents request for userId:", userId)
@@ -568,7 +570,7 @@ router.get("/employee/:userId/documents", async (req, res) => {
 // ============================================================================
 
 // List all users who have uploaded files
-router.get("/users", (req, res) => {
+router.get("/users", requirePermission("documents:read"), (req, res) => {
   try {
     if (!fs.existsSync(baseUploadsDir)) {
       return res.json({
@@ -629,7 +631,7 @@ router.get("/users", (req, res) => {
 })
 
 // Get user file summary
-router.get("/:userId/summary", (req, res) => {
+router.get("/:userId/summary", requirePermission("documents:read"), (req, res) => {
   try {
     const { userId } = req.params
 
@@ -0,0 +1,541 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { addDepartmentCondition, isDepartmentInScope, canAccessEmployee } = require("../middleware/department-scope")
+const GeofenceService = require("../services/geofence-service")
+const { localToday } = require("../utils/dates")
+
+const router = express.Router()
+
+const SITE_FIELDS = ["name", "address", "latitude", "longitude", "radius_meters", "enforcement", "is_active"]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function pickSiteFields(body) {
+  const site = {}
+  for (const field of SITE_FIELDS) {
+    if (body[field] !== undefined) {
+      site[field] = typeof body[field] === "boolean" ? (body[field] ? 1 : 0) : body[field]
+    }
+  }
+  return site
+}
+
+// GET /api/geofences - List sites with how many assignments use each
+router.get("/", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { include_inactive = "false" } = req.query
+
+    const sites = await db.all(`
+      SELECT s.*, COUNT(a.id) as assignment_count
+      FROM geofence_sites s
+      LEFT JOIN geofence_assignments a ON a.site_id = s.id
+      ${include_inactive === "true" ? "" : "WHERE s.is_active = 1"}
+      GROUP BY s.id
+      ORDER BY s.name
+    `)
+
+    res.json({
+      success: true,
+      data: sites,
+    })
+  } catch (error) {
+    console.error("Error fetching geofence sites:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch geofence sites",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/geofences/allowed?employee_uid=1 - Sites an employee may punch from
+router.get("/allowed", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const { employee_uid } = req.query
+
+    if (!employee_uid || !(await canAccessEmployee(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const sites = await GeofenceService.getAllowedSites(employee_uid)
+
+    res.json({
+      success: true,
+      data: {
+        employee_uid: Number(employee_uid),
+        fenced: sites.length > 0,
+        sites,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching allowed geofence sites:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch allowed geofence sites",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/geofences/assignments - Assignments, optionally filtered by site, employee or department
+router.get("/assignments", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { site_id, employee_uid, department } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (site_id) {
+      conditions.push("a.site_id = ?")
+      params.push(site_id)
+    }
+
+    if (employee_uid) {
+      conditions.push("a.employee_uid = ?")
+      params.push(employee_uid)
+    }
+
+    if (department) {
+      conditions.push("a.department = ?")
+      params.push(department)
+    }
+
+    // Scoped callers see their department's assignment and those of its employees
+    if (req.departmentScope !== null && req.departmentScope !== undefined) {
+      conditions.push("(a.department = ? OR a.employee_uid IN (SELECT uid FROM emp_list WHERE department = ?))")
+      params.push(req.departmentScope, req.departmentScope)
+    }
+
+    const assignments = await db.all(`
+      SELECT
+        a.*,
+        s.name as site_name,
+        e.first_name,
+        e.last_name,
+        e.department as employee_department
+      FROM geofence_assignments a
+      JOIN geofence_sites s ON s.id = a.site_id
+      LEFT JOIN emp_list e ON e.uid = a.employee_uid
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY s.name, a.id
+    `, params)
+
+    res.json({
+      success: true,
+      data: assignments,
+    })
+  } catch (error) {
+    console.error("Error fetching geofence assignments:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch geofence assignments",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/geofences/assignments - Allow an employee or a whole department to punch from a site
+router.post("/assignments", requirePermission("geofences:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { site_id, employee_uid = null, department = null, notes = null } = req.body
+
+    if (!site_id) {
+      return res.status(400).json({
+        success: false,
+        error: "site_id is required",
+      })
+    }
+
+    if ((employee_uid === null) === (department === null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide either employee_uid or department",
+      })
+    }
+
+    const site = await db.get("SELECT id, is_active FROM geofence_sites WHERE id = ?", [site_id])
+    if (!site || !site.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: "Geofence site not found",
+      })
+    }
+
+    if (employee_uid !== null) {
+      const employee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [employee_uid])
+      if (!employee || !(await canAccessEmployee(req, employee_uid))) {
+        return res.status(404).json({
+          success: false,
+          error: "Employee not found",
+        })
+      }
+    } else if (!isDepartmentInScope(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only assign sites within your department",
+      })
+    }
+
+    const existing = await db.get(
+      "SELECT id FROM geofence_assignments WHERE site_id = ? AND employee_uid IS ? AND department IS ?",
+      [site_id, employee_uid, department],
+    )
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "This site is already assigned",
+        existing_id: existing.id,
+      })
+    }
+
+    const result = await db.run(`
+      INSERT INTO geofence_assignments (site_id, employee_uid, department, notes, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [site_id, employee_uid, department, notes, req.user.username])
+
+    const assignment = await db.get("SELECT * FROM geofence_assignments WHERE id = ?", [result.lastID])
+
+    res.status(201).json({
+      success: true,
+      message: "Geofence site assigned successfully",
+      data: assignment,
+    })
+  } catch (error) {
+    console.error("Error assigning geofence site:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to assign geofence site",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/geofences/assignments/:id - Remove an assignment
+router.delete("/assignments/:id", requirePermission("geofences:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const assignment = await db.get("SELECT * FROM geofence_assignments WHERE id = ?", [req.params.id])
+
+    const inScope =
+      assignment &&
+      (assignment.employee_uid !== null
+        ? await canAccessEmployee(req, assignment.employee_uid)
+        : isDepartmentInScope(req, assignment.department))
+
+    if (!inScope) {
+      return res.status(404).json({
+        success: false,
+        error: "Geofence assignment not found",
+      })
+    }
+
+    await db.run("DELETE FROM geofence_assignments WHERE id = ?", [req.params.id])
+
+    res.json({
+      success: true,
+      message: "Geofence assignment removed successfully",
+    })
+  } catch (error) {
+    console.error("Error removing geofence assignment:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove geofence assignment",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/geofences/reports/flagged?start_date=&end_date=&site_id=&status=outside - Punches taken outside
+// the employee's geofence or without a location
+router.get("/reports/flagged", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const today = localToday()
+    const { start_date = today, end_date = today, site_id, status, employee_uid, department } = req.query
+
+    if (!DATE_PATTERN.test(start_date) || !DATE_PATTERN.test(end_date) || end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        error: "start_date and end_date must be YYYY-MM-DD with end_date on or after start_date",
+      })
+    }
+
+    const conditions = ["a.date BETWEEN ? AND ?"]
+    const params = [start_date, end_date]
+
+    if (status) {
+      if (!["outside", "no_location"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: "status must be outside or no_location",
+        })
+      }
+      conditions.push("a.geofence_status = ?")
+      params.push(status)
+    } else {
+      conditions.push("a.geofence_status IN ('outside', 'no_location')")
+    }
+
+    if (site_id) {
+      conditions.push("a.geofence_site_id = ?")
+      params.push(site_id)
+    }
+
+    if (employee_uid) {
+      conditions.push("a.employee_uid = ?")
+      params.push(employee_uid)
+    }
+
+    if (department) {
+      conditions.push("e.department = ?")
+      params.push(department)
+    }
+
+    addDepartmentCondition(req, conditions, params, "a.employee_uid")
+
+    const punches = await db.all(`
+      SELECT
+        a.id,
+        a.employee_uid,
+        a.clock_type,
+        a.clock_time,
+        a.date,
+        a.latitude,
+        a.longitude,
+        a.geofence_status,
+        a.geofence_distance_meters,
+        a.geofence_site_id,
+        s.name as site_name,
+        s.radius_meters as site_radius_meters,
+        a.device_id,
+        a.device_info,
+        e.first_name,
+        e.last_name,
+        e.id_number,
+        e.department
+      FROM attendance a
+      LEFT JOIN emp_list e ON e.uid = a.employee_uid
+      LEFT JOIN geofence_sites s ON s.id = a.geofence_site_id
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY a.clock_time DESC
+    `, params)
+
+    const byEmployee = {}
+    for (const punch of punches) {
+      if (!byEmployee[punch.employee_uid]) {
+        byEmployee[punch.employee_uid] = {
+          employee_uid: punch.employee_uid,
+          name: `${punch.first_name || ""} ${punch.last_name || ""}`.trim(),
+          department: punch.department,
+          outside: 0,
+          no_location: 0,
+        }
+      }
+      byEmployee[punch.employee_uid][punch.geofence_status] += 1
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date_range: { start_date, end_date },
+        punches,
+        by_employee: Object.values(byEmployee).sort((a, b) => b.outside + b.no_location - (a.outside + a.no_location)),
+        totals: {
+          flagged: punches.length,
+          outside: punches.filter((punch) => punch.geofence_status === "outside").length,
+          no_location: punches.filter((punch) => punch.geofence_status === "no_location").length,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Error generating flagged punch report:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate flagged punch report",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/geofences/:id - One site
+router.get("/:id", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const site = await db.get("SELECT * FROM geofence_sites WHERE id = ?", [req.params.id])
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        error: "Geofence site not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: site,
+    })
+  } catch (error) {
+    console.error("Error fetching geofence site:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch geofence site",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/geofences - Define a site: { name, latitude, longitude, radius_meters, enforcement }
+router.post("/", requirePermission("geofences:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const site = pickSiteFields(req.body)
+
+    const errors = GeofenceService.validateSite(site)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid geofence site",
+        details: errors,
+      })
+    }
+
+    const existing = await db.get("SELECT id FROM geofence_sites WHERE name = ?", [site.name])
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "A site with this name already exists",
+      })
+    }
+
+    const fields = Object.keys(site)
+    const result = await db.run(
+      `INSERT INTO geofence_sites (${fields.join(", ")}, created_by) VALUES (${fields.map(() => "?").join(", ")}, ?)`,
+      [...fields.map((field) => site[field]), req.user.username],
+    )
+
+    const created = await db.get("SELECT * FROM geofence_sites WHERE id = ?", [result.lastID])
+
+    res.status(201).json({
+      success: true,
+      message: "Geofence site created successfully",
+      data: created,
+    })
+  } catch (error) {
+    console.error("Error creating geofence site:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create geofence site",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/geofences/:id - Change a site. Punches already recorded keep the distance measured when they came in.
+router.put("/:id", requirePermission("geofences:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await db.get("SELECT * FROM geofence_sites WHERE id = ?", [req.params.id])
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Geofence site not found",
+      })
+    }
+
+    const changes = pickSiteFields(req.body)
+    const fields = Object.keys(changes)
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      })
+    }
+
+    const errors = GeofenceService.validateSite({ ...existing, ...changes })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid geofence site",
+        details: errors,
+      })
+    }
+
+    if (changes.name && changes.name !== existing.name) {
+      const clash = await db.get("SELECT id FROM geofence_sites WHERE name = ? AND id != ?", [changes.name, existing.id])
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          error: "A site with this name already exists",
+        })
+      }
+    }
+
+    await db.run(
+      `UPDATE geofence_sites SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map((field) => changes[field]), existing.id],
+    )
+
+    const updated = await db.get("SELECT * FROM geofence_sites WHERE id = ?", [existing.id])
+
+    res.json({
+      success: true,
+      message: "Geofence site updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    console.error("Error updating geofence site:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update geofence site",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/geofences/:id - Delete a site no punch was measured against; deactivate the others instead
+router.delete("/:id", requirePermission("geofences:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const site = await db.get("SELECT * FROM geofence_sites WHERE id = ?", [req.params.id])
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        error: "Geofence site not found",
+      })
+    }
+
+    const punches = await db.get("SELECT COUNT(*) as count FROM attendance WHERE geofence_site_id = ?", [site.id])
+    if (punches.count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${punches.count} punches were measured against this site; deactivate it instead`,
+      })
+    }
+
+    await db.run("DELETE FROM geofence_sites WHERE id = ?", [site.id])
+
+    res.json({
+      success: true,
+      message: "Geofence site deleted successfully",
+    })
+  } catch (error) {
+    console.error("Error deleting geofence site:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete geofence site",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
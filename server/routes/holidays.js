@@ -0,0 +1,426 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const HolidayService = require("../services/holiday-service")
+const DailySummaryService = require("../services/daily-summary-service")
+const PayrollService = require("../services/payroll-service")
+
+const router = express.Router()
+
+// Summaries on a date carry its day type, so a calendar change must not reach into a finalized payroll period
+async function getPayrollLockError(date) {
+  const locked = await PayrollService.getLockedPeriod(date)
+  return locked ? `${date} is in finalized payroll period "${locked.name}"` : null
+}
+
+// Re-tag the summaries on the given dates; call inside the transaction that changed the calendar
+async function retagSummaries(dates) {
+  const pairs = await HolidayService.getAffectedSummaries([...new Set(dates)])
+  return await DailySummaryService.recomputeMany(pairs)
+}
+
+// GET /api/holidays?year=2025&holiday_type=regular - Holiday calendar
+router.get("/", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { year, holiday_type, start_date, end_date } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (year) {
+      conditions.push("strftime('%Y', date) = ?")
+      params.push(String(year))
+    }
+
+    if (holiday_type) {
+      conditions.push("holiday_type = ?")
+      params.push(holiday_type)
+    }
+
+    if (start_date) {
+      conditions.push("date >= ?")
+      params.push(start_date)
+    }
+
+    if (end_date) {
+      conditions.push("date <= ?")
+      params.push(end_date)
+    }
+
+    const holidays = await db.all(`
+      SELECT * FROM holidays
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY date
+    `, params)
+
+    res.json({
+      success: true,
+      data: holidays,
+    })
+  } catch (error) {
+    console.error("Error fetching holidays:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch holidays",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/holidays/import - Load a year's list: { year, holidays: [{ date, name, holiday_type, notes }], replace }
+// Dates already on the calendar are updated; with replace, the year's other holidays are removed.
+router.post("/import", requirePermission("holidays:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { holidays, replace = false } = req.body
+    const year = Number.parseInt(req.body.year)
+
+    if (!year || !Array.isArray(holidays) || holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "year and a non-empty holidays array are required",
+      })
+    }
+
+    const errors = []
+    const seenDates = new Set()
+
+    for (const [index, holiday] of holidays.entries()) {
+      const holidayErrors = HolidayService.validateHoliday(holiday)
+      if (holidayErrors.length === 0) {
+        if (!holiday.date.startsWith(`${year}-`)) {
+          holidayErrors.push(`date is not in ${year}`)
+        } else if (seenDates.has(holiday.date)) {
+          holidayErrors.push("date is listed more than once")
+        }
+        seenDates.add(holiday.date)
+      }
+
+      if (holidayErrors.length > 0) {
+        errors.push({ index, date: holiday.date, errors: holidayErrors })
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid holidays",
+        details: errors,
+      })
+    }
+
+    const existing = await db.all("SELECT * FROM holidays WHERE strftime('%Y', date) = ?", [String(year)])
+    const removed = replace ? existing.filter((holiday) => !seenDates.has(holiday.date)) : []
+
+    // Only dates whose calendar entry actually changes can disturb a finalized period
+    const changedDates = [
+      ...removed.map((holiday) => holiday.date),
+      ...holidays
+        .filter((holiday) => {
+          const current = existing.find((row) => row.date === holiday.date)
+          return !current || current.name !== holiday.name || current.holiday_type !== holiday.holiday_type
+        })
+        .map((holiday) => holiday.date),
+    ]
+
+    for (const date of changedDates) {
+      const lockError = await getPayrollLockError(date)
+      if (lockError) {
+        return res.status(409).json({
+          success: false,
+          error: lockError,
+        })
+      }
+    }
+
+    let created = 0
+    let updated = 0
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      for (const holiday of removed) {
+        await db.run("DELETE FROM holidays WHERE id = ?", [holiday.id])
+      }
+
+      for (const holiday of holidays) {
+        const current = existing.find((row) => row.date === holiday.date)
+        if (current) {
+          await db.run(`
+            UPDATE holidays SET name = ?, holiday_type = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [String(holiday.name).trim(), holiday.holiday_type, holiday.notes ?? current.notes, current.id])
+          updated++
+        } else {
+          await db.run(`
+            INSERT INTO holidays (date, name, holiday_type, notes, created_by)
+            VALUES (?, ?, ?, ?, ?)
+          `, [holiday.date, String(holiday.name).trim(), holiday.holiday_type, holiday.notes || null, req.user.username])
+          created++
+        }
+      }
+
+      summaryResults = await retagSummaries(changedDates)
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    res.json({
+      success: true,
+      message: `Imported ${holidays.length} holidays for ${year}`,
+      data: {
+        year,
+        created,
+        updated,
+        removed: removed.length,
+        summaries_updated: summaryResults.length,
+      },
+    })
+  } catch (error) {
+    console.error("Error importing holidays:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to import holidays",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/holidays/:id - One holiday
+router.get("/:id", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const holiday = await db.get("SELECT * FROM holidays WHERE id = ?", [req.params.id])
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: holiday,
+    })
+  } catch (error) {
+    console.error("Error fetching holiday:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch holiday",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/holidays - Add a holiday
+router.post("/", requirePermission("holidays:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { date, name, holiday_type, notes = null } = req.body
+
+    const errors = HolidayService.validateHoliday({ date, name, holiday_type })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid holiday",
+        details: errors,
+      })
+    }
+
+    const existing = await db.get("SELECT id FROM holidays WHERE date = ?", [date])
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "A holiday already exists on this date",
+      })
+    }
+
+    const lockError = await getPayrollLockError(date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    let holidayId
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      const result = await db.run(`
+        INSERT INTO holidays (date, name, holiday_type, notes, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [date, String(name).trim(), holiday_type, notes, req.user.username])
+      holidayId = result.lastID
+
+      summaryResults = await retagSummaries([date])
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    const holiday = await db.get("SELECT * FROM holidays WHERE id = ?", [holidayId])
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday created successfully",
+      data: holiday,
+    })
+  } catch (error) {
+    console.error("Error creating holiday:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create holiday",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/holidays/:id - Rename, retype or move a holiday
+router.put("/:id", requirePermission("holidays:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await db.get("SELECT * FROM holidays WHERE id = ?", [req.params.id])
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found",
+      })
+    }
+
+    const {
+      date = existing.date,
+      name = existing.name,
+      holiday_type = existing.holiday_type,
+      notes = existing.notes,
+    } = req.body
+
+    const errors = HolidayService.validateHoliday({ date, name, holiday_type })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid holiday",
+        details: errors,
+      })
+    }
+
+    if (date !== existing.date) {
+      const clash = await db.get("SELECT id FROM holidays WHERE date = ? AND id != ?", [date, existing.id])
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          error: "A holiday already exists on this date",
+        })
+      }
+    }
+
+    for (const affectedDate of new Set([existing.date, date])) {
+      const lockError = await getPayrollLockError(affectedDate)
+      if (lockError) {
+        return res.status(409).json({
+          success: false,
+          error: lockError,
+        })
+      }
+    }
+
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE holidays SET date = ?, name = ?, holiday_type = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [date, String(name).trim(), holiday_type, notes, existing.id])
+
+      summaryResults = await retagSummaries([existing.date, date])
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    const holiday = await db.get("SELECT * FROM holidays WHERE id = ?", [existing.id])
+
+    res.json({
+      success: true,
+      message: "Holiday updated successfully",
+      data: holiday,
+    })
+  } catch (error) {
+    console.error("Error updating holiday:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update holiday",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/holidays/:id - Remove a holiday; its date goes back to a regular or rest day
+router.delete("/:id", requirePermission("holidays:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await db.get("SELECT * FROM holidays WHERE id = ?", [req.params.id])
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found",
+      })
+    }
+
+    const lockError = await getPayrollLockError(existing.date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run("DELETE FROM holidays WHERE id = ?", [existing.id])
+      summaryResults = await retagSummaries([existing.date])
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    res.json({
+      success: true,
+      message: "Holiday deleted successfully",
+    })
+  } catch (error) {
+    console.error("Error deleting holiday:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete holiday",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
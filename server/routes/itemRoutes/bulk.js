@@ -3,9 +3,11 @@
 const express = require("express")
 const router = express.Router()
 const { getDatabase } = require("../../config/database")
+const { requirePermission } = require("../../middleware/permissions")
+const StockMovementService = require("./services/stock-movement-service")
 
 // POST /api/items/bulk - Bulk create items
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("items:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { items } = req.body
@@ -50,6 +52,14 @@ router.post("/", async (req, res) => {
         `, [item_name, brand, item_type, location, unit_of_measure,
             in_qty, out_qty, min_stock, price_per_unit, supplier])
 
+        await StockMovementService.record({
+          itemNo: result.lastID,
+          type: "opening",
+          quantityDelta: in_qty,
+          reason: "Initial stock from bulk import",
+          user: req.user,
+        })
+
         const newItem = await db.get(`
           SELECT 
             item_no, item_name, brand, item_type, location, unit_of_measure,
@@ -3,12 +3,16 @@
 const express = require("express")
 const router = express.Router()
 const { getDatabase } = require("../../config/database")
+const { requirePermission } = require("../../middleware/permissions")
+const StockMovementService = require("./services/stock-movement-service")
 
 // POST /api/items/checkout - For processing checkout transactions
-router.post("/", async (req, res) => {
+// employee_uid names the employee borrowing the items; checkout_by defaults to their name
+router.post("/", requirePermission("items:checkout"), async (req, res) => {
   try {
     const db = getDatabase()
-    const { items, checkout_by, notes } = req.body
+    const { items, notes, reference_id, employee_uid } = req.body
+    let { checkout_by } = req.body
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
@@ -26,6 +30,21 @@ router.post("/", async (req, res) => {
       }
     }
 
+    let borrower = null
+    if (employee_uid !== undefined && employee_uid !== null && employee_uid !== "") {
+      borrower = await db.get(
+        "SELECT uid, first_name, last_name FROM emp_list WHERE uid = ? AND deleted_at IS NULL",
+        [employee_uid]
+      )
+      if (!borrower) {
+        return res.status(400).json({
+          success: false,
+          error: "Borrowing employee not found"
+        })
+      }
+      checkout_by = checkout_by || `${borrower.first_name} ${borrower.last_name}`
+    }
+
     await db.run("BEGIN TRANSACTION")
 
     try {
@@ -52,10 +71,22 @@ router.post("/", async (req, res) => {
         const newBalance = currentItem.balance - quantity
 
         await db.run(
-          `UPDATE itemsdb SET out_qty = ?, balance = ? WHERE item_no = ?`,
-          [newOutQty, newBalance, item_no]
+          `UPDATE itemsdb SET out_qty = ? WHERE item_no = ?`,
+          [newOutQty, item_no]
         )
 
+        // All lines of one checkout share a reference so the ledger can group them
+        await StockMovementService.record({
+          itemNo: item_no,
+          type: "checkout",
+          quantityDelta: -quantity,
+          reason: notes || (checkout_by ? `Checked out by ${checkout_by}` : "Checkout"),
+          referenceType: "checkout",
+          referenceId: reference_id || timestamp,
+          user: req.user,
+          employeeUid: borrower ? borrower.uid : null,
+        })
+
         checkoutResults.push({
           item_no: item_no,
           item_name: currentItem.item_name,
@@ -73,6 +104,7 @@ router.post("/", async (req, res) => {
         data: {
           checkout_timestamp: timestamp,
           checkout_by: checkout_by || null,
+          employee_uid: borrower ? borrower.uid : null,
           notes: notes || null,
           items: checkoutResults
         }
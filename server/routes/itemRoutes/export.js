@@ -4,9 +4,10 @@ const express = require("express")
 const router = express.Router()
 const { getDatabase } = require("../../config/database")
 const { generateCSV } = require("./utils/csv-generator")
+const { requirePermission } = require("../../middleware/permissions")
 
 // GET /api/items/export/csv - Export items to CSV format
-router.get("/csv", async (req, res) => {
+router.get("/csv", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -45,7 +46,7 @@ router.get("/csv", async (req, res) => {
 })
 
 // GET /api/items/export/supplier-report/:supplier - Export supplier report
-router.get("/supplier-report/:supplier", async (req, res) => {
+router.get("/supplier-report/:supplier", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const supplier = decodeURIComponent(req.params.supplier)
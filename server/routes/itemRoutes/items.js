@@ -4,9 +4,11 @@ const express = require("express")
 const router = express.Router()
 const { validateItem, validateItemId } = require("./validators")
 const { getDatabase } = require("../../config/database")
+const { requirePermission } = require("../../middleware/permissions")
+const StockMovementService = require("./services/stock-movement-service")
 
 // GET /api/items - Retrieve all items with optional filtering and pagination
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -119,7 +121,7 @@ router.get("/", async (req, res) => {
 })
 
 // GET /api/items/:id - Get a specific item by item_no
-router.get("/:id", validateItemId, async (req, res) => {
+router.get("/:id", requirePermission("items:read"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = Number.parseInt(req.params.id)
@@ -154,8 +156,67 @@ router.get("/:id", validateItemId, async (req, res) => {
   }
 })
 
+// GET /api/items/:id/movements - Stock ledger for one item, newest first
+router.get("/:id/movements", requirePermission("items:read"), validateItemId, async (req, res) => {
+  try {
+    const db = getDatabase()
+    const itemNo = Number.parseInt(req.params.id)
+    const { limit = 100, offset = 0, movement_type, from, to } = req.query
+
+    if (movement_type && !StockMovementService.isValidType(movement_type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid movement type",
+      })
+    }
+
+    const item = await db.get(
+      "SELECT item_no, item_name, unit_of_measure, in_qty, out_qty, balance FROM itemsdb WHERE item_no = ?",
+      [itemNo],
+    )
+
+    // Movements outlive deleted items, so only 404 when there is neither
+    const { movements, total } = await StockMovementService.findAll({
+      item_no: itemNo,
+      movement_type,
+      from,
+      to,
+      limit,
+      offset,
+    })
+
+    if (!item && total === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Item not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        item: item || { item_no: itemNo, deleted: true },
+        movements,
+      },
+      pagination: {
+        total,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+        hasMore: Number.parseInt(offset) + movements.length < total,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching stock movements:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch stock movements",
+      message: error.message,
+    })
+  }
+})
+
 // POST /api/items - Create a new item
-router.post("/", validateItem, async (req, res) => {
+router.post("/", requirePermission("items:write"), validateItem, async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -168,24 +229,42 @@ router.post("/", validateItem, async (req, res) => {
     const in_qty = balance
     const out_qty = 0
 
-    // Insert the item first to get the item_no
-    const result = await db.run(`
-      INSERT INTO itemsdb (
-        item_name, brand, item_type, location, unit_of_measure,
-        in_qty, out_qty, min_stock, price_per_unit, supplier
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [item_name, brand, item_type, location, unit_of_measure,
-        in_qty, out_qty, min_stock, price_per_unit, supplier])
-
-    // Generate barcode using the item_no (lastID)
-    const barcode = `ITM${result.lastID.toString().padStart(3, '0')}`
-    
-    // Update the item with the generated barcode
-    await db.run(`
-      UPDATE itemsdb 
-      SET barcode = ? 
-      WHERE item_no = ?
-    `, [barcode, result.lastID])
+    await db.run("BEGIN TRANSACTION")
+
+    let result
+    try {
+      // Insert the item first to get the item_no
+      result = await db.run(`
+        INSERT INTO itemsdb (
+          item_name, brand, item_type, location, unit_of_measure,
+          in_qty, out_qty, min_stock, price_per_unit, supplier
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [item_name, brand, item_type, location, unit_of_measure,
+          in_qty, out_qty, min_stock, price_per_unit, supplier])
+
+      // Generate barcode using the item_no (lastID)
+      const barcode = `ITM${result.lastID.toString().padStart(3, '0')}`
+
+      // Update the item with the generated barcode
+      await db.run(`
+        UPDATE itemsdb 
+        SET barcode = ? 
+        WHERE item_no = ?
+      `, [barcode, result.lastID])
+
+      await StockMovementService.record({
+        itemNo: result.lastID,
+        type: "opening",
+        quantityDelta: in_qty,
+        reason: "Initial stock when the item was created",
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     // Retrieve the complete item with barcode
     const newItem = await db.get(`
@@ -213,7 +292,7 @@ router.post("/", validateItem, async (req, res) => {
 })
 
 // PUT /api/items/:id - Update an existing item
-router.put("/:id", validateItemId, validateItem, async (req, res) => {
+router.put("/:id", requirePermission("items:write"), validateItemId, validateItem, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = Number.parseInt(req.params.id)
@@ -235,13 +314,30 @@ router.put("/:id", validateItemId, validateItem, async (req, res) => {
 
     const in_qty = balance + existingItem.out_qty
 
-    await db.run(`
-      UPDATE itemsdb SET
-        item_name = ?, brand = ?, item_type = ?, location = ?, unit_of_measure = ?,
-        in_qty = ?, min_stock = ?, price_per_unit = ?, supplier = ?
-      WHERE item_no = ?
-    `, [item_name, brand, item_type, location, unit_of_measure,
-        in_qty, min_stock, price_per_unit, supplier, itemNo])
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run(`
+        UPDATE itemsdb SET
+          item_name = ?, brand = ?, item_type = ?, location = ?, unit_of_measure = ?,
+          in_qty = ?, min_stock = ?, price_per_unit = ?, supplier = ?
+        WHERE item_no = ?
+      `, [item_name, brand, item_type, location, unit_of_measure,
+          in_qty, min_stock, price_per_unit, supplier, itemNo])
+
+      await StockMovementService.record({
+        itemNo,
+        type: "adjustment",
+        quantityDelta: balance - existingItem.balance,
+        reason: "Balance changed while editing the item",
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const updatedItem = await db.get(`
       SELECT 
@@ -268,7 +364,7 @@ router.put("/:id", validateItemId, validateItem, async (req, res) => {
 })
 
 // DELETE /api/items/:id - Delete an item
-router.delete("/:id", validateItemId, async (req, res) => {
+router.delete("/:id", requirePermission("items:delete"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = Number.parseInt(req.params.id)
@@ -281,7 +377,25 @@ router.delete("/:id", validateItemId, async (req, res) => {
       })
     }
 
-    await db.run("DELETE FROM itemsdb WHERE item_no = ?", [itemNo])
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      // Write the remaining stock off first so the ledger explains where it went
+      await db.run("UPDATE itemsdb SET in_qty = out_qty WHERE item_no = ?", [itemNo])
+      await StockMovementService.record({
+        itemNo,
+        type: "adjustment",
+        quantityDelta: -existingItem.balance,
+        reason: "Item deleted",
+        user: req.user,
+      })
+      await db.run("DELETE FROM itemsdb WHERE item_no = ?", [itemNo])
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     res.json({
       success: true,
@@ -299,7 +413,7 @@ router.delete("/:id", validateItemId, async (req, res) => {
 })
 
 // GET /api/items/filters/options - Get filter options for dropdowns
-router.get("/filters/options", async (req, res) => {
+router.get("/filters/options", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -330,7 +444,7 @@ router.get("/filters/options", async (req, res) => {
 })
 
 // GET /api/items/supplier/:supplier - Get items by supplier
-router.get("/supplier/:supplier", async (req, res) => {
+router.get("/supplier/:supplier", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const supplier = decodeURIComponent(req.params.supplier)
@@ -3,9 +3,11 @@
 const express = require("express")
 const router = express.Router()
 const { getDatabase } = require("../../config/database")
+const { requirePermission } = require("../../middleware/permissions")
+const StockMovementService = require("./services/stock-movement-service")
 
 // GET /api/items/reports/dashboard/stats - Get dashboard statistics
-router.get("/dashboard/stats", async (req, res) => {
+router.get("/dashboard/stats", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -58,7 +60,7 @@ router.get("/dashboard/stats", async (req, res) => {
 })
 
 // GET /api/items/reports/inventory-summary - Generate inventory summary report
-router.get("/inventory-summary", async (req, res) => {
+router.get("/inventory-summary", requirePermission("items:read"), async (req, res) => {
   try {
     const db = getDatabase()
 
@@ -157,4 +159,51 @@ router.get("/inventory-summary", async (req, res) => {
   }
 })
 
+// GET /api/items/reports/ledger - Stock ledger: per-item opening, in, out and closing for a period, plus the movements
+router.get("/ledger", requirePermission("items:read"), async (req, res) => {
+  try {
+    const { from, to, item_no, movement_type, reference_type, limit = 500, offset = 0 } = req.query
+
+    if (movement_type && !StockMovementService.isValidType(movement_type)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid movement type",
+      })
+    }
+
+    const filters = { from, to, item_no, movement_type, reference_type }
+
+    const summary = (await StockMovementService.getLedgerSummary(filters)).map((row) => ({
+      ...row,
+      closing_balance: row.opening_balance + row.net_change,
+    }))
+
+    const { movements, total } = await StockMovementService.findAll({ ...filters, limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        period: { from: from || null, to: to || null },
+        summary,
+        movements,
+        generated_at: new Date().toISOString(),
+      },
+      pagination: {
+        total,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+        hasMore: Number.parseInt(offset) + movements.length < total,
+      },
+      message: "Stock ledger report generated successfully",
+    })
+  } catch (error) {
+    console.error("Error generating stock ledger:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate stock ledger",
+      message: error.message,
+    })
+  }
+})
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { getDatabase } = require("../../../config/database")
+
+const MOVEMENT_TYPES = ["opening", "receipt", "issue", "adjustment", "checkout", "po_receipt"]
+
+class StockMovementService {
+  static isValidType(type) {
+    return MOVEMENT_TYPES.includes(type)
+  }
+
+  // Call right after itemsdb has been updated, inside the same transaction, so balance_after is exact.
+  // employeeUid is the employee the items went to or came back from, when there is one.
+  static async record({ itemNo, type, quantityDelta, reason = null, referenceType = null, referenceId = null, user = null, employeeUid = null }) {
+    if (!this.isValidType(type)) {
+      throw new Error(`Unknown stock movement type: ${type}`)
+    }
+
+    if (!quantityDelta) {
+      return null
+    }
+
+    const db = getDatabase()
+    const item = await db.get("SELECT balance FROM itemsdb WHERE item_no = ?", [itemNo])
+
+    const result = await db.run(`
+      INSERT INTO stock_movements (
+        item_no, movement_type, quantity_delta, balance_after,
+        reason, reference_type, reference_id, user_id, performed_by, employee_uid
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [itemNo, type, quantityDelta, item ? item.balance : 0,
+        reason, referenceType, referenceId !== null ? String(referenceId) : null,
+        user ? user.id : null, user ? user.username : null, employeeUid])
+
+    return result.lastID
+  }
+
+  static buildFilters(filters = {}) {
+    const { item_no, movement_type, reference_type, reference_id, from, to } = filters
+    const conditions = []
+    const params = []
+
+    if (item_no) {
+      conditions.push("m.item_no = ?")
+      params.push(Number.parseInt(item_no))
+    }
+
+    if (movement_type) {
+      conditions.push("m.movement_type = ?")
+      params.push(movement_type)
+    }
+
+    if (reference_type) {
+      conditions.push("m.reference_type = ?")
+      params.push(reference_type)
+    }
+
+    if (reference_id) {
+      conditions.push("m.reference_id = ?")
+      params.push(reference_id)
+    }
+
+    if (from) {
+      conditions.push("DATE(m.created_at) >= DATE(?)")
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push("DATE(m.created_at) <= DATE(?)")
+      params.push(to)
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+      params,
+    }
+  }
+
+  // Movements newest first, with the item name for display
+  static async findAll(filters = {}) {
+    const db = getDatabase()
+    const { limit = 100, offset = 0 } = filters
+    const { whereClause, params } = this.buildFilters(filters)
+
+    const movements = await db.all(`
+      SELECT m.*, i.item_name
+      FROM stock_movements m
+      LEFT JOIN itemsdb i ON i.item_no = m.item_no
+      ${whereClause}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, Number.parseInt(limit), Number.parseInt(offset)])
+
+    const countResult = await db.get(`
+      SELECT COUNT(*) as total FROM stock_movements m ${whereClause}
+    `, params)
+
+    return { movements, total: countResult.total }
+  }
+
+  /**
+   * Per-item totals for a period: balance before it, what came in, what went out,
+   * adjustments and the closing balance
+   */
+  static async getLedgerSummary(filters = {}) {
+    const db = getDatabase()
+    const { whereClause, params } = this.buildFilters(filters)
+    const openingParams = filters.from ? [filters.from] : []
+
+    return await db.all(`
+      SELECT
+        m.item_no,
+        i.item_name,
+        i.unit_of_measure,
+        COALESCE((
+          SELECT SUM(prior.quantity_delta) FROM stock_movements prior
+          WHERE prior.item_no = m.item_no ${filters.from ? "AND DATE(prior.created_at) < DATE(?)" : "AND 0"}
+        ), 0) as opening_balance,
+        SUM(CASE WHEN m.movement_type IN ('opening', 'receipt', 'po_receipt') THEN m.quantity_delta ELSE 0 END) as received,
+        SUM(CASE WHEN m.movement_type IN ('issue', 'checkout') THEN -m.quantity_delta ELSE 0 END) as issued,
+        SUM(CASE WHEN m.movement_type = 'adjustment' THEN m.quantity_delta ELSE 0 END) as adjusted,
+        SUM(m.quantity_delta) as net_change,
+        COUNT(*) as movement_count
+      FROM stock_movements m
+      LEFT JOIN itemsdb i ON i.item_no = m.item_no
+      ${whereClause}
+      GROUP BY m.item_no
+      ORDER BY i.item_name
+    `, [...openingParams, ...params])
+  }
+}
+
+module.exports = StockMovementService
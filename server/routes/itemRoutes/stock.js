@@ -4,13 +4,15 @@ const express = require("express")
 const router = express.Router()
 const { validateItemId, validateQuantity } = require("./validators")
 const { getDatabase } = require("../../config/database")
+const { requirePermission } = require("../../middleware/permissions")
+const StockMovementService = require("./services/stock-movement-service")
 
 // PATCH /api/items/stock/:id - Update item stock (quick stock adjustment)
-router.patch("/:id", validateItemId, async (req, res) => {
+router.patch("/:id", requirePermission("items:write"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = Number.parseInt(req.params.id)
-    const { balance, adjustment_reason = "Manual adjustment" } = req.body
+    const { balance, adjustment_reason = "Manual adjustment", reference_type, reference_id } = req.body
 
     if (typeof balance !== "number" || balance < 0) {
       return res.status(400).json({
@@ -29,9 +31,28 @@ router.patch("/:id", validateItemId, async (req, res) => {
 
     const newInQty = balance + existingItem.out_qty
 
-    await db.run(`
-      UPDATE itemsdb SET in_qty = ? WHERE item_no = ?
-    `, [newInQty, itemNo])
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run(`
+        UPDATE itemsdb SET in_qty = ? WHERE item_no = ?
+      `, [newInQty, itemNo])
+
+      await StockMovementService.record({
+        itemNo,
+        type: "adjustment",
+        quantityDelta: balance - existingItem.balance,
+        reason: adjustment_reason,
+        referenceType: reference_type,
+        referenceId: reference_id,
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const updatedItem = await db.get(`
       SELECT 
@@ -58,11 +79,11 @@ router.patch("/:id", validateItemId, async (req, res) => {
 })
 
 // POST /api/items/stock/:id/insert - Insert stock for existing item
-router.post("/:id/insert", validateItemId, async (req, res) => {
+router.post("/:id/insert", requirePermission("items:write"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = Number.parseInt(req.params.id)
-    const { quantity, reason = "Stock insertion" } = req.body
+    const { quantity, reason = "Stock insertion", reference_type, reference_id } = req.body
 
     if (typeof quantity !== "number" || quantity <= 0) {
       return res.status(400).json({
@@ -81,9 +102,28 @@ router.post("/:id/insert", validateItemId, async (req, res) => {
 
     const newInQty = existingItem.in_qty + quantity
 
-    await db.run(`
-      UPDATE itemsdb SET in_qty = ? WHERE item_no = ?
-    `, [newInQty, itemNo])
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run(`
+        UPDATE itemsdb SET in_qty = ? WHERE item_no = ?
+      `, [newInQty, itemNo])
+
+      await StockMovementService.record({
+        itemNo,
+        type: "receipt",
+        quantityDelta: quantity,
+        reason,
+        referenceType: reference_type,
+        referenceId: reference_id,
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const updatedItem = await db.get(`
       SELECT 
@@ -115,11 +155,11 @@ router.post("/:id/insert", validateItemId, async (req, res) => {
 })
 
 // PUT /api/items/stock/:id/quantity - For direct quantity updates
-router.put("/:id/quantity", validateItemId, async (req, res) => {
+router.put("/:id/quantity", requirePermission("items:write"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = req.params.id
-    const { in_qty, out_qty, balance, update_type, notes, updated_by } = req.body
+    const { in_qty, out_qty, balance, update_type, notes, updated_by, reference_type, reference_id } = req.body
 
     if (in_qty === undefined && out_qty === undefined && balance === undefined) {
       return res.status(400).json({
@@ -151,6 +191,8 @@ router.put("/:id/quantity", validateItemId, async (req, res) => {
           error: "Balance cannot be negative"
         })
       }
+      // balance is derived from in_qty - out_qty, so move in_qty to reach it
+      newInQty = balance + newOutQty
       newBalance = balance
     } else if (update_type === "adjust_in" && in_qty !== undefined) {
       if (in_qty < 0) {
@@ -198,6 +240,7 @@ router.put("/:id/quantity", validateItemId, async (req, res) => {
             error: "Balance cannot be negative"
           })
         }
+        newInQty = balance + newOutQty
         newBalance = balance
       } else {
         newBalance = newInQty - newOutQty
@@ -211,10 +254,29 @@ router.put("/:id/quantity", validateItemId, async (req, res) => {
       })
     }
 
-    await db.run(
-      `UPDATE itemsdb SET in_qty = ?, out_qty = ?, balance = ? WHERE item_no = ?`,
-      [newInQty, newOutQty, newBalance, itemNo]
-    )
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run(
+        `UPDATE itemsdb SET in_qty = ?, out_qty = ? WHERE item_no = ?`,
+        [newInQty, newOutQty, itemNo]
+      )
+
+      await StockMovementService.record({
+        itemNo,
+        type: "adjustment",
+        quantityDelta: newBalance - currentItem.balance,
+        reason: notes || `Quantity update (${update_type || "manual"})`,
+        referenceType: reference_type,
+        referenceId: reference_id,
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const updatedItem = await db.get(`
       SELECT 
@@ -260,11 +322,11 @@ router.put("/:id/quantity", validateItemId, async (req, res) => {
 })
 
 // POST /api/items/stock/:id/out - For recording items going out
-router.post("/:id/out", validateItemId, async (req, res) => {
+router.post("/:id/out", requirePermission("items:write"), validateItemId, async (req, res) => {
   try {
     const db = getDatabase()
     const itemNo = req.params.id
-    const { quantity, notes, out_by } = req.body
+    const { quantity, notes, out_by, reference_type, reference_id } = req.body
 
     if (!quantity || quantity <= 0) {
       return res.status(400).json({
@@ -295,10 +357,29 @@ router.post("/:id/out", validateItemId, async (req, res) => {
     const newOutQty = (currentItem.out_qty || 0) + quantity
     const newBalance = currentItem.balance - quantity
 
-    await db.run(
-      `UPDATE itemsdb SET out_qty = ?, balance = ? WHERE item_no = ?`,
-      [newOutQty, newBalance, itemNo]
-    )
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run(
+        `UPDATE itemsdb SET out_qty = ? WHERE item_no = ?`,
+        [newOutQty, itemNo]
+      )
+
+      await StockMovementService.record({
+        itemNo,
+        type: "issue",
+        quantityDelta: -quantity,
+        reason: notes || (out_by ? `Issued to ${out_by}` : "Stock out"),
+        referenceType: reference_type,
+        referenceId: reference_id,
+        user: req.user,
+      })
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
 
     const updatedItem = await db.get(`
       SELECT 
@@ -0,0 +1,797 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission, roleHasPermission } = require("../middleware/permissions")
+const { addDepartmentCondition, canAccessEmployee } = require("../middleware/department-scope")
+const LeaveService = require("../services/leave-service")
+const DailySummaryService = require("../services/daily-summary-service")
+
+const router = express.Router()
+
+const LEAVE_TYPE_FIELDS = ["code", "name", "annual_allocation", "max_carry_over", "is_paid", "requires_balance", "is_active"]
+
+// Approvers and HR see their department's leave; everyone else only their own
+async function canViewOthers(req) {
+  return (await roleHasPermission(req.user.role, "leave:approve")) || (await roleHasPermission(req.user.role, "leave:manage"))
+}
+
+async function canViewEmployeeLeave(req, employeeUid) {
+  if (String(employeeUid) === String(req.user.id)) {
+    return true
+  }
+  return (await canViewOthers(req)) && (await canAccessEmployee(req, employeeUid))
+}
+
+async function findRequest(id) {
+  const db = getDatabase()
+  return await db.get(`
+    SELECT r.*, t.code as leave_type, t.name as leave_type_name,
+      e.first_name, e.last_name, e.department, e.access_level
+    FROM leave_requests r
+    JOIN leave_types t ON t.id = r.leave_type_id
+    JOIN emp_list e ON e.uid = r.employee_uid
+    WHERE r.id = ?
+  `, [id])
+}
+
+// Request rows without the employee's access level
+function publicRequest(request) {
+  const { access_level, ...rest } = request
+  return rest
+}
+
+// Approved leave feeds the daily summaries, so it cannot change inside a finalized payroll period
+async function getPayrollLockError(startDate, endDate) {
+  const db = getDatabase()
+  const locked = await db.get(`
+    SELECT name FROM payroll_periods
+    WHERE status = 'finalized' AND start_date <= ? AND end_date >= ?
+    LIMIT 1
+  `, [endDate, startDate])
+  return locked ? `Leave dates fall in finalized payroll period "${locked.name}"` : null
+}
+
+function pickLeaveTypeFields(body) {
+  const type = {}
+  for (const field of LEAVE_TYPE_FIELDS) {
+    if (body[field] !== undefined) {
+      type[field] = typeof body[field] === "boolean" ? (body[field] ? 1 : 0) : body[field]
+    }
+  }
+  return type
+}
+
+function validateLeaveType(type) {
+  const errors = []
+
+  if (!type.code || !/^[A-Za-z0-9_-]{1,16}$/.test(type.code)) {
+    errors.push("code must be 1-16 letters, digits, dashes or underscores")
+  }
+  if (!type.name || !String(type.name).trim()) {
+    errors.push("name is required")
+  }
+  for (const field of ["annual_allocation", "max_carry_over"]) {
+    if (type[field] !== undefined && (typeof type[field] !== "number" || type[field] < 0)) {
+      errors.push(`${field} must be a number of days, zero or more`)
+    }
+  }
+
+  return errors
+}
+
+// GET /api/leave/types - Leave types employees can file
+router.get("/types", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { include_inactive = "false" } = req.query
+
+    const types = await db.all(`
+      SELECT * FROM leave_types
+      ${include_inactive === "true" ? "" : "WHERE is_active = 1"}
+      ORDER BY code
+    `)
+
+    res.json({
+      success: true,
+      data: types,
+    })
+  } catch (error) {
+    console.error("Error fetching leave types:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave types",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/types - Define a leave type
+router.post("/types", requirePermission("leave:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const type = pickLeaveTypeFields(req.body)
+
+    const errors = validateLeaveType(type)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid leave type",
+        details: errors,
+      })
+    }
+
+    const existing = await db.get("SELECT id FROM leave_types WHERE code = ?", [type.code])
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "A leave type with this code already exists",
+      })
+    }
+
+    const fields = Object.keys(type)
+    const result = await db.run(
+      `INSERT INTO leave_types (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})`,
+      fields.map((field) => type[field]),
+    )
+
+    const created = await db.get("SELECT * FROM leave_types WHERE id = ?", [result.lastID])
+
+    res.status(201).json({
+      success: true,
+      message: "Leave type created successfully",
+      data: created,
+    })
+  } catch (error) {
+    console.error("Error creating leave type:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create leave type",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/leave/types/:id - Change a leave type. Balances already opened keep their allocation.
+router.put("/types/:id", requirePermission("leave:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await db.get("SELECT * FROM leave_types WHERE id = ?", [req.params.id])
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave type not found",
+      })
+    }
+
+    const changes = pickLeaveTypeFields(req.body)
+    const fields = Object.keys(changes)
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      })
+    }
+
+    const errors = validateLeaveType({ ...existing, ...changes })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid leave type",
+        details: errors,
+      })
+    }
+
+    if (changes.code && changes.code !== existing.code) {
+      const clash = await db.get("SELECT id FROM leave_types WHERE code = ? AND id != ?", [changes.code, existing.id])
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          error: "A leave type with this code already exists",
+        })
+      }
+    }
+
+    await db.run(
+      `UPDATE leave_types SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map((field) => changes[field]), existing.id],
+    )
+
+    const updated = await db.get("SELECT * FROM leave_types WHERE id = ?", [existing.id])
+
+    res.json({
+      success: true,
+      message: "Leave type updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    console.error("Error updating leave type:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update leave type",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/leave/balances?employee_uid=1&year=2025 - Balances per leave type; defaults to the caller
+router.get("/balances", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { employee_uid = req.user.id, year = new Date().getFullYear() } = req.query
+
+    const employee = await db.get("SELECT uid, first_name, last_name, department FROM emp_list WHERE uid = ?", [
+      employee_uid,
+    ])
+    if (!employee || !(await canViewEmployeeLeave(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const balances = await LeaveService.getBalances(employee.uid, Number.parseInt(year))
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        year: Number.parseInt(year),
+        balances,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching leave balances:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave balances",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/balances/accrue - Open a year's balances for all active employees: { year }
+router.post("/balances/accrue", requirePermission("leave:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const year = Number.parseInt(req.body.year)
+
+    if (!year || year < 2000 || year > 2100) {
+      return res.status(400).json({
+        success: false,
+        error: "A valid year is required",
+      })
+    }
+
+    let created
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      created = await LeaveService.accrue(year)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    res.json({
+      success: true,
+      message: `Opened ${created} leave balances for ${year}`,
+      data: { year, created },
+    })
+  } catch (error) {
+    console.error("Error accruing leave balances:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to accrue leave balances",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/leave/balances/:id - Manual correction: { adjustment, notes }
+router.put("/balances/:id", requirePermission("leave:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { adjustment, notes = null } = req.body
+    const balance = await db.get("SELECT * FROM leave_balances WHERE id = ?", [req.params.id])
+
+    if (!balance || !(await canAccessEmployee(req, balance.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave balance not found",
+      })
+    }
+
+    if (typeof adjustment !== "number" || !Number.isFinite(adjustment)) {
+      return res.status(400).json({
+        success: false,
+        error: "adjustment must be a number of days",
+      })
+    }
+
+    await db.run(
+      "UPDATE leave_balances SET adjustment = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [adjustment, notes, balance.id],
+    )
+
+    const updated = await LeaveService.getBalance(balance.employee_uid, balance.leave_type_id, balance.year)
+
+    res.json({
+      success: true,
+      message: "Leave balance updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    console.error("Error updating leave balance:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update leave balance",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/leave/requests - Leave requests with filters; callers without approval rights see their own
+router.get("/requests", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, employee_uid, leave_type_id, start_date, end_date, limit = 50, offset = 0 } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (await canViewOthers(req)) {
+      addDepartmentCondition(req, conditions, params, "r.employee_uid")
+      if (employee_uid) {
+        conditions.push("r.employee_uid = ?")
+        params.push(employee_uid)
+      }
+    } else {
+      conditions.push("r.employee_uid = ?")
+      params.push(req.user.id)
+    }
+
+    if (status) {
+      conditions.push("r.status = ?")
+      params.push(status)
+    }
+
+    if (leave_type_id) {
+      conditions.push("r.leave_type_id = ?")
+      params.push(leave_type_id)
+    }
+
+    if (start_date) {
+      conditions.push("r.end_date >= ?")
+      params.push(start_date)
+    }
+
+    if (end_date) {
+      conditions.push("r.start_date <= ?")
+      params.push(end_date)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const requests = await db.all(`
+      SELECT r.*, t.code as leave_type, t.name as leave_type_name, e.first_name, e.last_name, e.department
+      FROM leave_requests r
+      JOIN leave_types t ON t.id = r.leave_type_id
+      JOIN emp_list e ON e.uid = r.employee_uid
+      ${whereClause}
+      ORDER BY r.start_date DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, Number.parseInt(limit), Number.parseInt(offset)])
+
+    const total = await db.get(`SELECT COUNT(*) as count FROM leave_requests r ${whereClause}`, params)
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        total: total.count,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching leave requests:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave requests",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/leave/requests/approvals - Pending requests the caller can decide on
+router.get("/requests/approvals", requirePermission("leave:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const conditions = ["r.status = 'pending'", "r.employee_uid != ?"]
+    const params = [req.user.id]
+    addDepartmentCondition(req, conditions, params, "r.employee_uid")
+
+    const pending = await db.all(`
+      SELECT r.*, t.code as leave_type, t.name as leave_type_name, e.first_name, e.last_name, e.department,
+        e.access_level
+      FROM leave_requests r
+      JOIN leave_types t ON t.id = r.leave_type_id
+      JOIN emp_list e ON e.uid = r.employee_uid
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY r.start_date, r.id
+    `, params)
+
+    const requests = pending
+      .filter((request) => LeaveService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level }))
+      .map(publicRequest)
+
+    res.json({
+      success: true,
+      data: requests,
+    })
+  } catch (error) {
+    console.error("Error fetching leave approvals:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave approvals",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/leave/requests/:id - One leave request
+router.get("/requests/:id", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canViewEmployeeLeave(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: publicRequest(request),
+    })
+  } catch (error) {
+    console.error("Error fetching leave request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/requests - File leave: { leave_type_id, start_date, end_date, half_day, reason, employee_uid }
+// employee_uid defaults to the caller; filing for someone else needs leave:manage.
+router.post("/requests", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { leave_type_id, start_date, end_date = start_date, reason = null } = req.body
+    const employeeUid = req.body.employee_uid ?? req.user.id
+    const halfDay = req.body.half_day ? 1 : 0
+
+    if (String(employeeUid) !== String(req.user.id)) {
+      const mayFileForOthers = await roleHasPermission(req.user.role, "leave:manage")
+      if (!mayFileForOthers || !(await canAccessEmployee(req, employeeUid))) {
+        return res.status(403).json({
+          success: false,
+          error: "You can only file leave for yourself",
+        })
+      }
+    }
+
+    if (!leave_type_id || !LeaveService.isValidDate(start_date) || !LeaveService.isValidDate(end_date) || end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        error: "leave_type_id and a YYYY-MM-DD start_date and end_date, in order, are required",
+      })
+    }
+
+    if (start_date.slice(0, 4) !== end_date.slice(0, 4)) {
+      return res.status(400).json({
+        success: false,
+        error: "Leave cannot span two years; file one request per year",
+      })
+    }
+
+    if (halfDay && start_date !== end_date) {
+      return res.status(400).json({
+        success: false,
+        error: "Half-day leave must be a single date",
+      })
+    }
+
+    const employee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [employeeUid])
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const type = await db.get("SELECT * FROM leave_types WHERE id = ? AND is_active = 1", [leave_type_id])
+    if (!type) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave type not found",
+      })
+    }
+
+    const overlapping = await LeaveService.findOverlapping(employee.uid, start_date, end_date)
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Overlaps leave request #${overlapping.id} (${overlapping.status})`,
+      })
+    }
+
+    const lockError = await getPayrollLockError(start_date, end_date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    const days = await LeaveService.countLeaveDays(employee.uid, start_date, end_date, halfDay)
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "The selected dates are all rest days or holidays",
+      })
+    }
+
+    if (type.requires_balance) {
+      const balance = await LeaveService.getBalance(employee.uid, type.id, Number.parseInt(start_date.slice(0, 4)))
+      if (days > balance.available) {
+        return res.status(400).json({
+          success: false,
+          error: `Insufficient ${type.name} balance: ${balance.available} day(s) available, ${days} requested`,
+        })
+      }
+    }
+
+    const result = await db.run(`
+      INSERT INTO leave_requests (employee_uid, leave_type_id, start_date, end_date, half_day, days, reason, requested_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [employee.uid, type.id, start_date, end_date, halfDay, days, reason, req.user.username])
+
+    const created = await findRequest(result.lastID)
+
+    res.status(201).json({
+      success: true,
+      message: "Leave request filed successfully",
+      data: publicRequest(created),
+    })
+  } catch (error) {
+    console.error("Error filing leave request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to file leave request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/requests/:id/approve - Approve and mark the covered days excused: { notes }
+router.post("/requests/:id/approve", requirePermission("leave:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canAccessEmployee(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Leave request is already ${request.status}`,
+      })
+    }
+
+    if (!LeaveService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })) {
+      return res.status(403).json({
+        success: false,
+        error: "This request must be approved by someone above the employee in their department",
+      })
+    }
+
+    const lockError = await getPayrollLockError(request.start_date, request.end_date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    const type = await db.get("SELECT * FROM leave_types WHERE id = ?", [request.leave_type_id])
+    if (type.requires_balance) {
+      const balance = await LeaveService.getBalance(request.employee_uid, type.id, Number.parseInt(request.start_date.slice(0, 4)))
+      if (request.days > balance.remaining) {
+        return res.status(409).json({
+          success: false,
+          error: `Insufficient ${type.name} balance: ${balance.remaining} day(s) remaining, ${request.days} requested`,
+        })
+      }
+    }
+
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE leave_requests
+        SET status = 'approved', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, req.body.notes || null, request.id])
+
+      summaryResults = await DailySummaryService.recomputeMany(await LeaveService.getCoveredDays(request))
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    const approved = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Leave request approved",
+      data: publicRequest(approved),
+    })
+  } catch (error) {
+    console.error("Error approving leave request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to approve leave request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/requests/:id/reject - Reject a pending request: { notes }
+router.post("/requests/:id/reject", requirePermission("leave:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canAccessEmployee(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Leave request is already ${request.status}`,
+      })
+    }
+
+    if (!LeaveService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })) {
+      return res.status(403).json({
+        success: false,
+        error: "This request must be decided by someone above the employee in their department",
+      })
+    }
+
+    await db.run(`
+      UPDATE leave_requests
+      SET status = 'rejected', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.username, req.body.notes || null, request.id])
+
+    const rejected = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Leave request rejected",
+      data: publicRequest(rejected),
+    })
+  } catch (error) {
+    console.error("Error rejecting leave request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to reject leave request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/leave/requests/:id/cancel - Withdraw a request. The employee can withdraw while it is
+// pending; approved leave can only be cancelled by someone allowed to approve it.
+router.post("/requests/:id/cancel", requirePermission("leave:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canViewEmployeeLeave(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      })
+    }
+
+    if (!["pending", "approved"].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Leave request is already ${request.status}`,
+      })
+    }
+
+    const isOwner = String(request.employee_uid) === String(req.user.id)
+    const mayDecide =
+      (await roleHasPermission(req.user.role, "leave:approve")) &&
+      LeaveService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })
+
+    if (request.status === "approved" ? !mayDecide : !(isOwner || mayDecide)) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot cancel this leave request",
+      })
+    }
+
+    if (request.status === "approved") {
+      const lockError = await getPayrollLockError(request.start_date, request.end_date)
+      if (lockError) {
+        return res.status(409).json({
+          success: false,
+          error: lockError,
+        })
+      }
+    }
+
+    let summaryResults = []
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE leave_requests
+        SET status = 'cancelled', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, req.body.notes || null, request.id])
+
+      if (request.status === "approved") {
+        summaryResults = await DailySummaryService.recomputeMany(await LeaveService.getCoveredDays(request))
+      }
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    summaryResults.forEach((result) => DailySummaryService.emitResult(result))
+
+    const cancelled = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Leave request cancelled",
+      data: publicRequest(cancelled),
+    })
+  } catch (error) {
+    console.error("Error cancelling leave request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel leave request",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,487 @@
+const express = require("express")
+const path = require("path")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { addDepartmentCondition, canAccessEmployee, outranksEmployee } = require("../middleware/department-scope")
+const OffboardingService = require("../services/offboarding-service")
+const EmploymentHistoryService = require("../services/employment-history-service")
+const { getDataDir } = require("../utils/uploads")
+
+const router = express.Router()
+
+async function findInScope(req, id) {
+  const offboarding = await OffboardingService.findById(id)
+  if (!offboarding || !(await canAccessEmployee(req, offboarding.employee_uid))) {
+    return null
+  }
+  return offboarding
+}
+
+async function withChecklist(offboarding) {
+  const checklist = await OffboardingService.getChecklist(offboarding.id)
+  return { ...offboarding, checklist, checklist_summary: OffboardingService.summarizeChecklist(checklist) }
+}
+
+// GET /api/offboarding?status=&employee_uid= - Offboardings in the caller's departments
+router.get("/", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, employee_uid, limit = 50, offset = 0 } = req.query
+
+    const conditions = []
+    const params = []
+    addDepartmentCondition(req, conditions, params, "o.employee_uid")
+
+    if (status) {
+      conditions.push("o.status = ?")
+      params.push(status)
+    }
+    if (employee_uid) {
+      conditions.push("o.employee_uid = ?")
+      params.push(employee_uid)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const offboardings = await db.all(`
+      SELECT o.*, e.first_name, e.last_name, e.id_number, e.department, e.position,
+        (SELECT COUNT(*) FROM offboarding_asset_returns r WHERE r.offboarding_id = o.id AND r.status = 'pending') as pending_assets
+      FROM employee_offboarding o
+      JOIN emp_list e ON e.uid = o.employee_uid
+      ${whereClause}
+      ORDER BY o.created_at DESC, o.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, Number.parseInt(limit), Number.parseInt(offset)])
+
+    const total = await db.get(`
+      SELECT COUNT(*) as total FROM employee_offboarding o ${whereClause}
+    `, params)
+
+    res.json({
+      success: true,
+      data: {
+        offboardings,
+        pagination: {
+          total: total.total,
+          limit: Number.parseInt(limit),
+          offset: Number.parseInt(offset),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching offboardings:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch offboardings",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/offboarding/:id - One offboarding with its asset return checklist
+router.get("/:id", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        error: "Offboarding not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await withChecklist(offboarding),
+    })
+  } catch (error) {
+    console.error("Error fetching offboarding:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch offboarding",
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * POST /api/offboarding - Start separating an employee:
+ * { employee_uid, separation_type, separation_date, attendance_cutoff_date, reason, disable_login }
+ * The cutoff defaults to the separation date; punches after it are refused from now on. The
+ * checklist starts with every item still checked out under the employee's login.
+ * disable_login ends their access right away instead of at completion.
+ */
+router.post("/", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { employee_uid, separation_type, separation_date, reason, disable_login = false } = req.body
+    const attendance_cutoff_date = req.body.attendance_cutoff_date || separation_date
+
+    const errors = []
+    if (!OffboardingService.SEPARATION_TYPES.includes(separation_type)) {
+      errors.push(`separation_type must be one of ${OffboardingService.SEPARATION_TYPES.join(", ")}`)
+    }
+    if (!OffboardingService.isValidDate(separation_date)) {
+      errors.push("separation_date must be YYYY-MM-DD")
+    }
+    if (!OffboardingService.isValidDate(attendance_cutoff_date)) {
+      errors.push("attendance_cutoff_date must be YYYY-MM-DD")
+    } else if (OffboardingService.isValidDate(separation_date) && attendance_cutoff_date > separation_date) {
+      errors.push("attendance_cutoff_date cannot be after separation_date")
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid offboarding",
+        details: errors,
+      })
+    }
+
+    const employee = await db.get(
+      "SELECT uid, first_name, last_name, access_level, deleted_at FROM emp_list WHERE uid = ?",
+      [employee_uid],
+    )
+    if (!employee || employee.deleted_at || !(await canAccessEmployee(req, employee.uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    if (!outranksEmployee(req.user, employee)) {
+      return res.status(403).json({
+        success: false,
+        error: "Employees can only be offboarded by someone above them in their department",
+      })
+    }
+
+    const open = await OffboardingService.getOpen(employee.uid)
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        error: `Offboarding #${open.id} is already in progress for this employee`,
+      })
+    }
+
+    let offboardingId
+    await db.run("BEGIN TRANSACTION")
+    try {
+      offboardingId = await OffboardingService.start(employee, {
+        separation_type,
+        separation_date,
+        attendance_cutoff_date,
+        reason,
+      }, req.user.username)
+
+      if (disable_login) {
+        await db.run("UPDATE emp_list SET login_disabled = 1, updated_at = CURRENT_TIMESTAMP WHERE uid = ?", [employee.uid])
+        await OffboardingService.revokeSessions(employee.uid)
+      }
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    console.log(`🚪 Offboarding #${offboardingId} started for ${employee.first_name} ${employee.last_name} by ${req.user.username}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Offboarding started",
+      data: await withChecklist(await OffboardingService.findById(offboardingId)),
+    })
+  } catch (error) {
+    console.error("Error starting offboarding:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to start offboarding",
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * PUT /api/offboarding/:id/assets/:assetId - Settle a checklist line:
+ * { status: returned|not_returned|waived, quantity_returned, notes }
+ * Returned quantities (all of it by default) go back into stock.
+ */
+router.put("/:id/assets/:assetId", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, notes } = req.body
+
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        error: "Offboarding not found",
+      })
+    }
+
+    const asset = await db.get(
+      "SELECT * FROM offboarding_asset_returns WHERE id = ? AND offboarding_id = ?",
+      [req.params.assetId, offboarding.id],
+    )
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: "Asset return not found",
+      })
+    }
+
+    if (!OffboardingService.ASSET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${OffboardingService.ASSET_STATUSES.join(", ")}`,
+      })
+    }
+
+    const quantityReturned = req.body.quantity_returned === undefined ? asset.quantity_out : req.body.quantity_returned
+    if (status === "returned" && (!Number.isInteger(quantityReturned) || quantityReturned < 1 || quantityReturned > asset.quantity_out)) {
+      return res.status(400).json({
+        success: false,
+        error: `quantity_returned must be a whole number from 1 to ${asset.quantity_out}`,
+      })
+    }
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(409).json({
+        success: false,
+        error: `Offboarding is already ${offboarding.status}`,
+      })
+    }
+
+    // Returns have already been put back into stock, so a settled line stays settled
+    if (asset.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Asset return is already ${asset.status.replace(/_/g, " ")}`,
+      })
+    }
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await OffboardingService.resolveAsset(offboarding, asset, { status, quantity_returned: quantityReturned, notes }, req.user)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    res.json({
+      success: true,
+      message: "Asset return updated",
+      data: await withChecklist(offboarding),
+    })
+  } catch (error) {
+    console.error("Error updating asset return:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update asset return",
+      message: error.message,
+    })
+  }
+})
+
+/**
+ * POST /api/offboarding/:id/complete - Separate the employee once every asset is settled and the
+ * separation date has come: status changes as of that date, the login is disabled, sessions end
+ * and their documents are archived.
+ */
+router.post("/:id/complete", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        error: "Offboarding not found",
+      })
+    }
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(409).json({
+        success: false,
+        error: `Offboarding is already ${offboarding.status}`,
+      })
+    }
+
+    const blocker = await OffboardingService.getCompletionBlocker(offboarding)
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        error: blocker,
+      })
+    }
+
+    const employee = await db.get("SELECT uid, status FROM emp_list WHERE uid = ?", [offboarding.employee_uid])
+    const historyError = await EmploymentHistoryService.validateEffectiveDate(
+      employee.uid,
+      OffboardingService.getStatusChanges(offboarding, employee),
+      offboarding.separation_date,
+    )
+    if (historyError) {
+      return res.status(409).json({
+        success: false,
+        error: historyError,
+      })
+    }
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await OffboardingService.complete(offboarding, employee, req.user.username)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    // Files cannot roll back, so they move only after the separation is committed
+    let archiveError = null
+    try {
+      await OffboardingService.archiveDocuments(offboarding)
+    } catch (error) {
+      console.error("Error archiving offboarded employee documents:", error)
+      archiveError = error.message
+    }
+
+    console.log(`🚪 Offboarding #${offboarding.id} completed by ${req.user.username}`)
+
+    res.json({
+      success: true,
+      message: archiveError
+        ? "Offboarding completed, but documents could not be archived; retry from archive-documents"
+        : "Offboarding completed",
+      data: await withChecklist(await OffboardingService.findById(offboarding.id)),
+      ...(archiveError ? { archive_error: archiveError } : {}),
+    })
+  } catch (error) {
+    console.error("Error completing offboarding:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to complete offboarding",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/offboarding/:id/archive-documents - Retry archiving for a completed offboarding
+router.post("/:id/archive-documents", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        error: "Offboarding not found",
+      })
+    }
+
+    if (offboarding.status !== "completed" || offboarding.documents_archive_path) {
+      return res.status(409).json({
+        success: false,
+        error: offboarding.documents_archive_path
+          ? "Documents are already archived"
+          : "Documents are archived when the offboarding is completed",
+      })
+    }
+
+    const archive = await OffboardingService.archiveDocuments(offboarding)
+
+    res.json({
+      success: true,
+      message: archive.count > 0 ? `Archived ${archive.count} document(s)` : "No documents to archive",
+      data: archive,
+    })
+  } catch (error) {
+    console.error("Error archiving documents:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to archive documents",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/offboarding/:id/documents-archive - Download the archived documents
+router.get("/:id/documents-archive", requirePermission("documents:read"), async (req, res) => {
+  try {
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding || !offboarding.documents_archive_path) {
+      return res.status(404).json({
+        success: false,
+        error: "Document archive not found",
+      })
+    }
+
+    res.download(path.resolve(getDataDir(), offboarding.documents_archive_path), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: "Document archive not found",
+        })
+      }
+    })
+  } catch (error) {
+    console.error("Error downloading document archive:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to download document archive",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/offboarding/:id/cancel - Call off an offboarding in progress; the attendance cutoff lifts
+// and a login disabled at the start works again. Items already returned stay in stock.
+router.post("/:id/cancel", requirePermission("employees:offboard"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const offboarding = await findInScope(req, req.params.id)
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        error: "Offboarding not found",
+      })
+    }
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(409).json({
+        success: false,
+        error: `Offboarding is already ${offboarding.status}`,
+      })
+    }
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE employee_offboarding
+        SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, offboarding.id])
+      await db.run(
+        "UPDATE emp_list SET login_disabled = 0, updated_at = CURRENT_TIMESTAMP WHERE uid = ? AND deleted_at IS NULL AND login_disabled = 1",
+        [offboarding.employee_uid],
+      )
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    res.json({
+      success: true,
+      message: "Offboarding cancelled",
+      data: await withChecklist(await OffboardingService.findById(offboarding.id)),
+    })
+  } catch (error) {
+    console.error("Error cancelling offboarding:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel offboarding",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,452 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission, roleHasPermission } = require("../middleware/permissions")
+const { addDepartmentCondition, canAccessEmployee } = require("../middleware/department-scope")
+const OvertimeService = require("../services/overtime-service")
+const DailySummaryService = require("../services/daily-summary-service")
+const PayrollService = require("../services/payroll-service")
+
+const router = express.Router()
+
+// Approvers see their department's overtime; everyone else only their own
+async function canViewOthers(req) {
+  return await roleHasPermission(req.user.role, "overtime:approve")
+}
+
+async function canViewEmployeeOvertime(req, employeeUid) {
+  if (String(employeeUid) === String(req.user.id)) {
+    return true
+  }
+  return (await canViewOthers(req)) && (await canAccessEmployee(req, employeeUid))
+}
+
+async function findRequest(id) {
+  const db = getDatabase()
+  return await db.get(`
+    SELECT r.*, e.first_name, e.last_name, e.department, e.access_level,
+      s.overtime_hours as worked_overtime_hours, s.approved_overtime_hours, s.unapproved_overtime_hours
+    FROM overtime_requests r
+    JOIN emp_list e ON e.uid = r.employee_uid
+    LEFT JOIN daily_attendance_summary s ON s.employee_uid = r.employee_uid AND s.date = r.date
+    WHERE r.id = ?
+  `, [id])
+}
+
+// Request rows without the employee's access level
+function publicRequest(request) {
+  const { access_level, ...rest } = request
+  return rest
+}
+
+// Approved overtime feeds the daily summaries, so it cannot change inside a finalized payroll period
+async function getPayrollLockError(date) {
+  const locked = await PayrollService.getLockedPeriod(date)
+  return locked ? `${date} is in finalized payroll period "${locked.name}"` : null
+}
+
+// GET /api/overtime/requests?status=&employee_uid=&start_date=&end_date= - Overtime requests
+router.get("/requests", requirePermission("overtime:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, employee_uid, start_date, end_date, limit = 50, offset = 0 } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (await canViewOthers(req)) {
+      addDepartmentCondition(req, conditions, params, "r.employee_uid")
+      if (employee_uid) {
+        conditions.push("r.employee_uid = ?")
+        params.push(employee_uid)
+      }
+    } else {
+      conditions.push("r.employee_uid = ?")
+      params.push(req.user.id)
+    }
+
+    if (status) {
+      conditions.push("r.status = ?")
+      params.push(status)
+    }
+
+    if (start_date) {
+      conditions.push("r.date >= ?")
+      params.push(start_date)
+    }
+
+    if (end_date) {
+      conditions.push("r.date <= ?")
+      params.push(end_date)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const requests = await db.all(`
+      SELECT r.*, e.first_name, e.last_name, e.department,
+        s.overtime_hours as worked_overtime_hours, s.approved_overtime_hours, s.unapproved_overtime_hours
+      FROM overtime_requests r
+      JOIN emp_list e ON e.uid = r.employee_uid
+      LEFT JOIN daily_attendance_summary s ON s.employee_uid = r.employee_uid AND s.date = r.date
+      ${whereClause}
+      ORDER BY r.date DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, Number.parseInt(limit), Number.parseInt(offset)])
+
+    const total = await db.get(`SELECT COUNT(*) as count FROM overtime_requests r ${whereClause}`, params)
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        total: total.count,
+        limit: Number.parseInt(limit),
+        offset: Number.parseInt(offset),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching overtime requests:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch overtime requests",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/overtime/requests/approvals - Pending requests the caller can decide on
+router.get("/requests/approvals", requirePermission("overtime:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const conditions = ["r.status = 'pending'", "r.employee_uid != ?"]
+    const params = [req.user.id]
+    addDepartmentCondition(req, conditions, params, "r.employee_uid")
+
+    const pending = await db.all(`
+      SELECT r.*, e.first_name, e.last_name, e.department, e.access_level
+      FROM overtime_requests r
+      JOIN emp_list e ON e.uid = r.employee_uid
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY r.date, r.id
+    `, params)
+
+    const requests = pending
+      .filter((request) => OvertimeService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level }))
+      .map(publicRequest)
+
+    res.json({
+      success: true,
+      data: requests,
+    })
+  } catch (error) {
+    console.error("Error fetching overtime approvals:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch overtime approvals",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/overtime/requests/:id - One overtime request, with the overtime actually worked that day
+router.get("/requests/:id", requirePermission("overtime:request"), async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canViewEmployeeOvertime(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Overtime request not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: publicRequest(request),
+    })
+  } catch (error) {
+    console.error("Error fetching overtime request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch overtime request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/overtime/requests - File overtime: { date, planned_hours, reason, employee_uid }
+// employee_uid defaults to the caller; supervisors may file for employees below them in their department.
+router.post("/requests", requirePermission("overtime:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { date, planned_hours, reason } = req.body
+    const employeeUid = req.body.employee_uid ?? req.user.id
+
+    if (!OvertimeService.isValidDate(date) || !OvertimeService.isValidPlannedHours(planned_hours) || !reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: `A YYYY-MM-DD date, planned_hours between 0 and ${OvertimeService.MAX_PLANNED_HOURS}, and a reason are required`,
+      })
+    }
+
+    const employee = await db.get("SELECT uid, access_level FROM emp_list WHERE uid = ?", [employeeUid])
+    if (!employee || !(await canAccessEmployee(req, employee.uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    if (String(employee.uid) !== String(req.user.id)) {
+      const maySupervise =
+        (await roleHasPermission(req.user.role, "overtime:approve")) && OvertimeService.canApprove(req.user, employee)
+      if (!maySupervise) {
+        return res.status(403).json({
+          success: false,
+          error: "You can only file overtime for yourself or employees below you in your department",
+        })
+      }
+    }
+
+    const active = await OvertimeService.findActive(employee.uid, date)
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        error: `Overtime request #${active.id} (${active.status}) already covers ${date}`,
+      })
+    }
+
+    const lockError = await getPayrollLockError(date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    const result = await db.run(`
+      INSERT INTO overtime_requests (employee_uid, date, planned_hours, reason, requested_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [employee.uid, date, planned_hours, String(reason).trim(), req.user.username])
+
+    const created = await findRequest(result.lastID)
+
+    res.status(201).json({
+      success: true,
+      message: "Overtime request filed successfully",
+      data: publicRequest(created),
+    })
+  } catch (error) {
+    console.error("Error filing overtime request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to file overtime request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/overtime/requests/:id/approve - Approve and count the day's overtime up to the planned hours: { notes }
+router.post("/requests/:id/approve", requirePermission("overtime:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canAccessEmployee(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Overtime request not found",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Overtime request is already ${request.status}`,
+      })
+    }
+
+    if (!OvertimeService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })) {
+      return res.status(403).json({
+        success: false,
+        error: "This request must be approved by someone above the employee in their department",
+      })
+    }
+
+    const lockError = await getPayrollLockError(request.date)
+    if (lockError) {
+      return res.status(409).json({
+        success: false,
+        error: lockError,
+      })
+    }
+
+    let summaryResult = null
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE overtime_requests
+        SET status = 'approved', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, req.body.notes || null, request.id])
+
+      summaryResult = await DailySummaryService.recompute(request.employee_uid, request.date)
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    DailySummaryService.emitResult(summaryResult)
+
+    const approved = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Overtime request approved",
+      data: publicRequest(approved),
+    })
+  } catch (error) {
+    console.error("Error approving overtime request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to approve overtime request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/overtime/requests/:id/reject - Reject a pending request: { notes }
+router.post("/requests/:id/reject", requirePermission("overtime:approve"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canAccessEmployee(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Overtime request not found",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Overtime request is already ${request.status}`,
+      })
+    }
+
+    if (!OvertimeService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })) {
+      return res.status(403).json({
+        success: false,
+        error: "This request must be decided by someone above the employee in their department",
+      })
+    }
+
+    await db.run(`
+      UPDATE overtime_requests
+      SET status = 'rejected', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.username, req.body.notes || null, request.id])
+
+    const rejected = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Overtime request rejected",
+      data: publicRequest(rejected),
+    })
+  } catch (error) {
+    console.error("Error rejecting overtime request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to reject overtime request",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/overtime/requests/:id/cancel - Withdraw a request. The employee can withdraw while it is
+// pending; approved overtime can only be cancelled by someone allowed to approve it.
+router.post("/requests/:id/cancel", requirePermission("overtime:request"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const request = await findRequest(req.params.id)
+
+    if (!request || !(await canViewEmployeeOvertime(req, request.employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Overtime request not found",
+      })
+    }
+
+    if (!["pending", "approved"].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Overtime request is already ${request.status}`,
+      })
+    }
+
+    const isOwner = String(request.employee_uid) === String(req.user.id)
+    const mayDecide =
+      (await roleHasPermission(req.user.role, "overtime:approve")) &&
+      OvertimeService.canApprove(req.user, { uid: request.employee_uid, access_level: request.access_level })
+
+    if (request.status === "approved" ? !mayDecide : !(isOwner || mayDecide)) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot cancel this overtime request",
+      })
+    }
+
+    if (request.status === "approved") {
+      const lockError = await getPayrollLockError(request.date)
+      if (lockError) {
+        return res.status(409).json({
+          success: false,
+          error: lockError,
+        })
+      }
+    }
+
+    let summaryResult = null
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(`
+        UPDATE overtime_requests
+        SET status = 'cancelled', decided_by = ?, decided_at = CURRENT_TIMESTAMP, decision_notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.user.username, req.body.notes || null, request.id])
+
+      if (request.status === "approved") {
+        summaryResult = await DailySummaryService.recompute(request.employee_uid, request.date)
+      }
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    DailySummaryService.emitResult(summaryResult)
+
+    const cancelled = await findRequest(request.id)
+
+    res.json({
+      success: true,
+      message: "Overtime request cancelled",
+      data: publicRequest(cancelled),
+    })
+  } catch (error) {
+    console.error("Error cancelling overtime request:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel overtime request",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
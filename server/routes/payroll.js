@@ -0,0 +1,373 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { isDepartmentInScope } = require("../middleware/department-scope")
+const PayrollService = require("../services/payroll-service")
+const { toCSV, toXLSX } = require("../utils/spreadsheet")
+
+const router = express.Router()
+
+async function findPeriod(id) {
+  const db = getDatabase()
+  return await db.get("SELECT * FROM payroll_periods WHERE id = ?", [id])
+}
+
+// Build start/end/name from a request body: semi-monthly (year, month, half) or custom dates
+function resolvePeriodRange(body) {
+  const { period_type = "custom", year, month, half, start_date, end_date, name } = body
+
+  if (period_type === "semi_monthly") {
+    const parsedYear = Number.parseInt(year)
+    const parsedMonth = Number.parseInt(month)
+    const parsedHalf = Number.parseInt(half)
+
+    if (!parsedYear || parsedMonth < 1 || parsedMonth > 12 || ![1, 2].includes(parsedHalf)) {
+      return { error: "Semi-monthly periods need year, month (1-12) and half (1 or 2)" }
+    }
+
+    const range = PayrollService.semiMonthlyRange(parsedYear, parsedMonth, parsedHalf)
+    return { ...range, name: name || range.name, period_type }
+  }
+
+  if (period_type !== "custom") {
+    return { error: "period_type must be semi_monthly or custom" }
+  }
+
+  if (!PayrollService.isValidDate(start_date) || !PayrollService.isValidDate(end_date) || end_date < start_date) {
+    return { error: "Custom periods need a YYYY-MM-DD start_date and end_date, in order" }
+  }
+
+  return { start_date, end_date, name: name || `${start_date} to ${end_date}`, period_type }
+}
+
+// GET /api/payroll/periods - List payroll periods, newest first
+router.get("/periods", requirePermission("payroll:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { status, year } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (status) {
+      conditions.push("status = ?")
+      params.push(status)
+    }
+
+    if (year) {
+      conditions.push("strftime('%Y', start_date) = ?")
+      params.push(String(year))
+    }
+
+    const periods = await db.all(`
+      SELECT * FROM payroll_periods
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY start_date DESC
+    `, params)
+
+    res.json({
+      success: true,
+      data: periods,
+    })
+  } catch (error) {
+    console.error("Error fetching payroll periods:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payroll periods",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/payroll/periods - Define a cutoff
+// Body: { period_type: "semi_monthly", year, month, half } or { period_type: "custom", start_date, end_date }
+router.post("/periods", requirePermission("payroll:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { work_days = "1,2,3,4,5,6", notes = null } = req.body
+
+    const range = resolvePeriodRange(req.body)
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error,
+      })
+    }
+
+    const workDays = PayrollService.parseWorkDays(work_days)
+    if (!workDays) {
+      return res.status(400).json({
+        success: false,
+        error: "work_days must be a comma-separated list of weekdays from 0 (Sunday) to 6 (Saturday)",
+      })
+    }
+
+    const overlapping = await PayrollService.findOverlappingPeriod(range.start_date, range.end_date)
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Period overlaps ${overlapping.name} (${overlapping.start_date} to ${overlapping.end_date})`,
+      })
+    }
+
+    const result = await db.run(`
+      INSERT INTO payroll_periods (name, period_type, start_date, end_date, work_days, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [range.name, range.period_type, range.start_date, range.end_date, workDays.join(","), notes, req.user.username])
+
+    res.status(201).json({
+      success: true,
+      message: "Payroll period created successfully",
+      data: await findPeriod(result.lastID),
+    })
+  } catch (error) {
+    console.error("Error creating payroll period:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create payroll period",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/payroll/periods/:id - Period details with its register
+router.get("/periods/:id", requirePermission("payroll:read"), async (req, res) => {
+  try {
+    const period = await findPeriod(req.params.id)
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll period not found",
+      })
+    }
+
+    const register = (await PayrollService.getRegister(period)).filter((row) =>
+      isDepartmentInScope(req, row.department),
+    )
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        register,
+        totals: {
+          employees: register.length,
+          regular_hours: register.reduce((sum, row) => sum + row.regular_hours, 0),
+          approved_overtime_hours: register.reduce((sum, row) => sum + row.approved_overtime_hours, 0),
+          unapproved_overtime_hours: register.reduce((sum, row) => sum + row.unapproved_overtime_hours, 0),
+          absences: register.reduce((sum, row) => sum + row.absences, 0),
+          late_count: register.reduce((sum, row) => sum + row.late_count, 0),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching payroll period:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payroll period",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/payroll/periods/:id/export?format=csv|xlsx - Download the per-employee register
+router.get("/periods/:id/export", requirePermission("payroll:read"), async (req, res) => {
+  try {
+    const { format = "csv" } = req.query
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be csv or xlsx",
+      })
+    }
+
+    const period = await findPeriod(req.params.id)
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll period not found",
+      })
+    }
+
+    const register = (await PayrollService.getRegister(period)).filter((row) =>
+      isDepartmentInScope(req, row.department),
+    )
+    const filename = `payroll_${period.start_date}_${period.end_date}${period.status === "finalized" ? "" : "_draft"}`
+
+    if (format === "xlsx") {
+      const workbook = await toXLSX(PayrollService.REGISTER_COLUMNS, register, period.name)
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`)
+      return res.send(workbook)
+    }
+
+    res.setHeader("Content-Type", "text/csv")
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`)
+    res.send(toCSV(PayrollService.REGISTER_COLUMNS, register))
+  } catch (error) {
+    console.error("Error exporting payroll register:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to export payroll register",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/payroll/periods/:id - Change an open period's name, dates, work days or notes
+router.put("/periods/:id", requirePermission("payroll:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const period = await findPeriod(req.params.id)
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll period not found",
+      })
+    }
+
+    if (period.status === "finalized") {
+      return res.status(409).json({
+        success: false,
+        error: "Finalized payroll periods cannot be changed",
+      })
+    }
+
+    const name = req.body.name !== undefined ? req.body.name : period.name
+    const notes = req.body.notes !== undefined ? req.body.notes : period.notes
+    const startDate = req.body.start_date || period.start_date
+    const endDate = req.body.end_date || period.end_date
+    const workDays = PayrollService.parseWorkDays(req.body.work_days !== undefined ? req.body.work_days : period.work_days)
+
+    if (!name || !PayrollService.isValidDate(startDate) || !PayrollService.isValidDate(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: "A name and a YYYY-MM-DD start_date and end_date, in order, are required",
+      })
+    }
+
+    if (!workDays) {
+      return res.status(400).json({
+        success: false,
+        error: "work_days must be a comma-separated list of weekdays from 0 (Sunday) to 6 (Saturday)",
+      })
+    }
+
+    const overlapping = await PayrollService.findOverlappingPeriod(startDate, endDate, period.id)
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Period overlaps ${overlapping.name} (${overlapping.start_date} to ${overlapping.end_date})`,
+      })
+    }
+
+    const periodType = startDate === period.start_date && endDate === period.end_date ? period.period_type : "custom"
+
+    await db.run(`
+      UPDATE payroll_periods
+      SET name = ?, notes = ?, start_date = ?, end_date = ?, work_days = ?, period_type = ?
+      WHERE id = ?
+    `, [name, notes, startDate, endDate, workDays.join(","), periodType, period.id])
+
+    res.json({
+      success: true,
+      message: "Payroll period updated successfully",
+      data: await findPeriod(period.id),
+    })
+  } catch (error) {
+    console.error("Error updating payroll period:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update payroll period",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/payroll/periods/:id/finalize - Freeze the register and lock attendance in the period
+router.post("/periods/:id/finalize", requirePermission("payroll:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const period = await findPeriod(req.params.id)
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll period not found",
+      })
+    }
+
+    if (period.status === "finalized") {
+      return res.status(409).json({
+        success: false,
+        error: "Payroll period is already finalized",
+      })
+    }
+
+    let employeeCount = 0
+    await db.run("BEGIN TRANSACTION")
+    try {
+      employeeCount = await PayrollService.finalize(period, req.user.username)
+      await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+        req.user.username,
+        `Finalized payroll period ${period.name}`,
+      ])
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    res.json({
+      success: true,
+      message: `Payroll period finalized with ${employeeCount} employee(s)`,
+      data: await findPeriod(period.id),
+    })
+  } catch (error) {
+    console.error("Error finalizing payroll period:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to finalize payroll period",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/payroll/periods/:id - Remove an open period
+router.delete("/periods/:id", requirePermission("payroll:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const period = await findPeriod(req.params.id)
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll period not found",
+      })
+    }
+
+    if (period.status === "finalized") {
+      return res.status(409).json({
+        success: false,
+        error: "Finalized payroll periods cannot be deleted",
+      })
+    }
+
+    await db.run("DELETE FROM payroll_periods WHERE id = ?", [period.id])
+
+    res.json({
+      success: true,
+      message: "Payroll period deleted successfully",
+    })
+  } catch (error) {
+    console.error("Error deleting payroll period:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete payroll period",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
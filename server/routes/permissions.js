@@ -0,0 +1,230 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { PERMISSIONS, ROLES, SUPER_ADMIN_ROLE, requirePermission } = require("../middleware/permissions")
+
+const router = express.Router()
+
+// Get the permission catalogue and the current role matrix
+router.get("/", requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const rows = await db.all("SELECT role, permission FROM role_permissions ORDER BY role, permission")
+
+    const matrix = {}
+    for (const role of ROLES) {
+      matrix[role] = role === SUPER_ADMIN_ROLE ? Object.keys(PERMISSIONS) : []
+    }
+    for (const row of rows) {
+      if (matrix[row.role] && row.role !== SUPER_ADMIN_ROLE) {
+        matrix[row.role].push(row.permission)
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        roles: ROLES,
+        matrix: matrix,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching permissions:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch permissions",
+      message: error.message,
+    })
+  }
+})
+
+// List the home department + role pairs that can see every department
+router.get("/department-grants", requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const grants = await db.all(
+      "SELECT department, role, granted_by, created_at FROM department_access_grants ORDER BY department, role",
+    )
+
+    res.json({
+      success: true,
+      data: grants,
+    })
+  } catch (error) {
+    console.error("Error fetching department grants:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch department grants",
+      message: error.message,
+    })
+  }
+})
+
+// Give a role in a department access to every department
+router.post("/department-grants", requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { department, role } = req.body || {}
+
+    if (!department || !role) {
+      return res.status(400).json({
+        success: false,
+        error: "department and role are required",
+      })
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(", ")}`,
+      })
+    }
+
+    await db.run("INSERT OR IGNORE INTO department_access_grants (department, role, granted_by) VALUES (?, ?, ?)", [
+      department,
+      role,
+      req.user.username,
+    ])
+    await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+      req.user.username,
+      `Granted cross-department access to ${role} in ${department}`,
+    ])
+
+    res.status(201).json({
+      success: true,
+      message: `${role} users in ${department} can now access all departments`,
+      data: { department, role },
+    })
+  } catch (error) {
+    console.error("Error creating department grant:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create department grant",
+      message: error.message,
+    })
+  }
+})
+
+// Remove a cross-department grant
+router.delete("/department-grants/:department/:role", requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { department, role } = req.params
+
+    const result = await db.run("DELETE FROM department_access_grants WHERE department = ? AND role = ?", [
+      department,
+      role,
+    ])
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Department grant not found",
+      })
+    }
+
+    await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+      req.user.username,
+      `Revoked cross-department access from ${role} in ${department}`,
+    ])
+
+    res.json({
+      success: true,
+      message: `${role} users in ${department} are now limited to their own department`,
+    })
+  } catch (error) {
+    console.error("Error deleting department grant:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete department grant",
+      message: error.message,
+    })
+  }
+})
+
+// Replace the permissions granted to a role
+router.put("/:role", requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { role } = req.params
+    const { permissions } = req.body || {}
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(", ")}`,
+      })
+    }
+
+    if (role === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        error: "Super-admin permissions cannot be changed",
+      })
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: "permissions must be an array",
+      })
+    }
+
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission])
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown permissions: ${unknown.join(", ")}`,
+      })
+    }
+
+    // Stop admins from locking themselves out of this screen
+    if (role === req.user.role && !permissions.includes("permissions:manage")) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot remove permissions:manage from your own role",
+      })
+    }
+
+    const uniquePermissions = [...new Set(permissions)]
+
+    await db.run("BEGIN TRANSACTION")
+
+    try {
+      await db.run("DELETE FROM role_permissions WHERE role = ?", [role])
+      for (const permission of uniquePermissions) {
+        await db.run("INSERT INTO role_permissions (role, permission, updated_by) VALUES (?, ?, ?)", [
+          role,
+          permission,
+          req.user.username,
+        ])
+      }
+      await db.run("INSERT INTO admin_logs (username, details) VALUES (?, ?)", [
+        req.user.username,
+        `Updated permissions for role ${role}`,
+      ])
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    res.json({
+      success: true,
+      message: `Permissions updated for role ${role}`,
+      data: {
+        role: role,
+        permissions: uniquePermissions.sort(),
+      },
+    })
+  } catch (error) {
+    console.error("Error updating permissions:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update permissions",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
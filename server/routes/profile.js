@@ -2,6 +2,8 @@ const express = require("express")
 const path = require("path")
 const fs = require("fs").promises
 const multer = require("multer")
+const { requirePermission } = require("../middleware/permissions")
+const { departmentClause, canAccessEmployee } = require("../middleware/department-scope")
 const router = express.Router()
 
 const archiver = require('archiver')
@@ -80,8 +82,23 @@ async function getEmployeeProfileInfo(uid) {
   }
 }
 
+// Employees outside the caller's department are treated as not found
+router.param("uid", async (req, res, next, uid) => {
+  try {
+    if (!(await canAccessEmployee(req, uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found"
+      })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
 // GET /api/profile/bulk - Get all employees with their profile pictures
-router.get("/bulk", async (req, res) => {
+router.get("/bulk", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
@@ -106,6 +123,11 @@ router.get("/bulk", async (req, res) => {
       params.push(department)
     }
     
+    // Limit to the caller's department unless they have cross-department access
+    const scope = departmentClause(req, 'uid')
+    whereClause += scope.sql
+    params.push(...scope.params)
+    
     // Get total count for pagination
     const countQuery = `SELECT COUNT(*) as total FROM emp_list ${whereClause}`
     const countResult = await db.get(countQuery, params)
@@ -221,16 +243,19 @@ router.get("/bulk", async (req, res) => {
 })
 
 // GET /api/profile/bulk/simple - Get simplified list of all employees with profile status
-router.get("/bulk/simple", async (req, res) => {
+router.get("/bulk/simple", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
+    const scope = departmentClause(req, 'uid')
+    
     // Get all employees
     const employees = await db.all(`
       SELECT uid, first_name, last_name, department, profile_picture
       FROM emp_list 
+      WHERE 1=1${scope.sql}
       ORDER BY first_name, last_name
-    `)
+    `, scope.params)
     
     // Check profile picture existence for each employee (lightweight check)
     const employeesWithProfileStatus = await Promise.allSettled(
@@ -309,7 +334,7 @@ router.get("/bulk/simple", async (req, res) => {
 })
 
 // GET /api/profile/bulk/download - Download all profile images as a ZIP file
-router.get("/bulk/download", async (req, res) => {
+router.get("/bulk/download", requirePermission("documents:read"), async (req, res) => {
   try {
     const db = getDatabase()
     
@@ -340,6 +365,10 @@ router.get("/bulk/download", async (req, res) => {
       }
     }
     
+    const scope = departmentClause(req, 'uid')
+    whereClause += scope.sql
+    params.push(...scope.params)
+    
     // Get employees
     const employeesQuery = `
       SELECT uid, first_name, last_name, department, position
@@ -476,7 +505,7 @@ router.get("/bulk/download", async (req, res) => {
 })
 
 // POST /api/profile/bulk/download - Download specific profile images as ZIP (with request body)
-router.post("/bulk/download", async (req, res) => {
+router.post("/bulk/download", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uids, include_summary = true, compression_level = 6 } = req.body
     
@@ -501,12 +530,13 @@ router.post("/bulk/download", async (req, res) => {
     
     // Get employee information for the provided UIDs
     const placeholders = validUids.map(() => '?').join(',')
+    const scope = departmentClause(req, 'uid')
     const employees = await db.all(`
       SELECT uid, first_name, last_name, department, position
       FROM emp_list 
-      WHERE uid IN (${placeholders})
+      WHERE uid IN (${placeholders})${scope.sql}
       ORDER BY first_name, last_name
-    `, validUids)
+    `, [...validUids, ...scope.params])
     
     if (employees.length === 0) {
       return res.status(404).json({
@@ -626,7 +656,7 @@ router.post("/bulk/download", async (req, res) => {
 })
 
 // POST /api/profile/:uid/upload - Upload profile picture
-router.post("/:uid/upload", upload.single('profile_picture'), async (req, res) => {
+router.post("/:uid/upload", requirePermission("documents:write"), upload.single('profile_picture'), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -722,7 +752,7 @@ router.post("/:uid/upload", upload.single('profile_picture'), async (req, res) =
 })
 
 // POST /api/profile/:uid/upload-replace - Upload and replace existing profile picture
-router.post("/:uid/upload-replace", upload.single('profile_picture'), async (req, res) => {
+router.post("/:uid/upload-replace", requirePermission("documents:write"), upload.single('profile_picture'), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -837,7 +867,7 @@ router.post("/:uid/upload-replace", upload.single('profile_picture'), async (req
 })
 
 // GET /api/profile/:uid - Get employee profile picture
-router.get("/:uid", async (req, res) => {
+router.get("/:uid", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -941,7 +971,7 @@ router.get("/:uid", async (req, res) => {
 })
 
 // GET /api/profile/:uid/info - Get profile picture information
-router.get("/:uid/info", async (req, res) => {
+router.get("/:uid/info", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid } = req.params
     
@@ -1041,7 +1071,7 @@ router.get("/:uid/info", async (req, res) => {
 })
 
 // GET /api/profile/:uid/:filename - Get specific profile picture file
-router.get("/:uid/:filename", async (req, res) => {
+router.get("/:uid/:filename", requirePermission("documents:read"), async (req, res) => {
   try {
     const { uid, filename } = req.params
     
@@ -1139,7 +1169,7 @@ router.get("/:uid/:filename", async (req, res) => {
 })
 
 // DELETE /api/profile/:uid/:filename - Delete specific profile picture
-router.delete("/:uid/:filename", async (req, res) => {
+router.delete("/:uid/:filename", requirePermission("documents:delete"), async (req, res) => {
   try {
     const { uid, filename } = req.params
     
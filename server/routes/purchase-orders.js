@@ -1,8 +1,72 @@
 const express = require("express")
+const { requirePermission } = require("../middleware/permissions")
+const StockMovementService = require("./itemRoutes/services/stock-movement-service")
 const router = express.Router()
 
+function getOutstandingQuantity(line) {
+  return Math.max(line.quantity - (line.received_quantity || 0), 0)
+}
+
+/**
+ * Add received quantities to itemsdb and the order lines in one transaction.
+ * receipts is [{ line, quantity }]; the order moves to 'received' once no open line has anything outstanding.
+ */
+async function applyReceipts(db, order, receipts, { user = null, notes = null, receivedDate = null } = {}) {
+  await db.run("BEGIN TRANSACTION")
+
+  try {
+    for (const { line, quantity } of receipts) {
+      const itemNo = Number.parseInt(line.item_no)
+
+      await db.run(`
+        UPDATE itemsdb SET in_qty = in_qty + ?, last_po = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE item_no = ?
+      `, [quantity, order.id, itemNo])
+
+      await StockMovementService.record({
+        itemNo,
+        type: "po_receipt",
+        quantityDelta: quantity,
+        reason: notes || `Received against ${order.id}`,
+        referenceType: "purchase_order",
+        referenceId: order.id,
+        user,
+      })
+
+      const receivedQuantity = (line.received_quantity || 0) + quantity
+      await db.run(`
+        UPDATE purchase_order_items
+        SET received_quantity = ?, status = ?, last_received_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [receivedQuantity, receivedQuantity >= line.quantity ? "received" : "partially_received", line.id])
+    }
+
+    const open = await db.get(`
+      SELECT COUNT(*) as count FROM purchase_order_items
+      WHERE purchase_order_id = ? AND status != 'cancelled' AND received_quantity < quantity
+    `, [order.id])
+
+    const fullyReceived = open.count === 0
+    if (fullyReceived) {
+      await db.run(`
+        UPDATE purchase_orders
+        SET status = 'received', actual_delivery_date = ?, last_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [receivedDate || new Date().toISOString().split('T')[0], order.id])
+    } else {
+      await db.run("UPDATE purchase_orders SET last_updated = CURRENT_TIMESTAMP WHERE id = ?", [order.id])
+    }
+
+    await db.run("COMMIT")
+    return fullyReceived
+  } catch (transactionError) {
+    await db.run("ROLLBACK")
+    throw transactionError
+  }
+}
+
 // GET /api/purchase-orders - Retrieve all purchase orders with optional filtering
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("purchase-orders:read"), async (req, res) => {
   try {
     const { getDatabase } = require("../config/database")
     const db = getDatabase()
@@ -96,7 +160,7 @@ router.get("/", async (req, res) => {
 })
 
 // GET /api/purchase-orders/:id - Retrieve a specific purchase order
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("purchase-orders:read"), async (req, res) => {
   try {
     const { getDatabase } = require("../config/database")
     const db = getDatabase()
@@ -133,7 +197,7 @@ router.get("/:id", async (req, res) => {
 })
 
 // POST /api/purchase-orders - Create a new purchase order
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("purchase-orders:write"), async (req, res) => {
   try {
     const { getDatabase } = require("../config/database")
     const db = getDatabase()
@@ -230,7 +294,7 @@ router.post("/", async (req, res) => {
 })
 
 // PUT /api/purchase-orders/:id/status - Update purchase order status
-router.put("/:id/status", async (req, res) => {
+router.put("/:id/status", requirePermission("purchase-orders:write"), async (req, res) => {
   try {
     const { getDatabase } = require("../config/database")
     const db = getDatabase()
@@ -271,16 +335,25 @@ router.put("/:id/status", async (req, res) => {
     `
     updateParams.push(id)
 
-    await db.run(updateQuery, updateParams)
-
-    // If status changed to received, update item statuses
-    if (new_status === 'received') {
-      await db.run(
-        "UPDATE purchase_order_items SET status = 'received' WHERE purchase_order_id = ?",
+    // Marking the order received takes in whatever is still outstanding so inventory matches
+    if (new_status === 'received' && order.status !== 'received') {
+      const lines = await db.all(
+        "SELECT * FROM purchase_order_items WHERE purchase_order_id = ? AND status != 'cancelled'",
         [id]
       )
+      const receipts = lines
+        .map((line) => ({ line, quantity: getOutstandingQuantity(line) }))
+        .filter((receipt) => receipt.quantity > 0)
+
+      await applyReceipts(db, order, receipts, {
+        user: req.user,
+        notes,
+        receivedDate: actual_delivery_date,
+      })
     }
 
+    await db.run(updateQuery, updateParams)
+
     // Log the status change if notes provided
     if (notes) {
       // You might want to create an admin_logs entry here
@@ -310,4 +383,135 @@ router.put("/:id/status", async (req, res) => {
   }
 })
 
+// POST /api/purchase-orders/:id/receive - Receive some or all of an order into inventory
+// Body: { items: [{ line_id, quantity }], received_date, notes } or { receive_all: true, ... }
+router.post("/:id/receive", requirePermission("purchase-orders:write"), async (req, res) => {
+  try {
+    const { getDatabase } = require("../config/database")
+    const db = getDatabase()
+    const { id } = req.params
+    const { items, receive_all = false, received_date, notes } = req.body
+
+    const order = await db.get("SELECT * FROM purchase_orders WHERE id = ?", [id])
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found"
+      })
+    }
+
+    if (order.status === 'received' || order.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: `Purchase order is already ${order.status}`
+      })
+    }
+
+    if (!receive_all && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Items to receive are required (or set receive_all)"
+      })
+    }
+
+    const lines = await db.all(
+      "SELECT * FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY id",
+      [id]
+    )
+
+    // Add up the quantity per line so the same line listed twice is checked as one receipt
+    const requested = new Map()
+    if (receive_all) {
+      for (const line of lines) {
+        if (line.status !== 'cancelled' && getOutstandingQuantity(line) > 0) {
+          requested.set(line.id, getOutstandingQuantity(line))
+        }
+      }
+    } else {
+      for (const entry of items) {
+        const lineId = Number.parseInt(entry.line_id)
+        if (!Number.isInteger(entry.quantity) || entry.quantity <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Quantity for line ${entry.line_id} must be a positive whole number`
+          })
+        }
+        requested.set(lineId, (requested.get(lineId) || 0) + entry.quantity)
+      }
+    }
+
+    const errors = []
+    const receipts = []
+
+    for (const [lineId, quantity] of requested) {
+      const line = lines.find((candidate) => candidate.id === lineId)
+
+      if (!line) {
+        errors.push({ line_id: lineId, error: "Line is not on this purchase order" })
+      } else if (line.status === 'cancelled') {
+        errors.push({ line_id: lineId, error: "Line is cancelled" })
+      } else if (quantity > getOutstandingQuantity(line)) {
+        errors.push({
+          line_id: lineId,
+          error: `Only ${getOutstandingQuantity(line)} of ${line.quantity} left to receive`
+        })
+      } else {
+        const item = await db.get("SELECT item_no FROM itemsdb WHERE item_no = ?", [Number.parseInt(line.item_no)])
+        if (!item) {
+          errors.push({ line_id: lineId, error: `Item ${line.item_no} no longer exists in inventory` })
+        } else {
+          receipts.push({ line, quantity })
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some lines cannot be received",
+        errors
+      })
+    }
+
+    if (receipts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing left to receive on this purchase order"
+      })
+    }
+
+    const fullyReceived = await applyReceipts(db, order, receipts, {
+      user: req.user,
+      notes,
+      receivedDate: received_date,
+    })
+
+    const updatedOrder = await db.get("SELECT * FROM purchase_orders WHERE id = ?", [id])
+    updatedOrder.items = await db.all(
+      "SELECT * FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY item_no",
+      [id]
+    )
+
+    res.json({
+      success: true,
+      message: fullyReceived
+        ? "Purchase order fully received"
+        : "Partial receipt recorded",
+      data: updatedOrder,
+      received: receipts.map(({ line, quantity }) => ({
+        line_id: line.id,
+        item_no: line.item_no,
+        quantity,
+      })),
+    })
+  } catch (error) {
+    console.error("Error receiving purchase order:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to receive purchase order",
+      error: error.message
+    })
+  }
+})
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,536 @@
+const express = require("express")
+const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { isDepartmentInScope, canAccessEmployee } = require("../middleware/department-scope")
+const ShiftService = require("../services/shift-service")
+const { localToday } = require("../utils/dates")
+
+const router = express.Router()
+
+const SHIFT_FIELDS = [
+  "name",
+  "description",
+  "morning_start",
+  "morning_end",
+  "afternoon_start",
+  "afternoon_end",
+  "evening_start",
+  "evening_end",
+  "evening_is_overtime",
+  "grace_period_minutes",
+  "min_overtime_minutes",
+  "rest_days",
+  "is_default",
+  "is_active",
+]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function pickShiftFields(body) {
+  const shift = {}
+  for (const field of SHIFT_FIELDS) {
+    if (body[field] !== undefined) {
+      shift[field] = typeof body[field] === "boolean" ? (body[field] ? 1 : 0) : body[field]
+    }
+  }
+  return shift
+}
+
+// Only one shift can be the default; call inside the transaction that sets a new one
+async function clearOtherDefaults(db, shiftId) {
+  await db.run("UPDATE shifts SET is_default = 0, updated_at = CURRENT_TIMESTAMP WHERE is_default = 1 AND id != ?", [
+    shiftId,
+  ])
+}
+
+/**
+ * Why a department-scoped caller may not change a shift, or null. Shift definitions are shared, so a
+ * scoped manager may only change a shift used by their own department alone, and never the default.
+ */
+async function getSharedShiftError(req, db, shift, changes = {}) {
+  if (req.departmentScope === null || req.departmentScope === undefined) {
+    return null
+  }
+
+  if ((shift && shift.is_default) || changes.is_default) {
+    return "Only unscoped users can change the default shift"
+  }
+
+  if (!shift) {
+    return null
+  }
+
+  const shared = await db.get(`
+    SELECT COUNT(*) as count
+    FROM shift_assignments a
+    LEFT JOIN emp_list e ON e.uid = a.employee_uid
+    WHERE a.shift_id = ? AND COALESCE(a.department, e.department) IS NOT ?
+  `, [shift.id, req.departmentScope])
+  return shared.count > 0 ? "This shift is also used outside your department" : null
+}
+
+// GET /api/shifts - List shifts with how many assignments use each
+router.get("/", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { include_inactive = "false" } = req.query
+
+    const shifts = await db.all(`
+      SELECT s.*, COUNT(a.id) as assignment_count
+      FROM shifts s
+      LEFT JOIN shift_assignments a ON a.shift_id = s.id
+      ${include_inactive === "true" ? "" : "WHERE s.is_active = 1"}
+      GROUP BY s.id
+      ORDER BY s.is_default DESC, s.name
+    `)
+
+    res.json({
+      success: true,
+      data: shifts,
+    })
+  } catch (error) {
+    console.error("Error fetching shifts:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch shifts",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/shifts/effective?employee_uid=1&date=2025-09-30 - Shift that applies to an employee on a date
+router.get("/effective", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const { employee_uid, date = localToday() } = req.query
+
+    if (!employee_uid || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_uid and a YYYY-MM-DD date are required",
+      })
+    }
+
+    if (!(await canAccessEmployee(req, employee_uid))) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      })
+    }
+
+    const shift = await ShiftService.getEffectiveShift(employee_uid, date)
+
+    res.json({
+      success: true,
+      data: shift || null,
+    })
+  } catch (error) {
+    console.error("Error resolving effective shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to resolve effective shift",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/shifts/assignments - Assignments, optionally filtered by shift, employee, department or a date they cover
+router.get("/assignments", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { shift_id, employee_uid, department, active_on } = req.query
+
+    const conditions = []
+    const params = []
+
+    if (shift_id) {
+      conditions.push("a.shift_id = ?")
+      params.push(shift_id)
+    }
+
+    if (employee_uid) {
+      conditions.push("a.employee_uid = ?")
+      params.push(employee_uid)
+    }
+
+    if (department) {
+      conditions.push("a.department = ?")
+      params.push(department)
+    }
+
+    if (active_on) {
+      conditions.push("a.effective_from <= ? AND (a.effective_to IS NULL OR a.effective_to >= ?)")
+      params.push(active_on, active_on)
+    }
+
+    // Scoped callers see their department's assignment and those of its employees
+    if (req.departmentScope !== null && req.departmentScope !== undefined) {
+      conditions.push("(a.department = ? OR a.employee_uid IN (SELECT uid FROM emp_list WHERE department = ?))")
+      params.push(req.departmentScope, req.departmentScope)
+    }
+
+    const assignments = await db.all(`
+      SELECT
+        a.*,
+        s.name as shift_name,
+        e.first_name,
+        e.last_name,
+        e.department as employee_department
+      FROM shift_assignments a
+      JOIN shifts s ON s.id = a.shift_id
+      LEFT JOIN emp_list e ON e.uid = a.employee_uid
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY a.effective_from DESC, a.id DESC
+    `, params)
+
+    res.json({
+      success: true,
+      data: assignments,
+    })
+  } catch (error) {
+    console.error("Error fetching shift assignments:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch shift assignments",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/shifts/assignments - Assign a shift to an employee or a department from a date
+router.post("/assignments", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const { shift_id, employee_uid = null, department = null, effective_from, effective_to = null, notes = null } =
+      req.body
+
+    if (!shift_id || !effective_from || !DATE_PATTERN.test(effective_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "shift_id and a YYYY-MM-DD effective_from are required",
+      })
+    }
+
+    if ((employee_uid === null) === (department === null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide either employee_uid or department",
+      })
+    }
+
+    if (effective_to !== null && (!DATE_PATTERN.test(effective_to) || effective_to < effective_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "effective_to must be a YYYY-MM-DD date on or after effective_from",
+      })
+    }
+
+    const shift = await db.get("SELECT id, is_active FROM shifts WHERE id = ?", [shift_id])
+    if (!shift || !shift.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: "Shift not found",
+      })
+    }
+
+    if (employee_uid !== null) {
+      const employee = await db.get("SELECT uid FROM emp_list WHERE uid = ?", [employee_uid])
+      if (!employee || !(await canAccessEmployee(req, employee_uid))) {
+        return res.status(404).json({
+          success: false,
+          error: "Employee not found",
+        })
+      }
+    } else if (!isDepartmentInScope(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only assign shifts within your department",
+      })
+    }
+
+    const result = await db.run(`
+      INSERT INTO shift_assignments (shift_id, employee_uid, department, effective_from, effective_to, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [shift_id, employee_uid, department, effective_from, effective_to, notes, req.user.username])
+
+    const assignment = await db.get("SELECT * FROM shift_assignments WHERE id = ?", [result.lastID])
+
+    res.status(201).json({
+      success: true,
+      message: "Shift assigned successfully",
+      data: assignment,
+    })
+  } catch (error) {
+    console.error("Error assigning shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to assign shift",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/shifts/assignments/:id - Remove an assignment
+router.delete("/assignments/:id", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const assignment = await db.get("SELECT * FROM shift_assignments WHERE id = ?", [req.params.id])
+
+    const inScope =
+      assignment &&
+      (assignment.employee_uid !== null
+        ? await canAccessEmployee(req, assignment.employee_uid)
+        : isDepartmentInScope(req, assignment.department))
+
+    if (!inScope) {
+      return res.status(404).json({
+        success: false,
+        error: "Shift assignment not found",
+      })
+    }
+
+    await db.run("DELETE FROM shift_assignments WHERE id = ?", [req.params.id])
+
+    res.json({
+      success: true,
+      message: "Shift assignment removed successfully",
+    })
+  } catch (error) {
+    console.error("Error removing shift assignment:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove shift assignment",
+      message: error.message,
+    })
+  }
+})
+
+// GET /api/shifts/:id - One shift
+router.get("/:id", requirePermission("attendance:read"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const shift = await db.get("SELECT * FROM shifts WHERE id = ?", [req.params.id])
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: "Shift not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: shift,
+    })
+  } catch (error) {
+    console.error("Error fetching shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch shift",
+      message: error.message,
+    })
+  }
+})
+
+// POST /api/shifts - Define a shift
+router.post("/", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const shift = pickShiftFields(req.body)
+
+    const errors = ShiftService.validateShift(shift)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid shift",
+        details: errors,
+      })
+    }
+
+    const scopeError = await getSharedShiftError(req, db, null, shift)
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError,
+      })
+    }
+
+    const existing = await db.get("SELECT id FROM shifts WHERE name = ?", [shift.name])
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "A shift with this name already exists",
+      })
+    }
+
+    const fields = Object.keys(shift)
+    let shiftId
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      const result = await db.run(
+        `INSERT INTO shifts (${fields.join(", ")}, created_by) VALUES (${fields.map(() => "?").join(", ")}, ?)`,
+        [...fields.map((field) => shift[field]), req.user.username],
+      )
+      shiftId = result.lastID
+
+      if (shift.is_default) {
+        await clearOtherDefaults(db, shiftId)
+      }
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    const created = await db.get("SELECT * FROM shifts WHERE id = ?", [shiftId])
+
+    res.status(201).json({
+      success: true,
+      message: "Shift created successfully",
+      data: created,
+    })
+  } catch (error) {
+    console.error("Error creating shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to create shift",
+      message: error.message,
+    })
+  }
+})
+
+// PUT /api/shifts/:id - Change a shift. Punches already recorded keep the values computed when they came in.
+router.put("/:id", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const existing = await db.get("SELECT * FROM shifts WHERE id = ?", [req.params.id])
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Shift not found",
+      })
+    }
+
+    const changes = pickShiftFields(req.body)
+    const fields = Object.keys(changes)
+
+    const scopeError = await getSharedShiftError(req, db, existing, changes)
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError,
+      })
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No fields to update",
+      })
+    }
+
+    const errors = ShiftService.validateShift({ ...existing, ...changes })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid shift",
+        details: errors,
+      })
+    }
+
+    if (existing.is_default && (changes.is_default === 0 || changes.is_active === 0)) {
+      return res.status(409).json({
+        success: false,
+        error: "Make another shift the default before changing this one",
+      })
+    }
+
+    await db.run("BEGIN TRANSACTION")
+    try {
+      await db.run(
+        `UPDATE shifts SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map((field) => changes[field]), existing.id],
+      )
+
+      if (changes.is_default) {
+        await clearOtherDefaults(db, existing.id)
+      }
+
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    const updated = await db.get("SELECT * FROM shifts WHERE id = ?", [existing.id])
+
+    res.json({
+      success: true,
+      message: "Shift updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    console.error("Error updating shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to update shift",
+      message: error.message,
+    })
+  }
+})
+
+// DELETE /api/shifts/:id - Delete an unused shift; shifts with assignments should be deactivated instead
+router.delete("/:id", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const db = getDatabase()
+    const shift = await db.get("SELECT * FROM shifts WHERE id = ?", [req.params.id])
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: "Shift not found",
+      })
+    }
+
+    if (shift.is_default) {
+      return res.status(409).json({
+        success: false,
+        error: "The default shift cannot be deleted",
+      })
+    }
+
+    const scopeError = await getSharedShiftError(req, db, shift)
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        error: scopeError,
+      })
+    }
+
+    const usage = await db.get("SELECT COUNT(*) as count FROM shift_assignments WHERE shift_id = ?", [shift.id])
+    if (usage.count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Shift has ${usage.count} assignment(s); deactivate it instead`,
+      })
+    }
+
+    await db.run("DELETE FROM shifts WHERE id = ?", [shift.id])
+
+    res.json({
+      success: true,
+      message: "Shift deleted successfully",
+    })
+  } catch (error) {
+    console.error("Error deleting shift:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete shift",
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -1,10 +1,11 @@
 const express = require("express")
 const { getDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
 
 const router = express.Router()
 
 // Get all tables
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("tables:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const tables = await db.all(`
@@ -19,7 +20,7 @@ router.get("/", async (req, res) => {
 })
 
 // Get table schema
-router.get("/:tableName/schema", async (req, res) => {
+router.get("/:tableName/schema", requirePermission("tables:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { tableName } = req.params
@@ -38,7 +39,7 @@ router.get("/:tableName/schema", async (req, res) => {
 })
 
 // Get table data with pagination
-router.get("/:tableName/data", async (req, res) => {
+router.get("/:tableName/data", requirePermission("tables:read"), async (req, res) => {
   try {
     const db = getDatabase()
     const { tableName } = req.params
@@ -92,7 +93,7 @@ router.get("/:tableName/data", async (req, res) => {
 })
 
 // Insert new record
-router.post("/:tableName/data", async (req, res) => {
+router.post("/:tableName/data", requirePermission("tables:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { tableName } = req.params
@@ -127,7 +128,7 @@ router.post("/:tableName/data", async (req, res) => {
 })
 
 // Update record
-router.put("/:tableName/data/:id", async (req, res) => {
+router.put("/:tableName/data/:id", requirePermission("tables:write"), async (req, res) => {
   try {
     const db = getDatabase()
     const { tableName, id } = req.params
@@ -170,7 +171,7 @@ router.put("/:tableName/data/:id", async (req, res) => {
 })
 
 // Delete record
-router.delete("/:tableName/data/:id", async (req, res) => {
+router.delete("/:tableName/data/:id", requirePermission("tables:delete"), async (req, res) => {
   try {
     const db = getDatabase()
     const { tableName, id } = req.params
@@ -203,7 +204,7 @@ router.delete("/:tableName/data/:id", async (req, res) => {
 })
 
 // Execute custom SQL query
-router.post("/query", async (req, res) => {
+router.post("/query", requirePermission("tables:query"), async (req, res) => {
   try {
     const db = getDatabase()
     const { sql, params = [] } = req.body
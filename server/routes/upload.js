@@ -3,9 +3,11 @@ const multer = require("multer")
 const path = require("path")
 const fs = require("fs")
 const { getDatabase, initDatabase } = require("../config/database")
+const { requirePermission } = require("../middleware/permissions")
+const { getUploadsDir } = require("../utils/uploads")
 const router = express.Router()
 
-const baseUploadsDir = path.join(process.env.DATABASE_DIR || process.cwd(), "uploads")
+const baseUploadsDir = getUploadsDir()
 
 // Helper function to create user-specific directories
 const createUserDirectories = (userId) => {
@@ -153,7 +155,7 @@ const uploadDocument = multer({
   fileFilter: documentFilter,
 })
 
-router.post("/profile-picture", (req, res) => {
+router.post("/profile-picture", requirePermission("documents:write"), (req, res) => {
   console.log("📤 Profile picture upload request received")
 
   uploadProfile.single("profilePicture")(req, res, async (err) => {
@@ -240,7 +242,7 @@ router.post("/profile-picture", (req, res) => {
 })
 
 // Fixed version for document upload endpoint
-router.post("/document", (req, res) => {
+router.post("/document", requirePermission("documents:write"), (req, res) => {
   console.log("📤 Document upload request received")
 
   uploadDocument.single("document")(req, res, async (err) => {
@@ -354,7 +356,7 @@ router.post("/document", (req, res) => {
   })
 })
 
-router.get("/serve/:relativePath", (req, res) => {
+router.get("/serve/:relativePath", requirePermission("documents:read"), (req, res) => {
   try {
     const { relativePath } = req.params
     const decodedPath = decodeURIComponent(relativePath)
@@ -447,7 +449,7 @@ router.get("/serve/:relativePath", (req, res) => {
   }
 })
 
-router.delete("/serve/:relativePath", (req, res) => {
+router.delete("/serve/:relativePath", requirePermission("documents:delete"), (req, res) => {
   try {
     const { relativePath } = req.params
     const decodedPath = decodeURIComponent(relativePath)
@@ -488,7 +490,7 @@ router.delete("/serve/:relativePath", (req, res) => {
   }
 })
 
-router.get("/info/:relativePath", (req, res) => {
+router.get("/info/:relativePath", requirePermission("documents:read"), (req, res) => {
   try {
     const { relativePath } = req.params
     const decodedPath = decodeURIComponent(relativePath)
@@ -537,7 +539,7 @@ router.get("/info/:relativePath", (req, res) => {
   }
 })
 
-router.get("/user/:userId/files", (req, res) => {
+router.get("/user/:userId/files", requirePermission("documents:read"), (req, res) => {
   try {
     const { userId } = req.params
     const userDir = path.join(baseUploadsDir, userId)
@@ -0,0 +1,122 @@
+const { getDatabase } = require("../config/database")
+const ShiftService = require("./shift-service")
+const DailySummaryService = require("./daily-summary-service")
+
+const CLOCK_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/
+
+// Columns kept in audit snapshots of a punch
+const AUDITED_FIELDS = [
+  "employee_uid", "clock_type", "clock_time", "date",
+  "regular_hours", "overtime_hours", "is_late", "notes",
+]
+
+function snapshot(record) {
+  if (!record) {
+    return null
+  }
+
+  const values = {}
+  for (const field of AUDITED_FIELDS) {
+    values[field] = record[field] === undefined ? null : record[field]
+  }
+  return JSON.stringify(values)
+}
+
+class CorrectionService {
+  // Local ISO clock times as punches store them: "2025-09-30T08:02" or "2025-09-30T08:02:15.120"
+  static isValidClockTime(value) {
+    return CLOCK_TIME_PATTERN.test(value || "") && !Number.isNaN(new Date(value).getTime())
+  }
+
+  /**
+   * Record a change to a punch in attendance_audit. Pass the row before and after the change;
+   * either side is null for creates and deletes.
+   */
+  static async audit(attendanceId, action, before, after, changedBy, { source = "edit", correctionId = null } = {}) {
+    const db = getDatabase()
+    await db.run(`
+      INSERT INTO attendance_audit (attendance_id, action, source, correction_id, old_values, new_values, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [attendanceId, action, source, correctionId, snapshot(before), snapshot(after), changedBy])
+  }
+
+  static async getHistory(attendanceId) {
+    const db = getDatabase()
+    const entries = await db.all(
+      "SELECT * FROM attendance_audit WHERE attendance_id = ? ORDER BY created_at, id",
+      [attendanceId],
+    )
+
+    return entries.map((entry) => ({
+      ...entry,
+      old_values: entry.old_values ? JSON.parse(entry.old_values) : null,
+      new_values: entry.new_values ? JSON.parse(entry.new_values) : null,
+    }))
+  }
+
+  /**
+   * Apply an approved correction: move the existing punch to the proposed time, or insert the
+   * missing punch. Hours are re-evaluated against the shift, the change is audited and the day's
+   * summary recomputed. Call inside a transaction; returns { attendanceId, summaryResults }.
+   */
+  static async apply(correction, username) {
+    const db = getDatabase()
+    const punch = {
+      employee_uid: correction.employee_uid,
+      clock_type: correction.clock_type,
+      clock_time: correction.proposed_clock_time,
+      date: correction.date,
+    }
+
+    let attendanceId = correction.attendance_id
+    let before = null
+
+    if (attendanceId) {
+      before = await db.get("SELECT * FROM attendance WHERE id = ?", [attendanceId])
+      if (!before) {
+        throw new Error(`Attendance record ${attendanceId} no longer exists`)
+      }
+
+      const evaluated = await ShiftService.evaluatePunch(punch, { excludeId: attendanceId })
+      await db.run(`
+        UPDATE attendance
+        SET clock_type = ?, clock_time = ?, is_late = ?, regular_hours = ?, overtime_hours = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [punch.clock_type, punch.clock_time, evaluated.is_late, evaluated.regular_hours, evaluated.overtime_hours, attendanceId])
+
+      await ShiftService.recalculateSession(before.employee_uid, before.date, before.clock_type)
+    } else {
+      const employee = await db.get("SELECT id_number, id_barcode FROM emp_list WHERE uid = ?", [punch.employee_uid])
+      const evaluated = await ShiftService.evaluatePunch(punch)
+
+      const result = await db.run(`
+        INSERT INTO attendance (
+          employee_uid, id_number, id_barcode, clock_type, clock_time, regular_hours,
+          overtime_hours, date, is_late, notes, is_synced
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      `, [
+        punch.employee_uid, employee?.id_number || "", employee?.id_barcode || null, punch.clock_type,
+        punch.clock_time, evaluated.regular_hours, evaluated.overtime_hours, punch.date, evaluated.is_late,
+        `Added by correction #${correction.id}`,
+      ])
+      attendanceId = result.lastID
+    }
+
+    await ShiftService.recalculateSession(punch.employee_uid, punch.date, punch.clock_type)
+
+    const after = await db.get("SELECT * FROM attendance WHERE id = ?", [attendanceId])
+    await this.audit(attendanceId, before ? "update" : "create", before, after, username, {
+      source: "correction",
+      correctionId: correction.id,
+    })
+
+    const summaryResults = await DailySummaryService.recomputeMany([
+      ...(before ? [{ employee_uid: before.employee_uid, date: before.date }] : []),
+      { employee_uid: punch.employee_uid, date: punch.date },
+    ])
+
+    return { attendanceId, summaryResults }
+  }
+}
+
+module.exports = CorrectionService
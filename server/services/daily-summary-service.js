@@ -0,0 +1,251 @@
+const { getDatabase } = require("../config/database")
+const HolidayService = require("./holiday-service")
+const LeaveService = require("./leave-service")
+const OvertimeService = require("./overtime-service")
+
+const SUMMARY_COLUMNS = [
+  "employee_uid", "id_number", "id_barcode", "employee_name", "first_name", "last_name",
+  "department", "date", "first_clock_in", "last_clock_out",
+  "morning_in", "morning_out", "afternoon_in", "afternoon_out",
+  "evening_in", "evening_out", "overtime_in", "overtime_out",
+  "regular_hours", "overtime_hours", "total_hours",
+  "morning_hours", "afternoon_hours", "evening_hours", "overtime_session_hours",
+  "is_incomplete", "has_late_entry", "has_overtime", "has_evening_session",
+  "total_sessions", "completed_sessions", "pending_sessions",
+  "total_minutes_worked", "break_time_minutes", "day_type", "holiday_name",
+  "leave_request_id", "leave_type", "is_excused",
+  "overtime_request_id", "approved_overtime_hours", "unapproved_overtime_hours", "last_updated",
+]
+
+// Out punches carry the hours of the session they close, so session hours are their sums
+const SESSION_HOUR_FIELDS = {
+  morning: "morning_hours",
+  afternoon: "afternoon_hours",
+  evening: "evening_hours",
+  overtime: "overtime_session_hours",
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100
+}
+
+class DailySummaryService {
+  /**
+   * Build the summary row for one employee and date from their attendance punches.
+   * Approved leave marks the day excused; a day on leave may have no punches at all.
+   * Overtime up to an approved request's planned hours is approved; the rest is not.
+   */
+  static buildSummary(
+    employee,
+    date,
+    attendanceRecords,
+    dayType = { day_type: "regular", holiday_name: null },
+    leave = null,
+    overtimeRequest = null,
+  ) {
+    const sessionTimes = {
+      morning_in: null, morning_out: null,
+      afternoon_in: null, afternoon_out: null,
+      evening_in: null, evening_out: null,
+      overtime_in: null, overtime_out: null
+    }
+
+    const sessionHours = {
+      morning_hours: 0,
+      afternoon_hours: 0,
+      evening_hours: 0,
+      overtime_session_hours: 0
+    }
+
+    let totalRegularHours = 0
+    let totalOvertimeHours = 0
+    let totalSessions = 0
+    let completedSessions = 0
+    let pendingSessions = 0
+    let hasLateEntry = false
+    let hasOvertime = false
+    let hasEveningSession = false
+
+    attendanceRecords.forEach(record => {
+      const clockType = record.clock_type
+      const [session] = clockType.split('_')
+
+      if (sessionTimes.hasOwnProperty(clockType)) {
+        sessionTimes[clockType] = record.clock_time
+      }
+
+      totalRegularHours += record.regular_hours || 0
+      totalOvertimeHours += record.overtime_hours || 0
+
+      if (clockType.endsWith('_out') && SESSION_HOUR_FIELDS[session]) {
+        sessionHours[SESSION_HOUR_FIELDS[session]] += (record.regular_hours || 0) + (record.overtime_hours || 0)
+      }
+
+      if (clockType.endsWith('_in')) {
+        totalSessions++
+        const outType = clockType.replace('_in', '_out')
+        const hasOut = attendanceRecords.some(r => r.clock_type === outType && r.clock_time > record.clock_time)
+        if (hasOut) {
+          completedSessions++
+        } else {
+          pendingSessions++
+        }
+      }
+
+      if (record.is_late) hasLateEntry = true
+      if (clockType.startsWith('overtime') || clockType.startsWith('evening')) {
+        hasOvertime = true
+        if (clockType.startsWith('evening')) hasEveningSession = true
+      }
+    })
+
+    if (totalOvertimeHours > 0) hasOvertime = true
+
+    const morningSession = sessionTimes.morning_in && sessionTimes.morning_out
+    const afternoonSession = sessionTimes.afternoon_in && sessionTimes.afternoon_out
+
+    const firstClockIn = attendanceRecords.find(r => r.clock_type.endsWith('_in'))?.clock_time || null
+    const lastClockOut = [...attendanceRecords].reverse().find(r => r.clock_type.endsWith('_out'))?.clock_time || null
+    const overtimeSplit = OvertimeService.splitOvertime(roundHours(totalOvertimeHours), overtimeRequest)
+
+    let totalMinutesWorked = 0
+    if (firstClockIn && lastClockOut) {
+      const firstTime = new Date(firstClockIn)
+      const lastTime = new Date(lastClockOut)
+      totalMinutesWorked = Math.round((lastTime - firstTime) / 60000)
+      if (morningSession && afternoonSession) {
+        totalMinutesWorked = Math.max(0, totalMinutesWorked - 60)
+      }
+    }
+
+    return {
+      employee_uid: employee.uid,
+      id_number: employee.id_number,
+      id_barcode: employee.id_barcode,
+      employee_name: `${employee.first_name} ${employee.last_name}`,
+      first_name: employee.first_name,
+      last_name: employee.last_name,
+      department: employee.department,
+      date: date,
+      first_clock_in: firstClockIn,
+      last_clock_out: lastClockOut,
+      ...sessionTimes,
+      regular_hours: roundHours(totalRegularHours),
+      overtime_hours: roundHours(totalOvertimeHours),
+      total_hours: roundHours(totalRegularHours + totalOvertimeHours),
+      morning_hours: roundHours(sessionHours.morning_hours),
+      afternoon_hours: roundHours(sessionHours.afternoon_hours),
+      evening_hours: roundHours(sessionHours.evening_hours),
+      overtime_session_hours: roundHours(sessionHours.overtime_session_hours),
+      is_incomplete: pendingSessions > 0 ? 1 : 0,
+      has_late_entry: hasLateEntry ? 1 : 0,
+      has_overtime: hasOvertime ? 1 : 0,
+      has_evening_session: hasEveningSession ? 1 : 0,
+      total_sessions: totalSessions,
+      completed_sessions: completedSessions,
+      pending_sessions: pendingSessions,
+      total_minutes_worked: totalMinutesWorked,
+      break_time_minutes: (morningSession && afternoonSession) ? 60 : 0,
+      day_type: dayType.day_type,
+      holiday_name: dayType.holiday_name,
+      leave_request_id: leave ? leave.id : null,
+      leave_type: leave ? leave.leave_type : null,
+      is_excused: leave ? 1 : 0,
+      overtime_request_id: overtimeRequest ? overtimeRequest.id : null,
+      approved_overtime_hours: overtimeSplit.approved,
+      unapproved_overtime_hours: overtimeSplit.unapproved,
+      last_updated: new Date().toISOString(),
+    }
+  }
+
+  /**
+   * Recompute the summary for one employee and date from the attendance table, approved leave
+   * and approved overtime.
+   * Returns { action: "updated", summary } or { action: "deleted", id } when no punches or leave are left,
+   * or null when there is nothing to do. Keeps the row id stable so clients can follow it.
+   */
+  static async recompute(employeeUid, date) {
+    const db = getDatabase()
+
+    const attendanceRecords = await db.all(`
+      SELECT * FROM attendance
+      WHERE employee_uid = ? AND date = ?
+      ORDER BY clock_time ASC
+    `, [employeeUid, date])
+
+    const leave = await LeaveService.getApprovedLeave(employeeUid, date)
+
+    if (attendanceRecords.length === 0 && !leave) {
+      const existing = await db.get(
+        "SELECT id FROM daily_attendance_summary WHERE employee_uid = ? AND date = ?",
+        [employeeUid, date]
+      )
+      if (!existing) {
+        return null
+      }
+
+      await db.run("DELETE FROM daily_attendance_summary WHERE id = ?", [existing.id])
+      return { action: "deleted", id: existing.id, employee_uid: employeeUid, date }
+    }
+
+    const employee = await db.get(`
+      SELECT uid, id_number, id_barcode, first_name, last_name, department
+      FROM emp_list WHERE uid = ?
+    `, [employeeUid])
+
+    if (!employee) {
+      return null
+    }
+
+    const dayType = await HolidayService.getDayType(employeeUid, date)
+    const overtimeRequest = await OvertimeService.getApprovedRequest(employeeUid, date)
+    const summary = this.buildSummary(employee, date, attendanceRecords, dayType, leave, overtimeRequest)
+
+    await db.run(`
+      INSERT INTO daily_attendance_summary (${SUMMARY_COLUMNS.join(", ")})
+      VALUES (${SUMMARY_COLUMNS.map(() => "?").join(", ")})
+      ON CONFLICT(employee_uid, date) DO UPDATE SET
+        ${SUMMARY_COLUMNS.filter((column) => column !== "employee_uid" && column !== "date")
+          .map((column) => `${column} = excluded.${column}`)
+          .join(", ")}
+    `, SUMMARY_COLUMNS.map((column) => summary[column]))
+
+    const saved = await db.get(
+      "SELECT * FROM daily_attendance_summary WHERE employee_uid = ? AND date = ?",
+      [employeeUid, date]
+    )
+    return { action: "updated", summary: saved }
+  }
+
+  // Tell clients about a recompute result; call after the surrounding transaction commits
+  static emitResult(result) {
+    if (!result) {
+      return
+    }
+
+    const { socketEvents } = require("../config/socket")
+    if (result.action === "deleted") {
+      socketEvents.dailySummaryDeleted({ id: result.id, employee_uid: result.employee_uid, date: result.date })
+    } else {
+      socketEvents.dailySummaryUpdated(result.summary)
+    }
+  }
+
+  // Recompute several employee/date pairs (duplicates are skipped); pass the results to emitResult after commit
+  static async recomputeMany(pairs) {
+    const seen = new Set()
+    const results = []
+
+    for (const { employee_uid, date } of pairs) {
+      const key = `${employee_uid}|${date}`
+      if (seen.has(key)) continue
+      seen.add(key)
+
+      results.push(await this.recompute(employee_uid, date))
+    }
+
+    return results.filter(Boolean)
+  }
+}
+
+module.exports = DailySummaryService
@@ -0,0 +1,431 @@
+const { getDatabase } = require("../config/database")
+const ShiftService = require("./shift-service")
+const HolidayService = require("./holiday-service")
+const LeaveService = require("./leave-service")
+const { PAGE_WIDTH, fitText, textWidth, toPDF } = require("../utils/pdf")
+const { localToday } = require("../utils/dates")
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+]
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+// A DTR prints on one page, which holds a month of days
+const MAX_PERIOD_DAYS = 31
+
+const CERTIFICATION =
+  "I certify on my honor that the above is a true and correct report of the hours of work performed, " +
+  "record of which was made daily at the time of arrival and departure from office."
+
+function pad(value) {
+  return String(value).padStart(2, "0")
+}
+
+function eachDate(startDate, endDate) {
+  const dates = []
+  const current = new Date(`${startDate}T00:00:00Z`)
+  const last = new Date(`${endDate}T00:00:00Z`)
+
+  while (current <= last) {
+    dates.push(current.toISOString().split("T")[0])
+    current.setUTCDate(current.getUTCDate() + 1)
+  }
+  return dates
+}
+
+function roundHours(hours) {
+  return Math.round((hours || 0) * 100) / 100
+}
+
+// Local ISO clock time -> "8:02 AM"
+function formatTime(value) {
+  const match = /[T ](\d{2}):(\d{2})/.exec(value || "")
+  if (!match) {
+    return ""
+  }
+  const hour = Number(match[1])
+  return `${hour % 12 || 12}:${match[2]} ${hour < 12 ? "AM" : "PM"}`
+}
+
+function formatCount(value) {
+  return value ? String(value) : ""
+}
+
+function formatHours(value) {
+  return value ? roundHours(value).toFixed(2) : ""
+}
+
+function employeeName(employee) {
+  const middle = employee.middle_name ? ` ${employee.middle_name}` : ""
+  return `${employee.last_name || ""}, ${employee.first_name || ""}${middle}`.trim()
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+// Printed cells of a day row, shared by the HTML and PDF layouts
+function dayCells(day) {
+  return [
+    `${pad(Number(day.date.slice(8)))} ${day.weekday}`,
+    formatTime(day.morning_in),
+    formatTime(day.morning_out),
+    formatTime(day.afternoon_in),
+    formatTime(day.afternoon_out),
+    formatTime(day.overtime_in),
+    formatTime(day.overtime_out),
+    formatCount(day.late_minutes),
+    formatCount(day.undertime_minutes),
+    formatHours(day.regular_hours),
+    formatHours(day.overtime_hours),
+    day.remarks.join("; "),
+  ]
+}
+
+function totalCells(totals) {
+  return [
+    "Total", "", "", "", "", "", "",
+    String(totals.late_minutes),
+    String(totals.undertime_minutes),
+    roundHours(totals.regular_hours).toFixed(2),
+    roundHours(totals.overtime_hours).toFixed(2),
+    `${totals.days_present} present, ${totals.absences} absent`,
+  ]
+}
+
+function infoLines(dtr) {
+  const { employee, period } = dtr
+  return [
+    ["Name", employeeName(employee)],
+    ["ID Number", employee.id_number || String(employee.uid)],
+    ["Department", employee.department || ""],
+    ["Position", employee.position || ""],
+    ["Period", period.label],
+  ]
+}
+
+// Left edges of the PDF table columns; the last entry is the table's right edge
+const PDF_COLUMNS = [36, 80, 126, 172, 218, 264, 310, 356, 388, 424, 462, 500, 576]
+const PDF_ROW_HEIGHT = 13
+
+function pdfPage(dtr) {
+  const operations = []
+  const text = (x, y, value, options = {}) => operations.push({ type: "text", x, y, text: value, ...options })
+  const line = (x1, y1, x2, y2, width = 0.5) => operations.push({ type: "line", x1, y1, x2, y2, width })
+  const left = PDF_COLUMNS[0]
+  const right = PDF_COLUMNS[PDF_COLUMNS.length - 1]
+
+  text(PAGE_WIDTH / 2, 48, "DAILY TIME RECORD", { size: 14, bold: true, align: "center" })
+
+  let y = 72
+  for (const [label, value] of infoLines(dtr)) {
+    text(left, y, `${label}:`, { size: 9, bold: true })
+    text(left + 70, y, fitText(value, 9, right - left - 70), { size: 9 })
+    y += 13
+  }
+
+  // Two header rows: session groups over their In/Out columns
+  const top = y + 4
+  const cellCenter = (index) => (PDF_COLUMNS[index] + PDF_COLUMNS[index + 1]) / 2
+  const groups = [["Day", 0, 0], ["Morning", 1, 2], ["Afternoon", 3, 4], ["Overtime", 5, 6], ["Late", 7, 7],
+    ["Undertime", 8, 8], ["Regular", 9, 9], ["Overtime", 10, 10], ["Remarks", 11, 11]]
+  const subheaders = ["", "In", "Out", "In", "Out", "In", "Out", "(min)", "(min)", "(hrs)", "(hrs)", ""]
+
+  for (const [label, first, last] of groups) {
+    const center = (PDF_COLUMNS[first] + PDF_COLUMNS[last + 1]) / 2
+    text(center, top + 9, fitText(label, 7, PDF_COLUMNS[last + 1] - PDF_COLUMNS[first] - 2, true), { size: 7, bold: true, align: "center" })
+  }
+  subheaders.forEach((label, index) => text(cellCenter(index), top + 2 * PDF_ROW_HEIGHT - 4, label, { size: 7, bold: true, align: "center" }))
+  line(PDF_COLUMNS[1], top + PDF_ROW_HEIGHT, PDF_COLUMNS[7], top + PDF_ROW_HEIGHT)
+
+  const rows = [...dtr.days.map(dayCells), totalCells(dtr.totals)]
+  let rowTop = top + 2 * PDF_ROW_HEIGHT
+  line(left, top, right, top, 1)
+  line(left, rowTop, right, rowTop, 1)
+
+  rows.forEach((cells, rowIndex) => {
+    const isTotal = rowIndex === rows.length - 1
+    cells.forEach((value, index) => {
+      const width = PDF_COLUMNS[index + 1] - PDF_COLUMNS[index] - 4
+      if (index === cells.length - 1) {
+        text(PDF_COLUMNS[index] + 2, rowTop + 9, fitText(value, 7, width, isTotal), { size: 7, bold: isTotal })
+      } else {
+        text(cellCenter(index), rowTop + 9, fitText(value, 7, width, isTotal), { size: 7, bold: isTotal, align: "center" })
+      }
+    })
+    rowTop += PDF_ROW_HEIGHT
+    line(left, rowTop, right, rowTop, isTotal || rowIndex === rows.length - 2 ? 1 : 0.25)
+  })
+
+  for (const x of PDF_COLUMNS) {
+    const headerOnly = x > PDF_COLUMNS[1] && x < PDF_COLUMNS[7] && PDF_COLUMNS.indexOf(x) % 2 === 0
+    line(x, headerOnly ? top + PDF_ROW_HEIGHT : top, x, rowTop)
+  }
+
+  // Certification and signature lines
+  y = rowTop + 20
+  let wrapped = ""
+  for (const word of CERTIFICATION.split(" ")) {
+    const next = wrapped ? `${wrapped} ${word}` : word
+    if (wrapped && textWidth(next, 8) > right - left) {
+      text(left, y, wrapped, { size: 8 })
+      y += 11
+      wrapped = word
+    } else {
+      wrapped = next
+    }
+  }
+  text(left, y, wrapped, { size: 8 })
+
+  const signatureY = y + 44
+  const halfWidth = (right - left) / 2
+  for (const [index, [name, caption]] of [[employeeName(dtr.employee), "Employee"], ["", "Verified by (Supervisor / In-charge)"]].entries()) {
+    const x1 = left + index * halfWidth + 20
+    const x2 = x1 + halfWidth - 40
+    text((x1 + x2) / 2, signatureY - 3, fitText(name, 9, x2 - x1, true), { size: 9, bold: true, align: "center" })
+    line(x1, signatureY, x2, signatureY)
+    text((x1 + x2) / 2, signatureY + 10, caption, { size: 8, align: "center" })
+  }
+
+  text(left, signatureY + 36, `Generated ${dtr.generated_at.slice(0, 16).replace("T", " ")}`, { size: 6 })
+  return operations
+}
+
+const HTML_STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; margin: 24px; color: #000; }
+  h1 { text-align: center; font-size: 18px; margin: 0 0 12px; }
+  .info td { padding: 1px 8px 1px 0; }
+  .info td:first-child { font-weight: bold; }
+  table.dtr { width: 100%; border-collapse: collapse; margin-top: 10px; }
+  table.dtr th, table.dtr td { border: 1px solid #000; padding: 2px 4px; text-align: center; }
+  table.dtr td.remarks { text-align: left; }
+  table.dtr tr.total td { font-weight: bold; }
+  table.dtr tr.off td { background: #f2f2f2; }
+  .certification { margin-top: 14px; }
+  .signatures { display: flex; justify-content: space-around; margin-top: 40px; }
+  .signature { width: 40%; text-align: center; }
+  .signature .name { font-weight: bold; min-height: 14px; }
+  .signature .rule { border-top: 1px solid #000; margin-top: 2px; padding-top: 2px; }
+  .generated { margin-top: 24px; font-size: 8px; color: #555; }
+  @page { size: letter; margin: 12mm; }
+  @media print { body { margin: 0; } }
+`
+
+class DtrService {
+  static get MAX_PERIOD_DAYS() {
+    return MAX_PERIOD_DAYS
+  }
+
+  /**
+   * DTR period from a query: month=YYYY-MM (the current month by default), or start_date and
+   * end_date spanning at most MAX_PERIOD_DAYS. Returns { start_date, end_date, label } or { error }.
+   */
+  static resolvePeriod({ month, start_date, end_date } = {}) {
+    if (start_date || end_date) {
+      if (!LeaveService.isValidDate(start_date) || !LeaveService.isValidDate(end_date) || end_date < start_date) {
+        return { error: "start_date and end_date must be YYYY-MM-DD dates, in order" }
+      }
+      if (eachDate(start_date, end_date).length > MAX_PERIOD_DAYS) {
+        return { error: `A DTR covers at most ${MAX_PERIOD_DAYS} days` }
+      }
+
+      const [startYear, startMonth, startDay] = start_date.split("-").map(Number)
+      const [endYear, endMonth, endDay] = end_date.split("-").map(Number)
+      const label = startYear === endYear && startMonth === endMonth
+        ? `${MONTH_NAMES[startMonth - 1]} ${startDay}-${endDay}, ${startYear}`
+        : `${MONTH_NAMES[startMonth - 1]} ${startDay}, ${startYear} - ${MONTH_NAMES[endMonth - 1]} ${endDay}, ${endYear}`
+      return { start_date, end_date, label }
+    }
+
+    const value = month || localToday().slice(0, 7)
+    const match = MONTH_PATTERN.exec(value)
+    if (!match) {
+      return { error: "month must be YYYY-MM" }
+    }
+
+    const year = Number(match[1])
+    const monthNumber = Number(match[2])
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()
+    return {
+      start_date: `${value}-01`,
+      end_date: `${value}-${pad(lastDay)}`,
+      label: `${MONTH_NAMES[monthNumber - 1]} ${year}`,
+    }
+  }
+
+  static async getEmployee(employeeUid) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT uid, first_name, middle_name, last_name, id_number, department, position, hire_date, status
+      FROM emp_list WHERE uid = ?
+    `, [employeeUid])
+  }
+
+  /**
+   * One employee's DTR for a period: a row per day with session times, late and undertime
+   * minutes and hours, plus totals. Overtime columns show the overtime session, or the evening
+   * session on days without one. Undertime is measured against the shift's scheduled hours
+   * (halved on half-day leave) and waits for the day's last clock-out; regular days before today
+   * with no punches and no leave count as absences.
+   */
+  static async build(employee, period) {
+    const db = getDatabase()
+    const summaries = await db.all(
+      "SELECT * FROM daily_attendance_summary WHERE employee_uid = ? AND date BETWEEN ? AND ?",
+      [employee.uid, period.start_date, period.end_date],
+    )
+    const summariesByDate = new Map(summaries.map((summary) => [summary.date, summary]))
+
+    const today = localToday()
+    const hireDate = employee.hire_date ? String(employee.hire_date).slice(0, 10) : ""
+    const totals = {
+      days_present: 0,
+      absences: 0,
+      leave_days: 0,
+      late_count: 0,
+      late_minutes: 0,
+      undertime_minutes: 0,
+      regular_hours: 0,
+      overtime_hours: 0,
+      approved_overtime_hours: 0,
+    }
+
+    const days = []
+    for (const date of eachDate(period.start_date, period.end_date)) {
+      const summary = summariesByDate.get(date) || {}
+      const { day_type, holiday_name } = await HolidayService.getDayType(employee.uid, date)
+      const shift = await ShiftService.getEffectiveShift(employee.uid, date)
+      const leave = await LeaveService.getApprovedLeave(employee.uid, date)
+
+      const worked = summary.total_sessions > 0
+      const expectedHours = day_type === "regular" && shift && !(leave && !leave.half_day)
+        ? ShiftService.getScheduledHours(shift) / (leave ? 2 : 1)
+        : 0
+
+      const lateMinutes = ShiftService.getDayLateness(shift, summary).minutes
+
+      const undertimeMinutes = worked && !summary.is_incomplete && expectedHours > 0
+        ? Math.max(0, Math.round((expectedHours - (summary.regular_hours || 0)) * 60))
+        : 0
+      const absent = !worked && expectedHours > 0 && date < today && !(hireDate && hireDate > date)
+
+      const remarks = []
+      if (holiday_name) remarks.push(holiday_name)
+      if (day_type === "rest_day") remarks.push("Rest day")
+      if (leave) remarks.push(`${leave.half_day ? "Half-day leave" : "Leave"} (${leave.leave_type})`)
+      if (absent) remarks.push("Absent")
+      if (summary.is_incomplete) remarks.push("No clock-out")
+
+      const useEvening = !summary.overtime_in && !summary.overtime_out
+      days.push({
+        date,
+        weekday: WEEKDAYS[HolidayService.getWeekday(date)],
+        day_type,
+        holiday_name,
+        leave_type: leave ? leave.leave_type : null,
+        half_day_leave: leave ? !!leave.half_day : false,
+        shift_name: shift ? shift.name : null,
+        morning_in: summary.morning_in || null,
+        morning_out: summary.morning_out || null,
+        afternoon_in: summary.afternoon_in || null,
+        afternoon_out: summary.afternoon_out || null,
+        overtime_in: (useEvening ? summary.evening_in : summary.overtime_in) || null,
+        overtime_out: (useEvening ? summary.evening_out : summary.overtime_out) || null,
+        expected_hours: roundHours(expectedHours),
+        late_minutes: lateMinutes,
+        undertime_minutes: undertimeMinutes,
+        regular_hours: roundHours(summary.regular_hours),
+        overtime_hours: roundHours(summary.overtime_hours),
+        approved_overtime_hours: roundHours(summary.approved_overtime_hours),
+        is_absent: absent,
+        is_incomplete: !!summary.is_incomplete,
+        remarks,
+      })
+
+      if (worked) totals.days_present += 1
+      if (absent) totals.absences += 1
+      if (leave) totals.leave_days += leave.half_day ? 0.5 : 1
+      if (lateMinutes > 0) totals.late_count += 1
+      totals.late_minutes += lateMinutes
+      totals.undertime_minutes += undertimeMinutes
+      totals.regular_hours += summary.regular_hours || 0
+      totals.overtime_hours += summary.overtime_hours || 0
+      totals.approved_overtime_hours += summary.approved_overtime_hours || 0
+    }
+
+    for (const key of ["regular_hours", "overtime_hours", "approved_overtime_hours"]) {
+      totals[key] = roundHours(totals[key])
+    }
+
+    return { employee, period, days, totals, generated_at: new Date().toISOString() }
+  }
+
+  // File name without extension, e.g. DTR_25063_Dela-Cruz_2026-10-01_2026-10-31
+  static getFilename(dtr) {
+    const safe = (value) => String(value || "").trim().replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+    const { employee, period } = dtr
+    return ["DTR", safe(employee.id_number) || employee.uid, safe(employee.last_name), period.start_date, period.end_date]
+      .filter(Boolean)
+      .join("_")
+  }
+
+  static renderHtml(dtr) {
+    const headerRow = (cells) => `<tr>${cells.join("")}</tr>`
+    const rows = dtr.days.map((day) => {
+      const cells = dayCells(day)
+      const off = day.day_type !== "regular" || (day.leave_type && !day.half_day_leave)
+      return `<tr${off ? ' class="off"' : ""}>${cells
+        .map((value, index) => `<td${index === cells.length - 1 ? ' class="remarks"' : ""}>${escapeHtml(value)}</td>`)
+        .join("")}</tr>`
+    })
+    const totals = totalCells(dtr.totals)
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(`DTR - ${employeeName(dtr.employee)} - ${dtr.period.label}`)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>DAILY TIME RECORD</h1>
+<table class="info">
+${infoLines(dtr).map(([label, value]) => `<tr><td>${escapeHtml(label)}:</td><td>${escapeHtml(value)}</td></tr>`).join("\n")}
+</table>
+<table class="dtr">
+<thead>
+${headerRow([
+    '<th rowspan="2">Day</th>', '<th colspan="2">Morning</th>', '<th colspan="2">Afternoon</th>', '<th colspan="2">Overtime</th>',
+    '<th rowspan="2">Late<br>(min)</th>', '<th rowspan="2">Undertime<br>(min)</th>', '<th rowspan="2">Regular<br>(hrs)</th>',
+    '<th rowspan="2">Overtime<br>(hrs)</th>', '<th rowspan="2">Remarks</th>',
+  ])}
+${headerRow(["In", "Out", "In", "Out", "In", "Out"].map((label) => `<th>${label}</th>`))}
+</thead>
+<tbody>
+${rows.join("\n")}
+<tr class="total">${totals.map((value, index) => `<td${index === totals.length - 1 ? ' class="remarks"' : ""}>${escapeHtml(value)}</td>`).join("")}</tr>
+</tbody>
+</table>
+<p class="certification">${escapeHtml(CERTIFICATION)}</p>
+<div class="signatures">
+<div class="signature"><div class="name">${escapeHtml(employeeName(dtr.employee))}</div><div class="rule">Employee</div></div>
+<div class="signature"><div class="name"></div><div class="rule">Verified by (Supervisor / In-charge)</div></div>
+</div>
+<p class="generated">Generated ${escapeHtml(dtr.generated_at.slice(0, 16).replace("T", " "))}</p>
+</body>
+</html>
+`
+  }
+
+  static renderPdf(dtr) {
+    return toPDF([pdfPage(dtr)])
+  }
+}
+
+module.exports = DtrService
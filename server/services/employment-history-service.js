@@ -0,0 +1,119 @@
+const { getDatabase } = require("../config/database")
+const { localToday } = require("../utils/dates")
+
+const TRACKED_FIELDS = ["position", "department", "salary", "status"]
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// emp_list columns the as-of view passes through unchanged
+const PASSTHROUGH_COLUMNS = [
+  "uid", "first_name", "middle_name", "last_name", "age", "birth_date", "contact_number", "email",
+  "civil_status", "address", "hire_date", "id_number", "id_barcode", "tin_number", "sss_number",
+  "pagibig_number", "philhealth_number", "profile_picture", "document", "username", "access_level",
+  "created_at", "updated_at", "login_disabled", "deleted_at", "deleted_by",
+]
+
+function asText(value) {
+  return value === null || value === undefined ? null : String(value)
+}
+
+/**
+ * A tracked column as it stood on d.as_of: the newest change in effect by then, else the value
+ * the earliest later change replaced, else the current value when the field never changed.
+ */
+function asOfExpression(field) {
+  const history = `FROM employment_history h WHERE h.employee_uid = e.uid AND h.field = '${field}'`
+  return `
+    CASE
+      WHEN EXISTS (SELECT 1 ${history} AND h.effective_date <= d.as_of)
+        THEN (SELECT h.new_value ${history} AND h.effective_date <= d.as_of ORDER BY h.effective_date DESC, h.id DESC LIMIT 1)
+      WHEN EXISTS (SELECT 1 ${history} AND h.effective_date > d.as_of)
+        THEN (SELECT h.old_value ${history} AND h.effective_date > d.as_of ORDER BY h.effective_date ASC, h.id ASC LIMIT 1)
+      ELSE e.${field}
+    END as ${field}`
+}
+
+class EmploymentHistoryService {
+  static get TRACKED_FIELDS() {
+    return TRACKED_FIELDS
+  }
+
+  static isValidDate(value) {
+    return DATE_PATTERN.test(value || "") && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())
+  }
+
+  // Tracked fields an update would change, as [{ field, old_value, new_value }]
+  static diff(existing, updates) {
+    return TRACKED_FIELDS.filter(
+      (field) => updates[field] !== undefined && asText(updates[field]) !== asText(existing[field]),
+    ).map((field) => ({ field, old_value: asText(existing[field]), new_value: asText(updates[field]) }))
+  }
+
+  /**
+   * Why changes cannot take effect on effectiveDate, or null. Changes apply to emp_list at once,
+   * so they cannot be dated in the future, and each field's history must stay in date order
+   * for its old values to chain.
+   */
+  static async validateEffectiveDate(employeeUid, changes, effectiveDate) {
+    if (!this.isValidDate(effectiveDate)) {
+      return "effective_date must be YYYY-MM-DD"
+    }
+    if (effectiveDate > localToday()) {
+      return "effective_date cannot be in the future"
+    }
+
+    const db = getDatabase()
+    for (const { field } of changes) {
+      const latest = await db.get(`
+        SELECT effective_date FROM employment_history
+        WHERE employee_uid = ? AND field = ?
+        ORDER BY effective_date DESC, id DESC
+        LIMIT 1
+      `, [employeeUid, field])
+
+      if (latest && latest.effective_date > effectiveDate) {
+        return `${field} already has a change effective ${latest.effective_date}; effective_date cannot be earlier`
+      }
+    }
+    return null
+  }
+
+  static defaultEffectiveDate() {
+    return localToday()
+  }
+
+  // Record changes from diff(). Call inside the transaction that updates emp_list.
+  static async record(employeeUid, changes, { effective_date, reason = null, changed_by = null }) {
+    const db = getDatabase()
+    for (const change of changes) {
+      await db.run(`
+        INSERT INTO employment_history (employee_uid, field, old_value, new_value, effective_date, reason, changed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [employeeUid, change.field, change.old_value, change.new_value, effective_date, reason, changed_by])
+    }
+  }
+
+  static async getHistory(employeeUid, field = null) {
+    const db = getDatabase()
+    return await db.all(`
+      SELECT * FROM employment_history
+      WHERE employee_uid = ? AND (? IS NULL OR field = ?)
+      ORDER BY effective_date DESC, id DESC
+    `, [employeeUid, field, field])
+  }
+
+  /**
+   * emp_list as it stood on a date, as a subquery to use in place of the table. Employees hired
+   * after the date are left out. Takes one parameter, the YYYY-MM-DD date, which must come
+   * before any others bound in the surrounding query.
+   */
+  static asOfSource() {
+    return `(
+      SELECT ${PASSTHROUGH_COLUMNS.map((column) => `e.${column}`).join(", ")},
+        ${TRACKED_FIELDS.map(asOfExpression).join(",\n")}
+      FROM emp_list e, (SELECT ? as as_of) d
+      WHERE e.hire_date IS NULL OR e.hire_date = '' OR date(e.hire_date) <= d.as_of
+    )`
+  }
+}
+
+module.exports = EmploymentHistoryService
@@ -0,0 +1,277 @@
+const { getDatabase } = require("../config/database")
+const ShiftService = require("./shift-service")
+const HolidayService = require("./holiday-service")
+const LeaveService = require("./leave-service")
+const { localParts, addDays } = require("../utils/dates")
+
+const EXCEPTION_TYPES = ["absent", "missing_clock_out", "late", "undertime"]
+
+// Local time ("HH:MM") after which the day is checked; EXCEPTION_REPORT_TIME overrides it
+const REPORT_TIME = /^([01]\d|2[0-3]):[0-5]\d$/.test(process.env.EXCEPTION_REPORT_TIME || "")
+  ? process.env.EXCEPTION_REPORT_TIME
+  : "23:00"
+const SCHEDULE_CHECK_INTERVAL_MS = 10 * 60 * 1000
+
+// Shortfalls under this many minutes are not reported as undertime
+const UNDERTIME_TOLERANCE_MINUTES = 5
+
+let scheduleTimer = null
+let running = false
+
+function emptyTotals() {
+  return Object.fromEntries(EXCEPTION_TYPES.map((type) => [type, 0]))
+}
+
+class ExceptionService {
+  static get EXCEPTION_TYPES() {
+    return EXCEPTION_TYPES
+  }
+
+  // Whether a date is over for exception purposes: an earlier day, or today once REPORT_TIME has passed
+  static isDayClosed(date, now = new Date()) {
+    const { date: today, time } = localParts(now)
+    return date < today || (date === today && time >= REPORT_TIME)
+  }
+
+  /**
+   * Exceptions for one active employee on a date, judged against their shift. Rest days, holidays,
+   * days before hire and full days of approved leave expect nothing; half-day leave halves the
+   * expected hours. Until the day is closed nobody is absent or missing a clock-out yet, so only
+   * lateness and finished short days are reported. Returns [] when the day is clean.
+   */
+  static async detectForEmployee(employee, date, dayClosed = true) {
+    const db = getDatabase()
+    const hireDate = employee.hire_date ? String(employee.hire_date).slice(0, 10) : ""
+    if (hireDate && hireDate > date) {
+      return []
+    }
+
+    const { day_type } = await HolidayService.getDayType(employee.uid, date)
+    if (day_type !== "regular") {
+      return []
+    }
+
+    const shift = await ShiftService.getEffectiveShift(employee.uid, date)
+    const leave = await LeaveService.getApprovedLeave(employee.uid, date)
+    if (!shift || (leave && !leave.half_day)) {
+      return []
+    }
+
+    const expectedHours = ShiftService.getScheduledHours(shift) / (leave ? 2 : 1)
+    const base = { employee_uid: employee.uid, date, department: employee.department, expected_hours: expectedHours }
+
+    const summary = await db.get(
+      "SELECT * FROM daily_attendance_summary WHERE employee_uid = ? AND date = ?",
+      [employee.uid, date],
+    )
+
+    if (!summary || !summary.total_sessions) {
+      if (!dayClosed) {
+        return []
+      }
+      return [{ ...base, exception_type: "absent", worked_hours: 0, minutes: Math.round(expectedHours * 60), details: null }]
+    }
+
+    const exceptions = []
+    const workedHours = summary.regular_hours || 0
+
+    if (summary.is_incomplete && dayClosed) {
+      const open = ["morning", "afternoon", "evening", "overtime"].filter(
+        (session) => summary[`${session}_in`] && !summary[`${session}_out`],
+      )
+      exceptions.push({
+        ...base,
+        exception_type: "missing_clock_out",
+        worked_hours: workedHours,
+        minutes: null,
+        details: open.length > 0 ? `No clock-out for ${open.join(", ")}` : null,
+      })
+    }
+
+    const lateness = ShiftService.getDayLateness(shift, summary)
+    if (lateness.sessions.length > 0) {
+      exceptions.push({
+        ...base,
+        exception_type: "late",
+        worked_hours: workedHours,
+        minutes: lateness.minutes,
+        details: lateness.sessions.map((late) => `${late.session}_in at ${String(late.clock_time).slice(11, 16)}`).join(", "),
+      })
+    }
+
+    // Hours of an unfinished session are unknown, so undertime waits for the clock-out
+    const shortMinutes = Math.round((expectedHours - workedHours) * 60)
+    if (!summary.is_incomplete && shortMinutes >= UNDERTIME_TOLERANCE_MINUTES) {
+      exceptions.push({
+        ...base,
+        exception_type: "undertime",
+        worked_hours: workedHours,
+        minutes: shortMinutes,
+        details: null,
+      })
+    }
+
+    return exceptions
+  }
+
+  /**
+   * Check every active employee for a date and replace that date's stored exceptions. Deleted
+   * employees and those past their offboarding attendance cutoff are skipped. A run before the day
+   * is closed is recorded as provisional, and the schedule still runs the date at REPORT_TIME.
+   * Call inside a transaction. Returns { employees_checked, exception_count, day_closed }.
+   */
+  static async detect(date, triggeredBy = "schedule") {
+    const db = getDatabase()
+    const dayClosed = this.isDayClosed(date)
+    const employees = await db.all(`
+      SELECT uid, department, hire_date FROM emp_list
+      WHERE status = 'Active' AND deleted_at IS NULL AND uid NOT IN (
+        SELECT employee_uid FROM employee_offboarding
+        WHERE status IN ('in_progress', 'completed') AND attendance_cutoff_date < ?
+      )
+      ORDER BY uid
+    `, [date])
+
+    await db.run("DELETE FROM attendance_exceptions WHERE date = ?", [date])
+
+    let exceptionCount = 0
+    for (const employee of employees) {
+      for (const exception of await this.detectForEmployee(employee, date, dayClosed)) {
+        await db.run(`
+          INSERT INTO attendance_exceptions (
+            employee_uid, date, department, exception_type, expected_hours, worked_hours, minutes, details
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          exception.employee_uid, exception.date, exception.department, exception.exception_type,
+          exception.expected_hours, exception.worked_hours, exception.minutes, exception.details,
+        ])
+        exceptionCount++
+      }
+    }
+
+    await db.run(`
+      INSERT INTO attendance_exception_runs (date, employees_checked, exception_count, triggered_by, day_closed, run_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(date) DO UPDATE SET
+        employees_checked = excluded.employees_checked,
+        exception_count = excluded.exception_count,
+        triggered_by = excluded.triggered_by,
+        day_closed = excluded.day_closed,
+        run_at = excluded.run_at
+    `, [date, employees.length, exceptionCount, triggeredBy, dayClosed ? 1 : 0])
+
+    return { employees_checked: employees.length, exception_count: exceptionCount, day_closed: dayClosed }
+  }
+
+  /**
+   * Exception report for a date, grouped by department. conditions/params narrow the
+   * exceptions (alias "x"), e.g. to the caller's department.
+   */
+  static async getReport(date, conditions = [], params = []) {
+    const db = getDatabase()
+    const run = await db.get("SELECT * FROM attendance_exception_runs WHERE date = ?", [date])
+
+    const exceptions = await db.all(`
+      SELECT x.*, e.first_name, e.last_name, e.id_number, e.position
+      FROM attendance_exceptions x
+      LEFT JOIN emp_list e ON e.uid = x.employee_uid
+      WHERE ${["x.date = ?", ...conditions].join(" AND ")}
+      ORDER BY x.department, e.last_name, e.first_name, x.exception_type
+    `, [date, ...params])
+
+    const departments = new Map()
+    const totals = emptyTotals()
+    for (const exception of exceptions) {
+      const department = exception.department || "Unassigned"
+      if (!departments.has(department)) {
+        departments.set(department, { department, totals: emptyTotals(), employee_count: 0, exceptions: [] })
+      }
+
+      const group = departments.get(department)
+      group.totals[exception.exception_type] += 1
+      group.exceptions.push(exception)
+      totals[exception.exception_type] += 1
+    }
+
+    for (const group of departments.values()) {
+      group.employee_count = new Set(group.exceptions.map((exception) => exception.employee_uid)).size
+    }
+
+    return {
+      date,
+      run: run || null,
+      totals: { ...totals, employees: new Set(exceptions.map((exception) => exception.employee_uid)).size },
+      by_department: [...departments.values()],
+    }
+  }
+
+  // Detect, commit and push the report to the daily-summary room
+  static async runForDate(date, triggeredBy = "schedule") {
+    const db = getDatabase()
+
+    let result
+    await db.run("BEGIN TRANSACTION")
+    try {
+      result = await this.detect(date, triggeredBy)
+      await db.run("COMMIT")
+    } catch (transactionError) {
+      await db.run("ROLLBACK")
+      throw transactionError
+    }
+
+    const report = await this.getReport(date)
+    const { socketEvents } = require("../config/socket")
+    socketEvents.exceptionReportReady(report)
+
+    console.log(`📋 Exception report for ${date}: ${result.exception_count} exception(s) across ${result.employees_checked} employees`)
+    return report
+  }
+
+  // Dates the schedule still owes a run: yesterday if it was missed, and today once REPORT_TIME has
+  // passed. Provisional runs made while the day was open do not count.
+  static async getDueDates(now = new Date()) {
+    const db = getDatabase()
+    const { date: today, time } = localParts(now)
+    const candidates = [addDays(today, -1), ...(time >= REPORT_TIME ? [today] : [])]
+
+    const due = []
+    for (const date of candidates) {
+      const run = await db.get("SELECT 1 FROM attendance_exception_runs WHERE date = ? AND day_closed = 1", [date])
+      if (!run) due.push(date)
+    }
+    return due
+  }
+
+  static async runScheduled() {
+    if (running) {
+      return
+    }
+
+    running = true
+    try {
+      for (const date of await this.getDueDates()) {
+        await this.runForDate(date, "schedule")
+      }
+    } catch (error) {
+      console.error("Error running scheduled exception detection:", error)
+    } finally {
+      running = false
+    }
+  }
+
+  static startSchedule() {
+    this.stopSchedule()
+    scheduleTimer = setInterval(() => this.runScheduled(), SCHEDULE_CHECK_INTERVAL_MS)
+    this.runScheduled()
+    console.log(`📋 Attendance exception detection scheduled daily at ${REPORT_TIME}`)
+  }
+
+  static stopSchedule() {
+    if (scheduleTimer) {
+      clearInterval(scheduleTimer)
+      scheduleTimer = null
+    }
+  }
+}
+
+module.exports = ExceptionService
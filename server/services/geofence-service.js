@@ -0,0 +1,120 @@
+const { getDatabase } = require("../config/database")
+
+const ENFORCEMENTS = ["flag", "reject"]
+const EARTH_RADIUS_METERS = 6371000
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180
+}
+
+function isCoordinate(value, limit) {
+  return typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= limit
+}
+
+class GeofenceService {
+  static get ENFORCEMENTS() {
+    return ENFORCEMENTS
+  }
+
+  // Great-circle (haversine) distance in meters between two { latitude, longitude } points
+  static distanceMeters(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude)
+    const dLon = toRadians(to.longitude - from.longitude)
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a))
+  }
+
+  /**
+   * Parse latitude/longitude off a punch payload. Returns { coordinates } (null when neither was
+   * sent) or { error } when they are incomplete or out of range.
+   */
+  static parseCoordinates({ latitude, longitude }) {
+    if ((latitude === undefined || latitude === null) && (longitude === undefined || longitude === null)) {
+      return { coordinates: null }
+    }
+
+    const coordinates = { latitude: Number(latitude), longitude: Number(longitude) }
+    if (!isCoordinate(coordinates.latitude, 90) || !isCoordinate(coordinates.longitude, 180)) {
+      return { error: "latitude and longitude must be given together as decimal degrees" }
+    }
+    return { coordinates }
+  }
+
+  // Active sites an employee may punch from: their own assignments plus their department's
+  static async getAllowedSites(employeeUid) {
+    const db = getDatabase()
+    return await db.all(`
+      SELECT DISTINCT s.*
+      FROM geofence_assignments a
+      JOIN geofence_sites s ON s.id = a.site_id
+      WHERE s.is_active = 1
+        AND (a.employee_uid = ? OR a.department = (SELECT department FROM emp_list WHERE uid = ?))
+      ORDER BY s.name
+    `, [employeeUid, employeeUid])
+  }
+
+  /**
+   * Check a punch's coordinates against the employee's allowed sites.
+   * Employees without sites are not fenced: the status is null and the punch is accepted.
+   * Otherwise the nearest site and its distance are reported, and a punch outside every site
+   * (or without coordinates) is flagged, or rejected when any allowed site enforces rejection.
+   * Returns { status, site, distance_meters, action } with action "accept", "flag" or "reject".
+   */
+  static async evaluate(employeeUid, coordinates) {
+    const sites = await this.getAllowedSites(employeeUid)
+    if (sites.length === 0) {
+      return { status: null, site: null, distance_meters: null, action: "accept" }
+    }
+
+    const offFenceAction = sites.some((site) => site.enforcement === "reject") ? "reject" : "flag"
+
+    if (!coordinates) {
+      return { status: "no_location", site: null, distance_meters: null, action: offFenceAction }
+    }
+
+    // Nearest by distance to the fence edge, so a punch inside any site always matches that site
+    let nearest = null
+    let nearestDistance = null
+    for (const site of sites) {
+      const distance = this.distanceMeters(coordinates, site)
+      if (!nearest || distance - site.radius_meters < nearestDistance - nearest.radius_meters) {
+        nearest = site
+        nearestDistance = distance
+      }
+    }
+
+    const inside = nearestDistance <= nearest.radius_meters
+    return {
+      status: inside ? "inside" : "outside",
+      site: nearest,
+      distance_meters: Math.round(nearestDistance * 10) / 10,
+      action: inside ? "accept" : offFenceAction,
+    }
+  }
+
+  static validateSite({ name, latitude, longitude, radius_meters, enforcement }) {
+    const errors = []
+
+    if (!name || !String(name).trim()) {
+      errors.push("name is required")
+    }
+    if (!isCoordinate(latitude, 90)) {
+      errors.push("latitude must be a number between -90 and 90")
+    }
+    if (!isCoordinate(longitude, 180)) {
+      errors.push("longitude must be a number between -180 and 180")
+    }
+    if (!Number.isInteger(radius_meters) || radius_meters <= 0) {
+      errors.push("radius_meters must be a positive whole number")
+    }
+    if (enforcement !== undefined && !ENFORCEMENTS.includes(enforcement)) {
+      errors.push(`enforcement must be one of ${ENFORCEMENTS.join(", ")}`)
+    }
+
+    return errors
+  }
+}
+
+module.exports = GeofenceService
@@ -0,0 +1,82 @@
+const { getDatabase } = require("../config/database")
+const ShiftService = require("./shift-service")
+
+const HOLIDAY_TYPES = ["regular", "special"]
+const DAY_TYPES = ["regular", "rest_day", "regular_holiday", "special_holiday"]
+
+class HolidayService {
+  static get HOLIDAY_TYPES() {
+    return HOLIDAY_TYPES
+  }
+
+  static get DAY_TYPES() {
+    return DAY_TYPES
+  }
+
+  static async getHoliday(date) {
+    const db = getDatabase()
+    return await db.get("SELECT * FROM holidays WHERE date = ?", [date])
+  }
+
+  // Weekday of a YYYY-MM-DD date, 0 = Sunday
+  static getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay()
+  }
+
+  static isRestDay(shift, date) {
+    if (!shift || shift.rest_days === null || shift.rest_days === undefined) {
+      return false
+    }
+
+    const restDays = String(shift.rest_days)
+      .split(",")
+      .filter((day) => day.trim() !== "")
+      .map((day) => Number.parseInt(day))
+    return restDays.includes(this.getWeekday(date))
+  }
+
+  /**
+   * How a day counts for payroll for one employee. A holiday wins over the employee's rest day.
+   * Returns { day_type, holiday_name }.
+   */
+  static async getDayType(employeeUid, date) {
+    const holiday = await this.getHoliday(date)
+    if (holiday) {
+      return { day_type: `${holiday.holiday_type}_holiday`, holiday_name: holiday.name }
+    }
+
+    const shift = await ShiftService.getEffectiveShift(employeeUid, date)
+    return { day_type: this.isRestDay(shift, date) ? "rest_day" : "regular", holiday_name: null }
+  }
+
+  static validateHoliday({ date, name, holiday_type }) {
+    const errors = []
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      errors.push("date must be YYYY-MM-DD")
+    }
+    if (!name || !String(name).trim()) {
+      errors.push("name is required")
+    }
+    if (!HOLIDAY_TYPES.includes(holiday_type)) {
+      errors.push(`holiday_type must be one of ${HOLIDAY_TYPES.join(", ")}`)
+    }
+
+    return errors
+  }
+
+  // Employees with a summary on any of the dates, as { employee_uid, date } pairs for DailySummaryService
+  static async getAffectedSummaries(dates) {
+    if (dates.length === 0) {
+      return []
+    }
+
+    const db = getDatabase()
+    return await db.all(
+      `SELECT employee_uid, date FROM daily_attendance_summary WHERE date IN (${dates.map(() => "?").join(", ")})`,
+      dates,
+    )
+  }
+}
+
+module.exports = HolidayService
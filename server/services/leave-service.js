@@ -0,0 +1,192 @@
+const { getDatabase } = require("../config/database")
+const HolidayService = require("./holiday-service")
+const { outranksEmployee } = require("../middleware/department-scope")
+
+const REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"]
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Every YYYY-MM-DD from start to end inclusive
+function eachDate(startDate, endDate) {
+  const dates = []
+  const current = new Date(`${startDate}T00:00:00Z`)
+  const last = new Date(`${endDate}T00:00:00Z`)
+
+  while (current <= last) {
+    dates.push(current.toISOString().split("T")[0])
+    current.setUTCDate(current.getUTCDate() + 1)
+  }
+  return dates
+}
+
+// Leave is granted in half days
+function roundDays(days) {
+  return Math.round((days || 0) * 2) / 2
+}
+
+class LeaveService {
+  static get REQUEST_STATUSES() {
+    return REQUEST_STATUSES
+  }
+
+  static isValidDate(value) {
+    return DATE_PATTERN.test(value || "") && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())
+  }
+
+  /**
+   * Dates a leave actually takes off the employee's schedule: their rest days and holidays
+   * inside the range are free anyway and are not charged
+   */
+  static async getChargeableDates(employeeUid, startDate, endDate) {
+    const dates = []
+    for (const date of eachDate(startDate, endDate)) {
+      const { day_type } = await HolidayService.getDayType(employeeUid, date)
+      if (day_type === "regular") {
+        dates.push(date)
+      }
+    }
+    return dates
+  }
+
+  static async countLeaveDays(employeeUid, startDate, endDate, halfDay = false) {
+    const dates = await this.getChargeableDates(employeeUid, startDate, endDate)
+    return halfDay ? dates.length * 0.5 : dates.length
+  }
+
+  // Pending or approved requests of an employee that share a day with the range
+  static async findOverlapping(employeeUid, startDate, endDate, excludeId = null) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT * FROM leave_requests
+      WHERE employee_uid = ? AND status IN ('pending', 'approved')
+        AND start_date <= ? AND end_date >= ? AND (? IS NULL OR id != ?)
+      LIMIT 1
+    `, [employeeUid, endDate, startDate, excludeId, excludeId])
+  }
+
+  // Approved leave covering an employee's date, with its type code, for the daily summary
+  static async getApprovedLeave(employeeUid, date) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT r.id, r.half_day, t.code as leave_type
+      FROM leave_requests r
+      JOIN leave_types t ON t.id = r.leave_type_id
+      WHERE r.employee_uid = ? AND r.status = 'approved' AND r.start_date <= ? AND r.end_date >= ?
+      ORDER BY r.id DESC
+      LIMIT 1
+    `, [employeeUid, date, date])
+  }
+
+  // Employee/date pairs a request covers, for DailySummaryService.recomputeMany
+  static async getCoveredDays(request) {
+    const dates = await this.getChargeableDates(request.employee_uid, request.start_date, request.end_date)
+    return dates.map((date) => ({ employee_uid: request.employee_uid, date }))
+  }
+
+  // Covered days of every approved request touching a date range
+  static async getLeaveDaysBetween(startDate, endDate) {
+    const db = getDatabase()
+    const requests = await db.all(`
+      SELECT * FROM leave_requests
+      WHERE status = 'approved' AND start_date <= ? AND end_date >= ?
+    `, [endDate, startDate])
+
+    const pairs = []
+    for (const request of requests) {
+      const covered = await this.getCoveredDays(request)
+      pairs.push(...covered.filter(({ date }) => date >= startDate && date <= endDate))
+    }
+    return pairs
+  }
+
+  /**
+   * Balance of one leave type for an employee and year. used counts approved requests,
+   * pending is held back from available so two requests cannot spend the same days.
+   */
+  static async getBalance(employeeUid, leaveTypeId, year) {
+    const db = getDatabase()
+    const balance = await db.get(`
+      SELECT b.*, t.code, t.name as leave_type_name, t.requires_balance
+      FROM leave_balances b
+      JOIN leave_types t ON t.id = b.leave_type_id
+      WHERE b.employee_uid = ? AND b.leave_type_id = ? AND b.year = ?
+    `, [employeeUid, leaveTypeId, year])
+
+    const usage = await db.get(`
+      SELECT
+        COALESCE(SUM(CASE WHEN status = 'approved' THEN days END), 0) as used,
+        COALESCE(SUM(CASE WHEN status = 'pending' THEN days END), 0) as pending
+      FROM leave_requests
+      WHERE employee_uid = ? AND leave_type_id = ? AND strftime('%Y', start_date) = ?
+    `, [employeeUid, leaveTypeId, String(year)])
+
+    const entitled = balance ? balance.allocated + balance.carried_over + balance.adjustment : 0
+    return {
+      ...(balance || { employee_uid: employeeUid, leave_type_id: leaveTypeId, year, allocated: 0, carried_over: 0, adjustment: 0 }),
+      used: usage.used,
+      pending: usage.pending,
+      remaining: roundDays(entitled - usage.used),
+      available: roundDays(entitled - usage.used - usage.pending),
+    }
+  }
+
+  static async getBalances(employeeUid, year) {
+    const db = getDatabase()
+    const types = await db.all("SELECT * FROM leave_types WHERE is_active = 1 ORDER BY code")
+
+    const balances = []
+    for (const type of types) {
+      const balance = await this.getBalance(employeeUid, type.id, year)
+      balances.push({ ...balance, code: type.code, leave_type_name: type.name, requires_balance: type.requires_balance })
+    }
+    return balances
+  }
+
+  /**
+   * Open the year's balances for every active employee who has not been deleted. The allocation is
+   * prorated by month for people hired during the year, and unused days carry over from the year
+   * before up to the type's max_carry_over. Balances that already exist are left alone, so this can be rerun.
+   */
+  static async accrue(year) {
+    const db = getDatabase()
+    const types = await db.all("SELECT * FROM leave_types WHERE is_active = 1 AND requires_balance = 1")
+    const employees = await db.all("SELECT uid, hire_date FROM emp_list WHERE status = 'Active' AND deleted_at IS NULL")
+
+    let created = 0
+    for (const employee of employees) {
+      const hireDate = employee.hire_date ? String(employee.hire_date).slice(0, 10) : null
+      if (hireDate && hireDate > `${year}-12-31`) continue
+
+      const hiredMonth = hireDate && hireDate.startsWith(`${year}-`) ? Number.parseInt(hireDate.slice(5, 7)) : 1
+      const monthsServed = 13 - hiredMonth
+
+      for (const type of types) {
+        const existing = await db.get(
+          "SELECT id FROM leave_balances WHERE employee_uid = ? AND leave_type_id = ? AND year = ?",
+          [employee.uid, type.id, year],
+        )
+        if (existing) continue
+
+        let carriedOver = 0
+        if (type.max_carry_over > 0) {
+          const previous = await this.getBalance(employee.uid, type.id, year - 1)
+          carriedOver = Math.min(Math.max(previous.remaining, 0), type.max_carry_over)
+        }
+
+        await db.run(`
+          INSERT INTO leave_balances (employee_uid, leave_type_id, year, allocated, carried_over)
+          VALUES (?, ?, ?, ?, ?)
+        `, [employee.uid, type.id, year, roundDays((type.annual_allocation * monthsServed) / 12), carriedOver])
+        created++
+      }
+    }
+
+    return created
+  }
+
+  // Leave follows the department hierarchy; the route has already checked department scope
+  static canApprove(approver, employee) {
+    return outranksEmployee(approver, employee)
+  }
+}
+
+module.exports = LeaveService
@@ -0,0 +1,329 @@
+const fs = require("fs")
+const path = require("path")
+const archiver = require("archiver")
+const { getDatabase } = require("../config/database")
+const StockMovementService = require("../routes/itemRoutes/services/stock-movement-service")
+const EmploymentHistoryService = require("./employment-history-service")
+const { getDataDir, getUploadsDir } = require("../utils/uploads")
+const { localToday } = require("../utils/dates")
+
+const SEPARATION_TYPES = [
+  "resignation", "termination", "end_of_contract", "retirement", "redundancy", "death", "other",
+]
+const ASSET_STATUSES = ["returned", "not_returned", "waived"]
+
+// Employee status once separated: Terminated for terminations, Inactive for every other separation
+function separatedStatus(separationType) {
+  return separationType === "termination" ? "Terminated" : "Inactive"
+}
+
+class OffboardingService {
+  static get SEPARATION_TYPES() {
+    return SEPARATION_TYPES
+  }
+
+  static get ASSET_STATUSES() {
+    return ASSET_STATUSES
+  }
+
+  static isValidDate(value) {
+    return EmploymentHistoryService.isValidDate(value)
+  }
+
+  static async findById(id) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT o.*, e.first_name, e.last_name, e.id_number, e.department, e.position, e.status as employee_status
+      FROM employee_offboarding o
+      JOIN emp_list e ON e.uid = o.employee_uid
+      WHERE o.id = ?
+    `, [id])
+  }
+
+  static async getOpen(employeeUid) {
+    const db = getDatabase()
+    return await db.get(
+      "SELECT * FROM employee_offboarding WHERE employee_uid = ? AND status = 'in_progress' ORDER BY id DESC LIMIT 1",
+      [employeeUid],
+    )
+  }
+
+  /**
+   * Last day an employee may have attendance: the cutoff of their open or completed offboarding,
+   * or null when they are not being separated. Returns { date, offboarding_id } or null.
+   */
+  static async getAttendanceCutoff(employeeUid) {
+    const db = getDatabase()
+    const offboarding = await db.get(`
+      SELECT id, attendance_cutoff_date FROM employee_offboarding
+      WHERE employee_uid = ? AND status IN ('in_progress', 'completed')
+      ORDER BY id DESC
+      LIMIT 1
+    `, [employeeUid])
+    return offboarding ? { date: offboarding.attendance_cutoff_date, offboarding_id: offboarding.id } : null
+  }
+
+  // Why a punch for an employee on a date must be refused, or null. Soft-deleted employees take no punches.
+  static async getPunchBlockReason(employeeUid, date) {
+    const db = getDatabase()
+    const employee = await db.get("SELECT deleted_at FROM emp_list WHERE uid = ?", [employeeUid])
+    if (employee && employee.deleted_at) {
+      return "Employee has been deleted"
+    }
+
+    const cutoff = await this.getAttendanceCutoff(employeeUid)
+    if (cutoff && date > cutoff.date) {
+      return `Attendance for this employee ended on ${cutoff.date} (offboarding #${cutoff.offboarding_id})`
+    }
+    return null
+  }
+
+  /**
+   * Items an employee still holds: everything checked out to them as the borrower, less what
+   * earlier completed offboardings already settled.
+   */
+  static async getOutstandingCheckouts(employeeUid) {
+    const db = getDatabase()
+    return await db.all(`
+      SELECT m.item_no, i.item_name,
+        SUM(-m.quantity_delta) - COALESCE((
+          SELECT SUM(r.quantity_out)
+          FROM offboarding_asset_returns r
+          JOIN employee_offboarding o ON o.id = r.offboarding_id
+          WHERE o.employee_uid = m.employee_uid AND o.status = 'completed' AND r.item_no = m.item_no
+        ), 0) as quantity_out
+      FROM stock_movements m
+      LEFT JOIN itemsdb i ON i.item_no = m.item_no
+      WHERE m.movement_type = 'checkout' AND m.employee_uid = ?
+      GROUP BY m.item_no
+      HAVING quantity_out > 0
+      ORDER BY i.item_name
+    `, [employeeUid])
+  }
+
+  // Open an offboarding with its asset checklist. Call inside a transaction.
+  static async start(employee, { separation_type, separation_date, attendance_cutoff_date, reason }, username) {
+    const db = getDatabase()
+    const result = await db.run(`
+      INSERT INTO employee_offboarding (
+        employee_uid, separation_type, separation_date, attendance_cutoff_date, reason, initiated_by
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `, [employee.uid, separation_type, separation_date, attendance_cutoff_date, reason || null, username])
+
+    for (const item of await this.getOutstandingCheckouts(employee.uid)) {
+      await db.run(`
+        INSERT INTO offboarding_asset_returns (offboarding_id, item_no, item_name, quantity_out)
+        VALUES (?, ?, ?, ?)
+      `, [result.lastID, item.item_no, item.item_name, item.quantity_out])
+    }
+
+    return result.lastID
+  }
+
+  static async getChecklist(offboardingId) {
+    const db = getDatabase()
+    return await db.all(
+      "SELECT * FROM offboarding_asset_returns WHERE offboarding_id = ? ORDER BY item_name, id",
+      [offboardingId],
+    )
+  }
+
+  static summarizeChecklist(checklist) {
+    const summary = { total: checklist.length, pending: 0, returned: 0, not_returned: 0, waived: 0 }
+    for (const asset of checklist) {
+      summary[asset.status] += 1
+    }
+    return summary
+  }
+
+  /**
+   * Settle one checklist line. Returned items go back into stock as a receipt on the ledger.
+   * Call inside a transaction.
+   */
+  static async resolveAsset(offboarding, asset, { status, quantity_returned, notes }, user) {
+    const db = getDatabase()
+    const returned = status === "returned" ? quantity_returned : 0
+
+    if (returned > 0) {
+      await db.run("UPDATE itemsdb SET in_qty = in_qty + ? WHERE item_no = ?", [returned, asset.item_no])
+      await StockMovementService.record({
+        itemNo: asset.item_no,
+        type: "receipt",
+        quantityDelta: returned,
+        reason: "Returned at offboarding",
+        referenceType: "offboarding",
+        referenceId: offboarding.id,
+        user,
+        employeeUid: offboarding.employee_uid,
+      })
+    }
+
+    await db.run(`
+      UPDATE offboarding_asset_returns
+      SET status = ?, quantity_returned = ?, notes = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, returned, notes || null, user.username, asset.id])
+  }
+
+  /**
+   * Soft-delete employees: hide them from lists, disable their logins and end their sessions.
+   * Their status and history are left as they were. Call inside a transaction. Returns how many
+   * were deleted.
+   */
+  static async softDelete(employeeUids, username) {
+    const db = getDatabase()
+    const result = await db.run(`
+      UPDATE emp_list SET deleted_at = ?, deleted_by = ?, login_disabled = 1, updated_at = CURRENT_TIMESTAMP
+      WHERE uid IN (${employeeUids.map(() => "?").join(", ")}) AND deleted_at IS NULL
+    `, [new Date().toISOString(), username, ...employeeUids])
+
+    for (const uid of employeeUids) {
+      await this.revokeSessions(uid)
+    }
+    return result.changes
+  }
+
+  // End an employee's sessions so a disabled login stops working at once
+  static async revokeSessions(employeeUid) {
+    const db = getDatabase()
+    await db.run("UPDATE auth_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL", [
+      new Date().toISOString(),
+      employeeUid,
+    ])
+  }
+
+  /**
+   * Why an offboarding cannot be completed yet, or null: every checklist line must be settled and
+   * the separation date reached.
+   */
+  static async getCompletionBlocker(offboarding) {
+    if (offboarding.separation_date > localToday()) {
+      return `Offboarding cannot be completed before the separation date, ${offboarding.separation_date}`
+    }
+
+    const pending = (await this.getChecklist(offboarding.id)).filter((asset) => asset.status === "pending")
+    if (pending.length > 0) {
+      return `${pending.length} asset return(s) are still pending`
+    }
+    return null
+  }
+
+  // Status change completing an offboarding records, for checking its effective date up front
+  static getStatusChanges(offboarding, employee) {
+    return EmploymentHistoryService.diff(employee, { status: separatedStatus(offboarding.separation_type) })
+  }
+
+  /**
+   * Separate the employee: set their status as of the separation date, disable their login and
+   * end their sessions. employee is their emp_list row (uid, status). Call inside a transaction;
+   * archive documents once it commits.
+   */
+  static async complete(offboarding, employee, username) {
+    const db = getDatabase()
+
+    await db.run(
+      "UPDATE emp_list SET status = ?, login_disabled = 1, updated_at = CURRENT_TIMESTAMP WHERE uid = ?",
+      [separatedStatus(offboarding.separation_type), employee.uid],
+    )
+    await EmploymentHistoryService.record(employee.uid, this.getStatusChanges(offboarding, employee), {
+      effective_date: offboarding.separation_date,
+      reason: `Separation (${offboarding.separation_type.replace(/_/g, " ")})`,
+      changed_by: username,
+    })
+    await this.revokeSessions(employee.uid)
+
+    await db.run(`
+      UPDATE employee_offboarding
+      SET status = 'completed', previous_status = ?, completed_by = ?, completed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [employee.status, username, offboarding.id])
+  }
+
+  /**
+   * Drop archived files from an employee's emp_list.document list, a JSON array of
+   * { filename, relativePath, ... }. A list that cannot be read is cleared, since the files
+   * it named are gone.
+   */
+  static async removeDocumentEntries(employeeUid, filenames) {
+    const db = getDatabase()
+    const employee = await db.get("SELECT document FROM emp_list WHERE uid = ?", [employeeUid])
+    if (!employee || !employee.document) {
+      return
+    }
+
+    let remaining = []
+    try {
+      const documents = JSON.parse(employee.document)
+      remaining = Array.isArray(documents)
+        ? documents.filter((document) => !filenames.includes(document.filename || path.basename(String(document.relativePath || ""))))
+        : []
+    } catch (error) {
+      remaining = []
+    }
+
+    await db.run("UPDATE emp_list SET document = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?", [
+      remaining.length > 0 ? JSON.stringify(remaining) : null,
+      employeeUid,
+    ])
+  }
+
+  /**
+   * Move an employee's documents into uploads/<uid>/archive/offboarding_<id>_documents.zip, out of
+   * their active document list, and drop them from emp_list.document. Returns { path, count };
+   * path is null when there was nothing to archive.
+   */
+  static async archiveDocuments(offboarding) {
+    const employeeDir = path.join(getUploadsDir(), String(offboarding.employee_uid))
+    const documentsDir = path.join(employeeDir, "documents")
+
+    let files = []
+    try {
+      const entries = await fs.promises.readdir(documentsDir, { withFileTypes: true })
+      files = entries.filter((entry) => entry.isFile()).map((entry) => entry.name)
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+
+    if (files.length === 0) {
+      return { path: null, count: 0 }
+    }
+
+    const archiveDir = path.join(employeeDir, "archive")
+    await fs.promises.mkdir(archiveDir, { recursive: true })
+    const archivePath = path.join(archiveDir, `offboarding_${offboarding.id}_documents.zip`)
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(archivePath)
+      const archive = archiver("zip", { zlib: { level: 6 } })
+
+      output.on("close", resolve)
+      output.on("error", reject)
+      archive.on("error", reject)
+
+      archive.pipe(output)
+      for (const file of files) {
+        archive.file(path.join(documentsDir, file), { name: file })
+      }
+      archive.finalize()
+    })
+
+    // Originals go only once the archive is safely written
+    for (const file of files) {
+      await fs.promises.unlink(path.join(documentsDir, file))
+    }
+
+    const relativePath = path.relative(getDataDir(), archivePath).split(path.sep).join("/")
+    const db = getDatabase()
+    await db.run(`
+      UPDATE employee_offboarding
+      SET documents_archive_path = ?, documents_archived_count = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [relativePath, files.length, offboarding.id])
+    await this.removeDocumentEntries(offboarding.employee_uid, files)
+
+    return { path: relativePath, count: files.length }
+  }
+}
+
+module.exports = OffboardingService
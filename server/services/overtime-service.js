@@ -0,0 +1,65 @@
+const { getDatabase } = require("../config/database")
+const { outranksEmployee } = require("../middleware/department-scope")
+
+const REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"]
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Longest overtime a single request may plan for
+const MAX_PLANNED_HOURS = 16
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100
+}
+
+class OvertimeService {
+  static get REQUEST_STATUSES() {
+    return REQUEST_STATUSES
+  }
+
+  static get MAX_PLANNED_HOURS() {
+    return MAX_PLANNED_HOURS
+  }
+
+  static isValidDate(value) {
+    return DATE_PATTERN.test(value || "") && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())
+  }
+
+  static isValidPlannedHours(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0 && value <= MAX_PLANNED_HOURS
+  }
+
+  // A pending or approved request already filed for the employee on that date
+  static async findActive(employeeUid, date, excludeId = null) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT id, status FROM overtime_requests
+      WHERE employee_uid = ? AND date = ? AND status IN ('pending', 'approved') AND id IS NOT ?
+      LIMIT 1
+    `, [employeeUid, date, excludeId])
+  }
+
+  static async getApprovedRequest(employeeUid, date) {
+    const db = getDatabase()
+    return await db.get(
+      "SELECT * FROM overtime_requests WHERE employee_uid = ? AND date = ? AND status = 'approved' LIMIT 1",
+      [employeeUid, date],
+    )
+  }
+
+  /**
+   * Split a day's overtime into the hours an approved request covers and the rest.
+   * Returns { approved, unapproved }.
+   */
+  static splitOvertime(overtimeHours, request) {
+    const worked = overtimeHours || 0
+    const approved = request ? Math.min(worked, request.planned_hours) : 0
+    return { approved: roundHours(approved), unapproved: roundHours(worked - approved) }
+  }
+
+  // Same hierarchy as leave: someone above the employee in their department
+  static canApprove(approver, employee) {
+    return outranksEmployee(approver, employee)
+  }
+}
+
+module.exports = OvertimeService
@@ -0,0 +1,232 @@
+const { getDatabase } = require("../config/database")
+const { localToday } = require("../utils/dates")
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+]
+
+// Register columns in export order
+const REGISTER_COLUMNS = [
+  { key: "employee_uid", header: "Employee UID" },
+  { key: "id_number", header: "ID Number" },
+  { key: "employee_name", header: "Employee Name" },
+  { key: "department", header: "Department" },
+  { key: "position", header: "Position" },
+  { key: "tin_number", header: "TIN" },
+  { key: "sss_number", header: "SSS" },
+  { key: "philhealth_number", header: "PhilHealth" },
+  { key: "pagibig_number", header: "Pag-IBIG" },
+  { key: "scheduled_days", header: "Scheduled Days" },
+  { key: "days_present", header: "Days Present" },
+  { key: "absences", header: "Absences" },
+  { key: "leave_days", header: "Leave Days" },
+  { key: "late_count", header: "Late Days" },
+  { key: "incomplete_days", header: "Incomplete Days" },
+  { key: "regular_hours", header: "Regular Hours" },
+  { key: "approved_overtime_hours", header: "Approved Overtime Hours" },
+  { key: "unapproved_overtime_hours", header: "Unapproved Overtime Hours" },
+  { key: "total_hours", header: "Total Hours" },
+]
+
+function roundHours(hours) {
+  return Math.round((hours || 0) * 100) / 100
+}
+
+// Every YYYY-MM-DD from start to end inclusive, with its weekday (0 = Sunday)
+function eachDate(startDate, endDate) {
+  const dates = []
+  const current = new Date(`${startDate}T00:00:00Z`)
+  const last = new Date(`${endDate}T00:00:00Z`)
+
+  while (current <= last) {
+    dates.push({ date: current.toISOString().split("T")[0], weekday: current.getUTCDay() })
+    current.setUTCDate(current.getUTCDate() + 1)
+  }
+  return dates
+}
+
+class PayrollService {
+  static get REGISTER_COLUMNS() {
+    return REGISTER_COLUMNS
+  }
+
+  static isValidDate(value) {
+    return DATE_PATTERN.test(value || "") && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())
+  }
+
+  // "1,2,3,4,5,6" -> [1, 2, 3, 4, 5, 6]; null when malformed
+  static parseWorkDays(value) {
+    const days = String(value).split(",").map((day) => Number.parseInt(day.trim()))
+    if (days.length === 0 || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return null
+    }
+    return [...new Set(days)].sort()
+  }
+
+  // 1st-15th or 16th-end of month
+  static semiMonthlyRange(year, month, half) {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate()
+    const startDay = half === 1 ? 1 : 16
+    const endDay = half === 1 ? 15 : lastDay
+    const pad = (value) => String(value).padStart(2, "0")
+
+    return {
+      start_date: `${year}-${pad(month)}-${pad(startDay)}`,
+      end_date: `${year}-${pad(month)}-${pad(endDay)}`,
+      name: `${MONTH_NAMES[month - 1]} ${startDay}-${endDay}, ${year}`,
+    }
+  }
+
+  static async findOverlappingPeriod(startDate, endDate, excludeId = null) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT * FROM payroll_periods
+      WHERE start_date <= ? AND end_date >= ? AND (? IS NULL OR id != ?)
+      LIMIT 1
+    `, [endDate, startDate, excludeId, excludeId])
+  }
+
+  // The finalized period covering a date, if any; attendance on that date can no longer change
+  static async getLockedPeriod(date) {
+    const db = getDatabase()
+    return await db.get(`
+      SELECT id, name, start_date, end_date FROM payroll_periods
+      WHERE status = 'finalized' AND start_date <= ? AND end_date >= ?
+      LIMIT 1
+    `, [date, date])
+  }
+
+  /**
+   * Per-employee totals for a period from daily_attendance_summary. Absences are scheduled
+   * work days (not holidays) from the hire date up to today with neither punches nor approved leave;
+   * an offboarded employee is scheduled only up to their attendance cutoff and a deleted one up to
+   * the day they were deleted. Deleted employees appear only when they have summaries in the period.
+   * Only approved overtime is paid and counted in total hours; unapproved overtime is listed for reference.
+   */
+  static async computeRegister(period) {
+    const db = getDatabase()
+    const workDays = this.parseWorkDays(period.work_days) || []
+    const today = localToday()
+
+    const holidays = await db.all("SELECT date FROM holidays WHERE date BETWEEN ? AND ?", [
+      period.start_date,
+      period.end_date,
+    ])
+    const holidayDates = new Set(holidays.map((holiday) => holiday.date))
+
+    const scheduledDates = eachDate(period.start_date, period.end_date)
+      .filter(({ date, weekday }) => workDays.includes(weekday) && date <= today && !holidayDates.has(date))
+      .map(({ date }) => date)
+
+    const employees = await db.all(`
+      SELECT uid, id_number, first_name, middle_name, last_name, department, position, hire_date,
+        tin_number, sss_number, philhealth_number, pagibig_number, deleted_at,
+        (
+          SELECT attendance_cutoff_date FROM employee_offboarding o
+          WHERE o.employee_uid = emp_list.uid AND o.status IN ('in_progress', 'completed')
+          ORDER BY o.id DESC
+          LIMIT 1
+        ) as attendance_cutoff_date
+      FROM emp_list
+      WHERE (status = 'Active' AND deleted_at IS NULL)
+        OR uid IN (SELECT employee_uid FROM daily_attendance_summary WHERE date BETWEEN ? AND ?)
+      ORDER BY last_name, first_name
+    `, [period.start_date, period.end_date])
+
+    const summaries = await db.all(`
+      SELECT s.employee_uid, s.date, s.regular_hours, s.approved_overtime_hours, s.unapproved_overtime_hours, s.has_late_entry,
+        s.is_incomplete, s.total_sessions, s.is_excused, COALESCE(r.half_day, 0) as half_day_leave
+      FROM daily_attendance_summary s
+      LEFT JOIN leave_requests r ON r.id = s.leave_request_id
+      WHERE s.date BETWEEN ? AND ?
+    `, [period.start_date, period.end_date])
+
+    const byEmployee = new Map()
+    for (const summary of summaries) {
+      if (!byEmployee.has(summary.employee_uid)) byEmployee.set(summary.employee_uid, [])
+      byEmployee.get(summary.employee_uid).push(summary)
+    }
+
+    const sumHours = (days, key) => roundHours(days.reduce((sum, day) => sum + (day[key] || 0), 0))
+
+    return employees.map((employee) => {
+      const days = byEmployee.get(employee.uid) || []
+      const regularHours = sumHours(days, "regular_hours")
+      const approvedOvertimeHours = sumHours(days, "approved_overtime_hours")
+      const presentDates = new Set(days.filter((day) => day.total_sessions > 0).map((day) => day.date))
+      const leaveDays = days.filter((day) => day.is_excused)
+      const excusedDates = new Set(leaveDays.map((day) => day.date))
+      const hireDate = employee.hire_date ? String(employee.hire_date).slice(0, 10) : null
+      const lastDates = [
+        employee.attendance_cutoff_date,
+        employee.deleted_at ? localToday(new Date(employee.deleted_at)) : null,
+      ].filter(Boolean)
+      const lastDate = lastDates.length > 0 ? lastDates.sort()[0] : null
+      const scheduled = scheduledDates.filter((date) => (!hireDate || date >= hireDate) && (!lastDate || date <= lastDate))
+
+      return {
+        employee_uid: employee.uid,
+        id_number: employee.id_number,
+        employee_name: [employee.first_name, employee.middle_name, employee.last_name].filter(Boolean).join(" "),
+        department: employee.department,
+        position: employee.position,
+        tin_number: employee.tin_number,
+        sss_number: employee.sss_number,
+        philhealth_number: employee.philhealth_number,
+        pagibig_number: employee.pagibig_number,
+        scheduled_days: scheduled.length,
+        days_present: presentDates.size,
+        absences: scheduled.filter((date) => !presentDates.has(date) && !excusedDates.has(date)).length,
+        leave_days: leaveDays.reduce((sum, day) => sum + (day.half_day_leave ? 0.5 : 1), 0),
+        late_count: days.filter((day) => day.has_late_entry).length,
+        incomplete_days: days.filter((day) => day.is_incomplete).length,
+        regular_hours: regularHours,
+        approved_overtime_hours: approvedOvertimeHours,
+        unapproved_overtime_hours: sumHours(days, "unapproved_overtime_hours"),
+        total_hours: roundHours(regularHours + approvedOvertimeHours),
+      }
+    })
+  }
+
+  // Finalized periods read their frozen entries; open ones are computed live
+  static async getRegister(period) {
+    if (period.status !== "finalized") {
+      return await this.computeRegister(period)
+    }
+
+    const db = getDatabase()
+    return await db.all(`
+      SELECT ${REGISTER_COLUMNS.map((column) => column.key).join(", ")}
+      FROM payroll_period_entries
+      WHERE period_id = ?
+      ORDER BY employee_name
+    `, [period.id])
+  }
+
+  // Freeze the register and lock the period; call inside a transaction
+  static async finalize(period, username) {
+    const db = getDatabase()
+    const register = await this.computeRegister(period)
+    const keys = REGISTER_COLUMNS.map((column) => column.key)
+
+    await db.run("DELETE FROM payroll_period_entries WHERE period_id = ?", [period.id])
+    for (const row of register) {
+      await db.run(
+        `INSERT INTO payroll_period_entries (period_id, ${keys.join(", ")}) VALUES (?, ${keys.map(() => "?").join(", ")})`,
+        [period.id, ...keys.map((key) => row[key])],
+      )
+    }
+
+    await db.run(`
+      UPDATE payroll_periods
+      SET status = 'finalized', finalized_by = ?, finalized_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [username, period.id])
+
+    return register.length
+  }
+}
+
+module.exports = PayrollService
@@ -0,0 +1,314 @@
+const { getDatabase } = require("../config/database")
+
+const CLOCK_TYPES = [
+  "morning_in", "morning_out",
+  "afternoon_in", "afternoon_out",
+  "evening_in", "evening_out",
+  "overtime_in", "overtime_out",
+]
+
+const SESSIONS = ["morning", "afternoon", "evening"]
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const MINUTES_PER_DAY = 24 * 60
+
+// "HH:MM" -> minutes after midnight
+function parseShiftTime(value) {
+  const match = TIME_PATTERN.exec(value || "")
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+// Clock times are local ISO strings ("2025-09-30T13:04:32.459"); read the wall-clock part only
+function parseClockTime(value) {
+  const match = /[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(value || "")
+  if (!match) {
+    return null
+  }
+  return Number(match[1]) * 60 + Number(match[2]) + Number(match[3] || 0) / 60
+}
+
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100
+}
+
+class ShiftService {
+  static get CLOCK_TYPES() {
+    return CLOCK_TYPES
+  }
+
+  static isValidTime(value) {
+    return TIME_PATTERN.test(value || "")
+  }
+
+  // { start, end } in minutes for a session, or null when the shift has no such window.
+  // A window ending before it starts runs past midnight.
+  static getWindow(shift, session) {
+    if (!shift || !SESSIONS.includes(session)) {
+      return null
+    }
+
+    const start = parseShiftTime(shift[`${session}_start`])
+    let end = parseShiftTime(shift[`${session}_end`])
+    if (start === null || end === null) {
+      return null
+    }
+
+    if (end <= start) {
+      end += MINUTES_PER_DAY
+    }
+    return { start, end }
+  }
+
+  // Regular hours a shift expects in a day: its session windows, less evenings paid as overtime
+  static getScheduledHours(shift) {
+    const sessions = shift && shift.evening_is_overtime ? ["morning", "afternoon"] : SESSIONS
+    const minutes = sessions.reduce((sum, session) => {
+      const window = this.getWindow(shift, session)
+      return sum + (window ? window.end - window.start : 0)
+    }, 0)
+    return toHours(minutes)
+  }
+
+  /**
+   * Shift in force for an employee on a date: their own assignment wins over their
+   * department's, and the default shift covers everyone else
+   */
+  static async getEffectiveShift(employeeUid, date) {
+    const db = getDatabase()
+
+    const assigned = await db.get(`
+      SELECT s.*, a.id as assignment_id, 'employee' as assigned_by
+      FROM shift_assignments a
+      JOIN shifts s ON s.id = a.shift_id
+      WHERE a.employee_uid = ? AND a.effective_from <= ?
+        AND (a.effective_to IS NULL OR a.effective_to >= ?)
+        AND s.is_active = 1
+      ORDER BY a.effective_from DESC, a.id DESC
+      LIMIT 1
+    `, [employeeUid, date, date])
+
+    if (assigned) {
+      return assigned
+    }
+
+    const departmentShift = await db.get(`
+      SELECT s.*, a.id as assignment_id, 'department' as assigned_by
+      FROM shift_assignments a
+      JOIN shifts s ON s.id = a.shift_id
+      JOIN emp_list e ON e.department = a.department
+      WHERE e.uid = ? AND a.effective_from <= ?
+        AND (a.effective_to IS NULL OR a.effective_to >= ?)
+        AND s.is_active = 1
+      ORDER BY a.effective_from DESC, a.id DESC
+      LIMIT 1
+    `, [employeeUid, date, date])
+
+    if (departmentShift) {
+      return departmentShift
+    }
+
+    return await db.get(`
+      SELECT s.*, NULL as assignment_id, 'default' as assigned_by
+      FROM shifts s
+      WHERE s.is_default = 1 AND s.is_active = 1
+      ORDER BY s.id
+      LIMIT 1
+    `)
+  }
+
+  /**
+   * Lateness and hours for one punch. Ins are checked against the session start plus the
+   * grace period; outs are paired with clockIn and split into regular time inside the session
+   * window and overtime after it (once it reaches min_overtime_minutes). Overtime sessions,
+   * and evenings on shifts that treat them as overtime, count entirely as overtime.
+   */
+  static computePunch(shift, { clock_type, clock_time }, clockIn = null) {
+    const result = { is_late: 0, regular_hours: 0, overtime_hours: 0 }
+    const [session, direction] = clock_type.split("_")
+    const window = this.getWindow(shift, session)
+    const allOvertime = session === "overtime" || (session === "evening" && (!window || shift.evening_is_overtime))
+
+    if (direction === "in") {
+      const time = parseClockTime(clock_time)
+      if (window && !allOvertime && time !== null) {
+        result.is_late = time > window.start + (shift.grace_period_minutes || 0) ? 1 : 0
+      }
+      return result
+    }
+
+    let start = parseClockTime(clockIn)
+    let end = parseClockTime(clock_time)
+    if (start === null || end === null) {
+      return result
+    }
+    if (end < start) {
+      end += MINUTES_PER_DAY
+    }
+
+    if (allOvertime || !window) {
+      const worked = end - start
+      result[allOvertime ? "overtime_hours" : "regular_hours"] = toHours(worked)
+      return result
+    }
+
+    // Punches just after midnight belong to a window that started the evening before
+    if (window.end > MINUTES_PER_DAY && start < window.start) {
+      start += MINUTES_PER_DAY
+      end += MINUTES_PER_DAY
+    }
+
+    const regular = Math.max(0, Math.min(end, window.end) - Math.max(start, window.start))
+    const overtime = Math.max(0, end - Math.max(window.end, start))
+
+    result.regular_hours = toHours(regular)
+    result.overtime_hours = overtime >= (shift.min_overtime_minutes || 0) ? toHours(overtime) : 0
+    return result
+  }
+
+  // Minutes an in punch came after its session started (0 when on time or not a regular session)
+  static getLateMinutes(shift, { clock_type, clock_time }) {
+    const [session, direction] = clock_type.split("_")
+    const window = this.getWindow(shift, session)
+    const time = parseClockTime(clock_time)
+    if (direction !== "in" || !window || time === null || (session === "evening" && shift.evening_is_overtime)) {
+      return 0
+    }
+    return Math.max(0, Math.round(time - window.start))
+  }
+
+  /**
+   * Lateness for a day from the session in times on its daily summary, so each session counts once
+   * however many in punches were scanned, and stray punches the summary did not keep count for
+   * nothing. A session is late past the grace period and its minutes run from the session start.
+   * Returns { minutes, sessions: [{ session, clock_time, minutes }] }.
+   */
+  static getDayLateness(shift, summary) {
+    const sessions = []
+    for (const session of SESSIONS) {
+      const clockTime = shift && summary ? summary[`${session}_in`] : null
+      const punch = { clock_type: `${session}_in`, clock_time: clockTime }
+      if (clockTime && this.computePunch(shift, punch).is_late) {
+        sessions.push({ session, clock_time: clockTime, minutes: this.getLateMinutes(shift, punch) })
+      }
+    }
+    return { minutes: sessions.reduce((sum, late) => sum + late.minutes, 0), sessions }
+  }
+
+  /**
+   * Server-side is_late, regular_hours and overtime_hours for a punch about to be saved.
+   * Outs are paired with the latest matching in recorded earlier that day.
+   */
+  static async evaluatePunch(punch, { excludeId = null } = {}) {
+    const db = getDatabase()
+    const shift = await this.getEffectiveShift(punch.employee_uid, punch.date)
+
+    let clockIn = null
+    const [session, direction] = punch.clock_type.split("_")
+    if (direction === "out") {
+      const match = await db.get(`
+        SELECT clock_time FROM attendance
+        WHERE employee_uid = ? AND date = ? AND clock_type = ? AND clock_time <= ?
+          AND (? IS NULL OR id != ?)
+        ORDER BY clock_time DESC
+        LIMIT 1
+      `, [punch.employee_uid, punch.date, `${session}_in`, punch.clock_time, excludeId, excludeId])
+      clockIn = match ? match.clock_time : null
+    }
+
+    return {
+      ...this.computePunch(shift, punch, clockIn),
+      shift_id: shift ? shift.id : null,
+    }
+  }
+
+  // Re-evaluate the outs of a session after one of its punches was added or edited out of order
+  static async recalculateSession(employeeUid, date, clockType) {
+    const db = getDatabase()
+    const [session] = clockType.split("_")
+
+    const outs = await db.all(
+      "SELECT id, employee_uid, clock_type, clock_time, date FROM attendance WHERE employee_uid = ? AND date = ? AND clock_type = ?",
+      [employeeUid, date, `${session}_out`],
+    )
+
+    for (const out of outs) {
+      const evaluated = await this.evaluatePunch(out, { excludeId: out.id })
+      await db.run(
+        "UPDATE attendance SET regular_hours = ?, overtime_hours = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [evaluated.regular_hours, evaluated.overtime_hours, out.id],
+      )
+    }
+  }
+
+  /**
+   * The clock type a kiosk scan most likely means. An open session is closed first; otherwise the
+   * scan opens the first session not yet started today whose window has not ended, and anything
+   * after the last window is overtime. punches are that day's punches in clock_time order.
+   */
+  static inferClockType(shift, punches, clockTime) {
+    const last = punches[punches.length - 1]
+    if (last && last.clock_type.endsWith("_in")) {
+      return last.clock_type.replace("_in", "_out")
+    }
+
+    const time = parseClockTime(clockTime)
+    const started = new Set(punches.map((punch) => punch.clock_type.split("_")[0]))
+
+    for (const session of SESSIONS) {
+      const window = this.getWindow(shift, session)
+      if (started.has(session)) continue
+      if (!window) {
+        // Without a shift, sessions simply follow one another
+        if (!shift) return `${session}_in`
+        continue
+      }
+
+      if (time < window.end) {
+        return `${session}_in`
+      }
+    }
+
+    return "overtime_in"
+  }
+
+  static validateShift(shift) {
+    const errors = []
+
+    if (!shift.name || !String(shift.name).trim()) {
+      errors.push("name is required")
+    }
+
+    let windows = 0
+    for (const session of SESSIONS) {
+      const start = shift[`${session}_start`]
+      const end = shift[`${session}_end`]
+      if (!start && !end) continue
+
+      if (!this.isValidTime(start) || !this.isValidTime(end)) {
+        errors.push(`${session}_start and ${session}_end must both be HH:MM`)
+      } else if (start === end) {
+        errors.push(`${session} window cannot be empty`)
+      } else {
+        windows++
+      }
+    }
+
+    if (windows === 0 && errors.length === 0) {
+      errors.push("At least one session window is required")
+    }
+
+    if (shift.rest_days !== undefined && shift.rest_days !== null && shift.rest_days !== "" &&
+      !/^[0-6](,[0-6])*$/.test(String(shift.rest_days).replace(/\s/g, ""))) {
+      errors.push("rest_days must be a comma-separated list of weekdays from 0 (Sunday) to 6 (Saturday)")
+    }
+
+    for (const field of ["grace_period_minutes", "min_overtime_minutes"]) {
+      if (shift[field] !== undefined && shift[field] !== null && (!Number.isInteger(shift[field]) || shift[field] < 0)) {
+        errors.push(`${field} must be a whole number of minutes`)
+      }
+    }
+
+    return errors
+  }
+}
+
+module.exports = ShiftService
@@ -0,0 +1,98 @@
+const { getDatabase } = require("../config/database")
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const BATCH_ID_PATTERN = /^[\w.:-]{1,100}$/
+
+const MAX_CHANGES_PAGE = 1000
+
+class SyncService {
+  static get MAX_CHANGES_PAGE() {
+    return MAX_CHANGES_PAGE
+  }
+
+  static isValidClientUuid(value) {
+    return typeof value === "string" && UUID_PATTERN.test(value)
+  }
+
+  static isValidBatchId(value) {
+    return typeof value === "string" && BATCH_ID_PATTERN.test(value)
+  }
+
+  // A batch already applied, with its stored per-record results, or null
+  static async getBatch(batchId) {
+    const db = getDatabase()
+    const batch = await db.get("SELECT * FROM attendance_sync_batches WHERE batch_id = ?", [batchId])
+    return batch ? { ...batch, results: JSON.parse(batch.results) } : null
+  }
+
+  // Remember a batch's outcome; call inside the transaction that applied it
+  static async saveBatch(batchId, { deviceId, submittedBy, recordCount, counts, results }) {
+    const db = getDatabase()
+    await db.run(`
+      INSERT INTO attendance_sync_batches (
+        batch_id, device_id, submitted_by, record_count, created_count, duplicate_count, error_count, results
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      batchId, deviceId, submittedBy, recordCount, counts.created, counts.duplicate, counts.error,
+      JSON.stringify(results),
+    ])
+  }
+
+  // Highest cursor in the change feed; clients start here after a full download
+  static async getLatestCursor() {
+    const db = getDatabase()
+    const row = await db.get("SELECT MAX(id) as cursor FROM attendance_changes")
+    return row.cursor || 0
+  }
+
+  /**
+   * Changes after a cursor, oldest first, collapsed to the latest change per punch so a client
+   * can upsert or delete each one. Each carries the punch as it is now (null once deleted).
+   * scope is a departmentClause on "c.employee_uid".
+   */
+  static async getChanges(since, limit, scope) {
+    const db = getDatabase()
+    const rows = await db.all(`
+      SELECT id, attendance_id, client_uuid, employee_uid, date, action, changed_at
+      FROM attendance_changes c
+      WHERE c.id > ?${scope.sql}
+      ORDER BY c.id
+      LIMIT ?
+    `, [since, ...scope.params, limit + 1])
+
+    const hasMore = rows.length > limit
+    const page = hasMore ? rows.slice(0, limit) : rows
+    const nextCursor = page.length > 0 ? page[page.length - 1].id : since
+
+    const latest = new Map()
+    for (const row of page) {
+      latest.delete(row.attendance_id)
+      latest.set(row.attendance_id, row)
+    }
+
+    const ids = [...latest.keys()]
+    const records = ids.length > 0
+      ? await db.all(`SELECT * FROM attendance WHERE id IN (${ids.map(() => "?").join(", ")})`, ids)
+      : []
+    const recordsById = new Map(records.map((record) => [record.id, record]))
+
+    const changes = [...latest.values()].map((change) => {
+      const record = recordsById.get(change.attendance_id) || null
+      return {
+        cursor: change.id,
+        attendance_id: change.attendance_id,
+        client_uuid: record ? record.client_uuid : change.client_uuid,
+        employee_uid: change.employee_uid,
+        date: change.date,
+        // A punch created and then deleted inside the page only needs deleting
+        action: record ? change.action : "delete",
+        changed_at: change.changed_at,
+        record,
+      }
+    })
+
+    return { changes, next_cursor: nextCursor, has_more: hasMore }
+  }
+}
+
+module.exports = SyncService
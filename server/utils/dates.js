@@ -0,0 +1,32 @@
+// Server-local dates and times. Punches, summaries and report dates are stored in the server's
+// local time, so "today" must come from here rather than from toISOString(), which is UTC
+
+// Local wall-clock time in the ISO form punches use ("2025-09-30T13:04:32.459")
+function localClockTime(now = new Date()) {
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().replace("Z", "")
+}
+
+// Local YYYY-MM-DD and HH:MM for a moment
+function localParts(now = new Date()) {
+  const local = localClockTime(now)
+  return { date: local.slice(0, 10), time: local.slice(11, 16) }
+}
+
+// Local YYYY-MM-DD for a moment
+function localToday(now = new Date()) {
+  return localParts(now).date
+}
+
+// Calendar arithmetic on a YYYY-MM-DD date
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`)
+  result.setUTCDate(result.getUTCDate() + days)
+  return result.toISOString().split("T")[0]
+}
+
+module.exports = {
+  localClockTime,
+  localParts,
+  localToday,
+  addDays,
+}
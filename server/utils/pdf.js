@@ -0,0 +1,141 @@
+// Minimal PDF output for printable reports: text in the standard Helvetica faces and ruled lines,
+// which every PDF reader ships with, so no fonts are embedded.
+
+// Advance widths (1/1000 em) of ASCII 32-126 in Helvetica and Helvetica-Bold, from the Adobe AFMs
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+const DEFAULT_WIDTH = 556
+
+// US Letter in points
+const PAGE_WIDTH = 612
+const PAGE_HEIGHT = 792
+
+// Latin-1 text only (WinAnsiEncoding covers ñ, é and friends); anything else prints as "?"
+function toLatin1(text) {
+  return String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+}
+
+function textWidth(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let units = 0
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0)
+    units += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH
+  }
+  return (units * size) / 1000
+}
+
+// Shorten text with "..." until it fits maxWidth
+function fitText(text, size, maxWidth, bold = false) {
+  let fitted = toLatin1(text)
+  if (textWidth(fitted, size, bold) <= maxWidth) {
+    return fitted
+  }
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size, bold) > maxWidth) {
+    fitted = fitted.slice(0, -1)
+  }
+  return `${fitted}...`
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100)
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`)
+}
+
+/**
+ * Content stream for one page. Operations use a top-left origin:
+ *   { type: "text", x, y, text, size = 10, bold = false, align = "left" | "center" | "right" }
+ *   (y is the baseline; x is the left edge, centre or right edge per align)
+ *   { type: "line", x1, y1, x2, y2, width = 0.5 }
+ */
+function buildContent(operations, pageHeight) {
+  const commands = []
+
+  for (const operation of operations) {
+    if (operation.type === "line") {
+      const { x1, y1, x2, y2, width = 0.5 } = operation
+      commands.push(
+        `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(pageHeight - y1)} m ` +
+        `${formatNumber(x2)} ${formatNumber(pageHeight - y2)} l S`,
+      )
+      continue
+    }
+
+    const { text = "", size = 10, bold = false, align = "left" } = operation
+    if (text === null || text === "") continue
+
+    let x = operation.x
+    if (align !== "left") {
+      const width = textWidth(text, size, bold)
+      x -= align === "center" ? width / 2 : width
+    }
+
+    commands.push(
+      `BT /${bold ? "F2" : "F1"} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(pageHeight - operation.y)} Td ` +
+      `(${escapeText(text)}) Tj ET`,
+    )
+  }
+
+  return commands.join("\n")
+}
+
+// PDF document as a Buffer; pages is an array of operation lists (see buildContent)
+function toPDF(pages, { width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) {
+  // Objects 1-4 are the catalog, page tree and the two fonts; each page adds a page and its content
+  const pageIds = pages.map((_, index) => 5 + index * 2)
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ]
+
+  pages.forEach((operations, index) => {
+    const content = buildContent(operations, height)
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+    )
+    objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`)
+  })
+
+  // Every character is one latin1 byte, so string lengths are byte offsets
+  let output = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n"
+  const offsets = []
+  objects.forEach((object, index) => {
+    offsets.push(output.length)
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`
+  })
+
+  const xrefOffset = output.length
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("")
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(output, "latin1")
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  fitText,
+  toPDF,
+}
@@ -0,0 +1,132 @@
+// CSV and minimal XLSX output for exports. XLSX is a zip of XML parts; archiver builds the zip.
+const archiver = require("archiver")
+
+// columns: [{ key, header }]
+function toCSV(columns, rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return ""
+    if (typeof value === "number") return String(value)
+    return `"${String(value).replace(/"/g, '""')}"`
+  }
+
+  return [
+    columns.map((column) => escape(column.header)).join(","),
+    ...rows.map((row) => columns.map((column) => escape(row[column.key])).join(",")),
+  ].join("\n")
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = ""
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function buildCell(value, reference, style = 0) {
+  const styleAttribute = style ? ` s="${style}"` : ""
+  if (value === null || value === undefined || value === "") {
+    return `<c r="${reference}"${styleAttribute}/>`
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`
+  }
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+function buildSheet(columns, rows) {
+  const header = columns.map((column, index) => buildCell(column.header, `${columnName(index)}1`, 1)).join("")
+  const body = rows
+    .map((row, rowIndex) => {
+      const cells = columns
+        .map((column, index) => buildCell(row[column.key], `${columnName(index)}${rowIndex + 2}`))
+        .join("")
+      return `<row r="${rowIndex + 2}">${cells}</row>`
+    })
+    .join("")
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+    "</worksheet>"
+  )
+}
+
+const CONTENT_TYPES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  "</Types>"
+
+const ROOT_RELS =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  "</Relationships>"
+
+const WORKBOOK_RELS =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  "</Relationships>"
+
+// Style 1 is the bold header row
+const STYLES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  "</styleSheet>"
+
+// Single-sheet workbook as a Buffer
+function toXLSX(columns, rows, sheetName = "Sheet1") {
+  const workbook =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, " ").slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    "</workbook>"
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver("zip", { zlib: { level: 6 } })
+    const chunks = []
+
+    archive.on("data", (chunk) => chunks.push(chunk))
+    archive.on("end", () => resolve(Buffer.concat(chunks)))
+    archive.on("error", reject)
+
+    archive.append(CONTENT_TYPES, { name: "[Content_Types].xml" })
+    archive.append(ROOT_RELS, { name: "_rels/.rels" })
+    archive.append(workbook, { name: "xl/workbook.xml" })
+    archive.append(WORKBOOK_RELS, { name: "xl/_rels/workbook.xml.rels" })
+    archive.append(STYLES, { name: "xl/styles.xml" })
+    archive.append(buildSheet(columns, rows), { name: "xl/worksheets/sheet1.xml" })
+    archive.finalize()
+  })
+}
+
+module.exports = {
+  toCSV,
+  toXLSX,
+}
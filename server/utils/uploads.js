@@ -0,0 +1,33 @@
+// Where uploaded files live: beside the database, in DATABASE_DIR when the desktop app sets it,
+// else the working directory
+const fs = require("fs")
+const path = require("path")
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp"]
+
+function getDataDir() {
+  return process.env.DATABASE_DIR || process.cwd()
+}
+
+function getUploadsDir() {
+  return path.join(getDataDir(), "uploads")
+}
+
+// Full path of an employee's profile picture, or null when they have none
+async function findProfilePicture(uid) {
+  const profileDir = path.join(getUploadsDir(), String(uid), "profiles")
+  try {
+    const files = await fs.promises.readdir(profileDir)
+    const picture = files.find((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    return picture ? path.join(profileDir, picture) : null
+  } catch (error) {
+    if (error.code === "ENOENT") return null
+    throw error
+  }
+}
+
+module.exports = {
+  getDataDir,
+  getUploadsDir,
+  findProfilePicture,
+}